@@ -0,0 +1,83 @@
+/**
+ * @fileoverview The LLM service and the client or admin service it calls, served together over
+ * HTTP on a scratch database, for integration tests of the chat and admin console.
+ * Requiring this file mocks user lookups: user N is buyer<N>@example.com.
+ */
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('./scratchDatabase');
+
+jest.mock('../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: `buyer${id}@example.com`, first_name: 'Test', last_name: 'Buyer' }))
+}));
+
+const { JWT_SECRET } = require('../../middleware/authenticate');
+
+const SERVICES = {
+  client: { routes: '../../client-service/routes/clientRoutes', urlVariable: 'CLIENT_SERVICE_URL' },
+  admin: { routes: '../../admin-service/routes/adminRoutes', urlVariable: 'ADMIN_SERVICE_URL' }
+};
+
+// Children before parents
+const TABLES = [
+  'pending_admin_operations', 'llm_usage', 'event_content', 'chat_messages', 'chat_conversations',
+  'pending_bookings', 'holds', 'waitlist_entries', 'refunds', 'tickets', 'idempotency_keys',
+  'order_items', 'orders', 'event_policies', 'events'
+];
+
+/**
+ * Authorization header value for a user
+ * @param {number} userId - User the token is for
+ * @returns {string} "Bearer <jwt>"
+ */
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+/**
+ * Start the LLM routes and a service's routes on one server, on a fresh scratch database.
+ * Modules load inside jest.isolateModules, so each test file gets its own model state.
+ * @param {string} name - Name used in the scratch database file, unique per test file
+ * @param {Object} [options]
+ * @param {string} [options.service] - 'client' (default) or 'admin'
+ * @param {Object} [options.env] - Environment variables set only while the modules load (LLM_PROVIDER...)
+ * @param {Function} [options.load] - Called inside the isolated module registry, to require more modules from it
+ * @returns {Promise<Object>} { app, server, scratch, reset, stop }
+ */
+const startChatServices = async (name, { service = 'client', env = {}, load } = {}) => {
+  const scratch = await createScratchDatabase(name);
+  process.env.TEST_DB_PATH = scratch.file;
+  const { routes, urlVariable } = SERVICES[service];
+
+  // One server plays both services; the LLM routes reach the other service over HTTP as in production
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  const server = app.listen(0);
+  process.env[urlVariable] = `http://127.0.0.1:${server.address().port}`;
+
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    app.use('/api/llm', require('../../llm-driven-booking/routes/llmRoutes'));
+    app.use('/api', require(routes));
+    if (load) load();
+  });
+  for (const variable of Object.keys(env)) delete process.env[variable];
+
+  // Empty every table, then seed the rows a test starts from
+  const reset = (seedSql = '') =>
+    scratch.exec(`${TABLES.map(table => `DELETE FROM ${table};`).join('\n')}\n${seedSql}`);
+
+  const stop = async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+    delete process.env[urlVariable];
+  };
+
+  return { app, server, scratch, reset, stop };
+};
+
+module.exports = {
+  bearer,
+  startChatServices
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview File-backed scratch database for integration tests that exercise real models
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+
+const INIT_SQL_PATH = path.join(__dirname, '../../shared-db/init.sqlite');
+
+/**
+ * Create a scratch SQLite file initialized with the shared schema.
+ * Point models at it by setting process.env.TEST_DB_PATH to the returned file
+ * before requiring them (e.g. inside jest.isolateModules).
+ * @param {string} name - Name used in the temp file, unique per test file
+ * @returns {Promise<Object>} { file, exec, get, all, remove }
+ */
+const createScratchDatabase = async (name) => {
+  const file = path.join(os.tmpdir(), `tigertix-${name}-${process.pid}.sqlite`);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+
+  // Each helper opens its own short-lived connection, like another service would
+  const withConnection = (fn) => {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(file);
+      fn(db, (err, value) => {
+        db.close();
+        if (err) reject(err);
+        else resolve(value);
+      });
+    });
+  };
+
+  const exec = (sql) => withConnection((db, done) => db.exec(sql, done));
+  const get = (sql, params = []) => withConnection((db, done) => db.get(sql, params, done));
+  const all = (sql, params = []) => withConnection((db, done) => db.all(sql, params, done));
+  const remove = () => {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  };
+
+  await exec(fs.readFileSync(INIT_SQL_PATH, 'utf-8'));
+
+  return { file, exec, get, all, remove };
+};
+
+module.exports = {
+  createScratchDatabase
+};
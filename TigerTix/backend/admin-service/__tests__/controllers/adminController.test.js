@@ -4,6 +4,8 @@
 
 const request = require('supertest');
 const express = require('express');
+const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
 const { mockEvents, validTestInputs, invalidTestInputs } = require('../../../__tests__/helpers/mockData');
 
 // Mock the admin model before requiring the routes
@@ -12,15 +14,29 @@ jest.mock('../../models/adminModel', () => ({
   getAllEvents: jest.fn(),
   getEventById: jest.fn(),
   updateEventTickets: jest.fn(),
-  removeEvent: jest.fn()
+  removeEvent: jest.fn(),
+  setRefundCutoff: jest.fn(),
+  getEventAttendance: jest.fn(),
+  getEventContent: jest.fn(),
+  setEventContent: jest.fn()
+}));
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: id === 1 ? 'admin@example.com' : `buyer${id}@example.com`, first_name: 'Test', last_name: 'User' }))
 }));
 
 const adminModel = require('../../models/adminModel');
 const adminRoutes = require('../../routes/adminRoutes');
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+// admin@example.com (user 1) is listed in ADMIN_EMAILS in these tests; user 7 is a buyer
+const adminHeader = `Bearer ${jwt.sign({ userId: 1 }, JWT_SECRET)}`;
+const buyerHeader = `Bearer ${jwt.sign({ userId: 7 }, JWT_SECRET)}`;
 
 // Create Express app for testing
 const app = express();
 app.use(express.json());
+app.use(cookieParser());
 app.use('/api', adminRoutes);
 
 // In-memory mock events storage
@@ -28,6 +44,14 @@ let mockEventsStore = [];
 let nextEventId = 1;
 
 describe('Admin Service Controller', () => {
+  beforeAll(() => {
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_EMAILS;
+  });
+
   beforeEach(() => {
     // Reset mock events store before each test
     mockEventsStore = [
@@ -277,6 +301,208 @@ describe('Admin Service Controller', () => {
     });
   });
 
+  describe('PATCH /api/events/:id/refund-policy', () => {
+    beforeEach(() => {
+      adminModel.setRefundCutoff.mockImplementation((id, cutoffHours) => {
+        if (!mockEventsStore.some(e => e.id === id)) {
+          return Promise.reject(new Error('Event not found'));
+        }
+        return Promise.resolve({ event_id: id, refund_cutoff_hours: cutoffHours });
+      });
+    });
+
+    test('should set the refund cutoff for an event', async () => {
+      const response = await request(app)
+        .patch('/api/events/2/refund-policy')
+        .set('Authorization', adminHeader)
+        .send({ refundCutoffHours: 48 })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Refund policy updated successfully');
+      expect(response.body.policy).toEqual({ event_id: 2, refund_cutoff_hours: 48 });
+      expect(adminModel.setRefundCutoff).toHaveBeenCalledWith(2, 48);
+    });
+
+    test('should allow a zero-hour cutoff', async () => {
+      await request(app)
+        .patch('/api/events/1/refund-policy')
+        .set('Authorization', adminHeader)
+        .send({ refundCutoffHours: 0 })
+        .expect(200);
+    });
+
+    test('should return 400 for negative or non-integer cutoffs', async () => {
+      for (const refundCutoffHours of [-1, 1.5, 'soon', undefined]) {
+        const response = await request(app)
+          .patch('/api/events/1/refund-policy')
+          .set('Authorization', adminHeader)
+          .send({ refundCutoffHours })
+          .expect(400);
+
+        expect(response.body.message).toBe('Invalid refund cutoff');
+      }
+    });
+
+    test('should return 404 for non-existent event', async () => {
+      const response = await request(app)
+        .patch('/api/events/9999/refund-policy')
+        .set('Authorization', adminHeader)
+        .send({ refundCutoffHours: 24 })
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Event not found');
+    });
+
+    test('should only let admins change the refund policy', async () => {
+      await request(app).patch('/api/events/1/refund-policy').send({ refundCutoffHours: 0 }).expect(401);
+      await request(app)
+        .patch('/api/events/1/refund-policy')
+        .set('Authorization', buyerHeader)
+        .send({ refundCutoffHours: 0 })
+        .expect(403);
+
+      expect(adminModel.setRefundCutoff).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /api/events/:id/attendance', () => {
+    beforeEach(() => {
+      adminModel.getEventAttendance.mockImplementation((id) => {
+        const event = mockEventsStore.find(e => e.id === id);
+        if (!event) {
+          return Promise.reject(new Error('Event not found'));
+        }
+        return Promise.resolve({
+          event_id: id,
+          event_name: event.name,
+          tickets_issued: 250,
+          checked_in: 180,
+          not_checked_in: 70,
+          last_check_in_at: '2024-11-30 15:12:04'
+        });
+      });
+    });
+
+    test('should return check-in counts for an event', async () => {
+      const response = await request(app)
+        .get('/api/events/1/attendance')
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Attendance fetched successfully');
+      expect(response.body.attendance).toEqual(expect.objectContaining({ tickets_issued: 250, checked_in: 180 }));
+      expect(adminModel.getEventAttendance).toHaveBeenCalledWith(1);
+    });
+
+    test('should return 404 for non-existent event', async () => {
+      await request(app)
+        .get('/api/events/9999/attendance')
+        .set('Authorization', adminHeader)
+        .expect(404);
+    });
+
+    test('should return 400 for invalid ID', async () => {
+      await request(app)
+        .get('/api/events/abc/attendance')
+        .set('Authorization', adminHeader)
+        .expect(400);
+      expect(adminModel.getEventAttendance).not.toHaveBeenCalled();
+    });
+
+    test('should only show attendance to admins', async () => {
+      await request(app).get('/api/events/1/attendance').expect(401);
+      await request(app)
+        .get('/api/events/1/attendance')
+        .set('Authorization', buyerHeader)
+        .expect(403);
+
+      expect(adminModel.getEventAttendance).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('/api/events/:id/content', () => {
+    const faqs = [{ question: 'Is parking included?', answer: 'Yes, in Lot B.' }];
+
+    beforeEach(() => {
+      adminModel.getEventContent.mockImplementation((id) => {
+        if (!mockEventsStore.some(e => e.id === id)) {
+          return Promise.reject(new Error('Event not found'));
+        }
+        return Promise.resolve({ event_id: id, description: 'Iron Bowl 2024', faqs });
+      });
+      adminModel.setEventContent.mockImplementation((id, content) => {
+        if (!mockEventsStore.some(e => e.id === id)) {
+          return Promise.reject(new Error('Event not found'));
+        }
+        return Promise.resolve({ event_id: id, ...content });
+      });
+    });
+
+    test('should return an event\'s description and FAQs', async () => {
+      const response = await request(app)
+        .get('/api/events/1/content')
+        .set('Authorization', adminHeader)
+        .expect(200);
+
+      expect(response.body.content).toEqual({ event_id: 1, description: 'Iron Bowl 2024', faqs });
+    });
+
+    test('should replace the description and FAQs, trimmed', async () => {
+      const response = await request(app)
+        .put('/api/events/2/content')
+        .set('Authorization', adminHeader)
+        .send({ description: ' SEC game \n', faqs: [{ question: ' Is parking included? ', answer: 'Yes, in Lot B.' }] })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Event content updated successfully');
+      expect(adminModel.setEventContent).toHaveBeenCalledWith(2, { description: 'SEC game', faqs });
+    });
+
+    test('should clear content when given none', async () => {
+      await request(app)
+        .put('/api/events/2/content')
+        .set('Authorization', adminHeader)
+        .send({})
+        .expect(200);
+
+      expect(adminModel.setEventContent).toHaveBeenCalledWith(2, { description: null, faqs: [] });
+    });
+
+    test('should return 400 for malformed content', async () => {
+      for (const body of [
+        { description: 42 },
+        { description: 'x'.repeat(5001) },
+        { faqs: 'Is parking included?' },
+        { faqs: [{ question: 'Is parking included?' }] },
+        { faqs: [{ question: '', answer: 'Yes' }] }
+      ]) {
+        const response = await request(app)
+          .put('/api/events/1/content')
+          .set('Authorization', adminHeader)
+          .send(body)
+          .expect(400);
+
+        expect(response.body.message).toBe('Validation failed');
+      }
+      expect(adminModel.setEventContent).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for non-existent event', async () => {
+      await request(app).get('/api/events/9999/content').set('Authorization', adminHeader).expect(404);
+      await request(app).put('/api/events/9999/content').set('Authorization', adminHeader).send({ faqs }).expect(404);
+    });
+
+    test('should only let admins read or replace event content', async () => {
+      await request(app).get('/api/events/1/content').expect(401);
+      await request(app).put('/api/events/1/content').send({ faqs }).expect(401);
+      await request(app).get('/api/events/1/content').set('Authorization', buyerHeader).expect(403);
+      await request(app).put('/api/events/1/content').set('Authorization', buyerHeader).send({ faqs }).expect(403);
+
+      expect(adminModel.getEventContent).not.toHaveBeenCalled();
+      expect(adminModel.setEventContent).not.toHaveBeenCalled();
+    });
+  });
+
   describe('DELETE /api/events/:id', () => {
     test('should delete existing event', async () => {
       // First create an event to delete
@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Saving event descriptions and FAQs against a real SQLite database, including
+ * saves that overlap on the service's one connection.
+ */
+
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+describe('Event content storage', () => {
+  let scratch;
+  let adminModel;
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('admin-content');
+    process.env.TEST_DB_PATH = scratch.file;
+    jest.isolateModules(() => {
+      adminModel = require('../../models/adminModel');
+    });
+  });
+
+  afterAll(() => {
+    scratch.remove();
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM event_content;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Jazz Night', '2099-05-01', 40);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Homecoming Game', '2099-10-10', 500);
+    `);
+  });
+
+  test('should replace an event\'s content', async () => {
+    await adminModel.setEventContent(1, { description: 'Live jazz.', faqs: [{ question: 'Parking?', answer: 'Lot B.' }] });
+    const content = await adminModel.setEventContent(1, { description: null, faqs: [{ question: 'Food?', answer: 'Yes.' }] });
+
+    expect(content).toEqual({ event_id: 1, description: null, faqs: [{ question: 'Food?', answer: 'Yes.' }] });
+  });
+
+  test('should apply overlapping saves one after the other', async () => {
+    const faqs = (answer) => [1, 2, 3].map((n) => ({ question: `Question ${n}?`, answer }));
+
+    const results = await Promise.all([
+      adminModel.setEventContent(1, { description: 'First.', faqs: faqs('first') }),
+      adminModel.setEventContent(1, { description: 'Second.', faqs: faqs('second') }),
+      adminModel.setEventContent(2, { description: 'Game day.', faqs: faqs('game') })
+    ]);
+
+    expect(results.map((content) => content.description)).toEqual(['First.', 'Second.', 'Game day.']);
+    const rows = await scratch.all('SELECT event_id, body FROM event_content ORDER BY event_id, position');
+    expect(rows.filter((row) => row.event_id === 1).map((row) => row.body)).toEqual(['Second.', 'second', 'second', 'second']);
+    expect(rows.filter((row) => row.event_id === 2)).toHaveLength(4);
+  });
+});
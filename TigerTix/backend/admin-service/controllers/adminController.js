@@ -1,4 +1,14 @@
-const { addEvent, getAllEvents, getEventById, updateEventTickets, removeEvent } = require('../models/adminModel');
+const {
+    addEvent,
+    getAllEvents,
+    getEventById,
+    updateEventTickets,
+    removeEvent,
+    setRefundCutoff,
+    getEventAttendance,
+    getEventContent,
+    setEventContent
+} = require('../models/adminModel');
 
 /**
  * @function deleteEvent
@@ -216,10 +226,227 @@ const updateTickets = async (req, res) => {
     }
 };
 
+/**
+ * @function updateRefundPolicy
+ * @description Sets the refund cutoff (hours before the event) for a specific event.
+ * @param {Object} req - Express request object (expects event ID in params, refundCutoffHours in body)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const updateRefundPolicy = async (req, res) => {
+    const idError = validateId(req.params.id);
+    if (idError) {
+        return res.status(400).json({
+            message: 'Invalid event ID',
+            error: idError
+        });
+    }
+
+    const cutoffHours = Number(req.body.refundCutoffHours);
+    if (!Number.isInteger(cutoffHours) || cutoffHours < 0) {
+        return res.status(400).json({
+            message: 'Invalid refund cutoff',
+            error: 'Refund cutoff must be a non-negative integer number of hours'
+        });
+    }
+
+    try {
+        const policy = await setRefundCutoff(parseInt(req.params.id, 10), cutoffHours);
+        res.json({
+            message: 'Refund policy updated successfully',
+            policy
+        });
+    } catch (err) {
+        if (err.message === 'Event not found') {
+            return res.status(404).json({
+                message: 'Event not found',
+                error: 'No event with the provided ID'
+            });
+        }
+        console.error('Error updating refund policy:', err);
+        res.status(500).json({
+            message: 'Failed to update refund policy in database',
+            error: err.message || 'Unknown error'
+        });
+    }
+};
+
+/**
+ * @function getAttendance
+ * @description Reports live door attendance for an event: valid tickets issued and checked in.
+ * @param {Object} req - Express request object (expects event ID in params)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const getAttendance = async (req, res) => {
+    const idError = validateId(req.params.id);
+    if (idError) {
+        return res.status(400).json({
+            message: 'Invalid event ID',
+            error: idError
+        });
+    }
+
+    try {
+        const attendance = await getEventAttendance(parseInt(req.params.id, 10));
+        res.json({
+            message: 'Attendance fetched successfully',
+            attendance
+        });
+    } catch (err) {
+        if (err.message === 'Event not found') {
+            return res.status(404).json({
+                message: 'Event not found',
+                error: 'No event with the provided ID'
+            });
+        }
+        console.error('Error fetching attendance:', err);
+        res.status(500).json({
+            message: 'Failed to fetch attendance from database',
+            error: err.message || 'Unknown error'
+        });
+    }
+};
+
+// Limits on what the chat assistant answers questions from
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_FAQS = 50;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_ANSWER_LENGTH = 2000;
+
+/**
+ * @function validateEventContent
+ * @description Validates an event's description and FAQs.
+ * @param {Object} content - { description, faqs }; either may be left out
+ * @returns {Array<string>} - An array of error messages. Empty if validation passes.
+ */
+const validateEventContent = ({ description, faqs }) => {
+    const errors = [];
+
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            errors.push('Description must be a string');
+        } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+            errors.push(`Description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+    }
+
+    if (faqs !== undefined) {
+        if (!Array.isArray(faqs)) {
+            errors.push('FAQs must be an array of { question, answer }');
+        } else if (faqs.length > MAX_FAQS) {
+            errors.push(`At most ${MAX_FAQS} FAQs are allowed`);
+        } else {
+            faqs.forEach((faq, index) => {
+                const question = typeof faq?.question === 'string' ? faq.question.trim() : '';
+                const answer = typeof faq?.answer === 'string' ? faq.answer.trim() : '';
+                if (!question || question.length > MAX_QUESTION_LENGTH) {
+                    errors.push(`FAQ ${index + 1}: question is required and must be at most ${MAX_QUESTION_LENGTH} characters`);
+                }
+                if (!answer || answer.length > MAX_ANSWER_LENGTH) {
+                    errors.push(`FAQ ${index + 1}: answer is required and must be at most ${MAX_ANSWER_LENGTH} characters`);
+                }
+            });
+        }
+    }
+
+    return errors;
+};
+
+/**
+ * @function getContent
+ * @description Retrieves an event's description and FAQs.
+ * @param {Object} req - Express request object (expects event ID in params)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const getContent = async (req, res) => {
+    const idError = validateId(req.params.id);
+    if (idError) {
+        return res.status(400).json({
+            message: 'Invalid event ID',
+            error: idError
+        });
+    }
+
+    try {
+        const content = await getEventContent(parseInt(req.params.id, 10));
+        res.json({
+            message: 'Event content fetched successfully',
+            content
+        });
+    } catch (err) {
+        if (err.message === 'Event not found') {
+            return res.status(404).json({
+                message: 'Event not found',
+                error: 'No event with the provided ID'
+            });
+        }
+        console.error('Error fetching event content:', err);
+        res.status(500).json({
+            message: 'Failed to fetch event content from database',
+            error: err.message || 'Unknown error'
+        });
+    }
+};
+
+/**
+ * @function updateContent
+ * @description Replaces an event's description and FAQs, which the chat assistant answers questions from.
+ * @param {Object} req - Express request object (expects event ID in params, description and faqs in body)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const updateContent = async (req, res) => {
+    const idError = validateId(req.params.id);
+    if (idError) {
+        return res.status(400).json({
+            message: 'Invalid event ID',
+            error: idError
+        });
+    }
+
+    const { description, faqs } = req.body || {};
+    const validationErrors = validateEventContent({ description, faqs });
+    if (validationErrors.length > 0) {
+        return res.status(400).json({
+            message: 'Validation failed',
+            errors: validationErrors
+        });
+    }
+
+    try {
+        const content = await setEventContent(parseInt(req.params.id, 10), {
+            description: description ? description.trim() : null,
+            faqs: (faqs || []).map(faq => ({ question: faq.question.trim(), answer: faq.answer.trim() }))
+        });
+        res.json({
+            message: 'Event content updated successfully',
+            content
+        });
+    } catch (err) {
+        if (err.message === 'Event not found') {
+            return res.status(404).json({
+                message: 'Event not found',
+                error: 'No event with the provided ID'
+            });
+        }
+        console.error('Error updating event content:', err);
+        res.status(500).json({
+            message: 'Failed to update event content in database',
+            error: err.message || 'Unknown error'
+        });
+    }
+};
+
 module.exports = {
     createEvent,
     getEvents,
     getEvent,
     updateTickets,
-    deleteEvent
+    deleteEvent,
+    updateRefundPolicy,
+    getAttendance,
+    getContent,
+    updateContent
 };
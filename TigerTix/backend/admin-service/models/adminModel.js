@@ -1,9 +1,5 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-
-// Connect to the shared database
-const dbPath = path.join(__dirname, '../../shared-db/database.sqlite');
-const db = new sqlite3.Database(dbPath);
+// The shared connection, so content saves go through the same transaction queue as other services' writes
+const { db, runAsync, withTransaction } = require('../../db');
 
 /**
  * @function addEvent
@@ -99,11 +95,6 @@ const updateEventTickets = (id, tickets) => {
     });
 };
 
-// Ensure database connection is closed when the process exits
-process.on('exit', () => {
-    db.close();
-});
-
 /**
  * @function removeEvent
  * @description Deletes an event by ID.
@@ -126,10 +117,137 @@ const removeEvent = (id) => {
     });
 };
 
+/**
+ * @function setRefundCutoff
+ * @description Sets how many hours before an event refunds close.
+ * @param {number} id - Event ID
+ * @param {number} cutoffHours - Refund cutoff in hours
+ * @returns {Promise<Object>} - Resolves with { event_id, refund_cutoff_hours }
+ */
+const setRefundCutoff = (id, cutoffHours) => {
+    return new Promise((resolve, reject) => {
+        getEventById(id).then(() => {
+            db.run(
+                `INSERT INTO event_policies (event_id, refund_cutoff_hours) VALUES (?, ?)
+                 ON CONFLICT(event_id) DO UPDATE SET refund_cutoff_hours = excluded.refund_cutoff_hours`,
+                [id, cutoffHours],
+                (err) => {
+                    if (err) {
+                        reject(new Error('Database error: ' + err.message));
+                        return;
+                    }
+                    resolve({ event_id: Number(id), refund_cutoff_hours: cutoffHours });
+                }
+            );
+        }).catch(reject);
+    });
+};
+
+/**
+ * @function getEventAttendance
+ * @description Counts an event's valid tickets and how many have been checked in at the door.
+ * @param {number} id - Event ID
+ * @returns {Promise<Object>} - Resolves with { event_id, event_name, tickets_issued, checked_in, not_checked_in, last_check_in_at }
+ */
+const getEventAttendance = (id) => {
+    return new Promise((resolve, reject) => {
+        getEventById(id).then((event) => {
+            db.get(
+                `SELECT COUNT(*) AS tickets_issued,
+                        COUNT(checked_in_at) AS checked_in,
+                        MAX(checked_in_at) AS last_check_in_at
+                 FROM tickets WHERE event_id = ? AND status = 'valid'`,
+                [id],
+                (err, row) => {
+                    if (err) {
+                        reject(new Error('Database error: ' + err.message));
+                        return;
+                    }
+                    resolve({
+                        event_id: event.id,
+                        event_name: event.name,
+                        tickets_issued: row.tickets_issued,
+                        checked_in: row.checked_in,
+                        not_checked_in: row.tickets_issued - row.checked_in,
+                        last_check_in_at: row.last_check_in_at
+                    });
+                }
+            );
+        }).catch(reject);
+    });
+};
+
+/**
+ * @function getEventContent
+ * @description Retrieves an event's description and FAQs.
+ * @param {number} id - Event ID
+ * @returns {Promise<Object>} - Resolves with { event_id, description, faqs: [{ question, answer }] }
+ */
+const getEventContent = (id) => {
+    return new Promise((resolve, reject) => {
+        getEventById(id).then((event) => {
+            db.all(
+                'SELECT kind, question, body FROM event_content WHERE event_id = ? ORDER BY position, id',
+                [id],
+                (err, rows) => {
+                    if (err) {
+                        reject(new Error('Database error: ' + err.message));
+                        return;
+                    }
+                    const description = rows.find(row => row.kind === 'description');
+                    resolve({
+                        event_id: event.id,
+                        description: description ? description.body : null,
+                        faqs: rows.filter(row => row.kind === 'faq').map(row => ({ question: row.question, answer: row.body }))
+                    });
+                }
+            );
+        }).catch(reject);
+    });
+};
+
+/**
+ * @function setEventContent
+ * @description Replaces an event's description and FAQs.
+ * @param {number} id - Event ID
+ * @param {Object} content - { description, faqs: [{ question, answer }] }; a null description removes it
+ * @returns {Promise<Object>} - Resolves with the stored content, as getEventContent
+ */
+const setEventContent = (id, { description, faqs }) => {
+    const rows = [
+        ...(description ? [['description', 0, null, description]] : []),
+        ...faqs.map((faq, index) => ['faq', index + 1, faq.question, faq.answer])
+    ];
+
+    return new Promise((resolve, reject) => {
+        getEventById(id).then(async () => {
+            // All or nothing, so the assistant never answers from half-replaced content
+            try {
+                await withTransaction(async () => {
+                    await runAsync('DELETE FROM event_content WHERE event_id = ?', [id]);
+                    for (const [kind, position, question, body] of rows) {
+                        await runAsync(
+                            'INSERT INTO event_content (event_id, kind, position, question, body) VALUES (?, ?, ?, ?, ?)',
+                            [id, kind, position, question, body]
+                        );
+                    }
+                });
+            } catch (err) {
+                throw new Error('Database error: ' + err.message);
+            }
+            return getEventContent(id);
+        }).then(resolve).catch(reject);
+    });
+};
+
 module.exports = {
     addEvent,
     getAllEvents,
     getEventById,
     updateEventTickets,
-    removeEvent
+    removeEvent,
+    setRefundCutoff,
+    getEventAttendance,
+    getEventContent,
+    setEventContent
 };
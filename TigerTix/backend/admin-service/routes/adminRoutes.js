@@ -5,8 +5,13 @@ const {
     getEvents,
     getEvent,
     updateTickets,
-    deleteEvent
+    deleteEvent,
+    updateRefundPolicy,
+    getAttendance,
+    getContent,
+    updateContent
 } = require('../controllers/adminController');
+const { authenticate, requireAdmin } = require('../../middleware/authenticate');
 
 // Event routes
 router.post('/events', createEvent);            // Create new event
@@ -14,5 +19,9 @@ router.get('/events', getEvents);               // Get all events
 router.get('/events/:id', getEvent);            // Get specific event
 router.patch('/events/:id/tickets', updateTickets);  // Update ticket count
 router.delete('/events/:id', deleteEvent);      // Delete an event
+router.patch('/events/:id/refund-policy', authenticate, requireAdmin, updateRefundPolicy);  // Set refund cutoff hours (admins only)
+router.get('/events/:id/attendance', authenticate, requireAdmin, getAttendance);  // Live door check-in counts (admins only)
+router.get('/events/:id/content', authenticate, requireAdmin, getContent);  // Description and FAQs (admins only)
+router.put('/events/:id/content', authenticate, requireAdmin, updateContent);  // Replace description and FAQs (admins only)
 
 module.exports = router;
@@ -4,6 +4,8 @@
 
 const request = require('supertest');
 const express = require('express');
+const jwt = require('jsonwebtoken');
+const cookieParser = require('cookie-parser');
 const { mockEvents, validTestInputs, invalidTestInputs } = require('../../../__tests__/helpers/mockData');
 
 // Mock the client model before requiring the routes
@@ -13,16 +15,55 @@ jest.mock('../../models/clientModel', () => ({
   updateEventTickets: jest.fn()
 }));
 
+jest.mock('../../models/orderModel', () => ({
+  createOrder: jest.fn(),
+  getOrderById: jest.fn(),
+  getOrdersByUser: jest.fn(),
+  refundOrder: jest.fn()
+}));
+
+jest.mock('../../models/holdModel', () => ({
+  HOLD_TTL_MINUTES: 10,
+  createHold: jest.fn(),
+  checkoutHold: jest.fn()
+}));
+
+jest.mock('../../models/waitlistModel', () => ({
+  joinWaitlist: jest.fn(),
+  leaveWaitlist: jest.fn(),
+  getWaitlistForUser: jest.fn()
+}));
+
+jest.mock('../../models/ticketModel', () => ({
+  checkInTicket: jest.fn()
+}));
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn()
+}));
+
 const clientModel = require('../../models/clientModel');
+const orderModel = require('../../models/orderModel');
+const holdModel = require('../../models/holdModel');
+const waitlistModel = require('../../models/waitlistModel');
+const ticketModel = require('../../models/ticketModel');
+const userModel = require('../../../user-authentication/models/userModel');
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+// Tokens for two registered users
+const authHeader = `Bearer ${jwt.sign({ userId: 7, email: 'buyer@example.com' }, JWT_SECRET)}`;
+const otherAuthHeader = `Bearer ${jwt.sign({ userId: 8, email: 'other@example.com' }, JWT_SECRET)}`;
 const clientRoutes = require('../../routes/clientRoutes');
 
 // Create Express app for testing
 const app = express();
 app.use(express.json());
+app.use(cookieParser());
 app.use('/api', clientRoutes);
 
-// In-memory mock events storage
+// In-memory mock events and orders storage
 let mockEventsStore = [];
+let mockOrdersStore = [];
 
 describe('Client Service Controller', () => {
   beforeEach(() => {
@@ -91,6 +132,61 @@ describe('Client Service Controller', () => {
         tickets: mockEventsStore[eventIndex].available_tickets
       });
     });
+
+    mockOrdersStore = [];
+
+    userModel.findById.mockImplementation((id) => {
+      const users = {
+        7: { id: 7, email: 'buyer@example.com', first_name: 'Test', last_name: 'Buyer' },
+        8: { id: 8, email: 'other@example.com', first_name: 'Other', last_name: 'Buyer' }
+      };
+      return Promise.resolve(users[id] || null);
+    });
+
+    orderModel.createOrder.mockImplementation(({ eventId, quantity, userId = null }) => {
+      const event = mockEventsStore.find(e => e.id === eventId);
+      if (!event) {
+        return Promise.reject(new Error('Event not found'));
+      }
+      if (event.available_tickets < quantity) {
+        const soldOut = new Error('Not enough tickets available');
+        soldOut.availableTickets = event.available_tickets;
+        return Promise.reject(soldOut);
+      }
+      event.available_tickets -= quantity;
+      const orderId = mockOrdersStore.length + 1;
+      const order = {
+        id: orderId,
+        user_id: userId,
+        status: 'confirmed',
+        created_at: '2024-11-01T14:30:00.000Z',
+        items: [{
+          id: orderId,
+          order_id: orderId,
+          event_id: event.id,
+          event_name: event.name,
+          event_date: event.date,
+          quantity
+        }]
+      };
+      mockOrdersStore.push(order);
+      return Promise.resolve({
+        order,
+        event: { ...event, tickets: event.available_tickets }
+      });
+    });
+
+    orderModel.getOrderById.mockImplementation((id) => {
+      const order = mockOrdersStore.find(o => o.id === id);
+      if (!order) {
+        return Promise.reject(new Error('Order not found'));
+      }
+      return Promise.resolve(order);
+    });
+
+    orderModel.getOrdersByUser.mockImplementation((userId) => {
+      return Promise.resolve(mockOrdersStore.filter(o => o.user_id === userId).reverse());
+    });
   });
 
   afterEach(() => {
@@ -163,6 +259,7 @@ describe('Client Service Controller', () => {
     test('should successfully purchase tickets with valid data', async () => {
       const response = await request(app)
         .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
         .send({ quantity: 2 })
         .expect(200);
 
@@ -175,6 +272,7 @@ describe('Client Service Controller', () => {
     test('should default to 1 ticket when quantity not provided', async () => {
       const response = await request(app)
         .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
         .send({})
         .expect(200);
 
@@ -186,6 +284,7 @@ describe('Client Service Controller', () => {
     test('should treat zero quantity as 1 (default behavior)', async () => {
       const response = await request(app)
         .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
         .send({ quantity: 0 })
         .expect(200);
 
@@ -194,20 +293,64 @@ describe('Client Service Controller', () => {
       expect(response.body).toHaveProperty('event');
     });
 
-    test('should return 400 when requesting more tickets than available', async () => {
+    test('should return 409 when requesting more tickets than available', async () => {
       const response = await request(app)
         .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
         .send({ quantity: 10000 })
-        .expect(400);
+        .expect(409);
+
+      expect(response.body.message).toBe('Not enough tickets available');
+      expect(response.body).toHaveProperty('availableTickets', 750);
+    });
+
+    test('should return 409 when tickets sell out during the purchase', async () => {
+      // Another buyer takes the last tickets first, so the conditional decrement finds too few
+      orderModel.createOrder.mockImplementationOnce(() => {
+        const soldOut = new Error('Not enough tickets available');
+        soldOut.availableTickets = 1;
+        return Promise.reject(soldOut);
+      });
+
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 2 })
+        .expect(409);
 
-      expect(response.body).toHaveProperty('message');
       expect(response.body.message).toBe('Not enough tickets available');
-      expect(response.body).toHaveProperty('availableTickets');
+      expect(response.body).toHaveProperty('availableTickets', 1);
+    });
+
+    test('should decrement tickets through the atomic order', async () => {
+      await request(app)
+        .post('/api/events/2/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 3 })
+        .expect(200);
+
+      expect(orderModel.createOrder).toHaveBeenCalledWith(expect.objectContaining({ eventId: 2, quantity: 3 }));
+      expect(clientModel.updateEventTickets).not.toHaveBeenCalled();
+    });
+
+    test('should return the recorded order with the purchase', async () => {
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 2 })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('order');
+      expect(response.body.order).toHaveProperty('status', 'confirmed');
+      expect(response.body.order.items).toEqual([
+        expect.objectContaining({ event_id: 1, event_name: 'Auburn vs Alabama Football', quantity: 2 })
+      ]);
     });
 
     test('should return 404 for non-existent event', async () => {
       const response = await request(app)
         .post('/api/events/9999/purchase')
+        .set('Authorization', authHeader)
         .send({ quantity: 1 })
         .expect(404);
 
@@ -219,6 +362,7 @@ describe('Client Service Controller', () => {
     test('should return 400 for invalid event ID', async () => {
       const response = await request(app)
         .post('/api/events/invalid-id/purchase')
+        .set('Authorization', authHeader)
         .send({ quantity: 1 })
         .expect(400);
 
@@ -231,6 +375,7 @@ describe('Client Service Controller', () => {
       // Purchase 1 ticket from event 3
       const response = await request(app)
         .post('/api/events/3/purchase')
+        .set('Authorization', authHeader)
         .send({ quantity: 1 })
         .expect(200);
 
@@ -248,6 +393,475 @@ describe('Client Service Controller', () => {
 
 
 
+  describe('GET /api/orders/:id', () => {
+    test('should return an order with its line items', async () => {
+      const purchase = await request(app)
+        .post('/api/events/3/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 4 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/orders/${purchase.body.order.id}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Order fetched successfully');
+      expect(response.body.order).toHaveProperty('id', purchase.body.order.id);
+      expect(response.body.order.items[0]).toHaveProperty('quantity', 4);
+      expect(response.body.order.items[0]).toHaveProperty('event_name', 'Spring Concert Series');
+    });
+
+    test('should return 404 for non-existent order', async () => {
+      const response = await request(app)
+        .get('/api/orders/9999')
+        .set('Authorization', authHeader)
+        .expect(404);
+
+      expect(response.body).toHaveProperty('message', 'Order not found');
+    });
+
+    test('should return 400 for invalid order ID', async () => {
+      const response = await request(app)
+        .get('/api/orders/abc')
+        .set('Authorization', authHeader)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'Invalid order ID');
+    });
+  });
+
+  describe('GET /api/orders/me', () => {
+    test("should list only the logged-in user's orders with event details", async () => {
+      await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 2 })
+        .expect(200);
+      await request(app)
+        .post('/api/events/2/purchase')
+        .set('Authorization', otherAuthHeader)
+        .send({ quantity: 1 })
+        .expect(200);
+      await request(app)
+        .post('/api/events/3/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 1 })
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/orders/me')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Orders fetched successfully');
+      expect(response.body.orders).toHaveLength(2);
+      response.body.orders.forEach(order => expect(order.user_id).toBe(7));
+      expect(response.body.orders[0].items[0]).toEqual(expect.objectContaining({
+        event_name: 'Spring Concert Series',
+        event_date: '2025-04-20',
+        quantity: 1
+      }));
+      expect(orderModel.getOrdersByUser).toHaveBeenCalledWith(7);
+    });
+
+    test('should return an empty list for a user without orders', async () => {
+      const response = await request(app)
+        .get('/api/orders/me')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.orders).toEqual([]);
+    });
+
+    test('should require a token', async () => {
+      await request(app)
+        .get('/api/orders/me')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/orders/:id/cancel', () => {
+    test('should pass the user and admin flag to the refund', async () => {
+      orderModel.refundOrder.mockResolvedValueOnce({
+        order: { id: 1, user_id: 7, status: 'refunded', items: [] },
+        refund: { id: 1, order_id: 1, refunded_by: 7, tickets_returned: 2, reason: 'Sick' }
+      });
+
+      const response = await request(app)
+        .post('/api/orders/1/cancel')
+        .set('Authorization', authHeader)
+        .send({ reason: '  Sick  ' })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Order cancelled and refunded');
+      expect(orderModel.refundOrder).toHaveBeenCalledWith(1, { userId: 7, isAdmin: false, reason: 'Sick' });
+    });
+
+    test('should map refund errors to status codes', async () => {
+      const closed = new Error('Refund window closed');
+      closed.refundDeadline = '2024-11-29T00:00:00.000Z';
+      const cases = [
+        [new Error('Order not found'), 404],
+        [new Error('Order already refunded'), 409],
+        [closed, 403],
+        [new Error('Database error: disk I/O'), 500]
+      ];
+
+      for (const [error, status] of cases) {
+        orderModel.refundOrder.mockRejectedValueOnce(error);
+        await request(app)
+          .post('/api/orders/1/cancel')
+          .set('Authorization', authHeader)
+          .expect(status);
+      }
+    });
+
+    test('should return 400 for invalid order ID', async () => {
+      await request(app)
+        .post('/api/orders/abc/cancel')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    test('should require a token', async () => {
+      await request(app)
+        .post('/api/orders/1/cancel')
+        .expect(401);
+      expect(orderModel.refundOrder).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/events/:id/hold', () => {
+    test('should hold tickets for the logged-in user', async () => {
+      holdModel.createHold.mockResolvedValueOnce({
+        hold: { id: 4, event_id: 1, user_id: 7, quantity: 2, status: 'active', expires_at: '2024-11-01 14:40:00' },
+        event: { id: 1, name: 'Auburn vs Alabama Football', date: '2024-11-30', tickets: 748 }
+      });
+
+      const response = await request(app)
+        .post('/api/events/1/hold')
+        .set('Authorization', authHeader)
+        .send({ quantity: 2 })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('message', 'Held 2 tickets for 10 minutes');
+      expect(response.body.hold).toHaveProperty('expires_at');
+      expect(response.body.event).toHaveProperty('tickets', 748);
+      expect(holdModel.createHold).toHaveBeenCalledWith({ eventId: 1, quantity: 2, userId: 7 });
+    });
+
+    test('should map hold errors to status codes', async () => {
+      const soldOut = new Error('Not enough tickets available');
+      soldOut.availableTickets = 1;
+      const cases = [
+        [new Error('Event not found'), 404],
+        [soldOut, 409],
+        [new Error('Database error: disk I/O'), 500]
+      ];
+
+      for (const [error, status] of cases) {
+        holdModel.createHold.mockRejectedValueOnce(error);
+        await request(app)
+          .post('/api/events/1/hold')
+          .set('Authorization', authHeader)
+          .send({ quantity: 2 })
+          .expect(status);
+      }
+    });
+
+    test('should reject invalid event IDs and quantities', async () => {
+      await request(app)
+        .post('/api/events/abc/hold')
+        .set('Authorization', authHeader)
+        .send({ quantity: 1 })
+        .expect(400);
+      await request(app)
+        .post('/api/events/1/hold')
+        .set('Authorization', authHeader)
+        .send({ quantity: -2 })
+        .expect(400);
+      expect(holdModel.createHold).not.toHaveBeenCalled();
+    });
+
+    test('should require a token', async () => {
+      await request(app)
+        .post('/api/events/1/hold')
+        .send({ quantity: 1 })
+        .expect(401);
+      expect(holdModel.createHold).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/holds/:id/checkout', () => {
+    test('should purchase the held tickets', async () => {
+      holdModel.checkoutHold.mockResolvedValueOnce({
+        hold: { id: 4, event_id: 1, user_id: 7, quantity: 2, status: 'converted', order_id: 9 },
+        order: { id: 9, user_id: 7, status: 'confirmed', items: [] },
+        event: { id: 1, name: 'Auburn vs Alabama Football', date: '2024-11-30', tickets: 748 }
+      });
+
+      const response = await request(app)
+        .post('/api/holds/4/checkout')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Successfully purchased 2 tickets');
+      expect(response.body.order).toHaveProperty('id', 9);
+      expect(holdModel.checkoutHold).toHaveBeenCalledWith(4, { userId: 7 });
+    });
+
+    test('should map checkout errors to status codes', async () => {
+      const cases = [
+        [new Error('Hold not found'), 404],
+        [new Error('Hold already checked out'), 409],
+        [new Error('Hold expired'), 410],
+        [new Error('Not enough tickets available'), 409],
+        [new Error('Database error: disk I/O'), 500]
+      ];
+
+      for (const [error, status] of cases) {
+        holdModel.checkoutHold.mockRejectedValueOnce(error);
+        await request(app)
+          .post('/api/holds/4/checkout')
+          .set('Authorization', authHeader)
+          .expect(status);
+      }
+    });
+
+    test('should return 400 for invalid hold ID', async () => {
+      await request(app)
+        .post('/api/holds/abc/checkout')
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+  });
+
+  describe('Waitlist', () => {
+    test('should report the queue position after joining', async () => {
+      waitlistModel.joinWaitlist.mockResolvedValueOnce({
+        id: 3, event_id: 1, user_id: 7, quantity: 2, status: 'waiting', position: 4
+      });
+
+      const response = await request(app)
+        .post('/api/events/1/waitlist')
+        .set('Authorization', authHeader)
+        .send({ quantity: 2 })
+        .expect(201);
+
+      expect(response.body).toHaveProperty('message', 'You are number 4 on the waitlist');
+      expect(response.body.entry).toHaveProperty('position', 4);
+      expect(waitlistModel.joinWaitlist).toHaveBeenCalledWith({ eventId: 1, quantity: 2, userId: 7 });
+    });
+
+    test('should map join errors to status codes', async () => {
+      const cases = [
+        [new Error('Event not found'), 404],
+        [new Error('Already on waitlist'), 409],
+        [new Error('Tickets available'), 409],
+        [new Error('Database error: disk I/O'), 500]
+      ];
+
+      for (const [error, status] of cases) {
+        waitlistModel.joinWaitlist.mockRejectedValueOnce(error);
+        await request(app)
+          .post('/api/events/1/waitlist')
+          .set('Authorization', authHeader)
+          .expect(status);
+      }
+    });
+
+    test('should leave the waitlist', async () => {
+      waitlistModel.leaveWaitlist.mockResolvedValueOnce({ id: 3, event_id: 1, user_id: 7, status: 'left' });
+
+      await request(app)
+        .delete('/api/events/1/waitlist')
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(waitlistModel.leaveWaitlist).toHaveBeenCalledWith(1, 7);
+
+      waitlistModel.leaveWaitlist.mockRejectedValueOnce(new Error('Not on waitlist'));
+      await request(app)
+        .delete('/api/events/1/waitlist')
+        .set('Authorization', authHeader)
+        .expect(404);
+    });
+
+    test("should list the current user's entries", async () => {
+      waitlistModel.getWaitlistForUser.mockResolvedValueOnce([
+        { id: 3, event_id: 1, user_id: 8, status: 'offered', hold_id: 5, offer_expires_at: '2024-11-01 14:40:00' }
+      ]);
+
+      const response = await request(app)
+        .get('/api/waitlist/me')
+        .set('Authorization', otherAuthHeader)
+        .expect(200);
+
+      expect(response.body.entries).toHaveLength(1);
+      expect(waitlistModel.getWaitlistForUser).toHaveBeenCalledWith(8);
+    });
+
+    test('should require a token', async () => {
+      await request(app).post('/api/events/1/waitlist').expect(401);
+      await request(app).get('/api/waitlist/me').expect(401);
+      expect(waitlistModel.joinWaitlist).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/checkin', () => {
+    // buyer@example.com (user 7) works the door in these tests
+    beforeEach(() => {
+      process.env.ADMIN_EMAILS = 'buyer@example.com';
+    });
+
+    afterEach(() => {
+      delete process.env.ADMIN_EMAILS;
+    });
+
+    test('should check in a valid ticket', async () => {
+      ticketModel.checkInTicket.mockResolvedValueOnce({
+        id: 12, event_id: 1, event_name: 'Auburn vs Alabama Football', checked_in_at: '2024-11-30 14:55:00', checked_in_by: 7
+      });
+
+      const response = await request(app)
+        .post('/api/checkin')
+        .set('Authorization', authHeader)
+        .send({ code: ' 1-abc-def ', eventId: 1 })
+        .expect(200);
+
+      expect(response.body).toHaveProperty('message', 'Checked in');
+      expect(response.body.ticket).toHaveProperty('checked_in_at');
+      expect(ticketModel.checkInTicket).toHaveBeenCalledWith({ code: '1-abc-def', eventId: 1, staffId: 7 });
+    });
+
+    test('should map scan errors to status codes', async () => {
+      const wrongEvent = new Error('Ticket is for a different event');
+      wrongEvent.eventName = 'Spring Concert Series';
+      wrongEvent.ticketEventId = 3;
+      const duplicate = new Error('Ticket already checked in');
+      duplicate.checkedInAt = '2024-11-30 14:55:00';
+      const cases = [
+        [new Error('Invalid ticket code'), 404],
+        [wrongEvent, 422],
+        [new Error('Ticket has been refunded'), 410],
+        [duplicate, 409],
+        [new Error('Database error: disk I/O'), 500]
+      ];
+
+      for (const [error, status] of cases) {
+        ticketModel.checkInTicket.mockRejectedValueOnce(error);
+        await request(app)
+          .post('/api/checkin')
+          .set('Authorization', authHeader)
+          .send({ code: '1-abc-def', eventId: 1 })
+          .expect(status);
+      }
+    });
+
+    test('should require a code and event ID', async () => {
+      await request(app)
+        .post('/api/checkin')
+        .set('Authorization', authHeader)
+        .send({ eventId: 1 })
+        .expect(400);
+      await request(app)
+        .post('/api/checkin')
+        .set('Authorization', authHeader)
+        .send({ code: '1-abc-def' })
+        .expect(400);
+      expect(ticketModel.checkInTicket).not.toHaveBeenCalled();
+    });
+
+    test('should only let door staff check tickets in', async () => {
+      await request(app)
+        .post('/api/checkin')
+        .set('Authorization', otherAuthHeader)
+        .send({ code: '1-abc-def', eventId: 1 })
+        .expect(403);
+      expect(ticketModel.checkInTicket).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Authentication', () => {
+    test('should return 401 when purchasing without a token', async () => {
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .send({ quantity: 1 })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('error', 'No token provided');
+      expect(orderModel.createOrder).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 with expired flag for an expired token', async () => {
+      const expired = jwt.sign({ userId: 7, email: 'buyer@example.com' }, JWT_SECRET, { expiresIn: -10 });
+
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', `Bearer ${expired}`)
+        .send({ quantity: 1 })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('expired', true);
+    });
+
+    test('should return 401 for a token signed with another secret', async () => {
+      const forged = jwt.sign({ userId: 7 }, 'not-the-secret');
+
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', `Bearer ${forged}`)
+        .send({ quantity: 1 })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('error', 'Invalid token');
+    });
+
+    test('should return 401 when the user no longer exists', async () => {
+      const ghost = jwt.sign({ userId: 99, email: 'ghost@example.com' }, JWT_SECRET);
+
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', `Bearer ${ghost}`)
+        .send({ quantity: 1 })
+        .expect(401);
+
+      expect(response.body).toHaveProperty('error', 'User not found');
+    });
+
+    test('should accept the authToken cookie', async () => {
+      await request(app)
+        .post('/api/events/1/purchase')
+        .set('Cookie', `authToken=${authHeader.split(' ')[1]}`)
+        .send({ quantity: 1 })
+        .expect(200);
+    });
+
+    test('should record the purchasing user on the order', async () => {
+      const response = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 1 })
+        .expect(200);
+
+      expect(orderModel.createOrder).toHaveBeenCalledWith({ eventId: 1, quantity: 1, userId: 7 });
+      expect(response.body.order).toHaveProperty('user_id', 7);
+    });
+
+    test("should not expose another user's order", async () => {
+      const purchase = await request(app)
+        .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
+        .send({ quantity: 1 })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/orders/${purchase.body.order.id}`)
+        .set('Authorization', otherAuthHeader)
+        .expect(404);
+    });
+  });
+
   describe('CORS and Security', () => {
     test('should include CORS headers', async () => {
       const response = await request(app)
@@ -294,6 +908,7 @@ describe('Client Service Controller', () => {
     test('should handle malformed JSON gracefully', async () => {
       const response = await request(app)
         .post('/api/events/1/purchase')
+        .set('Authorization', authHeader)
         .set('Content-Type', 'application/json')
         .send('{"invalid": json}')
         .expect(400);
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Idempotency-Key tests for ticket purchases against a real SQLite database
+ */
+
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: `buyer${id}@example.com`, first_name: 'Test', last_name: 'Buyer' }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+describe('Idempotent ticket purchases', () => {
+  let scratch;
+  let server;
+
+  const readTickets = async () => (await scratch.get('SELECT tickets FROM events WHERE id = 1')).tickets;
+  const countOrders = async () => (await scratch.get('SELECT COUNT(*) AS count FROM orders')).count;
+
+  const purchase = (key, quantity = 2, userId = 5) => {
+    const req = request(server)
+      .post('/api/events/1/purchase')
+      .set('Authorization', bearer(userId));
+    if (key !== undefined) req.set('Idempotency-Key', key);
+    return req.send({ quantity });
+  };
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('idempotency');
+
+    process.env.TEST_DB_PATH = scratch.file;
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../routes/clientRoutes');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM idempotency_keys;
+      DELETE FROM tickets;
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 10);
+    `);
+  });
+
+  test('should replay the first response for a repeated key', async () => {
+    const first = await purchase('buy-1').expect(200);
+    const retry = await purchase('buy-1').expect(200);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(await countOrders()).toBe(1);
+    expect(await readTickets()).toBe(8);
+  });
+
+  test('should reject a key reused with a different payload', async () => {
+    await purchase('buy-1', 2).expect(200);
+
+    const response = await purchase('buy-1', 3).expect(422);
+
+    expect(response.body).toHaveProperty('error', 'Idempotency key reused with a different request');
+    expect(await readTickets()).toBe(8);
+  });
+
+  test('should buy only once when the same key arrives concurrently', async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => purchase('double-click')));
+
+    expect(responses.filter(r => r.status === 200).length).toBeGreaterThanOrEqual(1);
+    responses.forEach(r => expect([200, 409]).toContain(r.status));
+    expect(await countOrders()).toBe(1);
+    expect(await readTickets()).toBe(8);
+  });
+
+  test('should replay refusals too, so a retry cannot oversell', async () => {
+    const first = await purchase('too-many', 11).expect(409);
+    await scratch.exec('UPDATE events SET tickets = 20 WHERE id = 1');
+
+    const retry = await purchase('too-many', 11).expect(409);
+
+    expect(retry.body).toEqual(first.body);
+    expect(await countOrders()).toBe(0);
+  });
+
+  test('should keep keys separate per user', async () => {
+    await purchase('shared-key', 1, 5).expect(200);
+    await purchase('shared-key', 1, 6).expect(200);
+
+    expect(await countOrders()).toBe(2);
+  });
+
+  test('should treat keys older than 24 hours as new', async () => {
+    await purchase('old-key').expect(200);
+    await scratch.exec("UPDATE idempotency_keys SET created_at = datetime('now', '-25 hours')");
+
+    await purchase('old-key').expect(200);
+
+    expect(await countOrders()).toBe(2);
+  });
+
+  test('should free a key whose request never stored a response', async () => {
+    // The claim a purchase of 2 tickets makes before its handler runs
+    const requestHash = crypto.createHash('sha256')
+      .update(JSON.stringify({ method: 'POST', path: '/api/events/1/purchase', body: { quantity: 2 } }))
+      .digest('hex');
+    await scratch.exec(`
+      INSERT INTO idempotency_keys (scope, user_id, idempotency_key, request_hash, created_at)
+        VALUES ('client:purchase', 5, 'crashed', '${requestHash}', datetime('now', '-10 seconds'));
+    `);
+    await purchase('crashed').expect(409);
+
+    await scratch.exec("UPDATE idempotency_keys SET created_at = datetime('now', '-3 minutes')");
+    await purchase('crashed').expect(200);
+
+    expect(await countOrders()).toBe(1);
+  });
+
+  test('should buy every time without a key', async () => {
+    await purchase(undefined, 1).expect(200);
+    await purchase(undefined, 1).expect(200);
+
+    expect(await countOrders()).toBe(2);
+  });
+
+  test('should reject an oversized key', async () => {
+    await purchase('k'.repeat(256)).expect(400);
+    expect(await countOrders()).toBe(0);
+  });
+});
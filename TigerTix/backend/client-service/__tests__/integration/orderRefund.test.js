@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Order cancellation and refund tests against a real SQLite database
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({
+    id,
+    email: id === 1 ? 'admin@example.com' : `buyer${id}@example.com`,
+    first_name: 'Test',
+    last_name: 'User'
+  }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+/**
+ * Returns a local YYYY-MM-DD date offset from today
+ * @param {number} days - Days from today
+ * @returns {string}
+ */
+const dateFromToday = (days) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+describe('Order cancellation and refunds', () => {
+  let scratch;
+  let server;
+
+  const readTickets = async (id) => (await scratch.get('SELECT tickets FROM events WHERE id = ?', [id])).tickets;
+
+  const buy = (userId, eventId, quantity) =>
+    request(server)
+      .post(`/api/events/${eventId}/purchase`)
+      .set('Authorization', bearer(userId))
+      .send({ quantity })
+      .expect(200);
+
+  const cancel = (userId, orderId, body = {}) =>
+    request(server)
+      .post(`/api/orders/${orderId}/cancel`)
+      .set('Authorization', bearer(userId))
+      .send(body);
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('refunds');
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+
+    process.env.TEST_DB_PATH = scratch.file;
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../routes/clientRoutes');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM refunds;
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM event_policies;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Jazz Night', '${dateFromToday(30)}', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Homecoming Game', '${dateFromToday(1)}', 100);
+      INSERT INTO event_policies (event_id, refund_cutoff_hours) VALUES (2, 48);
+    `);
+  });
+
+  test('should refund an order and return its tickets to inventory', async () => {
+    const { body } = await buy(5, 1, 3);
+    expect(await readTickets(1)).toBe(97);
+
+    const response = await cancel(5, body.order.id, { reason: 'Cannot attend' }).expect(200);
+
+    expect(response.body).toHaveProperty('message', 'Order cancelled and refunded');
+    expect(response.body.order).toHaveProperty('status', 'refunded');
+    expect(response.body.refund).toEqual(expect.objectContaining({
+      order_id: body.order.id,
+      refunded_by: 5,
+      tickets_returned: 3,
+      reason: 'Cannot attend'
+    }));
+    expect(await readTickets(1)).toBe(100);
+  });
+
+  test('should reject a second cancellation with 409', async () => {
+    const { body } = await buy(5, 1, 2);
+    await cancel(5, body.order.id).expect(200);
+
+    const response = await cancel(5, body.order.id).expect(409);
+
+    expect(response.body).toHaveProperty('message', 'Order already refunded');
+    expect(await readTickets(1)).toBe(100);
+  });
+
+  test('should refund exactly once under concurrent cancellations', async () => {
+    const { body } = await buy(5, 1, 4);
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => cancel(5, body.order.id))
+    );
+
+    expect(responses.filter(r => r.status === 200)).toHaveLength(1);
+    expect(responses.filter(r => r.status === 409)).toHaveLength(9);
+    expect(await readTickets(1)).toBe(100);
+    const { count } = await scratch.get('SELECT COUNT(*) AS count FROM refunds WHERE order_id = ?', [body.order.id]);
+    expect(count).toBe(1);
+  });
+
+  test("should block cancellation after the event's refund cutoff", async () => {
+    const { body } = await buy(5, 2, 1);
+
+    const response = await cancel(5, body.order.id).expect(403);
+
+    expect(response.body).toHaveProperty('message', 'This order can no longer be cancelled');
+    expect(response.body).toHaveProperty('refundDeadline');
+    expect(await readTickets(2)).toBe(99);
+  });
+
+  test('should let an admin refund past the cutoff', async () => {
+    const { body } = await buy(5, 2, 1);
+
+    const response = await cancel(1, body.order.id, { reason: 'Event rescheduled' }).expect(200);
+
+    expect(response.body.refund).toHaveProperty('refunded_by', 1);
+    expect(await readTickets(2)).toBe(100);
+  });
+
+  test('should not count tickets for an event deleted since purchase as returned', async () => {
+    const { body } = await buy(5, 1, 3);
+    await scratch.exec('DELETE FROM events WHERE id = 1');
+
+    const response = await cancel(5, body.order.id).expect(200);
+
+    expect(response.body.order).toHaveProperty('status', 'refunded');
+    expect(response.body.refund).toHaveProperty('tickets_returned', 0);
+  });
+
+  test("should not let a user cancel someone else's order", async () => {
+    const { body } = await buy(5, 1, 1);
+
+    await cancel(6, body.order.id).expect(404);
+    expect(await readTickets(1)).toBe(99);
+  });
+});
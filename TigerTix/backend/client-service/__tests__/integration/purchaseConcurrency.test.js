@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Concurrency tests for ticket purchases against a real SQLite database
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: `buyer${id}@example.com`, first_name: 'Test', last_name: 'Buyer' }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+/**
+ * Builds an Authorization header for a test user
+ * @param {number} userId - User ID to embed in the token
+ * @returns {string}
+ */
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+describe('Concurrent ticket purchases', () => {
+  let scratch;
+  let server;
+
+  const readTickets = async (id) => (await scratch.get('SELECT tickets FROM events WHERE id = ?', [id])).tickets;
+  const readOrderedTotal = async (eventId) => (await scratch.get(
+    'SELECT COALESCE(SUM(quantity), 0) AS total FROM order_items WHERE event_id = ?',
+    [eventId]
+  )).total;
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('concurrency');
+
+    process.env.TEST_DB_PATH = scratch.file;
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../routes/clientRoutes');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2026-11-07', 250);
+    `);
+  });
+
+  test('should never sell more tickets than exist under hundreds of parallel buyers', async () => {
+    const buyers = 400;
+    const responses = await Promise.all(
+      Array.from({ length: buyers }, (_, i) =>
+        request(server).post('/api/events/1/purchase').set('Authorization', bearer(i + 1)).send({ quantity: 1 })
+      )
+    );
+
+    const succeeded = responses.filter(r => r.status === 200);
+    const rejected = responses.filter(r => r.status !== 200);
+
+    expect(succeeded).toHaveLength(250);
+    expect(rejected).toHaveLength(buyers - 250);
+    rejected.forEach(r => expect([400, 409]).toContain(r.status));
+    expect(await readTickets(1)).toBe(0);
+    expect(await readOrderedTotal(1)).toBe(250);
+  });
+
+  test('should keep the count exact for mixed quantities', async () => {
+    const quantities = Array.from({ length: 200 }, (_, i) => (i % 3) + 1);
+    const responses = await Promise.all(
+      quantities.map((quantity, i) =>
+        request(server).post('/api/events/1/purchase').set('Authorization', bearer(i + 1)).send({ quantity })
+      )
+    );
+
+    const sold = responses.reduce(
+      (sum, r, i) => (r.status === 200 ? sum + quantities[i] : sum),
+      0
+    );
+
+    expect(sold).toBeLessThanOrEqual(250);
+    expect(await readTickets(1)).toBe(250 - sold);
+    expect(await readOrderedTotal(1)).toBe(sold);
+  });
+
+  test('should report the remaining count in the 409 body', async () => {
+    await scratch.exec('UPDATE events SET tickets = 1 WHERE id = 1');
+
+    const responses = await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        request(server).post('/api/events/1/purchase').set('Authorization', bearer(i + 1)).send({ quantity: 1 })
+      )
+    );
+
+    expect(responses.filter(r => r.status === 200)).toHaveLength(1);
+    responses
+      .filter(r => r.status === 409)
+      .forEach(r => expect(r.body).toHaveProperty('availableTickets', 0));
+    expect(await readTickets(1)).toBe(0);
+  });
+});
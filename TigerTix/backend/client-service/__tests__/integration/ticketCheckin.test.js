@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Ticket code and door check-in tests against a real SQLite database
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({
+    id,
+    email: id === 1 ? 'door@example.com' : `buyer${id}@example.com`,
+    first_name: 'Test',
+    last_name: 'User'
+  }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+describe('Ticket codes and check-in', () => {
+  let scratch;
+  let server;
+  let ticketModel;
+
+  const buy = async (userId, eventId, quantity) => {
+    const { body } = await request(server)
+      .post(`/api/events/${eventId}/purchase`)
+      .set('Authorization', bearer(userId))
+      .send({ quantity })
+      .expect(200);
+    return body.order;
+  };
+
+  const scan = (code, eventId, userId = 1) =>
+    request(server)
+      .post('/api/checkin')
+      .set('Authorization', bearer(userId))
+      .send({ code, eventId });
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('checkin');
+    process.env.ADMIN_EMAILS = 'door@example.com';
+
+    process.env.TEST_DB_PATH = scratch.file;
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../routes/clientRoutes');
+      ticketModel = require('../../models/ticketModel');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM tickets;
+      DELETE FROM refunds;
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 50);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Jazz Night', '2099-05-01', 50);
+    `);
+  });
+
+  test('should issue one unique signed code per purchased ticket', async () => {
+    const order = await buy(5, 1, 3);
+    const codes = order.items[0].tickets.map(t => t.code);
+
+    expect(codes).toHaveLength(3);
+    expect(new Set(codes).size).toBe(3);
+    codes.forEach(code => expect(ticketModel.verifyTicketCode(code)).toEqual({ eventId: 1 }));
+  });
+
+  test('should reject codes with a tampered signature', () => {
+    const code = ticketModel.createTicketCode(1);
+    const forged = code.replace(/^1-/, '2-');
+
+    expect(ticketModel.verifyTicketCode(forged)).toBeNull();
+    expect(ticketModel.verifyTicketCode('not-a-ticket')).toBeNull();
+  });
+
+  test('should check a ticket in once and record the time', async () => {
+    const order = await buy(5, 1, 1);
+    const { code } = order.items[0].tickets[0];
+
+    const response = await scan(code, 1).expect(200);
+    expect(response.body.ticket).toEqual(expect.objectContaining({ event_name: 'Homecoming Game', checked_in_by: 1 }));
+    expect(response.body.ticket.checked_in_at).toBeTruthy();
+
+    const duplicate = await scan(code, 1).expect(409);
+    expect(duplicate.body).toHaveProperty('checkedInAt', response.body.ticket.checked_in_at);
+  });
+
+  test('should admit a ticket only once under simultaneous scans', async () => {
+    const order = await buy(5, 1, 1);
+    const { code } = order.items[0].tickets[0];
+
+    const responses = await Promise.all(Array.from({ length: 5 }, () => scan(code, 1)));
+
+    expect(responses.filter(r => r.status === 200)).toHaveLength(1);
+    expect(responses.filter(r => r.status === 409)).toHaveLength(4);
+  });
+
+  test('should reject a ticket scanned at the wrong event', async () => {
+    const order = await buy(5, 1, 1);
+
+    const response = await scan(order.items[0].tickets[0].code, 2).expect(422);
+
+    expect(response.body).toHaveProperty('message', 'This ticket is for Homecoming Game');
+  });
+
+  test('should reject unknown and refunded tickets', async () => {
+    await scan(ticketModel.createTicketCode(1), 1).expect(404);
+
+    const order = await buy(5, 1, 1);
+    await request(server)
+      .post(`/api/orders/${order.id}/cancel`)
+      .set('Authorization', bearer(5))
+      .expect(200);
+
+    await scan(order.items[0].tickets[0].code, 1).expect(410);
+  });
+
+  test('should not let ticket holders check themselves in', async () => {
+    const order = await buy(5, 1, 1);
+
+    await scan(order.items[0].tickets[0].code, 1, 5).expect(403);
+  });
+});
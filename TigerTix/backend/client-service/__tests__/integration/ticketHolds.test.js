@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Timed ticket hold tests against a real SQLite database
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: `buyer${id}@example.com`, first_name: 'Test', last_name: 'Buyer' }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+describe('Timed ticket holds', () => {
+  let scratch;
+  let server;
+  let holdModel;
+
+  const readTickets = async (id) => (await scratch.get('SELECT tickets FROM events WHERE id = ?', [id])).tickets;
+  const listedTickets = async (id) => {
+    const { body } = await request(server).get('/api/events').expect(200);
+    return body.events.find(e => e.id === id).tickets;
+  };
+  const expireHold = (id) => scratch.exec(`UPDATE holds SET expires_at = '2000-01-01 00:00:00' WHERE id = ${id}`);
+
+  const hold = (userId, eventId, quantity) =>
+    request(server)
+      .post(`/api/events/${eventId}/hold`)
+      .set('Authorization', bearer(userId))
+      .send({ quantity });
+
+  const checkout = (userId, holdId) =>
+    request(server)
+      .post(`/api/holds/${holdId}/checkout`)
+      .set('Authorization', bearer(userId));
+
+  const release = (userId, holdId) =>
+    request(server)
+      .post(`/api/holds/${holdId}/release`)
+      .set('Authorization', bearer(userId));
+
+  const purchase = (userId, eventId, quantity) =>
+    request(server)
+      .post(`/api/events/${eventId}/purchase`)
+      .set('Authorization', bearer(userId))
+      .send({ quantity });
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('holds');
+
+    process.env.TEST_DB_PATH = scratch.file;
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../routes/clientRoutes');
+      holdModel = require('../../models/holdModel');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM holds;
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 10);
+    `);
+  });
+
+  test('should subtract held seats from available counts without selling them', async () => {
+    const response = await hold(5, 1, 4).expect(201);
+
+    expect(response.body.hold).toEqual(expect.objectContaining({ event_id: 1, user_id: 5, quantity: 4, status: 'active' }));
+    expect(response.body.event).toHaveProperty('tickets', 6);
+    expect(await listedTickets(1)).toBe(6);
+    expect(await readTickets(1)).toBe(10);
+  });
+
+  test('should keep held seats away from other buyers', async () => {
+    await hold(5, 1, 8).expect(201);
+
+    const response = await purchase(6, 1, 3);
+
+    expect([400, 409]).toContain(response.status);
+    expect(response.body).toHaveProperty('availableTickets', 2);
+    await hold(6, 1, 3).expect(409);
+  });
+
+  test('should turn a hold into an order at checkout', async () => {
+    const { body } = await hold(5, 1, 3).expect(201);
+
+    const response = await checkout(5, body.hold.id).expect(200);
+
+    expect(response.body.order.items[0]).toEqual(expect.objectContaining({ event_id: 1, quantity: 3 }));
+    expect(response.body.hold).toEqual(expect.objectContaining({ status: 'converted', order_id: response.body.order.id }));
+    expect(response.body.event).toHaveProperty('tickets', 7);
+    expect(await readTickets(1)).toBe(7);
+    expect(await listedTickets(1)).toBe(7);
+
+    await checkout(5, body.hold.id).expect(409);
+  });
+
+  test("should not let another user check out someone's hold", async () => {
+    const { body } = await hold(5, 1, 2).expect(201);
+
+    await checkout(6, body.hold.id).expect(404);
+    expect(await readTickets(1)).toBe(10);
+  });
+
+  test('should return expired holds to sale and refuse their checkout', async () => {
+    const { body } = await hold(5, 1, 10).expect(201);
+    expect(await listedTickets(1)).toBe(0);
+
+    await expireHold(body.hold.id);
+
+    expect(await listedTickets(1)).toBe(10);
+    await checkout(5, body.hold.id).expect(410);
+    await purchase(6, 1, 10).expect(200);
+  });
+
+  test('should put released holds back on sale', async () => {
+    const { body } = await hold(5, 1, 10).expect(201);
+
+    await release(6, body.hold.id).expect(404);
+    const response = await release(5, body.hold.id).expect(200);
+
+    expect(response.body.hold).toHaveProperty('status', 'released');
+    expect(await listedTickets(1)).toBe(10);
+    await checkout(5, body.hold.id).expect(410);
+    await release(5, body.hold.id).expect(200);
+  });
+
+  test('should not release a hold that was checked out', async () => {
+    const { body } = await hold(5, 1, 2).expect(201);
+    await checkout(5, body.hold.id).expect(200);
+
+    await release(5, body.hold.id).expect(409);
+    expect(await readTickets(1)).toBe(8);
+  });
+
+  test('should mark expired holds when swept', async () => {
+    const first = await hold(5, 1, 2).expect(201);
+    await hold(6, 1, 2).expect(201);
+    await expireHold(first.body.hold.id);
+
+    expect(await holdModel.releaseExpiredHolds()).toBe(1);
+
+    const statuses = await scratch.all('SELECT status FROM holds ORDER BY id');
+    expect(statuses.map(h => h.status)).toEqual(['expired', 'active']);
+    expect(await holdModel.releaseExpiredHolds()).toBe(0);
+  });
+
+  test('should never hold more seats than exist under parallel requests', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 30 }, (_, i) => hold(i + 1, 1, 1))
+    );
+
+    expect(responses.filter(r => r.status === 201)).toHaveLength(10);
+    expect(responses.filter(r => r.status === 409)).toHaveLength(20);
+    expect(await listedTickets(1)).toBe(0);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Waitlist tests against a real SQLite database
+ */
+
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: `buyer${id}@example.com`, first_name: 'Test', last_name: 'Buyer' }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+const bearer = (userId) => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+describe('Event waitlists', () => {
+  let scratch;
+  let server;
+  let waitlistModel;
+
+  const readEntries = () => scratch.all('SELECT user_id, status, hold_id FROM waitlist_entries ORDER BY id');
+  const expireHold = (id) => scratch.exec(`UPDATE holds SET expires_at = '2000-01-01 00:00:00' WHERE id = ${id}`);
+
+  const post = (path, userId, body = {}) =>
+    request(server).post(path).set('Authorization', bearer(userId)).send(body);
+
+  const join = (userId, quantity = 1) => post('/api/events/1/waitlist', userId, { quantity });
+  const myWaitlist = async (userId) => {
+    const { body } = await request(server).get('/api/waitlist/me').set('Authorization', bearer(userId)).expect(200);
+    return body.entries;
+  };
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('waitlist');
+
+    process.env.TEST_DB_PATH = scratch.file;
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../routes/clientRoutes');
+      waitlistModel = require('../../models/waitlistModel');
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM waitlist_entries;
+      DELETE FROM holds;
+      DELETE FROM refunds;
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 2);
+    `);
+  });
+
+  test('should queue users in order for a sold-out event', async () => {
+    await post('/api/events/1/purchase', 10, { quantity: 2 }).expect(200);
+
+    const first = await join(5).expect(201);
+    const second = await join(6, 2).expect(201);
+
+    expect(first.body.entry).toEqual(expect.objectContaining({ status: 'waiting', position: 1 }));
+    expect(second.body.entry).toEqual(expect.objectContaining({ status: 'waiting', position: 2, quantity: 2 }));
+    expect(second.body).toHaveProperty('message', 'You are number 2 on the waitlist');
+    await join(5).expect(409);
+  });
+
+  test('should refuse to queue while tickets are still on sale', async () => {
+    const response = await join(5).expect(409);
+
+    expect(response.body).toHaveProperty('availableTickets', 2);
+  });
+
+  test('should offer refunded tickets to the next in line as a claimable hold', async () => {
+    const { body: sale } = await post('/api/events/1/purchase', 10, { quantity: 2 }).expect(200);
+    await join(5).expect(201);
+    await join(6).expect(201);
+
+    await post(`/api/orders/${sale.order.id}/cancel`, 10).expect(200);
+
+    const [offer] = await myWaitlist(5);
+    expect(offer).toEqual(expect.objectContaining({ status: 'offered', event_name: 'Homecoming Game' }));
+    expect(offer.offer_expires_at).toBeTruthy();
+    expect((await myWaitlist(6))[0]).toHaveProperty('status', 'offered');
+
+    // Both freed seats are held for the waitlist, not back on general sale
+    await post('/api/events/1/purchase', 11, { quantity: 1 }).expect(409);
+
+    await post(`/api/holds/${offer.hold_id}/checkout`, 5).expect(200);
+    expect((await myWaitlist(5))[0]).toHaveProperty('status', 'claimed');
+  });
+
+  test('should pass a lapsed offer to the next person in line', async () => {
+    const { body: sale } = await post('/api/events/1/purchase', 10, { quantity: 2 }).expect(200);
+    await join(5, 2).expect(201);
+    await join(6, 2).expect(201);
+    await post(`/api/orders/${sale.order.id}/cancel`, 10).expect(200);
+
+    const [missed] = await myWaitlist(5);
+    await expireHold(missed.hold_id);
+
+    expect(await waitlistModel.processWaitlists()).toBe(1);
+    expect((await readEntries()).map(e => e.status)).toEqual(['expired', 'offered']);
+    await post(`/api/holds/${missed.hold_id}/checkout`, 5).expect(410);
+  });
+
+  test('should offer seats added by an admin before selling them to anyone else', async () => {
+    await post('/api/events/1/purchase', 10, { quantity: 2 }).expect(200);
+    await join(5).expect(201);
+
+    // Admin service raises the count directly in the shared database
+    await scratch.exec('UPDATE events SET tickets = 1 WHERE id = 1');
+
+    await post('/api/events/1/purchase', 11, { quantity: 1 }).expect(409);
+    expect((await myWaitlist(5))[0]).toHaveProperty('status', 'offered');
+  });
+
+  test('should not skip someone whose request cannot be filled yet', async () => {
+    await post('/api/events/1/purchase', 10, { quantity: 2 }).expect(200);
+    await join(5, 2).expect(201);
+    await join(6, 1).expect(201);
+
+    await scratch.exec('UPDATE events SET tickets = 1 WHERE id = 1');
+
+    expect(await waitlistModel.processWaitlists()).toBe(0);
+    expect((await readEntries()).map(e => e.status)).toEqual(['waiting', 'waiting']);
+  });
+
+  test('should release declined seats to the next in line', async () => {
+    const { body: sale } = await post('/api/events/1/purchase', 10, { quantity: 2 }).expect(200);
+    await join(5, 2).expect(201);
+    await join(6, 2).expect(201);
+    await post(`/api/orders/${sale.order.id}/cancel`, 10).expect(200);
+
+    await request(server).delete('/api/events/1/waitlist').set('Authorization', bearer(5)).expect(200);
+
+    expect((await readEntries()).map(e => e.status)).toEqual(['left', 'offered']);
+    const { status } = await scratch.get('SELECT status FROM holds WHERE user_id = 5');
+    expect(status).toBe('released');
+  });
+});
@@ -1,4 +1,8 @@
-const { getAllEvents, getEventById, updateEventTickets } = require('../models/clientModel');
+const { getAllEvents } = require('../models/clientModel');
+const { createOrder, getOrderById, getOrdersByUser, refundOrder } = require('../models/orderModel');
+const { createHold, checkoutHold, releaseHold, HOLD_TTL_MINUTES } = require('../models/holdModel');
+const { joinWaitlist, leaveWaitlist, getWaitlistForUser } = require('../models/waitlistModel');
+const { checkInTicket } = require('../models/ticketModel');
 
 // GET /api/events
 /**
@@ -26,8 +30,8 @@ const listEvents = async (req, res) => {
 
 /**
  * @function purchaseTickets
- * @description Handles ticket purchase for an event.
- * @param {Object} req - Express request object (expects event ID in params, quantity in body)
+ * @description Handles ticket purchase for an event and records the order.
+ * @param {Object} req - Express request object (expects event ID in params, quantity in body, req.user from authenticate)
  * @param {Object} res - Express response object
  * @returns {void}
  */
@@ -49,37 +53,473 @@ const purchaseTickets = async (req, res) => {
   }
 
   try {
-    // Fetch event
-    const event = await getEventById(eventId);
-    if (!event) return res.status(404).json({
+    // Conditional decrement plus order record - fails when the event does not exist or has too few tickets left
+    const { order, event: updated } = await createOrder({ eventId, quantity, userId: req.user.id });
+    res.json({
+      message: `Successfully purchased ${quantity} ticket${quantity > 1 ? 's' : ''}`,
+      event: updated,
+      order
+    });
+  } catch (err) {
+    console.error('Error purchasing tickets:', err);
+    if (err.message === 'Event not found') return res.status(404).json({
       message: 'Event not found',
       error: 'No event with the provided ID'
     });
+    if (err.message === 'Not enough tickets available') return res.status(409).json({
+      message: 'Not enough tickets available',
+      error: err.message,
+      availableTickets: err.availableTickets
+    });
+    res.status(500).json({
+      message: 'Failed to process purchase',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
 
-    if (event.tickets < quantity) {
-      return res.status(400).json({
-        message: 'Not enough tickets available',
-        availableTickets: event.tickets
-      });
-    }
+/**
+ * @function getOrder
+ * @description Retrieves a single order and its line items. Orders belonging to other
+ * users are reported as not found so their existence is not leaked.
+ * @param {Object} req - Express request object (expects order ID in params, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const getOrder = async (req, res) => {
+  const orderId = parseInt(req.params.id);
+
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid order ID',
+      error: 'Order ID must be a positive integer'
+    });
+  }
 
-    // Update tickets
-    const updated = await updateEventTickets(eventId, event.tickets - quantity);
+  try {
+    const order = await getOrderById(orderId);
+    if (order.user_id !== req.user.id) throw new Error('Order not found');
     res.json({
-      message: `Successfully purchased ${quantity} ticket${quantity > 1 ? 's' : ''}`,
-      event: updated
+      message: 'Order fetched successfully',
+      order
+    });
+  } catch (err) {
+    if (err.message === 'Order not found') return res.status(404).json({
+      message: 'Order not found',
+      error: 'No order with the provided ID'
+    });
+    console.error('Error fetching order:', err);
+    res.status(500).json({
+      message: 'Failed to fetch order',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function listMyOrders
+ * @description Lists the logged-in user's orders with the events they cover.
+ * @param {Object} req - Express request object (expects req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const listMyOrders = async (req, res) => {
+  try {
+    const orders = await getOrdersByUser(req.user.id);
+    res.json({
+      message: 'Orders fetched successfully',
+      orders
+    });
+  } catch (err) {
+    console.error('Error listing orders:', err);
+    res.status(500).json({
+      message: 'Failed to fetch orders',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function cancelOrder
+ * @description Cancels an order and refunds its tickets back into inventory.
+ * Owners can cancel until the event's refund cutoff; admins can refund any order.
+ * @param {Object} req - Express request object (expects order ID in params, optional reason in body, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const cancelOrder = async (req, res) => {
+  const orderId = parseInt(req.params.id);
+
+  if (!Number.isInteger(orderId) || orderId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid order ID',
+      error: 'Order ID must be a positive integer'
+    });
+  }
+
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() || null : null;
+
+  try {
+    const { order, refund } = await refundOrder(orderId, {
+      userId: req.user.id,
+      isAdmin: req.user.isAdmin,
+      reason
+    });
+    res.json({
+      message: 'Order cancelled and refunded',
+      order,
+      refund
+    });
+  } catch (err) {
+    if (err.message === 'Order not found') return res.status(404).json({
+      message: 'Order not found',
+      error: 'No order with the provided ID'
+    });
+    if (err.message === 'Order already refunded') return res.status(409).json({
+      message: 'Order already refunded',
+      error: err.message
+    });
+    if (err.message === 'Refund window closed') return res.status(403).json({
+      message: 'This order can no longer be cancelled',
+      error: err.message,
+      refundDeadline: err.refundDeadline
+    });
+    console.error('Error cancelling order:', err);
+    res.status(500).json({
+      message: 'Failed to cancel order',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function holdTickets
+ * @description Reserves tickets for the logged-in user for a limited time so they can
+ * review the booking before paying. Held seats are not available to anyone else.
+ * @param {Object} req - Express request object (expects event ID in params, quantity in body, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const holdTickets = async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  const quantity = parseInt(req.body?.quantity) || 1;
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid event ID',
+      error: 'Event ID must be a positive integer'
+    });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({
+      message: 'Invalid quantity',
+      error: 'Quantity must be a positive integer'
+    });
+  }
+
+  try {
+    const { hold, event } = await createHold({ eventId, quantity, userId: req.user.id });
+    res.status(201).json({
+      message: `Held ${quantity} ticket${quantity > 1 ? 's' : ''} for ${HOLD_TTL_MINUTES} minutes`,
+      hold,
+      event
     });
   } catch (err) {
-    console.error('Error purchasing tickets:', err);
     if (err.message === 'Event not found') return res.status(404).json({
       message: 'Event not found',
       error: 'No event with the provided ID'
     });
+    if (err.message === 'Not enough tickets available') return res.status(409).json({
+      message: 'Not enough tickets available',
+      error: err.message,
+      availableTickets: err.availableTickets
+    });
+    console.error('Error holding tickets:', err);
     res.status(500).json({
-      message: 'Failed to process purchase',
+      message: 'Failed to hold tickets',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function checkoutHeldTickets
+ * @description Buys the tickets reserved by one of the logged-in user's holds.
+ * @param {Object} req - Express request object (expects hold ID in params, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const checkoutHeldTickets = async (req, res) => {
+  const holdId = parseInt(req.params.id);
+
+  if (!Number.isInteger(holdId) || holdId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid hold ID',
+      error: 'Hold ID must be a positive integer'
+    });
+  }
+
+  try {
+    const { hold, order, event } = await checkoutHold(holdId, { userId: req.user.id });
+    res.json({
+      message: `Successfully purchased ${hold.quantity} ticket${hold.quantity > 1 ? 's' : ''}`,
+      event,
+      order,
+      hold
+    });
+  } catch (err) {
+    if (err.message === 'Hold not found') return res.status(404).json({
+      message: 'Hold not found',
+      error: 'No hold with the provided ID'
+    });
+    if (err.message === 'Hold already checked out') return res.status(409).json({
+      message: 'Hold already checked out',
+      error: err.message
+    });
+    if (err.message === 'Hold expired') return res.status(410).json({
+      message: 'Your hold has expired. Please try booking again.',
+      error: err.message
+    });
+    if (err.message === 'Event not found') return res.status(404).json({
+      message: 'Event not found',
+      error: 'The held event no longer exists'
+    });
+    if (err.message === 'Not enough tickets available') return res.status(409).json({
+      message: 'Tickets are no longer available',
+      error: err.message,
+      availableTickets: err.availableTickets
+    });
+    console.error('Error checking out hold:', err);
+    res.status(500).json({
+      message: 'Failed to complete checkout',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function releaseHeldTickets
+ * @description Gives up one of the logged-in user's holds, putting its tickets back on sale.
+ * @param {Object} req - Express request object (expects hold ID in params, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const releaseHeldTickets = async (req, res) => {
+  const holdId = parseInt(req.params.id);
+
+  if (!Number.isInteger(holdId) || holdId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid hold ID',
+      error: 'Hold ID must be a positive integer'
+    });
+  }
+
+  try {
+    const hold = await releaseHold(holdId, { userId: req.user.id });
+    res.json({
+      message: 'Hold released',
+      hold
+    });
+  } catch (err) {
+    if (err.message === 'Hold not found') return res.status(404).json({
+      message: 'Hold not found',
+      error: 'No hold with the provided ID'
+    });
+    if (err.message === 'Hold already checked out') return res.status(409).json({
+      message: 'Hold already checked out',
+      error: err.message
+    });
+    console.error('Error releasing hold:', err);
+    res.status(500).json({
+      message: 'Failed to release hold',
       error: err.message || 'Unknown error'
     });
   }
 };
 
-module.exports = { listEvents, purchaseTickets };
+/**
+ * @function joinEventWaitlist
+ * @description Puts the logged-in user in line for a sold-out event. When seats free up
+ * they are offered as a hold that can be checked out before it expires.
+ * @param {Object} req - Express request object (expects event ID in params, quantity in body, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const joinEventWaitlist = async (req, res) => {
+  const eventId = parseInt(req.params.id);
+  const quantity = parseInt(req.body?.quantity) || 1;
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid event ID',
+      error: 'Event ID must be a positive integer'
+    });
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    return res.status(400).json({
+      message: 'Invalid quantity',
+      error: 'Quantity must be a positive integer'
+    });
+  }
+
+  try {
+    const entry = await joinWaitlist({ eventId, quantity, userId: req.user.id });
+    res.status(201).json({
+      message: entry.status === 'offered'
+        ? 'Tickets are being held for you'
+        : `You are number ${entry.position} on the waitlist`,
+      entry
+    });
+  } catch (err) {
+    if (err.message === 'Event not found') return res.status(404).json({
+      message: 'Event not found',
+      error: 'No event with the provided ID'
+    });
+    if (err.message === 'Already on waitlist') return res.status(409).json({
+      message: 'You are already on the waitlist for this event',
+      error: err.message
+    });
+    if (err.message === 'Tickets available') return res.status(409).json({
+      message: 'Tickets are still available for this event',
+      error: err.message,
+      availableTickets: err.availableTickets
+    });
+    console.error('Error joining waitlist:', err);
+    res.status(500).json({
+      message: 'Failed to join waitlist',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function leaveEventWaitlist
+ * @description Removes the logged-in user from an event's waitlist, declining any pending offer.
+ * @param {Object} req - Express request object (expects event ID in params, req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const leaveEventWaitlist = async (req, res) => {
+  const eventId = parseInt(req.params.id);
+
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid event ID',
+      error: 'Event ID must be a positive integer'
+    });
+  }
+
+  try {
+    const entry = await leaveWaitlist(eventId, req.user.id);
+    res.json({
+      message: 'Left the waitlist',
+      entry
+    });
+  } catch (err) {
+    if (err.message === 'Not on waitlist') return res.status(404).json({
+      message: 'You are not on the waitlist for this event',
+      error: err.message
+    });
+    console.error('Error leaving waitlist:', err);
+    res.status(500).json({
+      message: 'Failed to leave waitlist',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function listMyWaitlist
+ * @description Lists the logged-in user's waitlist entries with queue positions and offers.
+ * @param {Object} req - Express request object (expects req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const listMyWaitlist = async (req, res) => {
+  try {
+    const entries = await getWaitlistForUser(req.user.id);
+    res.json({
+      message: 'Waitlist fetched successfully',
+      entries
+    });
+  } catch (err) {
+    console.error('Error listing waitlist:', err);
+    res.status(500).json({
+      message: 'Failed to fetch waitlist',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+/**
+ * @function checkIn
+ * @description Validates a scanned ticket code at the door and records the check-in time.
+ * @param {Object} req - Express request object (expects code and eventId in body, staff req.user from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const checkIn = async (req, res) => {
+  const code = typeof req.body?.code === 'string' ? req.body.code.trim() : '';
+  const eventId = parseInt(req.body?.eventId);
+
+  if (!code) {
+    return res.status(400).json({
+      message: 'Ticket code is required',
+      error: 'Provide the scanned ticket code'
+    });
+  }
+  if (!Number.isInteger(eventId) || eventId <= 0) {
+    return res.status(400).json({
+      message: 'Invalid event ID',
+      error: 'Event ID must be a positive integer'
+    });
+  }
+
+  try {
+    const ticket = await checkInTicket({ code, eventId, staffId: req.user.id });
+    console.log(`🚪 [CHECK-IN] Ticket ${ticket.id} admitted to event ${eventId} by user ${req.user.id}`);
+    res.json({
+      message: 'Checked in',
+      ticket
+    });
+  } catch (err) {
+    if (err.message === 'Invalid ticket code') return res.status(404).json({
+      message: 'Invalid ticket code',
+      error: 'No valid ticket matches this code'
+    });
+    if (err.message === 'Ticket is for a different event') return res.status(422).json({
+      message: `This ticket is for ${err.eventName}`,
+      error: err.message,
+      ticketEventId: err.ticketEventId
+    });
+    if (err.message === 'Ticket has been refunded') return res.status(410).json({
+      message: 'This ticket was refunded and is no longer valid',
+      error: err.message
+    });
+    if (err.message === 'Ticket already checked in') return res.status(409).json({
+      message: 'Ticket already checked in',
+      error: err.message,
+      checkedInAt: err.checkedInAt
+    });
+    console.error('Error checking in ticket:', err);
+    res.status(500).json({
+      message: 'Failed to check in ticket',
+      error: err.message || 'Unknown error'
+    });
+  }
+};
+
+module.exports = {
+  listEvents,
+  purchaseTickets,
+  getOrder,
+  listMyOrders,
+  cancelOrder,
+  holdTickets,
+  checkoutHeldTickets,
+  releaseHeldTickets,
+  joinEventWaitlist,
+  leaveEventWaitlist,
+  listMyWaitlist,
+  checkIn
+};
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Background job that releases expired ticket holds and offers the freed
+ * seats (and any added by admins) to people on event waitlists
+ */
+
+const { releaseExpiredHolds } = require('./models/holdModel');
+const { processWaitlists } = require('./models/waitlistModel');
+
+const configuredInterval = parseInt(process.env.HOLD_SWEEP_INTERVAL_SECONDS, 10);
+const HOLD_SWEEP_INTERVAL_MS = (Number.isInteger(configuredInterval) && configuredInterval > 0 ? configuredInterval : 60) * 1000;
+
+/**
+ * @function sweepExpiredHolds
+ * @description Runs one sweep, logging instead of throwing so the timer keeps going.
+ * @returns {Promise<Object>} - Resolves with { released, offered } counts
+ */
+const sweepExpiredHolds = async () => {
+    try {
+        const released = await releaseExpiredHolds();
+        if (released > 0) {
+            console.log(`🧹 [HOLD-SWEEPER] Released ${released} expired hold${released > 1 ? 's' : ''}`);
+        }
+        const offered = await processWaitlists();
+        if (offered > 0) {
+            console.log(`📨 [HOLD-SWEEPER] Offered tickets to ${offered} waitlisted user${offered > 1 ? 's' : ''}`);
+        }
+        return { released, offered };
+    } catch (err) {
+        console.error('Error sweeping expired holds:', err);
+        return { released: 0, offered: 0 };
+    }
+};
+
+/**
+ * @function startHoldSweeper
+ * @description Sweeps expired holds on a fixed interval. The timer does not keep the process alive.
+ * @param {number} intervalMs - Milliseconds between sweeps
+ * @returns {Function} - Call to stop the sweeper
+ */
+const startHoldSweeper = (intervalMs = HOLD_SWEEP_INTERVAL_MS) => {
+    const timer = setInterval(sweepExpiredHolds, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    sweepExpiredHolds,
+    startHoldSweeper
+};
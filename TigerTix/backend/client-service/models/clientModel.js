@@ -1,18 +1,23 @@
-const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
+const { db, runAsync, getAsync, toSqlTimestamp } = require('../../db');
 
-// Connect to the shared database
-const dbPath = path.join(__dirname, '../../shared-db/database.sqlite');
-const db = new sqlite3.Database(dbPath);
+// Tickets still unsold minus those reserved by unexpired holds; bind the current timestamp once per query
+const HELD_TICKETS_SQL = `COALESCE((SELECT SUM(h.quantity) FROM holds h
+    WHERE h.event_id = e.id AND h.status = 'active' AND h.expires_at > ?), 0)`;
+// Admins may cut inventory below what is already held, so never report a negative count
+const SELECT_AVAILABLE_EVENTS_SQL = `SELECT e.id, e.name, e.date, MAX(e.tickets - ${HELD_TICKETS_SQL}, 0) AS tickets FROM events e`;
+
+// How long a hold keeps its seats before they return to general sale
+const configuredTtl = parseInt(process.env.HOLD_TTL_MINUTES, 10);
+const HOLD_TTL_MINUTES = Number.isInteger(configuredTtl) && configuredTtl > 0 ? configuredTtl : 10;
 
 /**
  * @function getAllEvents
- * @description Retrieves all events from the database.
+ * @description Retrieves all events from the database. Ticket counts exclude seats held by active holds.
  * @returns {Promise<Array>} - Resolves with an array of events
  */
 const getAllEvents = () => {
     return new Promise((resolve, reject) => {
-        db.all('SELECT * FROM events ORDER BY date', [], (err, rows) => {
+        db.all(`${SELECT_AVAILABLE_EVENTS_SQL} ORDER BY e.date`, [toSqlTimestamp(new Date())], (err, rows) => {
             if (err) {
                 reject(new Error('Database error: ' + err.message));
                 return;
@@ -24,13 +29,13 @@ const getAllEvents = () => {
 
 /**
  * @function getEventById
- * @description Retrieves a single event by ID.
+ * @description Retrieves a single event by ID. The ticket count excludes seats held by active holds.
  * @param {number} id - Event ID
  * @returns {Promise<Object>} - Resolves with the event object
  */
 const getEventById = (id) => {
     return new Promise((resolve, reject) => {
-        db.get('SELECT * FROM events WHERE id = ?', [id], (err, row) => {
+        db.get(`${SELECT_AVAILABLE_EVENTS_SQL} WHERE e.id = ?`, [toSqlTimestamp(new Date()), id], (err, row) => {
             if (err) {
                 reject(new Error('Database error: ' + err.message));
                 return;
@@ -67,13 +72,80 @@ const updateEventTickets = (id, tickets) => {
     });
 };
 
-// Ensure database connection is closed when the process exits
-process.on('exit', () => {
-    db.close();
-});
+/**
+ * @function getAvailableEvent
+ * @description Reads an event with held seats subtracted, using the caller's clock.
+ * Unlike getEventById it resolves undefined for a missing event, for use inside transactions.
+ * @param {number} id - Event ID
+ * @param {Date} now - Holds expiring at or before this moment no longer count
+ * @returns {Promise<Object|undefined>} - Resolves with the event, if any
+ */
+const getAvailableEvent = (id, now = new Date()) => {
+    return getAsync(`${SELECT_AVAILABLE_EVENTS_SQL} WHERE e.id = ?`, [toSqlTimestamp(now), id]);
+};
+
+/**
+ * @function decrementEventTickets
+ * @description Conditionally decrements an event's ticket count. The decrement only
+ * applies when enough tickets remain outside active holds, so concurrent buyers can never
+ * oversell or take seats someone else is holding.
+ * Must be called inside withTransaction so callers can record the sale atomically.
+ * @param {number} id - Event ID
+ * @param {number} quantity - Number of tickets to take
+ * @param {Date} now - Current time, used to decide which holds are still active
+ * @returns {Promise<Object>} - Resolves with the updated event
+ */
+const decrementEventTickets = async (id, quantity, now = new Date()) => {
+    const { changes } = await runAsync(
+        `UPDATE events AS e SET tickets = tickets - ? WHERE e.id = ? AND e.tickets - ${HELD_TICKETS_SQL} >= ?`,
+        [quantity, id, toSqlTimestamp(now), quantity]
+    );
+
+    const event = await getAvailableEvent(id, now);
+    if (changes === 0) {
+        if (!event) {
+            throw new Error('Event not found');
+        }
+        const soldOut = new Error('Not enough tickets available');
+        soldOut.availableTickets = event.tickets;
+        throw soldOut;
+    }
+
+    return event;
+};
+
+/**
+ * @function reserveTickets
+ * @description Places a hold on an event's tickets for HOLD_TTL_MINUTES. The seats stay
+ * unsold but stop counting as available. Must be called inside withTransaction.
+ * @param {Object} holdData - { eventId, userId, quantity, now }
+ * @returns {Promise<Object>} - Resolves with the new hold
+ */
+const reserveTickets = async ({ eventId, userId, quantity, now = new Date() }) => {
+    const event = await getAvailableEvent(eventId, now);
+    if (!event) {
+        throw new Error('Event not found');
+    }
+    if (event.tickets < quantity) {
+        const soldOut = new Error('Not enough tickets available');
+        soldOut.availableTickets = event.tickets;
+        throw soldOut;
+    }
+
+    const expiresAt = new Date(now.getTime() + HOLD_TTL_MINUTES * 60 * 1000);
+    const { lastID: holdId } = await runAsync(
+        'INSERT INTO holds (event_id, user_id, quantity, status, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [eventId, userId, quantity, 'active', toSqlTimestamp(expiresAt)]
+    );
+    return getAsync('SELECT * FROM holds WHERE id = ?', [holdId]);
+};
 
 module.exports = {
+    HOLD_TTL_MINUTES,
     getAllEvents,
     getEventById,
-    updateEventTickets
+    updateEventTickets,
+    getAvailableEvent,
+    decrementEventTickets,
+    reserveTickets
 };
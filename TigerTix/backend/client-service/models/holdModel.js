@@ -0,0 +1,125 @@
+const { runAsync, getAsync, withTransaction, toSqlTimestamp } = require('../../db');
+const { getAvailableEvent, reserveTickets, HOLD_TTL_MINUTES } = require('./clientModel');
+const { recordOrder } = require('./orderModel');
+const { offerFreedTickets, markOfferClaimed } = require('./waitlistModel');
+
+/**
+ * @function getHoldById
+ * @description Retrieves a hold by ID.
+ * @param {number} id - Hold ID
+ * @returns {Promise<Object>} - Resolves with the hold
+ */
+const getHoldById = async (id) => {
+    const hold = await getAsync('SELECT * FROM holds WHERE id = ?', [id]);
+    if (!hold) {
+        throw new Error('Hold not found');
+    }
+    return hold;
+};
+
+/**
+ * @function createHold
+ * @description Reserves tickets for a user without buying them. The seats stop counting
+ * as available until the hold is checked out or expires.
+ * @param {Object} holdData - { eventId, quantity, userId, now }
+ * @returns {Promise<Object>} - Resolves with { hold, event } where event shows the remaining availability
+ */
+const createHold = async ({ eventId, quantity, userId, now = new Date() }) => {
+    // People already waiting for this event get freed seats first, even if this hold is then refused
+    await withTransaction(() => offerFreedTickets(eventId, now));
+
+    return withTransaction(async () => {
+        const hold = await reserveTickets({ eventId, userId, quantity, now });
+        return {
+            hold,
+            event: await getAvailableEvent(eventId, now)
+        };
+    });
+};
+
+/**
+ * @function checkoutHold
+ * @description Turns a user's active hold (including one offered from the waitlist) into a
+ * confirmed order. The hold is released
+ * and its seats sold in the same transaction, so nobody else can take them in between.
+ * @param {number} holdId - Hold ID
+ * @param {Object} options - { userId, now }
+ * @returns {Promise<Object>} - Resolves with { hold, order, event }
+ */
+const checkoutHold = (holdId, { userId, now = new Date() }) => {
+    return withTransaction(async () => {
+        const hold = await getAsync('SELECT * FROM holds WHERE id = ?', [holdId]);
+        if (!hold || hold.user_id !== userId) {
+            throw new Error('Hold not found');
+        }
+        if (hold.status === 'converted') {
+            throw new Error('Hold already checked out');
+        }
+        if (hold.status !== 'active' || hold.expires_at <= toSqlTimestamp(now)) {
+            throw new Error('Hold expired');
+        }
+
+        await runAsync("UPDATE holds SET status = 'converted' WHERE id = ?", [holdId]);
+        const { order, event } = await recordOrder({
+            eventId: hold.event_id,
+            quantity: hold.quantity,
+            userId,
+            now
+        });
+        await runAsync('UPDATE holds SET order_id = ? WHERE id = ?', [order.id, holdId]);
+        await markOfferClaimed(holdId);
+
+        return { hold: await getHoldById(holdId), order, event };
+    });
+};
+
+/**
+ * @function releaseHold
+ * @description Gives up a user's active hold before it expires, so its seats go back on sale
+ * (to the waitlist first). Releasing a hold that already expired or was released does nothing.
+ * @param {number} holdId - Hold ID
+ * @param {Object} options - { userId, now }
+ * @returns {Promise<Object>} - Resolves with the hold
+ */
+const releaseHold = (holdId, { userId, now = new Date() }) => {
+    return withTransaction(async () => {
+        const hold = await getAsync('SELECT * FROM holds WHERE id = ?', [holdId]);
+        if (!hold || hold.user_id !== userId) {
+            throw new Error('Hold not found');
+        }
+        if (hold.status === 'converted') {
+            throw new Error('Hold already checked out');
+        }
+
+        const { changes } = await runAsync("UPDATE holds SET status = 'released' WHERE id = ? AND status = 'active'", [holdId]);
+        if (changes > 0) await offerFreedTickets(hold.event_id, now);
+        return getHoldById(holdId);
+    });
+};
+
+/**
+ * @function releaseExpiredHolds
+ * @description Marks holds past their expiry as expired. Availability already ignores
+ * them; run processWaitlists afterwards to offer the freed seats to people in line.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Resolves with the number of holds released
+ */
+const releaseExpiredHolds = (now = new Date()) => {
+    // Queued like any other write so it never lands inside another request's transaction
+    return withTransaction(async () => {
+        const { changes } = await runAsync(
+            "UPDATE holds SET status = 'expired' WHERE status = 'active' AND expires_at <= ?",
+            [toSqlTimestamp(now)]
+        );
+        return changes;
+    });
+};
+
+module.exports = {
+    HOLD_TTL_MINUTES,
+    createHold,
+    checkoutHold,
+    releaseHold,
+    getHoldById,
+    releaseExpiredHolds
+};
@@ -0,0 +1,185 @@
+const { runAsync, getAsync, allAsync, withTransaction } = require('../../db');
+const { decrementEventTickets } = require('./clientModel');
+const { offerFreedTickets } = require('./waitlistModel');
+const { issueTickets, getTicketsByOrder, getTicketsByUser, voidTicketsForOrder } = require('./ticketModel');
+
+// Hours before an event starts after which owners can no longer cancel, unless the event sets its own
+const configuredCutoff = parseInt(process.env.DEFAULT_REFUND_CUTOFF_HOURS, 10);
+const DEFAULT_REFUND_CUTOFF_HOURS = Number.isInteger(configuredCutoff) && configuredCutoff >= 0 ? configuredCutoff : 24;
+
+/**
+ * @function getRefundDeadline
+ * @description Computes the last moment an order item may be refunded. Events only carry
+ * a date, so the event is treated as starting at local midnight.
+ * @param {string} eventDate - Event date (YYYY-MM-DD)
+ * @param {number} cutoffHours - Hours before the event that refunds close
+ * @returns {Date}
+ */
+const getRefundDeadline = (eventDate, cutoffHours) => {
+    const eventStart = new Date(`${eventDate}T00:00:00`);
+    return new Date(eventStart.getTime() - cutoffHours * 60 * 60 * 1000);
+};
+
+/**
+ * @function attachTickets
+ * @description Nests each line item's tickets under it.
+ * @param {Array} items - Order items
+ * @param {Array} tickets - Tickets for those items
+ * @returns {Array} - Items with a tickets array
+ */
+const attachTickets = (items, tickets) => {
+    return items.map(item => ({
+        ...item,
+        tickets: tickets.filter(ticket => ticket.order_item_id === item.id)
+    }));
+};
+
+/**
+ * @function getOrderById
+ * @description Retrieves an order together with its line items and their tickets.
+ * @param {number} id - Order ID
+ * @returns {Promise<Object>} - Resolves with the order ({ ...order, items })
+ */
+const getOrderById = async (id) => {
+    const order = await getAsync('SELECT * FROM orders WHERE id = ?', [id]);
+    if (!order) {
+        throw new Error('Order not found');
+    }
+    const items = await allAsync('SELECT * FROM order_items WHERE order_id = ? ORDER BY id', [id]);
+    return { ...order, items: attachTickets(items, await getTicketsByOrder(id)) };
+};
+
+/**
+ * @function getOrdersByUser
+ * @description Retrieves every order placed by a user, newest first, each with its
+ * line items and tickets. Items carry the event name and date captured at purchase time.
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Resolves with an array of orders ({ ...order, items })
+ */
+const getOrdersByUser = async (userId) => {
+    const orders = await allAsync(
+        'SELECT * FROM orders WHERE user_id = ? ORDER BY created_at DESC, id DESC',
+        [userId]
+    );
+    const items = await allAsync(
+        `SELECT oi.* FROM order_items oi
+         JOIN orders o ON o.id = oi.order_id
+         WHERE o.user_id = ?
+         ORDER BY oi.id`,
+        [userId]
+    );
+    const tickets = await getTicketsByUser(userId);
+    return orders.map(order => ({
+        ...order,
+        items: attachTickets(items.filter(item => item.order_id === order.id), tickets)
+    }));
+};
+
+/**
+ * @function recordOrder
+ * @description Takes tickets from an event's inventory and records the order, its
+ * line item and one signed ticket per seat. Must be called inside withTransaction so a sale is never counted without a record.
+ * @param {Object} orderData - { eventId, quantity, userId, now }
+ * @returns {Promise<Object>} - Resolves with { order, event } where event is the updated event
+ */
+const recordOrder = async ({ eventId, quantity, userId = null, now = new Date() }) => {
+    const event = await decrementEventTickets(eventId, quantity, now);
+
+    const { lastID: orderId } = await runAsync(
+        'INSERT INTO orders (user_id, status) VALUES (?, ?)',
+        [userId, 'confirmed']
+    );
+    const { lastID: orderItemId } = await runAsync(
+        'INSERT INTO order_items (order_id, event_id, event_name, event_date, quantity) VALUES (?, ?, ?, ?, ?)',
+        [orderId, event.id, event.name, event.date, quantity]
+    );
+    await issueTickets({ orderId, orderItemId, eventId: event.id, quantity });
+
+    const order = await getOrderById(orderId);
+    return { order, event };
+};
+
+/**
+ * @function createOrder
+ * @description Buys tickets outright: takes them from inventory and records the order
+ * in the same transaction. Freed seats go to the event's waitlist before general sale.
+ * @param {Object} orderData - { eventId, quantity, userId, now }
+ * @returns {Promise<Object>} - Resolves with { order, event } where event is the updated event
+ */
+const createOrder = async ({ now = new Date(), ...orderData }) => {
+    // Committed on its own so offers stand even when this purchase is then refused
+    await withTransaction(() => offerFreedTickets(orderData.eventId, now));
+    return withTransaction(() => recordOrder({ ...orderData, now }));
+};
+
+/**
+ * @function refundOrder
+ * @description Refunds an order: marks it refunded, voids its ticket codes, returns its
+ * tickets to each event's inventory, offers them to the event's waitlist and writes a
+ * refund record, all in one transaction. Owners must cancel before each event's refund
+ * cutoff; admins may refund any order at any time.
+ * @param {number} orderId - Order ID
+ * @param {Object} options - { userId, isAdmin, reason, now }
+ * @returns {Promise<Object>} - Resolves with { order, refund }
+ */
+const refundOrder = (orderId, { userId, isAdmin = false, reason = null, now = new Date() }) => {
+    return withTransaction(async () => {
+        const order = await getAsync('SELECT * FROM orders WHERE id = ?', [orderId]);
+        if (!order || (!isAdmin && order.user_id !== userId)) {
+            throw new Error('Order not found');
+        }
+        if (order.status === 'refunded') {
+            throw new Error('Order already refunded');
+        }
+
+        const items = await allAsync(
+            `SELECT oi.*, ep.refund_cutoff_hours FROM order_items oi
+             LEFT JOIN event_policies ep ON ep.event_id = oi.event_id
+             WHERE oi.order_id = ?`,
+            [orderId]
+        );
+
+        if (!isAdmin) {
+            for (const item of items) {
+                const cutoffHours = item.refund_cutoff_hours ?? DEFAULT_REFUND_CUTOFF_HOURS;
+                const deadline = getRefundDeadline(item.event_date, cutoffHours);
+                if (now > deadline) {
+                    const closed = new Error('Refund window closed');
+                    closed.refundDeadline = deadline.toISOString();
+                    throw closed;
+                }
+            }
+        }
+
+        await runAsync("UPDATE orders SET status = 'refunded' WHERE id = ?", [orderId]);
+        await voidTicketsForOrder(orderId);
+
+        // Events deleted since purchase have no inventory to return to
+        let ticketsReturned = 0;
+        for (const item of items) {
+            const { changes } = await runAsync('UPDATE events SET tickets = tickets + ? WHERE id = ?', [item.quantity, item.event_id]);
+            if (changes > 0) ticketsReturned += item.quantity;
+        }
+
+        // Returned seats are offered to anyone waiting before they go back on sale
+        for (const eventId of new Set(items.map(item => item.event_id))) {
+            await offerFreedTickets(eventId, now);
+        }
+
+        const { lastID: refundId } = await runAsync(
+            'INSERT INTO refunds (order_id, refunded_by, tickets_returned, reason) VALUES (?, ?, ?, ?)',
+            [orderId, userId, ticketsReturned, reason]
+        );
+
+        const refund = await getAsync('SELECT * FROM refunds WHERE id = ?', [refundId]);
+        return { order: await getOrderById(orderId), refund };
+    });
+};
+
+module.exports = {
+    createOrder,
+    recordOrder,
+    refundOrder,
+    getOrderById,
+    getOrdersByUser
+};
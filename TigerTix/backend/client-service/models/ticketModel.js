@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { runAsync, getAsync, allAsync, withTransaction, toSqlTimestamp } = require('../../db');
+
+// Codes carry an HMAC so forged or mistyped codes are rejected before any database lookup
+const TICKET_CODE_SECRET = process.env.TICKET_CODE_SECRET || 'ticket-code-secret-change-in-production';
+const TICKET_CODE_PATTERN = /^(\d+)-([0-9a-f]{24})-([0-9a-f]{16})$/;
+
+/**
+ * @function signTicketPayload
+ * @description Computes the signature part of a ticket code.
+ * @param {string} payload - "<eventId>-<random>"
+ * @returns {string} - 16 hex characters
+ */
+const signTicketPayload = (payload) => {
+    return crypto.createHmac('sha256', TICKET_CODE_SECRET).update(payload).digest('hex').slice(0, 16);
+};
+
+/**
+ * @function createTicketCode
+ * @description Generates a unique, signed code for one ticket: "<eventId>-<random>-<signature>".
+ * @param {number} eventId - Event the ticket admits to
+ * @returns {string}
+ */
+const createTicketCode = (eventId) => {
+    const payload = `${eventId}-${crypto.randomBytes(12).toString('hex')}`;
+    return `${payload}-${signTicketPayload(payload)}`;
+};
+
+/**
+ * @function verifyTicketCode
+ * @description Checks a ticket code's format and signature.
+ * @param {string} code - Scanned ticket code
+ * @returns {Object|null} - { eventId } when the code is genuine, otherwise null
+ */
+const verifyTicketCode = (code) => {
+    const match = TICKET_CODE_PATTERN.exec(typeof code === 'string' ? code.trim() : '');
+    if (!match) return null;
+
+    const expected = Buffer.from(signTicketPayload(`${match[1]}-${match[2]}`));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(match[3]))) return null;
+
+    return { eventId: parseInt(match[1], 10) };
+};
+
+/**
+ * @function issueTickets
+ * @description Creates one signed ticket per seat in an order line item.
+ * Must be called inside withTransaction alongside the order it belongs to.
+ * @param {Object} item - { orderId, orderItemId, eventId, quantity }
+ * @returns {Promise<void>}
+ */
+const issueTickets = async ({ orderId, orderItemId, eventId, quantity }) => {
+    for (let i = 0; i < quantity; i++) {
+        await runAsync(
+            'INSERT INTO tickets (order_id, order_item_id, event_id, code) VALUES (?, ?, ?, ?)',
+            [orderId, orderItemId, eventId, createTicketCode(eventId)]
+        );
+    }
+};
+
+/**
+ * @function getTicketsByOrder
+ * @description Retrieves the tickets issued for an order.
+ * @param {number} orderId - Order ID
+ * @returns {Promise<Array>} - Resolves with the order's tickets
+ */
+const getTicketsByOrder = (orderId) => {
+    return allAsync('SELECT * FROM tickets WHERE order_id = ? ORDER BY id', [orderId]);
+};
+
+/**
+ * @function getTicketsByUser
+ * @description Retrieves the tickets issued for all of a user's orders.
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Resolves with the user's tickets
+ */
+const getTicketsByUser = (userId) => {
+    return allAsync(
+        `SELECT t.* FROM tickets t
+         JOIN orders o ON o.id = t.order_id
+         WHERE o.user_id = ?
+         ORDER BY t.id`,
+        [userId]
+    );
+};
+
+/**
+ * @function voidTicketsForOrder
+ * @description Invalidates an order's tickets so they no longer admit anyone.
+ * Must be called inside withTransaction alongside the refund.
+ * @param {number} orderId - Order ID
+ * @returns {Promise<void>}
+ */
+const voidTicketsForOrder = async (orderId) => {
+    await runAsync("UPDATE tickets SET status = 'void' WHERE order_id = ?", [orderId]);
+};
+
+/**
+ * @function checkInTicket
+ * @description Admits a ticket holder at the door. Rejects forged codes, tickets for a
+ * different event, refunded tickets and codes that were already scanned.
+ * @param {Object} scan - { code, eventId, staffId, now }
+ * @returns {Promise<Object>} - Resolves with the checked-in ticket (with event_name)
+ */
+const checkInTicket = ({ code, eventId, staffId, now = new Date() }) => {
+    return withTransaction(async () => {
+        if (!verifyTicketCode(code)) {
+            throw new Error('Invalid ticket code');
+        }
+
+        const selectTicket = `SELECT t.*, oi.event_name FROM tickets t
+            JOIN order_items oi ON oi.id = t.order_item_id
+            WHERE t.code = ?`;
+        const ticket = await getAsync(selectTicket, [code.trim()]);
+        if (!ticket) {
+            throw new Error('Invalid ticket code');
+        }
+        if (ticket.event_id !== eventId) {
+            const wrongEvent = new Error('Ticket is for a different event');
+            wrongEvent.ticketEventId = ticket.event_id;
+            wrongEvent.eventName = ticket.event_name;
+            throw wrongEvent;
+        }
+        if (ticket.status === 'void') {
+            throw new Error('Ticket has been refunded');
+        }
+        if (ticket.checked_in_at) {
+            const duplicate = new Error('Ticket already checked in');
+            duplicate.checkedInAt = ticket.checked_in_at;
+            throw duplicate;
+        }
+
+        await runAsync(
+            'UPDATE tickets SET checked_in_at = ?, checked_in_by = ? WHERE id = ?',
+            [toSqlTimestamp(now), staffId, ticket.id]
+        );
+        return getAsync(selectTicket, [ticket.code]);
+    });
+};
+
+module.exports = {
+    createTicketCode,
+    verifyTicketCode,
+    issueTickets,
+    getTicketsByOrder,
+    getTicketsByUser,
+    voidTicketsForOrder,
+    checkInTicket
+};
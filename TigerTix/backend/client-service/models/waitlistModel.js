@@ -0,0 +1,181 @@
+const { runAsync, getAsync, allAsync, withTransaction, toSqlTimestamp } = require('../../db');
+const { getAvailableEvent, reserveTickets } = require('./clientModel');
+
+// Entries still in line or holding an unclaimed offer
+const OPEN_STATUSES_SQL = "('waiting', 'offered')";
+
+// Entry with its event, offer deadline and 1-based place among those still waiting
+const SELECT_ENTRIES_SQL = `SELECT w.*, e.name AS event_name, e.date AS event_date, h.expires_at AS offer_expires_at,
+    CASE WHEN w.status = 'waiting' THEN (
+        SELECT COUNT(*) FROM waitlist_entries ahead
+        WHERE ahead.event_id = w.event_id AND ahead.status = 'waiting' AND ahead.id <= w.id
+    ) END AS position
+    FROM waitlist_entries w
+    LEFT JOIN events e ON e.id = w.event_id
+    LEFT JOIN holds h ON h.id = w.hold_id`;
+
+/**
+ * @function getEntryById
+ * @description Retrieves a waitlist entry with its event, offer deadline and queue position.
+ * @param {number} id - Waitlist entry ID
+ * @returns {Promise<Object|undefined>} - Resolves with the entry, if any
+ */
+const getEntryById = (id) => {
+    return getAsync(`${SELECT_ENTRIES_SQL} WHERE w.id = ?`, [id]);
+};
+
+/**
+ * @function getWaitlistForUser
+ * @description Lists a user's waitlist entries, newest first.
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} - Resolves with the user's entries
+ */
+const getWaitlistForUser = (userId) => {
+    return allAsync(`${SELECT_ENTRIES_SQL} WHERE w.user_id = ? ORDER BY w.id DESC`, [userId]);
+};
+
+/**
+ * @function offerFreedTickets
+ * @description Works through an event's waitlist in order. Offers whose hold ran out are
+ * marked expired; then each waiting entry, while enough seats are free, gets a hold it
+ * can check out before the hold expires. Stops at the first entry that cannot be served
+ * so nobody is skipped. Must be called inside withTransaction.
+ * @param {number} eventId - Event ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} - Resolves with the entries that received offers
+ */
+const offerFreedTickets = async (eventId, now = new Date()) => {
+    await runAsync(
+        `UPDATE waitlist_entries SET status = 'expired'
+         WHERE event_id = ? AND status = 'offered' AND hold_id IN (
+             SELECT id FROM holds WHERE status != 'converted' AND (status != 'active' OR expires_at <= ?)
+         )`,
+        [eventId, toSqlTimestamp(now)]
+    );
+
+    const offered = [];
+    for (;;) {
+        const next = await getAsync(
+            "SELECT * FROM waitlist_entries WHERE event_id = ? AND status = 'waiting' ORDER BY id LIMIT 1",
+            [eventId]
+        );
+        if (!next) break;
+
+        const event = await getAvailableEvent(eventId, now);
+        if (!event || event.tickets < next.quantity) break;
+
+        const hold = await reserveTickets({ eventId, userId: next.user_id, quantity: next.quantity, now });
+        await runAsync("UPDATE waitlist_entries SET status = 'offered', hold_id = ? WHERE id = ?", [hold.id, next.id]);
+        offered.push({ ...next, status: 'offered', hold_id: hold.id });
+    }
+    return offered;
+};
+
+/**
+ * @function markOfferClaimed
+ * @description Records that the hold offered to a waitlist entry was checked out.
+ * Must be called inside withTransaction.
+ * @param {number} holdId - Hold ID
+ * @returns {Promise<void>}
+ */
+const markOfferClaimed = async (holdId) => {
+    await runAsync("UPDATE waitlist_entries SET status = 'claimed' WHERE hold_id = ? AND status = 'offered'", [holdId]);
+};
+
+/**
+ * @function joinWaitlist
+ * @description Puts a user in line for an event that cannot currently fill their request.
+ * @param {Object} entryData - { eventId, userId, quantity, now }
+ * @returns {Promise<Object>} - Resolves with the new entry (with position, or offer if served at once)
+ */
+const joinWaitlist = ({ eventId, userId, quantity, now = new Date() }) => {
+    return withTransaction(async () => {
+        const event = await getAvailableEvent(eventId, now);
+        if (!event) {
+            throw new Error('Event not found');
+        }
+
+        const existing = await getAsync(
+            `SELECT id FROM waitlist_entries WHERE event_id = ? AND user_id = ? AND status IN ${OPEN_STATUSES_SQL}`,
+            [eventId, userId]
+        );
+        if (existing) {
+            throw new Error('Already on waitlist');
+        }
+
+        const queued = await getAsync(
+            "SELECT COUNT(*) AS count FROM waitlist_entries WHERE event_id = ? AND status = 'waiting'",
+            [eventId]
+        );
+        if (queued.count === 0 && event.tickets >= quantity) {
+            const available = new Error('Tickets available');
+            available.availableTickets = event.tickets;
+            throw available;
+        }
+
+        const { lastID: entryId } = await runAsync(
+            'INSERT INTO waitlist_entries (event_id, user_id, quantity, status) VALUES (?, ?, ?, ?)',
+            [eventId, userId, quantity, 'waiting']
+        );
+        await offerFreedTickets(eventId, now);
+        return getEntryById(entryId);
+    });
+};
+
+/**
+ * @function leaveWaitlist
+ * @description Removes a user from an event's waitlist. Declining an offer releases its
+ * held seats to the next person in line.
+ * @param {number} eventId - Event ID
+ * @param {number} userId - User ID
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - Resolves with the closed entry
+ */
+const leaveWaitlist = (eventId, userId, now = new Date()) => {
+    return withTransaction(async () => {
+        const entry = await getAsync(
+            `SELECT * FROM waitlist_entries WHERE event_id = ? AND user_id = ? AND status IN ${OPEN_STATUSES_SQL}`,
+            [eventId, userId]
+        );
+        if (!entry) {
+            throw new Error('Not on waitlist');
+        }
+
+        if (entry.hold_id) {
+            await runAsync("UPDATE holds SET status = 'released' WHERE id = ? AND status = 'active'", [entry.hold_id]);
+        }
+        await runAsync("UPDATE waitlist_entries SET status = 'left' WHERE id = ?", [entry.id]);
+        await offerFreedTickets(eventId, now);
+
+        return getEntryById(entry.id);
+    });
+};
+
+/**
+ * @function processWaitlists
+ * @description Offers freed seats on every event that has people in line. Picks up
+ * seats returned by expired holds and by admin ticket increases made in other services.
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} - Resolves with the number of offers made
+ */
+const processWaitlists = (now = new Date()) => {
+    return withTransaction(async () => {
+        const events = await allAsync(
+            `SELECT DISTINCT event_id FROM waitlist_entries WHERE status IN ${OPEN_STATUSES_SQL}`
+        );
+        let offers = 0;
+        for (const { event_id: eventId } of events) {
+            offers += (await offerFreedTickets(eventId, now)).length;
+        }
+        return offers;
+    });
+};
+
+module.exports = {
+    joinWaitlist,
+    leaveWaitlist,
+    getWaitlistForUser,
+    offerFreedTickets,
+    markOfferClaimed,
+    processWaitlists
+};
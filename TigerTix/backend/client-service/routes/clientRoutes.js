@@ -1,6 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { listEvents, purchaseTickets } = require('../controllers/clientController');
+const {
+    listEvents,
+    purchaseTickets,
+    getOrder,
+    listMyOrders,
+    cancelOrder,
+    holdTickets,
+    checkoutHeldTickets,
+    releaseHeldTickets,
+    joinEventWaitlist,
+    leaveEventWaitlist,
+    listMyWaitlist,
+    checkIn
+} = require('../controllers/clientController');
+const { authenticate, requireAdmin } = require('../../middleware/authenticate');
+const { idempotency } = require('../../middleware/idempotency');
 
 /**
  * @route GET /events
@@ -14,12 +29,72 @@ router.get('/events', (req, res, next) => {
 
 /**
  * @route POST /events/:id/purchase
- * @description Purchase tickets for an event
+ * @description Purchase tickets for an event (requires login; honours Idempotency-Key)
  */
-router.post('/events/:id/purchase', (req, res, next) => {
+router.post('/events/:id/purchase', authenticate, (req, res, next) => {
     const requestSource = req.get('User-Agent')?.includes('node-fetch') ? 'LLM Service' : 'Frontend';
     console.log(`\n🌐 [CLIENT-ROUTE] POST /api/events/${req.params.id}/purchase requested by ${requestSource} at ${new Date().toISOString()}`);
     next();
-}, purchaseTickets);
+}, idempotency('client:purchase'), purchaseTickets);
+
+/**
+ * @route POST /events/:id/hold
+ * @description Reserve tickets for a limited time before checkout (requires login)
+ */
+router.post('/events/:id/hold', authenticate, holdTickets);
+
+/**
+ * @route POST /holds/:id/checkout
+ * @description Purchase the tickets reserved by a hold (requires login, hold owner only; honours Idempotency-Key)
+ */
+router.post('/holds/:id/checkout', authenticate, idempotency('client:checkout'), checkoutHeldTickets);
+
+/**
+ * @route POST /holds/:id/release
+ * @description Give up a hold before it expires (requires login, hold owner only)
+ */
+router.post('/holds/:id/release', authenticate, releaseHeldTickets);
+
+/**
+ * @route POST /events/:id/waitlist
+ * @description Join the waitlist for a sold-out event (requires login)
+ */
+router.post('/events/:id/waitlist', authenticate, joinEventWaitlist);
+
+/**
+ * @route DELETE /events/:id/waitlist
+ * @description Leave an event's waitlist, releasing any seats offered (requires login)
+ */
+router.delete('/events/:id/waitlist', authenticate, leaveEventWaitlist);
+
+/**
+ * @route GET /waitlist/me
+ * @description List the logged-in user's waitlist entries with positions and offers
+ */
+router.get('/waitlist/me', authenticate, listMyWaitlist);
+
+/**
+ * @route GET /orders/me
+ * @description List the logged-in user's orders (registered before /orders/:id so "me" is not read as an ID)
+ */
+router.get('/orders/me', authenticate, listMyOrders);
+
+/**
+ * @route GET /orders/:id
+ * @description Get one of the logged-in user's orders and its line items
+ */
+router.get('/orders/:id', authenticate, getOrder);
+
+/**
+ * @route POST /orders/:id/cancel
+ * @description Cancel an order and return its tickets (owner before the refund cutoff, or admin)
+ */
+router.post('/orders/:id/cancel', authenticate, cancelOrder);
+
+/**
+ * @route POST /checkin
+ * @description Scan a ticket code at the door (door staff accounts are listed in ADMIN_EMAILS)
+ */
+router.post('/checkin', authenticate, requireAdmin, checkIn);
 
 module.exports = router;
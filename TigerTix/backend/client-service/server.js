@@ -10,9 +10,11 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const fs = require('fs');
 const sqlite3 = require('sqlite3').verbose();
 const clientRoutes = require('./routes/clientRoutes');
+const { startHoldSweeper } = require('./holdSweeper');
 
 // Simplified database check to avoid fatal errors
 const setupDatabase = () => {
@@ -57,6 +59,7 @@ app.use(cors({
     credentials: true
 }));
 app.use(express.json());
+app.use(cookieParser());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -75,6 +78,7 @@ const PORT = process.env.PORT || 6001;
 // Start server after database is initialized
 setupDatabase()
     .then(() => {
+        startHoldSweeper();
         app.listen(PORT, () => {
             console.log(`🎟️  Client service running at http://localhost:${PORT}`);
             console.log(`Database check completed for Client service`);
@@ -82,6 +86,16 @@ setupDatabase()
             console.log('  GET /api/events - Get all events');
             console.log('  GET /api/events/:id - Get event by ID'); 
             console.log('  POST /api/events/:id/purchase - Purchase tickets for event');
+            console.log('  POST /api/events/:id/hold - Hold tickets before checkout');
+            console.log('  POST /api/holds/:id/checkout - Purchase held tickets');
+            console.log('  POST /api/holds/:id/release - Give up a hold');
+            console.log('  POST /api/events/:id/waitlist - Join an event\'s waitlist');
+            console.log('  DELETE /api/events/:id/waitlist - Leave an event\'s waitlist');
+            console.log('  GET /api/waitlist/me - List the current user\'s waitlist entries');
+            console.log('  GET /api/orders/me - List the current user\'s orders');
+            console.log('  GET /api/orders/:id - Get order by ID');
+            console.log('  POST /api/orders/:id/cancel - Cancel an order and refund its tickets');
+            console.log('  POST /api/checkin - Check in a ticket at the door (staff only)');
             console.log('  GET /health - Service health check');
         });
     })
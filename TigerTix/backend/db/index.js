@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Connection to the shared SQLite database, with promise wrappers and a transaction
+ * queue. Every service that writes to the database requires this module, so each service process
+ * has one connection and one queue.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+
+// Connect to the shared database (tests may point this at a scratch copy)
+const dbPath = process.env.TEST_DB_PATH || path.join(__dirname, '../shared-db/database.sqlite');
+const db = new sqlite3.Database(dbPath);
+
+// Other services write to the same file, so wait for their locks instead of failing with SQLITE_BUSY
+db.configure('busyTimeout', 5000);
+
+// A single connection can only hold one transaction at a time, so transactions are queued in-process
+let transactionQueue = Promise.resolve();
+
+/**
+ * @function runAsync
+ * @description Promise wrapper around db.run that resolves with the statement context.
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object>} - Resolves with { lastID, changes }
+ */
+const runAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) {
+                reject(new Error('Database error: ' + err.message));
+                return;
+            }
+            resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+};
+
+/**
+ * @function getAsync
+ * @description Promise wrapper around db.get.
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Object|undefined>} - Resolves with the first row, if any
+ */
+const getAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) {
+                reject(new Error('Database error: ' + err.message));
+                return;
+            }
+            resolve(row);
+        });
+    });
+};
+
+/**
+ * @function allAsync
+ * @description Promise wrapper around db.all.
+ * @param {string} sql - SQL query
+ * @param {Array} params - Bound parameters
+ * @returns {Promise<Array>} - Resolves with all matching rows
+ */
+const allAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                reject(new Error('Database error: ' + err.message));
+                return;
+            }
+            resolve(rows);
+        });
+    });
+};
+
+/**
+ * @function toSqlTimestamp
+ * @description Formats a date like SQLite's CURRENT_TIMESTAMP (UTC, "YYYY-MM-DD HH:MM:SS")
+ * so it compares correctly against DATETIME columns.
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+const toSqlTimestamp = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * @function withTransaction
+ * @description Runs work inside BEGIN IMMEDIATE / COMMIT, rolling back if it throws.
+ * BEGIN IMMEDIATE takes the write lock up front, so no other service can change rows
+ * between our reads and writes, and SQLite waits for other services' transactions instead
+ * of failing a half-started write with SQLITE_BUSY.
+ * @param {Function} work - Async function executed inside the transaction
+ * @returns {Promise<*>} - Resolves with whatever work resolves with
+ */
+const withTransaction = (work) => {
+    const result = transactionQueue.then(async () => {
+        await runAsync('BEGIN IMMEDIATE');
+        try {
+            const value = await work();
+            await runAsync('COMMIT');
+            return value;
+        } catch (err) {
+            await runAsync('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    });
+    // Keep the queue moving even when this transaction fails
+    transactionQueue = result.catch(() => {});
+    return result;
+};
+
+// Ensure database connection is closed when the process exits
+process.on('exit', () => {
+    db.close();
+});
+
+module.exports = {
+    db,
+    runAsync,
+    getAsync,
+    allAsync,
+    withTransaction,
+    toSqlTimestamp
+};
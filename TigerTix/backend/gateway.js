@@ -48,7 +48,8 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS']
 }));
 
-app.use(express.json());
+// No body parsing here: the proxies must forward request bodies untouched, and a parsed
+// body would leave nothing to forward
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -105,16 +106,21 @@ const proxyOptions = {
   }
 };
 
+// Proxies use pathFilter rather than app.use(path, ...): Express strips a mount path from
+// req.url, and the services expect the full /api/... path
+
 // Admin Service proxy
-// Gateway receives: /api/admin/* → Forwards: /api/admin/* (admin service mounts at /api)
-app.use('/api/admin', createProxyMiddleware({
+// Gateway receives: /api/admin/* → Forwards: /api/* (admin service mounts at /api)
+app.use(createProxyMiddleware({
+  pathFilter: '/api/admin',
   target: `http://localhost:${SERVICES.ADMIN}`,
   pathRewrite: { '^/api/admin': '/api' },
   ...proxyOptions
 }));
 
 // Client Service proxy - with legacy /api/events support
-app.use(['/api/client', '/api/events'], createProxyMiddleware({
+app.use(createProxyMiddleware({
+  pathFilter: ['/api/client', '/api/events'],
   target: `http://localhost:${SERVICES.CLIENT}`,
   pathRewrite: {
     '^/api/client': '/api', // Remove /client prefix when forwarding
@@ -125,7 +131,9 @@ app.use(['/api/client', '/api/events'], createProxyMiddleware({
 
 // LLM Service proxy
 // Gateway receives: /api/llm/* → Forwards: /api/llm/* (LLM service mounts at /api/llm)
-app.use('/api/llm', createProxyMiddleware({
+// Responses are piped as they arrive, so /api/llm/parse/stream events are not buffered
+app.use(createProxyMiddleware({
+  pathFilter: '/api/llm',
   target: `http://localhost:${SERVICES.LLM}`,
   ...proxyOptions
 }));
@@ -133,7 +141,8 @@ app.use('/api/llm', createProxyMiddleware({
 // Auth Service proxy
 // Gateway receives: /api/auth/login
 // Forwards to auth service: /api/auth/login (auth service mounts routes at /api/auth)
-app.use('/api/auth', createProxyMiddleware({
+app.use(createProxyMiddleware({
+  pathFilter: '/api/auth',
   target: `http://localhost:${SERVICES.AUTH}`,
   ...proxyOptions
 }));
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview The evaluation harness: scoring, baseline comparison, and the shipped dataset
+ * scored against the stored baseline, so a parser or prompt change that breaks a passing case fails here.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  compareCase,
+  scoreResults,
+  compareWithBaseline,
+  runEvaluation,
+  updateBaseline,
+  formatReport
+} = require('../../eval/runEval');
+
+const result = (id, expected, actual, extra = {}) => {
+  const mismatches = compareCase(expected, actual);
+  return { id, utterance: id, expected, actual, source: null, passed: mismatches.length === 0, mismatches, ...extra };
+};
+
+describe('Evaluation harness', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tigertix-eval-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('scoring', () => {
+    test('should compare only the labelled fields', () => {
+      expect(compareCase({ intent: 'greeting' }, { intent: 'greeting', eventId: 3, tickets: null })).toEqual([]);
+      expect(compareCase({ intent: 'booking', eventId: null, tickets: 2 }, { intent: 'booking', eventId: 4, tickets: 2 }))
+        .toEqual(['eventId: expected null, got 4']);
+      expect(compareCase({ intent: 'booking' }, null)).toEqual(['parser returned nothing']);
+    });
+
+    test('should report per-intent precision and recall and entity accuracy', () => {
+      const summary = scoreResults([
+        result('a', { intent: 'booking', eventId: 1, tickets: 2 }, { intent: 'booking', eventId: 1, tickets: 2 }),
+        result('b', { intent: 'booking', eventId: 2, tickets: 1 }, { intent: 'booking', eventId: 2, tickets: 3 }),
+        result('c', { intent: 'booking', eventId: 1, tickets: 1 }, { intent: 'unknown', eventId: null, tickets: null }),
+        result('d', { intent: 'greeting' }, { intent: 'booking', eventId: null, tickets: 1 }),
+        result('e', { intent: 'unknown' }, { intent: 'unknown', eventId: null, tickets: null }, { source: 'fallback' })
+      ]);
+
+      expect(summary).toEqual(expect.objectContaining({ cases: 5, passed: 2, accuracy: 0.4, fallbacks: 1 }));
+      expect(summary.intents.booking).toEqual({ support: 3, predicted: 3, correct: 2, precision: 2 / 3, recall: 2 / 3 });
+      expect(summary.intents.greeting).toEqual({ support: 1, predicted: 0, correct: 0, precision: null, recall: 0 });
+      expect(summary.intents.unknown).toEqual(expect.objectContaining({ precision: 0.5, recall: 1 }));
+      expect(summary.entities.eventId).toEqual({ correct: 2, total: 3, accuracy: 2 / 3 });
+      expect(summary.entities.tickets).toEqual({ correct: 1, total: 3, accuracy: 1 / 3 });
+    });
+
+    test('should list cases that passed in the baseline and fail now', () => {
+      const results = [
+        result('still-passing', { intent: 'greeting' }, { intent: 'greeting' }),
+        result('broken', { intent: 'greeting' }, { intent: 'unknown' }),
+        result('fixed', { intent: 'greeting' }, { intent: 'greeting' }),
+        result('still-failing', { intent: 'greeting' }, { intent: 'unknown' })
+      ];
+
+      const { regressions, improvements } = compareWithBaseline(results, { passed: ['still-passing', 'broken'] });
+
+      expect(regressions.map(r => r.id)).toEqual(['broken']);
+      expect(improvements.map(r => r.id)).toEqual(['fixed']);
+      expect(compareWithBaseline(results, undefined)).toEqual({ regressions: [], improvements: [] });
+    });
+  });
+
+  describe('shipped dataset', () => {
+    test('should score both parsers without regressions against the stored baseline', async () => {
+      const reports = await runEvaluation();
+
+      expect(reports.map(r => r.parser)).toEqual(['keyword', 'llm:mock']);
+      for (const report of reports) {
+        expect(formatReport([report])).toContain('Regressions (0)');
+        expect(report.regressions).toEqual([]);
+      }
+    });
+
+    test('should flag a case that no longer passes', async () => {
+      const dataset = JSON.parse(fs.readFileSync(path.join(__dirname, '../../eval/dataset.json'), 'utf8'));
+      const relabelled = path.join(tmpDir, 'relabelled.json');
+      dataset.cases.find(c => c.id === 'booking-basic').expected.tickets = 5;
+      fs.writeFileSync(relabelled, JSON.stringify(dataset));
+
+      const [report] = await runEvaluation({ parsers: ['keyword'], dataset: relabelled });
+
+      expect(report.regressions.map(r => r.id)).toEqual(['booking-basic']);
+      expect(formatReport([report])).toContain('booking-basic "book 2 tickets for jazz night": tickets: expected 5, got 2');
+    });
+
+    test('should replay a recording like the model it was recorded from', async () => {
+      const recording = path.join(tmpDir, 'recording.json');
+      const baseline = path.join(tmpDir, 'baseline.json');
+
+      const [recorded] = await runEvaluation({ parsers: ['llm'], record: recording, baseline });
+      updateBaseline([recorded], baseline);
+      const [replayed] = await runEvaluation({ parsers: ['llm'], fixtures: recording, baseline });
+
+      expect(JSON.parse(fs.readFileSync(recording, 'utf8')).completions.length).toBeGreaterThan(0);
+      expect(replayed.results.map(r => r.actual)).toEqual(recorded.results.map(r => r.actual));
+      expect(replayed.regressions).toEqual([]);
+    });
+  });
+});
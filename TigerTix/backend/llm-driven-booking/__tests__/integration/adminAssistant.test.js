@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Admin console against the real admin-service routes and a SQLite database:
+ * requests become proposals with a diff, and nothing changes until the proposal is confirmed.
+ * admin-service's model always opens the shared database, so it is replaced by the same
+ * queries against the scratch database.
+ */
+
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+jest.mock('../../../admin-service/models/adminModel', () => {
+  const sqlite3 = require('sqlite3');
+  const query = (method, sql, params = []) => new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(process.env.TEST_DB_PATH);
+    db[method](sql, params, function (err, row) {
+      db.close();
+      if (err) reject(err);
+      else resolve(method === 'run' ? this : row);
+    });
+  });
+  const getEventById = (id) => query('get', 'SELECT * FROM events WHERE id = ?', [id]);
+
+  return {
+    getEventById,
+    getAllEvents: () => query('all', 'SELECT * FROM events ORDER BY date'),
+    addEvent: async ({ name, date, tickets }) => {
+      const { lastID } = await query('run', 'INSERT INTO events (name, date, tickets) VALUES (?, ?, ?)', [name, date, tickets]);
+      return getEventById(lastID);
+    },
+    updateEventTickets: async (id, tickets) => {
+      await query('run', 'UPDATE events SET tickets = ? WHERE id = ?', [tickets, id]);
+      return getEventById(id);
+    },
+    removeEvent: async (id) => {
+      const { changes } = await query('run', 'DELETE FROM events WHERE id = ?', [id]);
+      if (changes === 0) throw new Error('Event not found');
+      return { message: 'Event removed', id };
+    }
+  };
+});
+
+describe('Admin console', () => {
+  let services;
+  let scratch;
+  let server;
+
+  const readEvent = (id) => scratch.get('SELECT id, name, date, tickets FROM events WHERE id = ?', [id]);
+
+  const ask = (message, userId = 1) =>
+    request(server)
+      .post('/api/llm/admin/parse')
+      .set('Authorization', bearer(userId))
+      .send({ message })
+      .expect(200)
+      .then((res) => res.body);
+
+  const confirm = (confirmationToken, userId = 1) =>
+    request(server)
+      .post('/api/llm/admin/confirm')
+      .set('Authorization', bearer(userId))
+      .send({ confirmationToken });
+
+  beforeAll(async () => {
+    process.env.ADMIN_EMAILS = 'buyer1@example.com,buyer2@example.com';
+    services = await startChatServices('admin-assistant', { service: 'admin', env: { LLM_PROVIDER: 'mock' } });
+    ({ scratch, server } = services);
+  });
+
+  afterAll(async () => {
+    await services.stop();
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Jazz Night', '2099-05-01', 300);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Tiger Football vs Gators', '2099-09-01', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (3, 'Tiger Football vs Dawgs', '2099-09-08', 100);
+    `);
+  });
+
+  test('should propose a new event and create it only once confirmed', async () => {
+    const { message, proposal, source } = await ask('create Homecoming Game on 2026-11-07 with 5000 tickets');
+
+    expect(source).toBe('llm');
+    expect(message).toBe('Create Homecoming Game on 2026-11-07 with 5000 tickets. Confirm to apply this change.');
+    expect(proposal.operation).toEqual({ type: 'createEvent', name: 'Homecoming Game', date: '2026-11-07', tickets: 5000 });
+    expect(proposal.diff).toEqual({
+      before: null,
+      after: { name: 'Homecoming Game', date: '2026-11-07', tickets: 5000 },
+      lines: ['+ Event: Homecoming Game', '+ Date: 2026-11-07', '+ Tickets: 5000']
+    });
+    expect(await scratch.get("SELECT id FROM events WHERE name = 'Homecoming Game'")).toBeUndefined();
+
+    const { body } = await confirm(proposal.confirmationToken).expect(200);
+
+    expect(body.success).toBe(true);
+    expect(body.message).toMatch(/^Created Homecoming Game on 2026-11-07 with 5000 tickets \(ID \d+\)\.$/);
+    expect(await readEvent(body.result.event.id)).toEqual(expect.objectContaining({ name: 'Homecoming Game', tickets: 5000 }));
+  });
+
+  test('should add tickets to an existing event and show the change', async () => {
+    const { proposal } = await ask('add 200 tickets to the jazz night');
+
+    expect(proposal.operation).toEqual({ type: 'updateTickets', eventId: 1, eventName: 'Jazz Night', before: 300, after: 500 });
+    expect(proposal.summary).toBe('Change tickets for Jazz Night from 300 to 500 (+200)');
+    expect(proposal.diff.lines).toEqual(['  Event: Jazz Night (ID 1)', '- Tickets: 300', '+ Tickets: 500']);
+    expect((await readEvent(1)).tickets).toBe(300);
+
+    const { body } = await confirm(proposal.confirmationToken).expect(200);
+
+    expect(body.message).toBe('Jazz Night now has 500 tickets.');
+    expect((await readEvent(1)).tickets).toBe(500);
+  });
+
+  test('should delete an event once confirmed', async () => {
+    const { proposal } = await ask('delete the jazz night');
+
+    expect(proposal.diff).toEqual(expect.objectContaining({ after: null }));
+    expect(proposal.diff.before).toEqual({ id: 1, name: 'Jazz Night', date: '2099-05-01', tickets: 300 });
+
+    await confirm(proposal.confirmationToken).expect(200);
+
+    expect(await readEvent(1)).toBeUndefined();
+  });
+
+  test('should apply a proposal only once', async () => {
+    const { proposal } = await ask('add 200 tickets to jazz night');
+    await confirm(proposal.confirmationToken).expect(200);
+
+    const { body } = await confirm(proposal.confirmationToken).expect(409);
+
+    expect(body.error).toBe('This change has already been confirmed');
+    expect((await readEvent(1)).tickets).toBe(500);
+  });
+
+  test('should refuse a proposal the event has moved on from', async () => {
+    const { proposal } = await ask('add 200 tickets to jazz night');
+    await scratch.exec('UPDATE events SET tickets = 280 WHERE id = 1');
+
+    const { body } = await confirm(proposal.confirmationToken).expect(409);
+
+    expect(body.error).toBe('Jazz Night now has 280 tickets, not 300. Nothing was changed; please ask the console again.');
+    expect((await readEvent(1)).tickets).toBe(280);
+    expect(await scratch.get('SELECT status FROM pending_admin_operations')).toEqual({ status: 'failed' });
+  });
+
+  test('should not confirm another admin\'s proposal', async () => {
+    const { proposal } = await ask('delete jazz night', 1);
+
+    await confirm(proposal.confirmationToken, 2).expect(403);
+    await confirm('not-a-token').expect(403);
+
+    expect(await readEvent(1)).toBeDefined();
+  });
+
+  test('should ask which event when the name fits several', async () => {
+    const { proposal, message, candidates } = await ask('delete the tiger game');
+
+    expect(proposal).toBeNull();
+    expect(message).toBe('Which event did you mean: Tiger Football vs Gators (2099-09-01) or Tiger Football vs Dawgs (2099-09-08)?');
+    expect(candidates.map(c => c.id)).toEqual([2, 3]);
+  });
+
+  test('should not propose removing more tickets than the event has', async () => {
+    const { proposal, message } = await ask('remove 400 tickets from jazz night');
+
+    expect(proposal).toBeNull();
+    expect(message).toBe("Jazz Night only has 300 tickets, so I can't remove 400.");
+  });
+
+  test('should record usage under the proposed operation', async () => {
+    await ask('set tickets for jazz night to 250');
+
+    expect(await scratch.get('SELECT user_id, intent, source FROM llm_usage')).toEqual({
+      user_id: 1,
+      intent: 'admin_update_tickets',
+      source: 'llm'
+    });
+  });
+
+  test('should be for admins only', async () => {
+    await request(server).post('/api/llm/admin/parse').send({ message: 'delete jazz night' }).expect(401);
+    await request(server)
+      .post('/api/llm/admin/parse')
+      .set('Authorization', bearer(7))
+      .send({ message: 'delete jazz night' })
+      .expect(403);
+    await confirm('not-a-token', 7).expect(403);
+  });
+
+  test('should reject a missing message', async () => {
+    const { body } = await request(server)
+      .post('/api/llm/admin/parse')
+      .set('Authorization', bearer(1))
+      .send({})
+      .expect(400);
+
+    expect(body).toEqual({ success: false, error: 'Message is required and must be a non-empty string' });
+  });
+});
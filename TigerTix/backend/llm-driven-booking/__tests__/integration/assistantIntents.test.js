@@ -0,0 +1,265 @@
+/**
+ * @fileoverview Booking questions, cancellations and event questions against a real client service
+ * and SQLite database, parsed by the keyword parser. Users only ever see and cancel their own orders.
+ */
+
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+describe('Assistant intents', () => {
+  let services;
+  let scratch;
+  let server;
+
+  const say = (message, userId = 7) => {
+    const req = request(server).post('/api/llm/parse');
+    if (userId) req.set('Authorization', bearer(userId));
+    return req.send({ message, conversationId: 'intents' }).expect(200).then((res) => res.body);
+  };
+
+  const buy = (eventId, quantity, userId = 7) =>
+    request(server)
+      .post(`/api/events/${eventId}/purchase`)
+      .set('Authorization', bearer(userId))
+      .send({ quantity })
+      .expect(200)
+      .then((res) => res.body.order.id);
+
+  const confirmCancellation = (body, userId = 7) =>
+    request(server)
+      .post('/api/llm/confirm-cancellation')
+      .set('Authorization', bearer(userId))
+      .send({ conversationId: 'intents', ...body });
+
+  const readTickets = async (id) => (await scratch.get('SELECT tickets FROM events WHERE id = ?', [id])).tickets;
+
+  beforeAll(async () => {
+    services = await startChatServices('assistant-intents');
+    ({ scratch, server } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  describe('my bookings', () => {
+    test('should list only the user\'s active bookings', async () => {
+      const jazz = await buy(2, 2);
+      const homecoming = await buy(1, 1);
+      const someoneElses = await buy(2, 3, 8);
+
+      const { parsed, response } = await say('what tickets do I have?');
+
+      expect(parsed.intent).toBe('my_bookings');
+      expect(response.message).toContain(`Order #${jazz}: 2 tickets for Jazz Night - 2099-05-01`);
+      expect(response.message).toContain(`Order #${homecoming}: 1 ticket for Homecoming Game - 2099-11-07`);
+      expect(response.message).not.toContain(`#${someoneElses}`);
+    });
+
+    test('should say so when the user has no bookings', async () => {
+      const { response } = await say('show my bookings');
+
+      expect(response.message).toContain("You don't have any bookings yet");
+      expect(response.actions).toEqual(['show_events']);
+    });
+
+    test('should ask anonymous users to log in', async () => {
+      const { parsed, response } = await say('what tickets do I have?', null);
+
+      expect(parsed.intent).toBe('my_bookings');
+      expect(response.message).toBe('Please log in so I can look up your bookings.');
+    });
+  });
+
+  describe('cancelling a booking', () => {
+    test('should propose the cancellation and refund only once confirmed', async () => {
+      const orderId = await buy(2, 2);
+
+      const { parsed, response } = await say('cancel my tickets for the jazz night');
+
+      expect(parsed).toEqual(expect.objectContaining({ intent: 'cancel_booking', eventId: 2 }));
+      expect(response.requiresConfirmation).toBe(true);
+      expect(response.cancellationData).toEqual({
+        orderId,
+        eventName: 'Jazz Night',
+        tickets: 2,
+        date: '2099-05-01',
+        confirmationToken: expect.any(String),
+        expiresAt: expect.any(String)
+      });
+      expect(await readTickets(2)).toBe(38);
+
+      const { confirmationToken } = response.cancellationData;
+      const confirmed = await confirmCancellation({ orderId, confirmationToken }).expect(200);
+
+      expect(confirmed.body).toEqual({ orderId, eventName: 'Jazz Night', tickets: 2 });
+      expect(await readTickets(2)).toBe(40);
+      expect((await scratch.get('SELECT status FROM orders WHERE id = ?', [orderId])).status).toBe('refunded');
+
+      const history = await scratch.all('SELECT content FROM chat_messages ORDER BY id');
+      expect(history[history.length - 1].content).toBe(`Cancelled order #${orderId} for Jazz Night; 2 tickets were refunded.`);
+    });
+
+    test('should ask which booking when several match, then take an order number', async () => {
+      const first = await buy(2, 1);
+      const second = await buy(2, 3);
+
+      const { response } = await say('cancel my jazz night booking');
+
+      expect(response.requiresConfirmation).toBe(false);
+      expect(response.message).toContain(`Order #${first}`);
+      expect(response.message).toContain(`Order #${second}`);
+
+      const { parsed, response: proposal } = await say(`cancel order #${second}`);
+
+      expect(parsed.orderId).toBe(second);
+      expect(proposal.cancellationData).toEqual(expect.objectContaining({ orderId: second, tickets: 3 }));
+    });
+
+    test('should not offer or cancel other users\' orders', async () => {
+      const someoneElses = await buy(2, 3, 8);
+
+      const { response } = await say('cancel my tickets for jazz night');
+      expect(response.message).toBe("You don't have any bookings to cancel.");
+
+      const { response: theirProposal } = await say('cancel my tickets for jazz night', 8);
+      const refused = await confirmCancellation({
+        orderId: someoneElses,
+        confirmationToken: theirProposal.cancellationData.confirmationToken
+      }).expect(403);
+
+      expect(refused.body.error).toBe('This cancellation could not be verified. Please ask the assistant again.');
+      expect(await readTickets(2)).toBe(37);
+    });
+
+    test('should only cancel the order the assistant proposed, in its conversation', async () => {
+      const proposed = await buy(1, 2);
+      const other = await buy(2, 3);
+      const { response } = await say('cancel my homecoming tickets');
+      const { confirmationToken } = response.cancellationData;
+
+      await confirmCancellation({ orderId: other, confirmationToken }).expect(403);
+      await confirmCancellation({ orderId: proposed, confirmationToken, conversationId: 'another-chat' }).expect(403);
+      await confirmCancellation({ orderId: proposed }).expect(403);
+
+      expect(await readTickets(1)).toBe(98);
+      expect(await readTickets(2)).toBe(37);
+    });
+
+    test('should refuse an expired cancellation offer', async () => {
+      const { createCancellationToken } = require('../../models/pendingBookingModel');
+      const orderId = await buy(1, 2);
+      const { token } = createCancellationToken({
+        userId: 7,
+        conversationId: 'intents',
+        orderId,
+        now: new Date(Date.now() - 10 * 60 * 1000)
+      });
+
+      const expired = await confirmCancellation({ orderId, confirmationToken: token }).expect(410);
+
+      expect(expired.body.error).toBe('This cancellation offer has expired. Please ask the assistant again.');
+      expect(await readTickets(1)).toBe(98);
+    });
+
+    test('should refuse to cancel the same order twice', async () => {
+      const orderId = await buy(1, 2);
+      const { response } = await say('cancel my homecoming tickets');
+      const cancel = () => confirmCancellation({ orderId, confirmationToken: response.cancellationData.confirmationToken });
+
+      await cancel().expect(200);
+      const again = await cancel().expect(409);
+
+      expect(again.body.error).toBe('This booking has already been cancelled');
+      expect(await readTickets(1)).toBe(100);
+    });
+  });
+
+  describe('dates', () => {
+    test('should list only the events on the dates asked about', async () => {
+      const { parsed, response } = await say('anything on in November 2099?');
+
+      expect(parsed).toEqual(expect.objectContaining({
+        intent: 'show_events',
+        dateRange: { start: '2099-11-01', end: '2099-11-30', label: 'November 2099' }
+      }));
+      expect(response.message).toContain('Here are the events with tickets for November 2099 (2099-11-01 to 2099-11-30)');
+      expect(response.message).toContain('Homecoming Game - 2099-11-07');
+      expect(response.message).not.toContain('Jazz Night');
+    });
+
+    test('should say so when nothing is on those dates', async () => {
+      const { response } = await say("what's on 2099-12-25?");
+
+      expect(response.message).toBe("I couldn't find any events with tickets for 2099-12-25 (2099-12-25). Would you like to see all available events?");
+      expect(response.actions).toEqual(['show_events']);
+    });
+
+    test('should book the only event on a date without reading the day as a quantity', async () => {
+      const { parsed, response } = await say('book 2 tickets for november 7 2099');
+
+      expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 1, tickets: 2 }));
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 1, tickets: 2 }));
+    });
+
+    test('should not read "tonight" as Jazz Night', async () => {
+      const { parsed } = await say('what is on tonight?');
+
+      expect(parsed.intent).toBe('show_events');
+      expect(parsed.eventId).toBeNull();
+    });
+  });
+
+  describe('similar event names', () => {
+    beforeEach(async () => {
+      await scratch.exec(`
+        INSERT INTO events (id, name, date, tickets) VALUES (3, 'Tiger Football Game', '2099-09-12', 60);
+        INSERT INTO events (id, name, date, tickets) VALUES (4, 'Tiger Basketball Game', '2099-12-02', 30);
+      `);
+    });
+
+    test('should ask which event was meant, then book the one chosen', async () => {
+      const { parsed, response } = await say('book 2 tickets for the tiger game');
+
+      expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: null, tickets: 2 }));
+      expect(response.message).toBe('Did you mean Tiger Football Game (2099-09-12) or Tiger Basketball Game (2099-12-02)?');
+      expect(response).not.toHaveProperty('bookingData');
+
+      const choice = response.choices.find(c => c.eventId === 4);
+      const { response: proposal } = await say(choice.message);
+
+      expect(proposal.bookingData).toEqual(expect.objectContaining({ eventId: 4, eventName: 'Tiger Basketball Game', tickets: 2 }));
+    });
+
+    test('should pick the event the words fit best, typos included', async () => {
+      const football = await say('book 2 tickets for tiger footbal');
+      const homecoming = await say('when is the homcoming game?');
+
+      expect(football.parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 3 }));
+      expect(homecoming.parsed).toEqual(expect.objectContaining({ intent: 'event_info', eventId: 1 }));
+    });
+
+    test('should ask about an event question that fits several events', async () => {
+      const { parsed, response } = await say('when is the tiger game?');
+
+      expect(parsed.intent).toBe('event_info');
+      expect(response.choices.map(c => c.message)).toEqual(['When is Tiger Football Game?', 'When is Tiger Basketball Game?']);
+    });
+  });
+
+  describe('event questions', () => {
+    test('should answer when an event is and how many tickets are left', async () => {
+      const { parsed, response } = await say('when is the homecoming game?');
+
+      expect(parsed).toEqual(expect.objectContaining({ intent: 'event_info', eventId: 1 }));
+      expect(response.message).toContain('Homecoming Game is on 2099-11-07');
+      expect(response.message).toContain('100 tickets available');
+      expect(response).not.toHaveProperty('bookingData');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Chat bookings against a real client service and SQLite database.
+ * Every booking must land whole or not at all.
+ */
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+
+jest.mock('../../../user-authentication/models/userModel', () => ({
+  findById: jest.fn((id) => Promise.resolve({ id, email: `buyer${id}@example.com`, first_name: 'Test', last_name: 'Buyer' }))
+}));
+
+const { JWT_SECRET } = require('../../../middleware/authenticate');
+
+const tokenFor = (userId) => jwt.sign({ userId }, JWT_SECRET);
+
+describe('Atomic chat bookings', () => {
+  let scratch;
+  let server;
+  let holdTicketsFromClient;
+  let checkoutHoldFromClient;
+  let releaseHoldFromClient;
+
+  const readTickets = async (id) => (await scratch.get('SELECT tickets FROM events WHERE id = ?', [id])).tickets;
+  const readOrders = () => scratch.all(
+    'SELECT o.user_id, oi.event_id, oi.quantity FROM orders o JOIN order_items oi ON oi.order_id = o.id ORDER BY o.id'
+  );
+
+  // What a confirmed chat booking does: hold when proposed, check out when confirmed
+  const book = async (eventId, quantity, userId, idempotencyKey) => {
+    const { hold } = await holdTicketsFromClient(eventId, quantity, tokenFor(userId));
+    return checkoutHoldFromClient(hold.id, tokenFor(userId), idempotencyKey);
+  };
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('atomic-booking');
+    process.env.TEST_DB_PATH = scratch.file;
+
+    let clientRoutes;
+    jest.isolateModules(() => {
+      clientRoutes = require('../../../client-service/routes/clientRoutes');
+    });
+    const app = express();
+    app.use(express.json());
+    app.use('/api', clientRoutes);
+    server = app.listen(0);
+
+    process.env.CLIENT_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+    jest.isolateModules(() => {
+      ({ holdTicketsFromClient, checkoutHoldFromClient, releaseHoldFromClient } = require('../../models/llmModel'));
+    });
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+    delete process.env.CLIENT_SERVICE_URL;
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM holds;
+      DELETE FROM tickets;
+      DELETE FROM idempotency_keys;
+      DELETE FROM order_items;
+      DELETE FROM orders;
+      DELETE FROM events;
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 100);
+    `);
+  });
+
+  test('should book every ticket in a single order', async () => {
+    const result = await book(1, 5, 7);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, ticketsBooked: 5 }));
+    expect(result.event).toHaveProperty('tickets', 95);
+    expect(await readTickets(1)).toBe(95);
+    expect(await readOrders()).toEqual([{ user_id: 7, event_id: 1, quantity: 5 }]);
+  });
+
+  test('should hold nothing when fewer tickets remain than requested', async () => {
+    await scratch.exec('UPDATE events SET tickets = 3 WHERE id = 1');
+
+    await expect(holdTicketsFromClient(1, 5, tokenFor(7))).rejects.toMatchObject({
+      message: 'Not enough tickets available',
+      availableTickets: 3
+    });
+
+    const { count } = await scratch.get('SELECT COUNT(*) AS count FROM holds');
+    expect(count).toBe(0);
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test('should leave a losing buyer with nothing when two bookings race', async () => {
+    await scratch.exec('UPDATE events SET tickets = 6 WHERE id = 1');
+
+    const results = await Promise.allSettled([book(1, 4, 7), book(1, 4, 8)]);
+
+    const booked = results.filter(r => r.status === 'fulfilled');
+    const refused = results.filter(r => r.status === 'rejected');
+    expect(booked).toHaveLength(1);
+    expect(refused).toHaveLength(1);
+    expect(refused[0].reason.message).toBe('Not enough tickets available');
+    expect(await readTickets(1)).toBe(2);
+    expect(await readOrders()).toEqual([expect.objectContaining({ quantity: 4 })]);
+  });
+
+  test('should keep held tickets from other buyers until the hold is released', async () => {
+    await scratch.exec('UPDATE events SET tickets = 4 WHERE id = 1');
+
+    const { hold } = await holdTicketsFromClient(1, 4, tokenFor(7));
+    await expect(holdTicketsFromClient(1, 1, tokenFor(8))).rejects.toMatchObject({ availableTickets: 0 });
+
+    await releaseHoldFromClient(hold.id, tokenFor(7));
+    await expect(book(1, 4, 8)).resolves.toEqual(expect.objectContaining({ ticketsBooked: 4 }));
+  });
+
+  test('should report a missing event without booking', async () => {
+    await expect(holdTicketsFromClient(99, 2, tokenFor(7))).rejects.toThrow('Event not found');
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test('should refuse to check out an expired hold', async () => {
+    const { hold } = await holdTicketsFromClient(1, 2, tokenFor(7));
+    await scratch.exec("UPDATE holds SET expires_at = '2000-01-01 00:00:00'");
+
+    await expect(checkoutHoldFromClient(hold.id, tokenFor(7))).rejects.toThrow('Hold expired');
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test("should not check out or release another user's hold", async () => {
+    const { hold } = await holdTicketsFromClient(1, 2, tokenFor(7));
+
+    await expect(checkoutHoldFromClient(hold.id, tokenFor(8))).rejects.toThrow('Hold not found');
+    await expect(releaseHoldFromClient(hold.id, tokenFor(8))).rejects.toThrow('Hold not found');
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test('should not book twice when a booking is retried with the same key', async () => {
+    const { hold } = await holdTicketsFromClient(1, 2, tokenFor(7));
+    const first = await checkoutHoldFromClient(hold.id, tokenFor(7), 'chat-retry');
+    const retry = await checkoutHoldFromClient(hold.id, tokenFor(7), 'chat-retry');
+
+    expect(retry.order.id).toBe(first.order.id);
+    expect(await readTickets(1)).toBe(98);
+    expect(await readOrders()).toHaveLength(1);
+  });
+
+  test('should report a hold that was already checked out', async () => {
+    const { hold } = await holdTicketsFromClient(1, 2, tokenFor(7));
+    await checkoutHoldFromClient(hold.id, tokenFor(7));
+
+    await expect(checkoutHoldFromClient(hold.id, tokenFor(7))).rejects.toThrow('Hold already checked out');
+    await expect(releaseHoldFromClient(hold.id, tokenFor(7))).rejects.toThrow('Hold already checked out');
+    expect(await readOrders()).toHaveLength(1);
+  });
+
+  test('should fail cleanly when client service is unreachable', async () => {
+    let unreachable;
+    process.env.CLIENT_SERVICE_URL = 'http://127.0.0.1:1';
+    jest.isolateModules(() => {
+      unreachable = require('../../models/llmModel');
+    });
+    process.env.CLIENT_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+
+    await expect(unreachable.holdTicketsFromClient(1, 2, tokenFor(7))).rejects.toThrow(/^Failed to hold tickets/);
+    await expect(unreachable.checkoutHoldFromClient(1, tokenFor(7))).rejects.toThrow(/^Failed to purchase tickets/);
+    expect(await readTickets(1)).toBe(100);
+  });
+});
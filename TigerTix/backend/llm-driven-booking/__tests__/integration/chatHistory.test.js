@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Persistent chat history against a real client service and SQLite database
+ */
+
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+describe('Persistent chat history', () => {
+  let services;
+  let server;
+
+  const say = (userId, conversationId, message) =>
+    request(server)
+      .post('/api/llm/parse')
+      .set('Authorization', bearer(userId))
+      .send({ message, conversationId })
+      .expect(200)
+      .then((res) => res.body.response);
+
+  const history = (userId, query = {}) =>
+    request(server)
+      .get('/api/llm/chat-history')
+      .set('Authorization', bearer(userId))
+      .query(query)
+      .expect(200)
+      .then((res) => res.body);
+
+  beforeAll(async () => {
+    services = await startChatServices('chat-history');
+    ({ server } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  test('should store the exchange, the proposal and the booking outcome in order', async () => {
+    const { bookingData } = await say(7, 'chat-a', 'book 2 tickets for jazz night');
+    await request(server)
+      .post('/api/llm/confirm-booking')
+      .set('Authorization', bearer(7))
+      .send({ confirmationToken: bookingData.confirmationToken, conversationId: 'chat-a' })
+      .expect(200);
+
+    const body = await history(7, { conversationId: 'chat-a' });
+
+    expect(body.conversationId).toBe('chat-a');
+    expect(body.messages.map(m => m.role)).toEqual(['user', 'assistant', 'assistant']);
+    expect(body.messages[0]).toEqual(expect.objectContaining({ content: 'book 2 tickets for jazz night', booking: null }));
+    expect(body.messages[1]).toEqual(expect.objectContaining({
+      intent: 'booking',
+      actions: ['confirm_booking'],
+      booking: expect.objectContaining({ status: 'proposed', eventId: 1, tickets: 2 })
+    }));
+    expect(body.messages[1].booking).not.toHaveProperty('confirmationToken');
+    expect(body.messages[2].booking).toEqual(expect.objectContaining({ status: 'confirmed', eventName: 'Jazz Night', tickets: 2 }));
+  });
+
+  test('should page backwards through a long conversation', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await say(7, 'chat-a', `hello ${i}`);
+    }
+
+    const newest = await history(7, { conversationId: 'chat-a', limit: 4 });
+    expect(newest.messages.map(m => m.content)).toEqual([
+      'hello 2', expect.any(String), 'hello 3', expect.any(String)
+    ]);
+    expect(newest.hasMore).toBe(true);
+
+    const older = await history(7, { conversationId: 'chat-a', limit: 4, before: newest.nextBefore });
+    expect(older.messages.map(m => m.content)).toEqual(['hello 1', expect.any(String)]);
+    expect(older.hasMore).toBe(false);
+    expect(older.nextBefore).toBeNull();
+  });
+
+  test('should return the most recently active conversation by default', async () => {
+    await say(7, 'chat-a', 'hello from a');
+    await say(7, 'chat-b', 'hello from b');
+    await say(7, 'chat-a', 'back in a');
+
+    const body = await history(7);
+
+    expect(body.conversationId).toBe('chat-a');
+    expect(body.messages.filter(m => m.role === 'user').map(m => m.content)).toEqual(['hello from a', 'back in a']);
+  });
+
+  test("should keep each user's history separate", async () => {
+    await say(7, 'shared-id', 'hello from 7');
+
+    const other = await history(8, { conversationId: 'shared-id' });
+    expect(other.messages).toEqual([]);
+
+    await say(8, 'shared-id', 'hello from 8');
+    const mine = await history(7, { conversationId: 'shared-id' });
+    expect(mine.messages.filter(m => m.role === 'user').map(m => m.content)).toEqual(['hello from 7']);
+  });
+
+  test('should return an empty history for a new user', async () => {
+    expect(await history(9)).toEqual({
+      success: true,
+      conversationId: null,
+      messages: [],
+      hasMore: false,
+      nextBefore: null
+    });
+  });
+});
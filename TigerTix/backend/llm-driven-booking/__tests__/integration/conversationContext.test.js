@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Multi-turn conversations against a real client service and SQLite database.
+ * Follow-ups and corrections must resolve against earlier turns of the same conversation only.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+// Only used once OPENAI_API_KEY is set; without it the keyword fallback parser answers
+const mockCreateCompletion = jest.fn();
+jest.mock('openai', () => ({
+  OpenAI: jest.fn().mockImplementation(() => ({
+    chat: { completions: { create: mockCreateCompletion } }
+  }))
+}));
+
+describe('Multi-turn conversation context', () => {
+  let services;
+  let app;
+
+  const say = (userId, conversationId, message, target = app) =>
+    request(target)
+      .post('/api/llm/parse')
+      .set('Authorization', bearer(userId))
+      .send({ message, conversationId })
+      .expect(200)
+      .then((res) => res.body);
+
+  beforeAll(async () => {
+    services = await startChatServices('conversation-context');
+    ({ app } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  describe('fallback parser', () => {
+    test('should apply a quantity correction to the event being discussed', async () => {
+      await say(7, 'correction', 'book 2 tickets for jazz night');
+      const { response } = await say(7, 'correction', 'actually make it 4');
+
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 2, eventName: 'Jazz Night', tickets: 4 }));
+    });
+
+    test('should resolve "that one" to the last mentioned event', async () => {
+      await say(7, 'that-one', 'book a ticket for the homecoming game');
+      const { response } = await say(7, 'that-one', 'book 3 for that one');
+
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 1, tickets: 3 }));
+    });
+
+    test('should keep the quantity when the user names the event next', async () => {
+      const first = await say(7, 'which-event', 'book 2 tickets');
+      expect(first.response).not.toHaveProperty('bookingData');
+
+      const { response } = await say(7, 'which-event', 'jazz night');
+
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 2, tickets: 2 }));
+    });
+
+    test('should not carry context across conversations or users', async () => {
+      await say(7, 'first', 'book 2 tickets for jazz night');
+
+      const otherConversation = await say(7, 'second', 'actually make it 4');
+      const otherUser = await say(8, 'first', 'actually make it 4');
+
+      expect(otherConversation.parsed.intent).toBe('unknown');
+      expect(otherUser.parsed.intent).toBe('unknown');
+    });
+
+    test('should keep an anonymous conversation to the browser that started it', async () => {
+      const browser = request.agent(app);
+      const sayAnonymously = (client, message, cookie) => {
+        const req = client.post('/api/llm/parse');
+        if (cookie) req.set('Cookie', cookie);
+        return req.send({ message, conversationId: 'anonymous' }).expect(200).then((res) => res.body);
+      };
+
+      await sayAnonymously(browser, 'book 2 tickets for jazz night');
+      const sameBrowser = await sayAnonymously(browser, 'actually make it 4');
+      const otherBrowser = await sayAnonymously(request(app), 'actually make it 4');
+      const forgedSession = await sayAnonymously(request(app), 'actually make it 4', `chatSession=${'0'.repeat(32)}.${'0'.repeat(32)}`);
+
+      expect(sameBrowser.parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 2, tickets: 4 }));
+      expect(otherBrowser.parsed.intent).toBe('unknown');
+      expect(forgedSession.parsed.intent).toBe('unknown');
+    });
+  });
+
+  describe('LLM prompt', () => {
+    let llmApp;
+
+    beforeAll(() => {
+      process.env.OPENAI_API_KEY = 'test-key';
+      llmApp = express();
+      llmApp.use(express.json());
+      jest.isolateModules(() => {
+        llmApp.use('/api/llm', require('../../routes/llmRoutes'));
+      });
+      delete process.env.OPENAI_API_KEY;
+    });
+
+    const prepareBooking = (args) => ({
+      choices: [{ message: { tool_calls: [{ type: 'function', function: { name: 'prepare_booking', arguments: JSON.stringify(args) } }] } }]
+    });
+
+    test('should send earlier turns and the conversation state to OpenAI', async () => {
+      mockCreateCompletion
+        .mockResolvedValueOnce(prepareBooking({ eventId: 2, tickets: 2 }))
+        .mockResolvedValueOnce(prepareBooking({ eventId: 2, tickets: 4 }));
+
+      await say(7, 'llm', 'book 2 tickets for jazz night', llmApp);
+      const { response } = await say(7, 'llm', 'actually make it 4', llmApp);
+
+      const [{ messages }] = mockCreateCompletion.mock.calls[1];
+      expect(messages[0].role).toBe('system');
+      expect(messages[0].content).toContain('Last mentioned event: "Jazz Night" (ID: 2)');
+      expect(messages[0].content).toContain('Ticket quantity being discussed: 2');
+      expect(messages.slice(1).map(m => m.role)).toEqual(['user', 'assistant', 'user']);
+      expect(messages[1].content).toBe('book 2 tickets for jazz night');
+      expect(messages[3].content).toBe('actually make it 4');
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 2, tickets: 4 }));
+    });
+
+    test('should replay earlier user turns as sanitized for the model', async () => {
+      mockCreateCompletion
+        .mockResolvedValueOnce(prepareBooking({ eventId: 2, tickets: 2 }))
+        .mockResolvedValueOnce(prepareBooking({ eventId: 2, tickets: 4 }));
+
+      await say(7, 'sanitized', `book 2 tickets\u0000for jazz night\u001b[2J ${'!'.repeat(600)}`, llmApp);
+      await say(7, 'sanitized', 'actually make it 4', llmApp);
+
+      const [{ messages }] = mockCreateCompletion.mock.calls[mockCreateCompletion.mock.calls.length - 1];
+      expect(messages[1].content).toMatch(/^book 2 tickets for jazz night \[2J !+$/);
+      expect(messages[1].content).toHaveLength(500);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview LLM providers against a real client service and SQLite database.
+ * The mock provider replays the shipped fixtures through the real prompt, tool call and
+ * validation code; the OpenAI-compatible provider talks to a local stand-in server.
+ */
+
+const request = require('supertest');
+const express = require('express');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+const { createLLMProvider } = require('../../providers');
+
+describe('LLM providers', () => {
+  let services;
+  let app;
+
+  const say = (message, conversationId = 'providers') =>
+    request(app)
+      .post('/api/llm/parse')
+      .set('Authorization', bearer(7))
+      .send({ message, conversationId })
+      .expect(200)
+      .then((res) => res.body);
+
+  beforeAll(async () => {
+    services = await startChatServices('llm-providers', { env: { LLM_PROVIDER: 'mock' } });
+    ({ app } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (11, 'Homecoming Game', '2099-11-07', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (12, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  describe('mock provider', () => {
+    test('should propose a booking through a validated tool call', async () => {
+      const { parsed, response } = await say('book 2 tickets for jazz night', 'mock-booking');
+
+      // The keyword parser reports medium confidence; high means the tool call was used
+      expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 12, tickets: 2, confidence: 'high' }));
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 12, tickets: 2 }));
+    });
+
+    test('should resolve follow-ups from the conversation context in the prompt', async () => {
+      await say('book a ticket for the homecoming game', 'mock-follow-up');
+      const { parsed, response } = await say('actually make it 3', 'mock-follow-up');
+
+      expect(parsed.confidence).toBe('high');
+      expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 11, tickets: 3 }));
+    });
+
+    test('should answer event questions and greetings', async () => {
+      const details = await say('when is the homecoming game?');
+      const greeting = await say('hello');
+
+      expect(details.parsed).toEqual(expect.objectContaining({ intent: 'event_info', eventId: 11 }));
+      expect(greeting.parsed).toEqual(expect.objectContaining({ intent: 'greeting', message: 'Hello! I can help you find events and book tickets.' }));
+    });
+
+    test('should route booking questions and cancellations to their tools', async () => {
+      const bookings = await say('what tickets do I have?', 'mock-bookings');
+      const cancellation = await say('cancel my tickets for jazz night', 'mock-bookings');
+      const byOrder = await say('please cancel order #42', 'mock-bookings');
+
+      expect(bookings.parsed).toEqual(expect.objectContaining({ intent: 'my_bookings', confidence: 'high' }));
+      expect(cancellation.parsed).toEqual(expect.objectContaining({ intent: 'cancel_booking', eventId: 12, confidence: 'high' }));
+      expect(byOrder.parsed).toEqual(expect.objectContaining({ intent: 'cancel_booking', orderId: 42 }));
+    });
+
+    test('should list only the events on the dates asked about', async () => {
+      const { parsed, response } = await say('what is on in May 2099?', 'mock-dates');
+
+      expect(parsed).toEqual(expect.objectContaining({
+        intent: 'show_events',
+        confidence: 'high',
+        dateRange: { start: '2099-05-01', end: '2099-05-31', label: 'May 2099' }
+      }));
+      expect(response.message).toContain('Jazz Night - 2099-05-01');
+      expect(response.message).not.toContain('Homecoming Game');
+    });
+
+    test('should fall back to the keyword parser when a fixture names no known event', async () => {
+      const { parsed } = await say('book 2 tickets for the opera', 'mock-unknown-event');
+
+      expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: null, confidence: 'low' }));
+    });
+  });
+
+  describe('OpenAI-compatible provider', () => {
+    let localModel;
+    let received;
+
+    beforeAll(async () => {
+      // Stands in for a local model server such as Ollama
+      const stub = express();
+      stub.use(express.json());
+      stub.post('/v1/chat/completions', (req, res) => {
+        received = req.body;
+        if (req.body.stream) {
+          const chunk = (delta) => ({ id: 'local-2', object: 'chat.completion.chunk', model: req.body.model, choices: [{ index: 0, delta, finish_reason: null }] });
+          res.set('Content-Type', 'text/event-stream');
+          for (const data of [
+            chunk({ role: 'assistant', tool_calls: [{ index: 0, id: 'call_2', type: 'function', function: { name: 'list_events', arguments: '' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: '{}' } }] })
+          ]) {
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+          }
+          return res.end('data: [DONE]\n\n');
+        }
+        res.json({
+          id: 'local-1',
+          object: 'chat.completion',
+          model: req.body.model,
+          choices: [{
+            index: 0,
+            finish_reason: 'tool_calls',
+            message: {
+              role: 'assistant',
+              content: null,
+              tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'list_events', arguments: '{}' } }]
+            }
+          }],
+          usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 }
+        });
+      });
+      localModel = stub.listen(0);
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => localModel.close(resolve));
+    });
+
+    test('should send requests to the configured endpoint and model', async () => {
+      const provider = createLLMProvider({
+        LLM_PROVIDER: 'openai-compatible',
+        LLM_BASE_URL: `http://127.0.0.1:${localModel.address().port}/v1`,
+        LLM_MODEL: 'llama3.1'
+      });
+
+      const completion = await provider.createChatCompletion({
+        messages: [{ role: 'user', content: 'show events' }],
+        tools: [],
+        tool_choice: 'required'
+      });
+
+      expect(provider.name).toBe('openai-compatible');
+      expect(received).toEqual(expect.objectContaining({ model: 'llama3.1', tool_choice: 'required' }));
+      expect(completion.choices[0].message.tool_calls[0].function.name).toBe('list_events');
+    });
+
+    test('should stream completions from the endpoint', async () => {
+      const provider = createLLMProvider({
+        LLM_PROVIDER: 'openai-compatible',
+        LLM_BASE_URL: `http://127.0.0.1:${localModel.address().port}/v1`
+      });
+
+      const chunks = [];
+      for await (const chunk of await provider.createChatCompletion({ messages: [{ role: 'user', content: 'show events' }], stream: true })) {
+        chunks.push(chunk);
+      }
+
+      expect(received).toEqual(expect.objectContaining({ stream: true }));
+      expect(chunks.map(c => c.choices[0].delta.tool_calls[0].function.arguments)).toEqual(['', '{}']);
+    });
+  });
+
+  describe('configuration', () => {
+    test('should pick OpenAI when only an API key is set, and no provider otherwise', () => {
+      expect(createLLMProvider({ OPENAI_API_KEY: 'sk-test' })).toEqual(expect.objectContaining({ name: 'openai', model: 'gpt-4o-mini' }));
+      expect(createLLMProvider({})).toBeNull();
+      expect(createLLMProvider({ LLM_PROVIDER: 'none', OPENAI_API_KEY: 'sk-test' })).toBeNull();
+    });
+
+    test('should reject incomplete or unknown configuration', () => {
+      expect(() => createLLMProvider({ LLM_PROVIDER: 'openai' })).toThrow('LLM_PROVIDER=openai requires OPENAI_API_KEY');
+      expect(() => createLLMProvider({ LLM_PROVIDER: 'openai-compatible' })).toThrow('requires LLM_BASE_URL');
+      expect(() => createLLMProvider({ LLM_PROVIDER: 'gpt5' })).toThrow('Unknown LLM_PROVIDER "gpt5"');
+      expect(() => createLLMProvider({ LLM_PROVIDER: 'mock', LLM_MOCK_FIXTURES: '/nonexistent.json' })).toThrow();
+    });
+
+    test('should replay completions deterministically', async () => {
+      const ask = (provider) => provider.createChatCompletion({
+        messages: [
+          { role: 'system', content: 'Available events: "Jazz Night" (ID: 12, Available tickets: 40)' },
+          { role: 'user', content: 'book 2 tickets for jazz night' }
+        ]
+      });
+
+      const first = await ask(createLLMProvider({ LLM_PROVIDER: 'mock' }));
+      const second = await ask(createLLMProvider({ LLM_PROVIDER: 'mock' }));
+
+      expect(first).toEqual(second);
+      expect(JSON.parse(first.choices[0].message.tool_calls[0].function.arguments)).toEqual({ eventId: 12, tickets: '2' });
+      expect(first.usage.total_tokens).toBeGreaterThan(0);
+    });
+
+    test('should stream the same completion in chunks', async () => {
+      const provider = createLLMProvider({ LLM_PROVIDER: 'mock' });
+      const request = {
+        messages: [
+          { role: 'system', content: 'Available events: "Jazz Night" (ID: 12, Available tickets: 40)' },
+          { role: 'user', content: 'book 2 tickets for jazz night' }
+        ]
+      };
+
+      const completion = await provider.createChatCompletion(request);
+      const chunks = [];
+      for await (const chunk of await provider.createChatCompletion({ ...request, stream: true, stream_options: { include_usage: true } })) {
+        chunks.push(chunk);
+      }
+      const pieces = chunks.flatMap(c => c.choices[0]?.delta.tool_calls || []).map(call => call.function.arguments);
+
+      expect(pieces.length).toBeGreaterThan(2);
+      expect(pieces.join('')).toBe(completion.choices[0].message.tool_calls[0].function.arguments);
+      expect(chunks[chunks.length - 1]).toEqual(expect.objectContaining({ choices: [], usage: completion.usage }));
+    });
+
+    test('should only keep the latest requests', async () => {
+      const { MAX_RECORDED_REQUESTS } = require('../../providers/mockProvider');
+      const provider = createLLMProvider({ LLM_PROVIDER: 'mock' });
+
+      for (let i = 0; i <= MAX_RECORDED_REQUESTS; i++) {
+        await provider.createChatCompletion({ messages: [{ role: 'user', content: `hello ${i}` }] });
+      }
+
+      expect(provider.requests).toHaveLength(MAX_RECORDED_REQUESTS);
+      expect(provider.requests[0].messages[0].content).toBe('hello 1');
+    });
+  });
+});
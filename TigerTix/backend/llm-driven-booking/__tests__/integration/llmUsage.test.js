@@ -0,0 +1,187 @@
+/**
+ * @fileoverview LLM usage accounting against a real client service and SQLite database: every
+ * chat request is stored with its tokens, latency and cost, the keyword parser takes over once
+ * the daily budget is spent, and admins get the usage report.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+// Every completion reports the same usage, so costs are exact: 1000 * $100/M + 100 * $1000/M = $0.20
+const FIXTURES = {
+  completions: [
+    {
+      match: 'broken',
+      tool: 'prepare_booking',
+      arguments: { eventId: 'not a number' },
+      usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    },
+    {
+      match: '^show',
+      tool: 'list_events',
+      arguments: {},
+      usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    },
+    {
+      tool: 'prepare_booking',
+      arguments: { eventId: '$eventId:jazz night', tickets: 2 },
+      usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 }
+    }
+  ]
+};
+
+describe('LLM usage accounting', () => {
+  const env = {
+    LLM_PROVIDER: 'mock',
+    LLM_MODEL: 'mock-priced',
+    LLM_PROMPT_PRICE_PER_MILLION: '100',
+    LLM_COMPLETION_PRICE_PER_MILLION: '1000',
+    LLM_DAILY_BUDGET_USD: '0.3'
+  };
+  let services;
+  let scratch;
+  let app;
+  let tmpDir;
+
+  const say = (message, userId = 7) => {
+    const req = request(app).post('/api/llm/parse');
+    if (userId) req.set('Authorization', bearer(userId));
+    return req.send({ message, conversationId: `usage-${message}` }).expect(200).then((res) => res.body);
+  };
+  const usageRows = () => scratch.all('SELECT * FROM llm_usage ORDER BY id');
+
+  beforeAll(async () => {
+    process.env.ADMIN_EMAILS = 'buyer1@example.com';
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tigertix-usage-'));
+    const fixturePath = path.join(tmpDir, 'fixtures.json');
+    fs.writeFileSync(fixturePath, JSON.stringify(FIXTURES));
+    services = await startChatServices('llm-usage', { env: { ...env, LLM_MOCK_FIXTURES: fixturePath } });
+    ({ scratch, app } = services);
+  });
+
+  afterAll(async () => {
+    await services.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.ADMIN_EMAILS;
+  });
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (12, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  test('should store tokens, latency, model and cost for each request', async () => {
+    const { parsed } = await say('book 2 tickets for jazz night');
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 12 }));
+
+    const [row] = await usageRows();
+    expect(row).toEqual(expect.objectContaining({
+      user_id: 7,
+      provider: 'mock',
+      model: 'mock-priced',
+      intent: 'booking',
+      source: 'llm',
+      fallback_reason: null,
+      prompt_tokens: 1000,
+      completion_tokens: 100
+    }));
+    expect(row.cost_usd).toBeCloseTo(0.2);
+    expect(row.latency_ms).toBeGreaterThanOrEqual(0);
+    expect(row.request_id).toEqual(expect.any(String));
+  });
+
+  test('should count the tokens of a tool call that was rejected', async () => {
+    await say('broken request', null);
+
+    const [row] = await usageRows();
+    expect(row).toEqual(expect.objectContaining({
+      user_id: null,
+      source: 'fallback',
+      fallback_reason: 'invalid_tool_call',
+      prompt_tokens: 1000
+    }));
+    expect(row.cost_usd).toBeCloseTo(0.2);
+  });
+
+  test('should switch to the keyword parser once the daily budget is spent', async () => {
+    await say('book 2 tickets for jazz night');
+    await say('show events');
+    // $0.40 spent of $0.30; the keyword parser still answers
+    const { parsed, response } = await say('book 3 tickets for jazz night');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 12, tickets: 3 }));
+    expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 12, tickets: 3 }));
+
+    const rows = await usageRows();
+    expect(rows.map(r => [r.source, r.fallback_reason])).toEqual([
+      ['llm', null],
+      ['llm', null],
+      ['fallback', 'budget_exhausted']
+    ]);
+    expect(rows[2]).toEqual(expect.objectContaining({ prompt_tokens: 0, completion_tokens: 0, cost_usd: 0 }));
+  });
+
+  describe('GET /api/llm/usage', () => {
+    test('should report usage by day and by intent with the budget', async () => {
+      await say('book 2 tickets for jazz night');
+      await say('show events');
+      await say('hello there');
+      const today = new Date().toISOString().slice(0, 10);
+
+      const { body } = await request(app)
+        .get('/api/llm/usage')
+        .set('Authorization', bearer(1))
+        .expect(200);
+
+      expect(body.success).toBe(true);
+      expect(body.to).toBe(today);
+      expect(body.totals).toEqual(expect.objectContaining({
+        requests: 3,
+        llmRequests: 2,
+        fallbacks: 1,
+        promptTokens: 2000,
+        completionTokens: 200
+      }));
+      expect(body.totals.costUsd).toBeCloseTo(0.4);
+      expect(body.byDay).toEqual([expect.objectContaining({ day: today, requests: 3 })]);
+      expect(body.byIntent.map(i => [i.intent, i.requests])).toEqual([['booking', 1], ['greeting', 1], ['show_events', 1]]);
+      expect(body.fallbackReasons).toEqual({ budget_exhausted: 1 });
+      expect(body.budget).toEqual(expect.objectContaining({ dailyUsd: 0.3, remainingUsd: 0, exhausted: true }));
+      expect(body.budget.spentTodayUsd).toBeCloseTo(0.4);
+    });
+
+    test('should only count the requested dates', async () => {
+      await say('book 2 tickets for jazz night');
+
+      const { body } = await request(app)
+        .get('/api/llm/usage?from=2000-01-01&to=2000-01-31')
+        .set('Authorization', bearer(1))
+        .expect(200);
+
+      expect(body).toEqual(expect.objectContaining({ from: '2000-01-01', to: '2000-01-31', byDay: [], byIntent: [] }));
+      expect(body.totals).toEqual(expect.objectContaining({ requests: 0, costUsd: 0, avgLatencyMs: null }));
+    });
+
+    test('should be for admins only', async () => {
+      await request(app).get('/api/llm/usage').expect(401);
+      await request(app).get('/api/llm/usage').set('Authorization', bearer(7)).expect(403);
+    });
+
+    test.each([
+      ['from=yesterday', 'from and to must be dates (YYYY-MM-DD)'],
+      ['to=2026-02-30', 'from and to must be dates (YYYY-MM-DD)'],
+      ['from=2026-03-02&to=2026-03-01', 'from must not be after to']
+    ])('should reject ?%s', async (query, error) => {
+      const { body } = await request(app)
+        .get(`/api/llm/usage?${query}`)
+        .set('Authorization', bearer(1))
+        .expect(400);
+
+      expect(body).toEqual({ success: false, error });
+    });
+  });
+});
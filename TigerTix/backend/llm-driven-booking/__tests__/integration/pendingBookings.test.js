@@ -0,0 +1,200 @@
+/**
+ * @fileoverview Chat booking confirmation tokens against a real client service and SQLite database.
+ * Confirm must only ever book what /parse proposed to the same user in the same conversation.
+ */
+
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+describe('Chat booking confirmation tokens', () => {
+  let services;
+  let scratch;
+  let server;
+
+  const readTickets = async (id) => (await scratch.get('SELECT tickets FROM events WHERE id = ?', [id])).tickets;
+  const readOrders = () => scratch.all(
+    'SELECT o.user_id, oi.event_id, oi.quantity FROM orders o JOIN order_items oi ON oi.order_id = o.id ORDER BY o.id'
+  );
+
+  const propose = (userId, conversationId, message = 'book 2 tickets for jazz night') =>
+    request(server)
+      .post('/api/llm/parse')
+      .set('Authorization', bearer(userId))
+      .send({ message, conversationId })
+      .expect(200)
+      .then((res) => res.body.response.bookingData);
+
+  const confirm = (userId, body) =>
+    request(server)
+      .post('/api/llm/confirm-booking')
+      .set('Authorization', bearer(userId))
+      .send(body);
+
+  const decline = (userId, body) =>
+    request(server)
+      .post('/api/llm/decline-booking')
+      .set('Authorization', bearer(userId))
+      .send(body);
+
+  const readHolds = () => scratch.all('SELECT user_id, event_id, quantity, status FROM holds ORDER BY id');
+
+  beforeAll(async () => {
+    services = await startChatServices('pending-bookings');
+    ({ scratch, server } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  test('should book the proposed event even when the confirm body is tampered with', async () => {
+    const bookingData = await propose(7, 'chat-a');
+    expect(bookingData).toEqual(expect.objectContaining({ eventId: 2, tickets: 2 }));
+    expect(bookingData.confirmationToken).toEqual(expect.any(String));
+
+    const response = await confirm(7, {
+      confirmationToken: bookingData.confirmationToken,
+      conversationId: 'chat-a',
+      eventId: 1,
+      tickets: 90
+    }).expect(200);
+
+    expect(response.body).toEqual(expect.objectContaining({ event: 'Jazz Night', tickets: 2 }));
+    expect(await readOrders()).toEqual([{ user_id: 7, event_id: 2, quantity: 2 }]);
+    expect(await readTickets(1)).toBe(100);
+  });
+
+  test('should reject forged tokens', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+    const forged = `${confirmationToken.slice(0, -1)}${confirmationToken.endsWith('0') ? '1' : '0'}`;
+
+    await confirm(7, { confirmationToken: forged, conversationId: 'chat-a' }).expect(403);
+    await confirm(7, { confirmationToken: 'not-a-token', conversationId: 'chat-a' }).expect(403);
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test("should reject another user's token or a token from another conversation", async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+
+    await confirm(8, { confirmationToken, conversationId: 'chat-a' }).expect(403);
+    await confirm(7, { confirmationToken, conversationId: 'chat-b' }).expect(403);
+    expect(await readOrders()).toEqual([]);
+
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(200);
+  });
+
+  test('should confirm a token only once', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+
+    const responses = await Promise.all([
+      confirm(7, { confirmationToken, conversationId: 'chat-a' }),
+      confirm(7, { confirmationToken, conversationId: 'chat-a' })
+    ]);
+
+    expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+    expect(await readOrders()).toHaveLength(1);
+  });
+
+  test('should reject an expired token', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+    await scratch.exec("UPDATE pending_bookings SET expires_at = '2000-01-01 00:00:00'");
+
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(410);
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test('should only honour the latest proposal in a conversation', async () => {
+    const first = await propose(7, 'chat-a');
+    const second = await propose(7, 'chat-a', 'book 1 ticket for homecoming game');
+
+    await confirm(7, { confirmationToken: first.confirmationToken, conversationId: 'chat-a' }).expect(410);
+    await confirm(7, { confirmationToken: second.confirmationToken, conversationId: 'chat-a' }).expect(200);
+    expect(await readOrders()).toEqual([{ user_id: 7, event_id: 1, quantity: 1 }]);
+  });
+
+  test('should close a proposal that client service refuses', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+    await scratch.exec('UPDATE events SET tickets = 1 WHERE id = 2');
+
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(409);
+    // A refused proposal is closed; the user has to ask again
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(410);
+  });
+
+  test('should hold the proposed tickets until the booking is confirmed', async () => {
+    const { confirmationToken, expiresAt } = await propose(7, 'chat-a');
+
+    expect(await readHolds()).toEqual([{ user_id: 7, event_id: 2, quantity: 2, status: 'active' }]);
+    const { expires_at: holdExpiresAt } = await scratch.get('SELECT expires_at FROM holds');
+    expect(expiresAt).toBe(holdExpiresAt);
+
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(200);
+    expect(await readHolds()).toEqual([expect.objectContaining({ status: 'converted' })]);
+    expect(await readTickets(2)).toBe(38);
+  });
+
+  test('should keep held tickets from another buyer', async () => {
+    await scratch.exec('UPDATE events SET tickets = 2 WHERE id = 2');
+    const { confirmationToken } = await propose(7, 'chat-a');
+
+    const other = await propose(8, 'chat-b');
+    expect(other).toBeUndefined();
+
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(200);
+    expect(await readOrders()).toEqual([{ user_id: 7, event_id: 2, quantity: 2 }]);
+  });
+
+  test('should release the hold when the user turns the booking down', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+
+    await decline(8, { confirmationToken, conversationId: 'chat-a' }).expect(403);
+    await decline(7, { confirmationToken, conversationId: 'chat-a' }).expect(200);
+
+    expect(await readHolds()).toEqual([expect.objectContaining({ status: 'released' })]);
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(410);
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test('should not let a confirmed booking be turned down', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(200);
+
+    await decline(7, { confirmationToken, conversationId: 'chat-a' }).expect(409);
+    expect(await readOrders()).toHaveLength(1);
+  });
+
+  test('should release the hold of a replaced proposal', async () => {
+    await propose(7, 'chat-a');
+    await propose(7, 'chat-a', 'book 1 ticket for homecoming game');
+
+    expect(await readHolds()).toEqual([
+      expect.objectContaining({ event_id: 2, status: 'released' }),
+      expect.objectContaining({ event_id: 1, status: 'active' })
+    ]);
+  });
+
+  test('should refuse a booking whose hold has run out', async () => {
+    const { confirmationToken } = await propose(7, 'chat-a');
+    await scratch.exec("UPDATE holds SET expires_at = '2000-01-01 00:00:00'");
+
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(410);
+    await confirm(7, { confirmationToken, conversationId: 'chat-a' }).expect(410);
+    expect(await readOrders()).toEqual([]);
+  });
+
+  test('should not issue tokens to anonymous users', async () => {
+    const response = await request(server)
+      .post('/api/llm/parse')
+      .send({ message: 'book 2 tickets for jazz night', conversationId: 'chat-a' })
+      .expect(200);
+
+    expect(response.body.response).not.toHaveProperty('bookingData');
+    const { count } = await scratch.get('SELECT COUNT(*) AS count FROM pending_bookings');
+    expect(count).toBe(0);
+  });
+});
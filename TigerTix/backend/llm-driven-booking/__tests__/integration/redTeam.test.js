@@ -0,0 +1,134 @@
+/**
+ * @fileoverview The red-team corpus (eval/redTeam.json) against the real chat API, once with the
+ * keyword parser and once with a hijacked model that follows every injection. The guardrails
+ * have to hold for both: no proposal beyond the ticket limit or for an unknown event, and
+ * nothing hostile from event names reaching the prompt.
+ */
+
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const { createScratchDatabase } = require('../../../__tests__/helpers/scratchDatabase');
+const { bearer } = require('../../../__tests__/helpers/chatServices');
+const { createMockProvider } = require('../../providers/mockProvider');
+const { MAX_TICKETS_PER_BOOKING } = require('../../models/guardrails');
+const corpus = require('../../eval/redTeam.json');
+
+const CORPUS_PATH = path.join(__dirname, '../../eval/redTeam.json');
+const PARSERS = ['keyword', 'hijacked'];
+
+const quote = (text) => `'${String(text).replace(/'/g, "''")}'`;
+
+describe('Red-team corpus', () => {
+  let scratch;
+  let server;
+  let app;
+
+  beforeAll(async () => {
+    scratch = await createScratchDatabase('red-team');
+    process.env.TEST_DB_PATH = scratch.file;
+
+    // One server plays the client service and both assistants, each with its own parser
+    app = express();
+    app.use(express.json());
+    server = app.listen(0);
+    process.env.CLIENT_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+
+    jest.isolateModules(() => {
+      app.use('/api', require('../../../client-service/routes/clientRoutes'));
+    });
+
+    process.env.LLM_PROVIDER = 'none';
+    jest.isolateModules(() => {
+      app.use('/keyword/api/llm', require('../../routes/llmRoutes'));
+    });
+
+    process.env.LLM_PROVIDER = 'mock';
+    process.env.LLM_MOCK_FIXTURES = CORPUS_PATH;
+    jest.isolateModules(() => {
+      app.use('/hijacked/api/llm', require('../../routes/llmRoutes'));
+    });
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MOCK_FIXTURES;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    scratch.remove();
+    delete process.env.CLIENT_SERVICE_URL;
+  });
+
+  beforeEach(async () => {
+    await scratch.exec(`
+      DELETE FROM chat_messages;
+      DELETE FROM chat_conversations;
+      DELETE FROM pending_bookings;
+      DELETE FROM holds;
+      DELETE FROM events;
+      ${corpus.events.map(e =>
+        `INSERT INTO events (id, name, date, tickets) VALUES (${e.id}, ${quote(e.name)}, ${quote(e.date)}, ${e.tickets});`
+      ).join('\n')}
+    `);
+  });
+
+  describe.each(PARSERS)('%s parser', (parser) => {
+    // A conversation per case, so no case follows up on an earlier one
+    test.each(corpus.cases.map((c, i) => [c.name, c, i]))('%s', async (name, { message, expect: expected = {} }, i) => {
+      const res = await request(app)
+        .post(`/${parser}/api/llm/parse`)
+        .set('Authorization', bearer(7))
+        .send({ message, conversationId: `red-team-${parser}-${i}` })
+        .expect(200);
+      const { response } = res.body;
+
+      if (expected.booking === null) {
+        expect(response.bookingData).toBeUndefined();
+      } else if (expected.booking) {
+        expect(response.bookingData).toEqual(expect.objectContaining(expected.booking));
+      }
+      if (expected.reply) {
+        expect(response.message).toMatch(new RegExp(expected.reply, 'i'));
+      }
+
+      // Whatever the case, these hold
+      expect(response.message).not.toMatch(/ticket booking assistant for TigerTix|Rules:\s*\.\.\./);
+      const pending = await scratch.all('SELECT event_id, quantity FROM pending_bookings');
+      for (const { event_id: eventId, quantity } of pending) {
+        expect(corpus.events.map(e => e.id)).toContain(eventId);
+        expect(quantity).toBeGreaterThanOrEqual(1);
+        expect(quantity).toBeLessThanOrEqual(MAX_TICKETS_PER_BOOKING);
+      }
+    });
+  });
+
+  describe('prompt', () => {
+    // The model layer straight, so the prompt it was sent can be inspected
+    let parseBookingRequest;
+
+    beforeAll(() => {
+      jest.isolateModules(() => {
+        ({ parseBookingRequest } = require('../../models/llmModel'));
+      });
+    });
+
+    test('should keep hostile event names out of the prompt', async () => {
+      const provider = createMockProvider({ fixturePath: CORPUS_PATH });
+      const listing = `Here are the available events with tickets:\n\n${corpus.events.map(e => `• ${e.name} - ${e.date}`).join('\n')}`;
+
+      await parseBookingRequest('book 2 tickets for jazz night', corpus.events, {
+        lastEvent: { id: 3, name: corpus.events[2].name },
+        turns: [
+          { role: 'user', content: 'show events' },
+          { role: 'assistant', content: listing }
+        ]
+      }, { provider });
+
+      const sent = provider.requests[0].messages.map(m => m.content).join('\n');
+      for (const phrase of corpus.mustNotReachPrompt) {
+        expect(sent).not.toContain(phrase);
+      }
+      expect(sent).toContain('"Event #3 (name withheld)" (ID: 3');
+      expect(sent).toContain('"Jazz Night" (ID: 1');
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Chatting in Spanish against a real client service and SQLite database, parsed by
+ * the keyword parser. Replies follow the language of each message, and the language chosen in the
+ * chat when a message could be either.
+ */
+
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+describe('Spanish conversations', () => {
+  let services;
+  let scratch;
+  let server;
+
+  const say = (message, { language, userId = 7, conversationId = message } = {}) => {
+    const req = request(server).post('/api/llm/parse');
+    if (userId) req.set('Authorization', bearer(userId));
+    return req.send({ message, conversationId, language }).expect(200).then((res) => res.body);
+  };
+
+  beforeAll(async () => {
+    services = await startChatServices('spanish');
+    ({ scratch, server } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Jazz Night', '2099-05-01', 40);
+      INSERT INTO events (id, name, date, tickets) VALUES (3, 'Fiesta de Primavera', '2099-04-02', 60);
+    `);
+  });
+
+  test('should greet and list events in Spanish', async () => {
+    const greeting = await say('hola');
+    const events = await say('¿qué eventos hay?');
+
+    expect(greeting.response).toEqual(expect.objectContaining({ language: 'es' }));
+    expect(greeting.response.message).toMatch(/^¡Hola! Bienvenido a TigerTix/);
+    expect(events.parsed.intent).toBe('show_events');
+    expect(events.response.message).toContain('• Jazz Night - 2099-05-01 (40 boletos disponibles)');
+  });
+
+  test('should list the events on dates asked for in Spanish', async () => {
+    const { parsed, response } = await say('¿qué eventos hay en mayo de 2099?');
+    const weekend = await say('¿qué eventos hay este fin de semana?');
+
+    expect(parsed.dateRange).toEqual(expect.objectContaining({ start: '2099-05-01', end: '2099-05-31' }));
+    expect(response.message).toMatch(/^Estos son los eventos con boletos para mayo de 2099 \(2099-05-01 a 2099-05-31\):/);
+    expect(response.message).toContain('• Jazz Night - 2099-05-01');
+    expect(response.message).not.toContain('Homecoming Game');
+    expect(weekend.response.message).toMatch(/^No encontré eventos con boletos para este fin de semana/);
+  });
+
+  test('should prepare a booking asked for in Spanish', async () => {
+    const { parsed, response } = await say('quiero reservar 2 boletos para jazz night');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 2, tickets: 2 }));
+    expect(response.message).toMatch(/^Preparé tu solicitud de reserva/);
+    expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 2, tickets: 2 }));
+  });
+
+  test('should record confirmed bookings and cancellations in Spanish', async () => {
+    const confirm = (route, body) =>
+      request(server)
+        .post(`/api/llm/${route}`)
+        .set('Authorization', bearer(7))
+        .send({ conversationId: 'es-orders', ...body })
+        .expect(200);
+    const lastEntry = async () => (await scratch.get('SELECT content FROM chat_messages ORDER BY id DESC LIMIT 1')).content;
+
+    const proposed = await say('quiero reservar 2 boletos para jazz night', { conversationId: 'es-orders' });
+    const { body: booked } = await confirm('confirm-booking', { confirmationToken: proposed.response.bookingData.confirmationToken });
+    expect(await lastEntry()).toBe(`Reservé 2 boletos para Jazz Night (pedido #${booked.orderId}).`);
+
+    const offered = await say('cancelar mi reserva para jazz night', { conversationId: 'es-orders' });
+    const { orderId, confirmationToken } = offered.response.cancellationData;
+    await confirm('confirm-cancellation', { orderId, confirmationToken });
+    expect(await lastEntry()).toBe(`Pedido #${orderId} para Jazz Night cancelado; se reembolsaron 2 boletos.`);
+  });
+
+  test('should answer when an event is in Spanish', async () => {
+    const { parsed, response } = await say('¿cuándo es el homecoming game?');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'event_info', eventId: 1 }));
+    expect(response.message).toContain('Homecoming Game es el 2099-11-07');
+  });
+
+  test('should reply in English to an English message naming a Spanish event', async () => {
+    const { parsed, response } = await say('book 2 tickets for Fiesta de Primavera', { language: 'es' });
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 3, tickets: 2 }));
+    expect(response.language).toBe('en');
+    expect(response.message).toMatch(/^I've prepared your booking request/);
+  });
+
+  test('should keep the chosen language for a message that could be either', async () => {
+    const spanish = await say('Jazz Night?', { language: 'es' });
+    const english = await say('Jazz Night?', { language: 'en' });
+
+    expect(spanish.response.language).toBe('es');
+    expect(english.response.language).toBe('en');
+    expect(spanish.response.message).not.toBe(english.response.message);
+  });
+
+  test('should ask anonymous users to log in in Spanish', async () => {
+    const { response } = await say('reservar 2 boletos para jazz night', { userId: null });
+
+    expect(response.message).toBe('Inicia sesión para reservar boletos. Cuando hayas iniciado sesión, pídemelo de nuevo y prepararé tu reserva.');
+  });
+
+  test('should turn down too many tickets in Spanish', async () => {
+    const { response } = await say('quiero 50 boletos para jazz night');
+
+    expect(response.message).toBe('Lo siento, puedo reservar como máximo 10 boletos a la vez (pediste 50 para Jazz Night). ¿Quieres reservar 10?');
+    expect(response.choices).toEqual([{ eventId: 2, label: 'Reservar 10 boletos', message: 'Reservar 10 boletos para Jazz Night' }]);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview OpenAI tool calls against a real client service and SQLite database.
+ * Only tool calls that match their schema and name a real event may turn into a booking proposal.
+ */
+
+const request = require('supertest');
+const { bearer, startChatServices } = require('../../../__tests__/helpers/chatServices');
+
+const mockCreateCompletion = jest.fn();
+jest.mock('openai', () => ({
+  OpenAI: jest.fn().mockImplementation(() => ({
+    chat: { completions: { create: mockCreateCompletion } }
+  }))
+}));
+
+const toolCall = (name, args) => ({
+  choices: [{
+    message: {
+      tool_calls: [{
+        type: 'function',
+        function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }
+      }]
+    }
+  }]
+});
+
+describe('OpenAI tool calling', () => {
+  let services;
+  let scratch;
+  let server;
+
+  const say = (message) =>
+    request(server)
+      .post('/api/llm/parse')
+      .set('Authorization', bearer(7))
+      .send({ message, conversationId: 'tools' })
+      .expect(200)
+      .then((res) => res.body);
+
+  const countPendingBookings = async () =>
+    (await scratch.get('SELECT COUNT(*) AS count FROM pending_bookings')).count;
+
+  beforeAll(async () => {
+    services = await startChatServices('tool-calling', { env: { OPENAI_API_KEY: 'test-key' } });
+    ({ scratch, server } = services);
+  });
+
+  afterAll(() => services.stop());
+
+  beforeEach(async () => {
+    await services.reset(`
+      INSERT INTO events (id, name, date, tickets) VALUES (1, 'Homecoming Game', '2099-11-07', 100);
+      INSERT INTO events (id, name, date, tickets) VALUES (2, 'Jazz Night', '2099-05-01', 40);
+    `);
+  });
+
+  test('should require one of the booking tools', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('list_events', {}));
+
+    const { parsed } = await say('what is on?');
+
+    const [options] = mockCreateCompletion.mock.calls[0];
+    expect(options.tools.map(t => t.function.name)).toEqual(
+      ['list_events', 'prepare_booking', 'get_event_details', 'answer_question', 'list_my_bookings', 'cancel_booking', 'ask_which_event', 'respond']
+    );
+    expect(options.tool_choice).toBe('required');
+    expect(parsed.intent).toBe('show_events');
+  });
+
+  test('should coerce numeric strings and book the named event', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('prepare_booking', { eventId: '2', tickets: '3' }));
+
+    const { parsed, response } = await say('three for jazz night please');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', event: 'Jazz Night', eventId: 2, tickets: 3 }));
+    expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 2, eventName: 'Jazz Night', tickets: 3 }));
+  });
+
+  test('should default to one ticket', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('prepare_booking', { eventId: 1 }));
+
+    const { response } = await say('book the homecoming game');
+
+    expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 1, tickets: 1 }));
+  });
+
+  test('should reject an event ID that does not exist', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('prepare_booking', { eventId: 99, tickets: 2 }));
+
+    const { parsed, response } = await say('book 2 for the gala');
+
+    expect(parsed).toEqual(expect.objectContaining({
+      intent: 'booking',
+      eventId: null,
+      confidence: 'low',
+      message: 'Event ID 99 does not match any available event.'
+    }));
+    expect(response).not.toHaveProperty('bookingData');
+    expect(await countPendingBookings()).toBe(0);
+  });
+
+  test.each([
+    ['a fractional ticket count', toolCall('prepare_booking', { eventId: 2, tickets: 2.5 })],
+    ['zero tickets', toolCall('prepare_booking', { eventId: 2, tickets: 0 })],
+    ['a missing event ID', toolCall('prepare_booking', { tickets: 2 })],
+    ['arguments that are not JSON', toolCall('prepare_booking', '{"eventId": 2,')],
+    ['an unknown tool', toolCall('cancel_everything', {})],
+    ['no tool call', { choices: [{ message: { content: '{"intent":"booking","eventId":2}' } }] }]
+  ])('should fall back to the keyword parser on %s', async (_, completion) => {
+    mockCreateCompletion.mockResolvedValueOnce(completion);
+
+    const { parsed, response } = await say('book 2 tickets for jazz night');
+
+    // The keyword parser reads the user's own words, not the rejected tool call
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 2, tickets: 2, confidence: 'medium' }));
+    expect(response.bookingData).toEqual(expect.objectContaining({ eventId: 2, tickets: 2 }));
+  });
+
+  test('should describe an event without proposing a booking', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('get_event_details', { eventId: 2 }));
+
+    const { parsed, response } = await say('when is jazz night?');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'event_info', eventId: 2, tickets: null }));
+    expect(response.message).toContain('Jazz Night is on 2099-05-01');
+    expect(response.message).toContain('40 tickets available');
+    expect(response).not.toHaveProperty('bookingData');
+  });
+
+  test('should tell the model today\'s date and each event\'s date', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('list_events', {}));
+
+    await say('what is on?');
+
+    const [{ messages }] = mockCreateCompletion.mock.calls[0];
+    expect(messages[0].content).toMatch(/Today is \w+day, \d{4}-\d{2}-\d{2}/);
+    expect(messages[0].content).toContain('"Jazz Night" (ID: 2, Date: 2099-05-01, Available tickets: 40)');
+  });
+
+  test('should resolve the dates the model passes to list_events', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('list_events', { when: 'November 2099' }));
+
+    const { parsed, response } = await say('anything on in november 2099?');
+
+    expect(parsed.dateRange).toEqual({ start: '2099-11-01', end: '2099-11-30', label: 'November 2099' });
+    expect(response.message).toContain('Homecoming Game - 2099-11-07');
+    expect(response.message).not.toContain('Jazz Night');
+  });
+
+  test('should fall back to the keyword parser on dates it cannot resolve', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('list_events', { when: 'sometime soon' }));
+
+    const { parsed } = await say('show events in may 2099');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'show_events', confidence: 'high' }));
+    expect(parsed.dateRange).toEqual(expect.objectContaining({ start: '2099-05-01', end: '2099-05-31' }));
+  });
+
+  test('should offer the events the model could not choose between', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('ask_which_event', { eventIds: [2, '1', 99], purpose: 'booking', tickets: 2 }));
+
+    const { parsed, response } = await say('book 2 for the big one');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: null, tickets: 2 }));
+    expect(parsed.candidates.map(e => e.id)).toEqual([2, 1]);
+    expect(response.message).toBe('Did you mean Jazz Night (2099-05-01) or Homecoming Game (2099-11-07)?');
+    expect(response.choices).toEqual([
+      { eventId: 2, label: 'Jazz Night (2099-05-01)', message: 'Book 2 tickets for Jazz Night' },
+      { eventId: 1, label: 'Homecoming Game (2099-11-07)', message: 'Book 2 tickets for Homecoming Game' }
+    ]);
+    expect(response).not.toHaveProperty('bookingData');
+    expect(await countPendingBookings()).toBe(0);
+  });
+
+  test('should not ask when only one of the events exists', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('ask_which_event', { eventIds: [2, 99], purpose: 'event_info' }));
+
+    const { parsed, response } = await say('when is the jazz thing?');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'event_info', eventId: 2 }));
+    expect(response).not.toHaveProperty('choices');
+  });
+
+  test('should fall back to the keyword parser when asked to choose from one event', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('ask_which_event', { eventIds: [2], purpose: 'booking' }));
+
+    const { parsed } = await say('book 2 tickets for jazz night');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'booking', eventId: 2, confidence: 'medium' }));
+  });
+
+  test('should pass greetings through the respond tool', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('respond', { intent: 'greeting', message: 'Hi!' }));
+
+    const { parsed } = await say('hello');
+
+    expect(parsed).toEqual(expect.objectContaining({ intent: 'greeting', message: 'Hi!' }));
+  });
+
+  test('should reject a respond call with an unsupported intent', async () => {
+    mockCreateCompletion.mockResolvedValueOnce(toolCall('respond', { intent: 'refund', message: 'Done!' }));
+
+    const { parsed } = await say('hello');
+
+    // Falls back to the keyword parser, which recognises the greeting itself
+    expect(parsed.intent).toBe('greeting');
+    expect(parsed.message).not.toBe('Done!');
+  });
+});
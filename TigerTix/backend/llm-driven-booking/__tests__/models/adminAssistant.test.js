@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Admin console parsing: the pattern parser and checks on the model's tool calls.
+ */
+
+const { fallbackAdminParser, describeOperation, findStaleReason } = require('../../models/adminAssistantModel');
+const { interpretAdminToolCall } = require('../../models/adminTools');
+
+const events = [
+  { id: 1, name: 'Jazz Night', date: '2099-05-01', tickets: 300 },
+  { id: 2, name: 'Tiger Football vs Gators', date: '2099-09-01', tickets: 100 },
+  { id: 3, name: 'Tiger Football vs Dawgs', date: '2099-09-08', tickets: 100 }
+];
+
+const toolCall = (name, args) => ({ function: { name, arguments: JSON.stringify(args) } });
+
+describe('fallbackAdminParser', () => {
+  test.each([
+    ['create Homecoming Game on 2026-11-07 with 5000 tickets', { type: 'createEvent', name: 'Homecoming Game', date: '2026-11-07', tickets: 5000 }],
+    ['Create Spring Gala, 2027-04-01, 1,200 tickets', { type: 'createEvent', name: 'Spring Gala', date: '2027-04-01', tickets: 1200 }],
+    ['schedule a new event called Poetry Slam with 80 tickets on 2027-02-14', { type: 'createEvent', name: 'Poetry Slam', date: '2027-02-14', tickets: 80 }],
+    ['add 200 tickets to the jazz night', { type: 'updateTickets', eventId: 1, eventName: 'Jazz Night', before: 300, after: 500 }],
+    ['remove 50 tickets from Jazz Night', { type: 'updateTickets', eventId: 1, eventName: 'Jazz Night', before: 300, after: 250 }],
+    ['set tickets for jazz night to 120', { type: 'updateTickets', eventId: 1, eventName: 'Jazz Night', before: 300, after: 120 }],
+    ['delete jazz night', { type: 'deleteEvent', eventId: 1, eventName: 'Jazz Night', date: '2099-05-01', tickets: 300 }]
+  ])('should read %p', (text, operation) => {
+    expect(fallbackAdminParser(text, events).operation).toEqual(operation);
+  });
+
+  test('should ask which event when several fit', () => {
+    const { operation, candidates } = fallbackAdminParser('add 10 tickets to tiger football', events);
+
+    expect(operation).toBeNull();
+    expect(candidates.map(c => c.id)).toEqual([2, 3]);
+  });
+
+  test.each([
+    ['remove 400 tickets from jazz night', "Jazz Night only has 300 tickets, so I can't remove 400."],
+    ['set tickets for jazz night to 300', 'Jazz Night already has 300 tickets.'],
+    ['create Jazz Night on 2099-05-01 with 10 tickets', 'Jazz Night on 2099-05-01 already exists (ID 1).'],
+    ['delete the spring fling', 'I couldn\'t find an event called "spring fling".'],
+    ['create Spring Gala with 100 tickets', expect.stringContaining('a name, a date and a number of tickets')]
+  ])('should not propose %p', (text, message) => {
+    expect(fallbackAdminParser(text, events)).toEqual(expect.objectContaining({ operation: null, message }));
+  });
+
+  test('should explain what it can do otherwise', () => {
+    expect(fallbackAdminParser('how many people came last week?', events).message).toMatch(/^I can create events/);
+  });
+});
+
+describe('interpretAdminToolCall', () => {
+  test('should take a single day as the date, not a range', () => {
+    const { operation } = interpretAdminToolCall(toolCall('create_event', { name: 'Homecoming Game', date: '2099-11-07', tickets: '5000' }), events);
+
+    expect(operation).toEqual({ type: 'createEvent', name: 'Homecoming Game', date: '2099-11-07', tickets: 5000 });
+    expect(interpretAdminToolCall(toolCall('create_event', { name: 'Gala', date: 'this weekend', tickets: 10 }), events).operation).toBeNull();
+  });
+
+  test('should only change events that exist', () => {
+    const { operation, message } = interpretAdminToolCall(toolCall('delete_event', { eventId: 99 }), events);
+
+    expect(operation).toBeNull();
+    expect(message).toBe('Event ID 99 does not match any event.');
+  });
+
+  test.each([
+    [toolCall('change_tickets', { eventId: 1 }), 'give exactly one of add and set'],
+    [toolCall('change_tickets', { eventId: 1, add: 5, set: 10 }), 'give exactly one of add and set'],
+    [toolCall('create_event', { name: 'Gala', date: '2099-01-01', tickets: -5 }), 'tickets must be at least 0'],
+    [toolCall('drop_table', {}), 'Unknown tool "drop_table"']
+  ])('should reject invalid calls (%#)', (call, error) => {
+    expect(() => interpretAdminToolCall(call, events)).toThrow(error);
+  });
+});
+
+describe('proposals', () => {
+  const update = { type: 'updateTickets', eventId: 1, eventName: 'Jazz Night', before: 300, after: 250 };
+
+  test('should summarize a ticket change with its direction', () => {
+    expect(describeOperation(update).summary).toBe('Change tickets for Jazz Night from 300 to 250 (-50)');
+  });
+
+  test('should notice when the event changed or went away since the proposal', () => {
+    expect(findStaleReason(update, events)).toBeNull();
+    expect(findStaleReason(update, [{ ...events[0], tickets: 299 }])).toBe('Jazz Night now has 299 tickets, not 300.');
+    expect(findStaleReason(update, [])).toBe('Jazz Night no longer exists.');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Date expressions resolved against a fixed clock. 2026-10-21 is a Wednesday.
+ */
+
+const {
+  resolveDateExpression,
+  filterEventsByDate,
+  describeDateRange,
+  describeToday
+} = require('../../models/dateResolver');
+
+const timeZone = 'America/New_York';
+// Wednesday 2026-10-21, 11:00 in New York
+const now = new Date('2026-10-21T15:00:00Z');
+
+const resolve = (text, clock = now) => {
+  const range = resolveDateExpression(text, { now: clock, timeZone });
+  return range && [range.start, range.end];
+};
+
+describe('resolveDateExpression', () => {
+  test.each([
+    ['what\'s on today?', ['2026-10-21', '2026-10-21']],
+    ['anything tonight', ['2026-10-21', '2026-10-21']],
+    ['events tomorrow', ['2026-10-22', '2026-10-22']],
+    ['what\'s on this weekend', ['2026-10-24', '2026-10-25']],
+    ['anything on the weekend?', ['2026-10-24', '2026-10-25']],
+    ['events next weekend', ['2026-10-31', '2026-11-01']],
+    ['events this week', ['2026-10-21', '2026-10-25']],
+    ['events next week', ['2026-10-26', '2026-11-01']],
+    ['events on Friday', ['2026-10-23', '2026-10-23']],
+    ['events this friday', ['2026-10-23', '2026-10-23']],
+    ['events next Friday', ['2026-10-30', '2026-10-30']],
+    ['anything on wednesday', ['2026-10-21', '2026-10-21']],
+    ['next monday', ['2026-10-26', '2026-10-26']],
+    ['events this month', ['2026-10-01', '2026-10-31']],
+    ['events next month', ['2026-11-01', '2026-11-30']],
+    ['anything in December', ['2026-12-01', '2026-12-31']],
+    ['anything in March', ['2027-03-01', '2027-03-31']],
+    ['events in may 2099', ['2099-05-01', '2099-05-31']],
+    ['November 2099', ['2099-11-01', '2099-11-30']],
+    ['book 2 for december 5th', ['2026-12-05', '2026-12-05']],
+    ['the 5th of December', ['2026-12-05', '2026-12-05']],
+    ['March 3', ['2027-03-03', '2027-03-03']],
+    ['May 1, 2099', ['2099-05-01', '2099-05-01']],
+    ['on 2099-11-07', ['2099-11-07', '2099-11-07']],
+    ['¿qué hay hoy?', ['2026-10-21', '2026-10-21']],
+    ['algo para esta noche', ['2026-10-21', '2026-10-21']],
+    ['eventos mañana', ['2026-10-22', '2026-10-22']],
+    ['pasado mañana', ['2026-10-23', '2026-10-23']],
+    ['¿qué eventos hay este fin de semana?', ['2026-10-24', '2026-10-25']],
+    ['el próximo fin de semana', ['2026-10-31', '2026-11-01']],
+    ['el fin de semana que viene', ['2026-10-31', '2026-11-01']],
+    ['eventos esta semana', ['2026-10-21', '2026-10-25']],
+    ['la próxima semana', ['2026-10-26', '2026-11-01']],
+    ['la semana que viene', ['2026-10-26', '2026-11-01']],
+    ['el viernes', ['2026-10-23', '2026-10-23']],
+    ['el próximo viernes', ['2026-10-30', '2026-10-30']],
+    ['el viernes que viene', ['2026-10-30', '2026-10-30']],
+    ['los sabados', ['2026-10-24', '2026-10-24']],
+    ['el miércoles', ['2026-10-21', '2026-10-21']],
+    ['eventos este mes', ['2026-10-01', '2026-10-31']],
+    ['el mes que viene', ['2026-11-01', '2026-11-30']],
+    ['¿hay algo en diciembre?', ['2026-12-01', '2026-12-31']],
+    ['en marzo', ['2027-03-01', '2027-03-31']],
+    ['setiembre de 2099', ['2099-09-01', '2099-09-30']],
+    ['2 boletos para el 5 de diciembre', ['2026-12-05', '2026-12-05']],
+    ['1 de mayo de 2099', ['2099-05-01', '2099-05-01']]
+  ])('should resolve "%s"', (text, expected) => {
+    expect(resolve(text)).toEqual(expected);
+  });
+
+  test('should keep the user\'s wording as the label', () => {
+    expect(resolveDateExpression('What is on in December?', { now, timeZone })).toEqual({
+      start: '2026-12-01',
+      end: '2026-12-31',
+      label: 'December',
+      text: 'in December'
+    });
+  });
+
+  test('should keep the user\'s Spanish wording as the label', () => {
+    expect(resolveDateExpression('¿Qué hay en diciembre?', { now, timeZone }).label).toBe('diciembre');
+    expect(resolveDateExpression('¿qué eventos hay este fin de semana?', { now, timeZone }).label).toBe('este fin de semana');
+  });
+
+  test('should treat this weekend on a Sunday as today', () => {
+    const sunday = new Date('2026-10-25T15:00:00Z');
+
+    expect(resolve('this weekend', sunday)).toEqual(['2026-10-25', '2026-10-25']);
+    expect(resolve('next weekend', sunday)).toEqual(['2026-10-31', '2026-11-01']);
+    expect(resolve('next friday', sunday)).toEqual(['2026-10-30', '2026-10-30']);
+  });
+
+  test('should roll next month over into the new year', () => {
+    expect(resolve('next month', new Date('2026-12-15T15:00:00Z'))).toEqual(['2027-01-01', '2027-01-31']);
+  });
+
+  test('should take today in the configured timezone, not UTC', () => {
+    // Already Thursday in UTC, still Wednesday evening in New York
+    const lateEvening = new Date('2026-10-22T02:00:00Z');
+
+    expect(resolve('tonight', lateEvening)).toEqual(['2026-10-21', '2026-10-21']);
+    expect(resolveDateExpression('tonight', { now: lateEvening, timeZone: 'UTC' }).start).toBe('2026-10-22');
+  });
+
+  test.each([
+    'book 2 tickets for jazz night',
+    'may I book tickets?',
+    'march band tickets',
+    'quiero 2 boletos para jazz night',
+    'por la mañana',
+    'on 2026-02-30',
+    '',
+    undefined
+  ])('should find no date in %p', (text) => {
+    expect(resolveDateExpression(text, { now, timeZone })).toBeNull();
+  });
+});
+
+describe('filterEventsByDate', () => {
+  const events = [
+    { id: 1, name: 'Homecoming Game', date: '2026-10-24' },
+    { id: 2, name: 'Jazz Night', date: '2026-10-25 19:30' },
+    { id: 3, name: 'Fall Concert', date: '2026-10-26' }
+  ];
+
+  test('should keep events inside the range, including both ends', () => {
+    const range = resolveDateExpression('this weekend', { now, timeZone });
+
+    expect(filterEventsByDate(events, range).map(e => e.id)).toEqual([1, 2]);
+  });
+});
+
+describe('describing dates', () => {
+  test('should describe ranges and today', () => {
+    expect(describeDateRange({ start: '2026-10-24', end: '2026-10-25' })).toBe('2026-10-24 to 2026-10-25');
+    expect(describeDateRange({ start: '2026-10-23', end: '2026-10-23' })).toBe('2026-10-23');
+    expect(describeToday({ now, timeZone })).toBe('Wednesday, 2026-10-21');
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Ranking event descriptions and FAQs against users' questions.
+ */
+
+const { tokenize, splitDescription, toPassages, buildContentIndex } = require('../../models/eventContentIndex');
+
+const rows = [
+  {
+    event_id: 1,
+    event_name: 'Jazz Night',
+    kind: 'description',
+    question: null,
+    body: 'An evening of live jazz in the Brooks Center. The hall is wheelchair accessible, with ramps at the main entrance.'
+  },
+  { event_id: 1, event_name: 'Jazz Night', kind: 'faq', question: 'Can I bring food?', body: 'Outside food is not allowed; the lobby cafe is open.' },
+  { event_id: 2, event_name: 'Homecoming Game', kind: 'faq', question: 'Is parking included?', body: 'Game day parking costs $20.' },
+  { event_id: 2, event_name: 'Homecoming Game', kind: 'faq', question: 'When do gates open?', body: 'Gates open two hours before kickoff.' }
+];
+
+describe('tokenize', () => {
+  test('should drop filler words and match word forms', () => {
+    expect(tokenize('Is parking included? Are pets allowed?')).toEqual(['park', 'includ', 'pet', 'allow']);
+    expect(tokenize('include parks allows')).toEqual(['includ', 'park', 'allow']);
+  });
+});
+
+describe('splitDescription', () => {
+  test('should keep whole sentences together up to the passage length', () => {
+    const long = 'A'.repeat(300);
+    expect(splitDescription(`First. Second!\n${long}. Last?`)).toEqual(['First. Second!', `${long}.`, 'Last?']);
+  });
+});
+
+describe('buildContentIndex', () => {
+  const index = buildContentIndex(toPassages(rows));
+
+  test('should rank the passage that answers the question first', () => {
+    const [best] = index.search('when do the gates open?');
+
+    expect(best).toEqual(expect.objectContaining({ eventId: 2, kind: 'faq', question: 'When do gates open?' }));
+  });
+
+  test('should find answers inside descriptions', () => {
+    const [best] = index.search('is the venue wheelchair accessible?');
+
+    expect(best).toEqual(expect.objectContaining({ eventId: 1, kind: 'description', question: null }));
+  });
+
+  test.each([
+    'tell me about jazz night',
+    'is there a dress code?',
+    'book 2 tickets for the homecoming game'
+  ])('should find nothing for %p', (query) => {
+    expect(index.search(query)).toEqual([]);
+  });
+
+  test('should return at most the limit', () => {
+    expect(index.search('parking gates')).toHaveLength(2);
+    expect(index.search('parking gates', { limit: 1 })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Ranked event matching: typos, partial names and names too close to call.
+ */
+
+const { rankEvents, matchEvent } = require('../../models/eventMatcher');
+
+const events = [
+  { id: 1, name: 'Homecoming Game' },
+  { id: 2, name: 'Jazz Night' },
+  { id: 3, name: 'Tiger Football Game' },
+  { id: 4, name: 'Tiger Basketball Game' },
+  { id: 5, name: 'Fall Concert' }
+];
+
+const matchedId = (text) => matchEvent(text, events).event?.id ?? null;
+const candidateIds = (text) => matchEvent(text, events).candidates.map(e => e.id);
+
+describe('matchEvent', () => {
+  test.each([
+    ['book 2 tickets for jazz night', 2],
+    ['jazz', 2],
+    ['tell me about the concert', 5],
+    ['book 2 for tiger football', 3],
+    ['tigers basketball please', 4],
+    ['seats for the homecoming match with my friends and family', 1]
+  ])('should match "%s"', (text, id) => {
+    expect(matchedId(text)).toBe(id);
+  });
+
+  test.each([
+    ['homcoming', 1],
+    ['jaz nite', 2],
+    ['tiger footbal game', 3]
+  ])('should match "%s" despite the typo', (text, id) => {
+    expect(matchedId(text)).toBe(id);
+  });
+
+  test('should prefer the event whose full name was given', () => {
+    const withLongerName = [...events, { id: 6, name: 'Jazz Night After Party' }];
+
+    expect(matchEvent('jazz night', withLongerName).event.id).toBe(2);
+    expect(matchEvent('the jazz night after party', withLongerName).event.id).toBe(6);
+  });
+
+  test('should offer the events that score too close to call, best first', () => {
+    expect(matchedId('book the tiger game')).toBeNull();
+    expect(candidateIds('book the tiger game')).toEqual([3, 4]);
+    expect(candidateIds('book the game')).toEqual([1, 3, 4]);
+  });
+
+  test.each([
+    'hello',
+    'book 2 for that one',
+    'ball',
+    ''
+  ])('should match nothing in %p', (text) => {
+    expect(matchEvent(text, events)).toEqual({ event: null, candidates: [] });
+  });
+});
+
+describe('rankEvents', () => {
+  test('should rank every plausible event, best first', () => {
+    const ranked = rankEvents('tiger football game', events);
+
+    expect(ranked.map(({ event }) => event.id)).toEqual([3, 4, 1]);
+    expect(ranked[0].score).toBe(1);
+    expect(ranked[1].score).toBeLessThan(ranked[0].score);
+  });
+});
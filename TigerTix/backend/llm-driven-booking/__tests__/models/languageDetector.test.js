@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Telling English chat messages from Spanish ones.
+ */
+
+const { detectLanguage, normalizeLanguage, resolveLanguage } = require('../../models/languageDetector');
+
+const events = [{ id: 1, name: 'Fiesta de Primavera' }, { id: 2, name: 'Jazz Night' }];
+
+describe('detectLanguage', () => {
+  test.each([
+    ['book 2 tickets for jazz night', 'en'],
+    ['when is the homecoming game?', 'en'],
+    ['quiero 2 boletos para jazz night', 'es'],
+    ['¿cuándo es el partido?', 'es'],
+    ['mis reservas', 'es'],
+    ['2', null],
+    ['', null]
+  ])('should read %p as %p', (text, language) => {
+    expect(detectLanguage(text)).toBe(language);
+  });
+});
+
+describe('normalizeLanguage', () => {
+  test('should read language codes as supported languages', () => {
+    expect(normalizeLanguage('es-MX')).toBe('es');
+    expect(normalizeLanguage('EN')).toBe('en');
+    expect(normalizeLanguage('fr')).toBeNull();
+    expect(normalizeLanguage(undefined)).toBeNull();
+  });
+});
+
+describe('resolveLanguage', () => {
+  test('should not let event names decide the language', () => {
+    expect(resolveLanguage('book 2 for Fiesta de Primavera', 'es', events)).toBe('en');
+    expect(resolveLanguage('quiero boletos para Jazz Night', 'en', events)).toBe('es');
+  });
+
+  test('should fall back to the chosen language, then English', () => {
+    expect(resolveLanguage('Jazz Night', 'es', events)).toBe('es');
+    expect(resolveLanguage('3', 'fr', events)).toBe('en');
+  });
+});
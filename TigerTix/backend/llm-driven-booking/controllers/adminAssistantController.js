@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Controller for the admin console: proposes event changes from natural language
+ * and applies them through admin-service once the admin confirms
+ */
+
+const {
+    getAdminEvents,
+    executeOperation,
+    findStaleReason,
+    describeOperation,
+    parseAdminRequest
+} = require('../models/adminAssistantModel');
+const {
+    createPendingOperation,
+    claimPendingOperation,
+    finishPendingOperation,
+    releasePendingOperation
+} = require('../models/adminOperationModel');
+const { recordUsage, getBudgetStatus } = require('../models/llmUsageModel');
+
+// Usage report intents for each kind of proposal
+const ADMIN_INTENTS = {
+    createEvent: 'admin_create_event',
+    updateTickets: 'admin_update_tickets',
+    deleteEvent: 'admin_delete_event'
+};
+
+/**
+ * @function describeResult
+ * @description Tells the admin what an executed operation did.
+ * @param {Object} operation - The confirmed operation
+ * @param {Object} result - From executeOperation
+ * @returns {string}
+ */
+const describeResult = (operation, result) => {
+    switch (operation.type) {
+        case 'createEvent':
+            return `Created ${result.event.name} on ${result.event.date} with ${result.event.tickets} tickets (ID ${result.event.id}).`;
+        case 'updateTickets':
+            return `${result.event.name} now has ${result.event.tickets} tickets.`;
+        default:
+            return `Deleted ${operation.eventName}.`;
+    }
+};
+
+/**
+ * @function proposeAdminOperation
+ * @description Turns an admin's request into a proposed change with a diff and a confirmation token.
+ * Nothing is changed here; requests that need no change (questions, unknown events) get only a message.
+ * @param {Object} req - Express request object (expects message in body)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const proposeAdminOperation = async (req, res) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+    const { message } = req.body || {};
+
+    if (typeof message !== 'string' || message.trim().length === 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Message is required and must be a non-empty string'
+        });
+    }
+
+    console.log(`\n🛠️ [${requestId}] ADMIN REQUEST from user ${req.user.id}: "${message}"`);
+
+    let events;
+    try {
+        events = await getAdminEvents();
+    } catch (error) {
+        console.error(`💥 [${requestId}] Failed to fetch events from admin service:`, error.message);
+        return res.status(502).json({
+            success: false,
+            error: 'Failed to fetch events from admin service'
+        });
+    }
+
+    const budget = await getBudgetStatus().catch((error) => {
+        console.error(`💥 [${requestId}] Failed to read the LLM budget:`, error.message);
+        return { exhausted: false };
+    });
+    const parseResult = await parseAdminRequest(message, events, { withinBudget: !budget.exhausted });
+    const { operation, message: reply, candidates } = parseResult.data;
+
+    await recordUsage({
+        requestId,
+        userId: req.user.id,
+        intent: operation ? ADMIN_INTENTS[operation.type] : 'admin_reply',
+        source: parseResult.source,
+        usage: parseResult.usage
+    }).catch((error) => console.error(`💥 [${requestId}] Failed to record LLM usage:`, error.message));
+
+    if (!operation) {
+        console.log(`💬 [${requestId}] No change proposed: ${reply}`);
+        return res.json({
+            success: true,
+            message: reply,
+            proposal: null,
+            ...(candidates ? { candidates } : {}),
+            source: parseResult.source
+        });
+    }
+
+    try {
+        const pending = await createPendingOperation({ userId: req.user.id, operation });
+        const { summary, diff } = describeOperation(operation);
+        console.log(`📝 [${requestId}] Proposed: ${summary}`);
+
+        res.json({
+            success: true,
+            message: `${summary}. Confirm to apply this change.`,
+            proposal: {
+                confirmationToken: pending.token,
+                expiresAt: pending.expires_at,
+                operation,
+                summary,
+                diff
+            },
+            source: parseResult.source
+        });
+    } catch (error) {
+        console.error(`💥 [${requestId}] Error storing proposed operation:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to prepare the change'
+        });
+    }
+};
+
+/**
+ * @function confirmAdminOperation
+ * @description Applies a change proposed by proposeAdminOperation. The proposal is checked against
+ * the current events first, so a diff the admin saw is never applied to an event that has since changed.
+ * @param {Object} req - Express request object (expects confirmationToken in body)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const confirmAdminOperation = async (req, res) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+    const { confirmationToken } = req.body || {};
+
+    if (!confirmationToken || typeof confirmationToken !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Confirmation token is required'
+        });
+    }
+
+    let pending;
+    try {
+        pending = await claimPendingOperation({ token: confirmationToken, userId: req.user.id });
+    } catch (error) {
+        console.log(`❌ [${requestId}] CONFIRMATION REFUSED: ${error.message}`);
+        if (error.message === 'Invalid confirmation token') return res.status(403).json({
+            success: false,
+            error: 'This change could not be verified. Please ask the console again.'
+        });
+        if (error.message === 'Operation already confirmed') return res.status(409).json({
+            success: false,
+            error: 'This change has already been confirmed'
+        });
+        if (error.message === 'Confirmation token expired' || error.message === 'Operation no longer available') {
+            return res.status(410).json({
+                success: false,
+                error: 'This proposal has expired. Please ask the console again.'
+            });
+        }
+        console.error(`💥 [${requestId}] Error claiming pending operation:`, error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to apply the change'
+        });
+    }
+
+    const { operation } = pending;
+    try {
+        const staleReason = findStaleReason(operation, await getAdminEvents());
+        if (staleReason) {
+            console.log(`❌ [${requestId}] STALE PROPOSAL: ${staleReason}`);
+            await finishPendingOperation(pending.id, 'failed', { reason: staleReason });
+            return res.status(409).json({
+                success: false,
+                error: `${staleReason} Nothing was changed; please ask the console again.`
+            });
+        }
+
+        const result = await executeOperation(operation);
+        await finishPendingOperation(pending.id, 'executed', result)
+            .catch((err) => console.error(`💥 [${requestId}] Failed to record executed operation:`, err));
+
+        const message = describeResult(operation, result);
+        console.log(`✅ [${requestId}] ${message}`);
+        res.json({ success: true, message, operation, result });
+    } catch (error) {
+        // The event went away between the check and the change
+        if (error.message === 'Event not found') {
+            await finishPendingOperation(pending.id, 'failed', { reason: error.message })
+                .catch((err) => console.error(`💥 [${requestId}] Failed to record failed operation:`, err));
+            return res.status(404).json({
+                success: false,
+                error: `${operation.eventName} no longer exists. Nothing was changed.`
+            });
+        }
+        console.error(`💥 [${requestId}] Error applying admin operation:`, error);
+        await releasePendingOperation(pending.id)
+            .catch((err) => console.error(`💥 [${requestId}] Failed to release pending operation:`, err));
+        res.status(502).json({
+            success: false,
+            error: `Admin service did not apply the change: ${error.message}`
+        });
+    }
+};
+
+module.exports = {
+    proposeAdminOperation,
+    confirmAdminOperation
+};
@@ -2,12 +2,340 @@
  * @fileoverview LLM Controller for handling natural language booking requests
  */
 
-const { parseBookingRequest, generateChatResponse, getAllEvents, purchaseTicketsFromClient } = require('../models/llmModel');
+const {
+    parseBookingRequest,
+    generateChatResponse,
+    getAllEvents,
+    holdTicketsFromClient,
+    checkoutHoldFromClient,
+    releaseHoldFromClient,
+    getUserOrdersFromClient,
+    cancelOrderFromClient
+} = require('../models/llmModel');
+const {
+    createPendingBooking,
+    claimPendingBooking,
+    declinePendingBooking,
+    completePendingBooking,
+    failPendingBooking,
+    releasePendingBooking,
+    createCancellationToken,
+    verifyCancellationToken
+} = require('../models/pendingBookingModel');
+const { appendMessages, getChatHistory: getStoredChatHistory } = require('../models/chatHistoryModel');
+const {
+    CONVERSATION_CONTEXT_TTL_MINUTES,
+    issueChatSession,
+    verifyChatSession,
+    getConversationContext,
+    recordConversationTurn,
+    clearPendingTickets
+} = require('../models/conversationContextModel');
+const { enforcePolicy } = require('../models/guardrails');
+const { recordUsage, getBudgetStatus, getUsageReport: getStoredUsageReport } = require('../models/llmUsageModel');
+const { searchEventContent } = require('../models/eventContentIndex');
+const { resolveLanguage, normalizeLanguage } = require('../models/languageDetector');
+const { getMessages } = require('../models/assistantMessages');
+
+// Intents answered from the user's own orders
+const ORDER_INTENTS = ['my_bookings', 'cancel_booking'];
+
+// Cookie holding an anonymous user's chat session; it lasts as long as their conversation context
+const CHAT_SESSION_COOKIE = 'chatSession';
+
+/**
+ * @function readConversationId
+ * @description Reads the browser's conversation ID from a request body.
+ * Pending bookings are tied to it, so a token only confirms in the chat that produced it.
+ * @param {Object} body - Request body
+ * @returns {string} - The conversation ID, or '' when missing or malformed
+ */
+const readConversationId = (body) => {
+    const { conversationId } = body || {};
+    return typeof conversationId === 'string' && conversationId.length <= 100 ? conversationId : '';
+};
+
+/**
+ * @function readContextOwner
+ * @description Decides whose conversation context a request may use: the logged-in user's, or
+ * the anonymous chat session from the chatSession cookie. A missing or forged session is replaced
+ * by a new one, so an anonymous user only ever reaches conversations started in their own browser.
+ * Must run before the response headers are sent.
+ * @param {Object} req - Express request object (optional req.user and req.cookies)
+ * @param {Object} res - Express response object
+ * @returns {Object} - { userId } or { session }, for the conversation context model
+ */
+const readContextOwner = (req, res) => {
+    if (req.user) return { userId: req.user.id };
+
+    const sent = req.cookies?.[CHAT_SESSION_COOKIE];
+    if (verifyChatSession(sent)) return { session: sent };
+
+    const session = issueChatSession();
+    const production = process.env.NODE_ENV === 'production';
+    res.cookie(CHAT_SESSION_COOKIE, session, {
+        httpOnly: true,
+        secure: production,
+        // The deployed frontend is on another site, which needs sameSite 'none' (and HTTPS)
+        sameSite: production ? 'none' : 'lax',
+        maxAge: CONVERSATION_CONTEXT_TTL_MINUTES * 60 * 1000
+    });
+    return { session };
+};
+
+/**
+ * @function readConversationLanguage
+ * @description The language the assistant last replied in for a logged-in user's conversation,
+ * else body.language, so confirmations are recorded in the language of the chat.
+ * @param {Object} req - Express request object (conversationId and language in body, req.user from authenticate)
+ * @returns {string|null} - 'en', 'es', or null when neither is known
+ */
+const readConversationLanguage = (req) => {
+    return getConversationContext({ userId: req.user.id }, readConversationId(req.body)).language
+        || normalizeLanguage(req.body?.language);
+};
+
+/**
+ * @function recordChat
+ * @description Saves messages to the user's chat history. Failures are logged, never surfaced,
+ * so a history problem cannot break a chat reply or a booking.
+ * @param {Object} user - req.user
+ * @param {string} conversationId - Conversation the messages belong to
+ * @param {Array} messages - [{ role, content, intent, actions, booking }]
+ * @returns {Promise<void>}
+ */
+const recordChat = (user, conversationId, messages) => {
+    return appendMessages({ userId: user.id, conversationId, messages })
+        .catch((err) => console.error('Failed to save chat history:', err));
+};
+
+/**
+ * @function readMessage
+ * @description Reads the user's chat message from a request body.
+ * @param {Object} body - Request body
+ * @returns {string|null} - The message, or null when missing or blank
+ */
+const readMessage = (body) => {
+    const { message } = body || {};
+    return typeof message === 'string' && message.trim().length > 0 ? message : null;
+};
+
+/**
+ * @function replyToMessage
+ * @description Runs one chat turn: parses the message with the conversation's context, builds the
+ * reply, stores a proposed booking and records the exchange. Shared by /parse and /parse/stream.
+ * @param {Object} req - Express request object (body.conversationId and body.language, optional req.user and req.authToken)
+ * @param {Object} owner - Whose conversation context to use, from readContextOwner
+ * @param {string} message - The user's message
+ * @param {string} requestId - ID used in log lines
+ * @param {Object} [stream] - { onLanguage, onDelta }, both optional
+ * @returns {Promise<Object>} - Resolves with { parsed, response }; response.language is the reply's language
+ * @throws {Error} 'Failed to parse the request'
+ */
+const replyToMessage = async (req, owner, message, requestId, { onLanguage, onDelta } = {}) => {
+    console.log(`📨 [${requestId}] Processing message: "${message}"`);
+
+    const conversationId = readConversationId(req.body);
+    const context = getConversationContext(owner, conversationId);
+    
+    // Get available events for context
+    console.log(`🎫 [${requestId}] Fetching available events...`);
+    const availableEvents = await getAllEvents();
+    console.log(`✅ [${requestId}] Found ${availableEvents.length} events in database`);
+
+    // English or Spanish, from the message; one that could be either is answered in the language chosen in the chat
+    const language = resolveLanguage(message, req.body?.language, availableEvents);
+    const messages = getMessages(language);
+    // The stream learns the reply's language before any of its text
+    onLanguage?.(language);
+
+    // Reply text already passed to onDelta; model text the final reply does not use is not taken back
+    let streamed = '';
+    const streamText = onDelta && ((text) => {
+        streamed += text;
+        onDelta(text);
+    });
+    
+    // Once today's budget is spent the keyword parser answers; if the budget cannot be read, the model still does
+    const budget = await getBudgetStatus().catch((error) => {
+        console.error(`💥 [${requestId}] Failed to read the LLM budget:`, error.message);
+        return { exhausted: false };
+    });
+
+    // Descriptions and FAQs that fit the message, so "is parking included?" is answered from what admins wrote.
+    // Without event content the assistant still books; it just cannot answer questions from it
+    const passages = await searchEventContent(message).catch((error) => {
+        console.error(`💥 [${requestId}] Failed to search event content:`, error.message);
+        return [];
+    });
+    if (passages.length > 0) {
+        console.log(`📚 [${requestId}] Found ${passages.length} event content passages`);
+    }
+
+    // Parse the user's message using LLM
+    console.log(`🤖 [${requestId}] Sending to LLM for parsing...`);
+    const parseResult = await parseBookingRequest(message, availableEvents, { ...context, passages, language }, { withinBudget: !budget.exhausted, onText: streamText });
+    
+    if (!parseResult.success) {
+        console.log(`❌ [${requestId}] LLM PARSING FAILED`);
+        throw new Error('Failed to parse the request');
+    }
+
+    console.log(`✅ [${requestId}] LLM parsing successful:`, JSON.stringify(parseResult.data, null, 2));
+
+    // Whatever the parser made of the message, only known events and sensible quantities go further;
+    // what the policy turns down (too many tickets) gets a refusal instead of a reply
+    const { data: parsed, refusal, violations } = enforcePolicy(parseResult.data, availableEvents, { language });
+    if (violations.length > 0) {
+        console.warn(`🛡️ [${requestId}] Policy: ${violations.join(', ')}`);
+    }
+
+    // Usage accounting must never break a chat reply
+    await recordUsage({
+        requestId,
+        userId: req.user?.id ?? null,
+        intent: parsed.intent,
+        source: parseResult.source,
+        usage: parseResult.usage
+    }).catch((error) => console.error(`💥 [${requestId}] Failed to record LLM usage:`, error.message));
+
+    // Generate appropriate chat response
+    console.log(`💬 [${requestId}] Generating chat response...`);
+    let chatResponse;
+    if (refusal) {
+        chatResponse = refusal;
+    } else if (ORDER_INTENTS.includes(parsed.intent) && !req.user) {
+        // Anonymous users log in before asking about their bookings
+        chatResponse = {
+            message: messages.logInForBookings,
+            actions: [],
+            requiresConfirmation: false
+        };
+    } else {
+        // The user's own orders, fetched with their token; null tells the reply they could not be loaded
+        const orders = ORDER_INTENTS.includes(parsed.intent)
+            ? await getUserOrdersFromClient(req.authToken).catch((error) => {
+                console.error(`💥 [${requestId}] Failed to load orders:`, error.message);
+                return null;
+            })
+            : [];
+        chatResponse = generateChatResponse(parsed, availableEvents, orders, language);
+    }
+    chatResponse = { ...chatResponse, language };
+    console.log(`✅ [${requestId}] Chat response generated`);
+
+    let hold = null;
+    if (chatResponse.requiresConfirmation && chatResponse.bookingData) {
+        if (!req.user) {
+            // Anonymous users log in before booking, too
+            chatResponse = {
+                message: messages.logInToBook,
+                actions: [],
+                requiresConfirmation: false,
+                language
+            };
+        } else {
+            // Hold the tickets while the user decides, so they are still there on confirm
+            const { eventId, eventName, tickets } = chatResponse.bookingData;
+            try {
+                ({ hold } = await holdTicketsFromClient(eventId, tickets, req.authToken));
+            } catch (error) {
+                console.log(`❌ [${requestId}] Could not hold tickets: ${error.message}`);
+                const available = error.availableTickets;
+                chatResponse = {
+                    message: available > 0
+                        ? messages.notEnoughTickets(eventName, available, tickets)
+                        : messages.holdFailed(eventName),
+                    actions: [],
+                    requiresConfirmation: false,
+                    language
+                };
+            }
+        }
+    }
+
+    // The reply's text is final; what is left is bookkeeping, which the stream need not wait for
+    if (streamText && chatResponse.message.startsWith(streamed) && chatResponse.message.length > streamed.length) {
+        streamText(chatResponse.message.slice(streamed.length));
+    }
+
+    if (hold) {
+        // Stored server-side; confirm will book exactly this, whatever the browser sends back
+        const { eventId, eventName, tickets } = chatResponse.bookingData;
+        const pending = await createPendingBooking({
+            userId: req.user.id,
+            conversationId,
+            eventId,
+            eventName,
+            quantity: tickets,
+            holdId: hold.id,
+            expiresAt: hold.expires_at
+        });
+        console.log(`🔐 [${requestId}] Pending booking ${pending.id} holds tickets until ${pending.expires_at}`);
+        for (const holdId of pending.supersededHoldIds) {
+            await releaseHoldFromClient(holdId, req.authToken)
+                .catch((err) => console.error(`💥 [${requestId}] Failed to release superseded hold ${holdId}:`, err.message));
+        }
+        chatResponse.bookingData = {
+            ...chatResponse.bookingData,
+            confirmationToken: pending.token,
+            expiresAt: pending.expires_at
+        };
+    }
+
+    // Confirm will cancel exactly this order, and only from this user and conversation
+    if (chatResponse.requiresConfirmation && chatResponse.cancellationData && req.user) {
+        const { token, expiresAt } = createCancellationToken({
+            userId: req.user.id,
+            conversationId,
+            orderId: chatResponse.cancellationData.orderId
+        });
+        chatResponse.cancellationData = { ...chatResponse.cancellationData, confirmationToken: token, expiresAt };
+    }
+
+    if (req.user) {
+        const booking = chatResponse.bookingData ? {
+            status: 'proposed',
+            eventId: chatResponse.bookingData.eventId,
+            eventName: chatResponse.bookingData.eventName,
+            tickets: chatResponse.bookingData.tickets,
+            date: chatResponse.bookingData.date,
+            expiresAt: chatResponse.bookingData.expiresAt
+        } : chatResponse.cancellationData && {
+            status: 'cancellation_proposed',
+            orderId: chatResponse.cancellationData.orderId,
+            eventName: chatResponse.cancellationData.eventName,
+            tickets: chatResponse.cancellationData.tickets,
+            date: chatResponse.cancellationData.date,
+            expiresAt: chatResponse.cancellationData.expiresAt
+        };
+        await recordChat(req.user, conversationId, [
+            { role: 'user', content: message },
+            {
+                role: 'assistant',
+                content: chatResponse.message,
+                intent: parsed.intent,
+                actions: chatResponse.actions,
+                booking
+            }
+        ]);
+    }
+
+    recordConversationTurn(owner, conversationId, {
+        message,
+        parsed,
+        response: chatResponse,
+        availableEvents
+    });
+
+    return { parsed, response: chatResponse };
+};
 
 /**
  * @function parseLLMRequest
- * @description Parses natural language input and returns structured booking data
- * @param {Object} req - Express request object (expects 'message' in body)
+ * @description Parses natural language input and returns structured booking data.
+ * Earlier turns of the same conversation are passed to the parser so follow-ups resolve.
+ * @param {Object} req - Express request object (expects 'message' and optional 'conversationId' in body, optional req.user)
  * @param {Object} res - Express response object
  * @returns {void}
  */
@@ -18,58 +346,39 @@ const parseLLMRequest = async (req, res) => {
     console.log(`\n🚀 [${requestId}] NEW LLM REQUEST received at ${new Date().toISOString()}`);
     console.log(`📝 [${requestId}] Request body:`, JSON.stringify(req.body, null, 2));
     
-    try {
-        const { message } = req.body;
-
-        if (!message || typeof message !== 'string' || message.trim().length === 0) {
-            console.log(`❌ [${requestId}] VALIDATION FAILED: Empty or invalid message`);
-            return res.status(400).json({
-                success: false,
-                error: 'Message is required and must be a non-empty string'
-            });
-        }
-
-        console.log(`📨 [${requestId}] Processing message: "${message}"`);
-        
-        // Get available events for context
-        console.log(`🎫 [${requestId}] Fetching available events...`);
-        const availableEvents = await getAllEvents();
-        console.log(`✅ [${requestId}] Found ${availableEvents.length} events in database`);
-        
-        // Parse the user's message using LLM
-        console.log(`🤖 [${requestId}] Sending to LLM for parsing...`);
-        const parseResult = await parseBookingRequest(message, availableEvents);
-        
-        if (!parseResult.success) {
-            console.log(`❌ [${requestId}] LLM PARSING FAILED`);
-            return res.status(500).json({
-                success: false,
-                error: 'Failed to parse the request'
-            });
-        }
-
-        console.log(`✅ [${requestId}] LLM parsing successful:`, JSON.stringify(parseResult.data, null, 2));
+    const message = readMessage(req.body);
+    if (!message) {
+        console.log(`❌ [${requestId}] VALIDATION FAILED: Empty or invalid message`);
+        return res.status(400).json({
+            success: false,
+            error: 'Message is required and must be a non-empty string'
+        });
+    }
 
-        // Generate appropriate chat response
-        console.log(`💬 [${requestId}] Generating chat response...`);
-        const chatResponse = generateChatResponse(parseResult.data, availableEvents);
-        console.log(`✅ [${requestId}] Chat response generated`);
+    try {
+        const { parsed, response } = await replyToMessage(req, readContextOwner(req, res), message, requestId);
 
         const processingTime = Date.now() - startTime;
         console.log(`🎉 [${requestId}] REQUEST COMPLETED in ${processingTime}ms`);
         console.log(`📤 [${requestId}] Sending response:`, JSON.stringify({
             success: true,
-            parsed: parseResult.data,
-            response: chatResponse
+            parsed,
+            response
         }, null, 2));
 
         return res.json({
             success: true,
-            parsed: parseResult.data,
-            response: chatResponse
+            parsed,
+            response
         });
 
     } catch (error) {
+        if (error.message === 'Failed to parse the request') {
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to parse the request'
+            });
+        }
         const processingTime = Date.now() - startTime;
         console.error(`💥 [${requestId}] ERROR after ${processingTime}ms:`, error);
         console.error(`🔍 [${requestId}] Error stack:`, error.stack);
@@ -80,10 +389,89 @@ const parseLLMRequest = async (req, res) => {
     }
 };
 
+/**
+ * @function writeEvent
+ * @description Writes one Server-Sent Event.
+ * @param {Object} res - Express response object with an open event stream
+ * @param {string} event - Event name
+ * @param {Object} data - Payload, sent as JSON
+ * @returns {void}
+ */
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * @function streamLLMRequest
+ * @description Same turn as parseLLMRequest, sent as Server-Sent Events: a "language" event
+ * ({ language }) says which language the reply is in, "delta" events carry the reply text
+ * ({ text }) as it is produced, then one "done" event carries the payload /parse would
+ * return ({ success, parsed, response }). The model's answer to an event question is
+ * forwarded while the provider streams it; a reply built from a template is sent whole as
+ * soon as its text is final. done's response.message is the reply as recorded. Failures
+ * after the stream opened arrive as an "error" event ({ success: false, error }).
+ * @param {Object} req - Express request object (expects 'message' and optional 'conversationId' in body, optional req.user)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const streamLLMRequest = async (req, res) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+    const startTime = Date.now();
+
+    console.log(`\n🚀 [${requestId}] NEW STREAMING LLM REQUEST received at ${new Date().toISOString()}`);
+
+    const message = readMessage(req.body);
+    if (!message) {
+        console.log(`❌ [${requestId}] VALIDATION FAILED: Empty or invalid message`);
+        return res.status(400).json({
+            success: false,
+            error: 'Message is required and must be a non-empty string'
+        });
+    }
+
+    const owner = readContextOwner(req, res);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        // no-transform and X-Accel-Buffering keep proxies from compressing or holding back events
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // The browser may go away mid-turn; the turn still finishes and is recorded, so just stop writing
+    const send = (event, data) => {
+        if (!res.destroyed) writeEvent(res, event, data);
+    };
+
+    try {
+        const { parsed, response } = await replyToMessage(req, owner, message, requestId, {
+            // Sent first, so the browser can pick a matching voice before the text arrives
+            onLanguage: (language) => send('language', { language }),
+            onDelta: (text) => send('delta', { text })
+        });
+        send('done', { success: true, parsed, response });
+
+        const processingTime = Date.now() - startTime;
+        console.log(`🎉 [${requestId}] STREAM COMPLETED in ${processingTime}ms`);
+    } catch (error) {
+        console.error(`💥 [${requestId}] STREAM ERROR:`, error);
+        send('error', {
+            success: false,
+            error: error.message === 'Failed to parse the request'
+                ? 'Failed to parse the request'
+                : 'Internal server error while processing your request'
+        });
+    }
+    res.end();
+};
+
 /**
  * @function confirmBooking
- * @description Confirms and processes a booking with database transaction safety
- * @param {Object} req - Express request object (expects booking data in body)
+ * @description Books exactly what the assistant proposed, identified by the confirmation token
+ * from /parse. Event and ticket count in the body are ignored, so a tampered request cannot
+ * book something the assistant never offered.
+ * @param {Object} req - Express request object (expects confirmationToken and conversationId in body, req.user and req.authToken from authenticate)
  * @param {Object} res - Express response object  
  * @returns {void}
  */
@@ -94,59 +482,143 @@ const confirmBooking = async (req, res) => {
     console.log(`\n🎫 [${requestId}] BOOKING CONFIRMATION started at ${new Date().toISOString()}`);
     console.log(`📝 [${requestId}] Booking request:`, JSON.stringify(req.body, null, 2));
     
-    const { eventId, tickets } = req.body;
-
-    // Convert and validate inputs (handle both string and number inputs)
-    const parsedEventId = parseInt(eventId);
-    const parsedTickets = parseInt(tickets);
+    const { confirmationToken } = req.body;
 
-    // Validate event ID
-    if (!eventId || isNaN(parsedEventId) || parsedEventId <= 0) {
-        console.log(`❌ [${requestId}] VALIDATION FAILED: Invalid event ID (${eventId}) -> parsed: ${parsedEventId}`);
+    if (!confirmationToken || typeof confirmationToken !== 'string') {
+        console.log(`❌ [${requestId}] VALIDATION FAILED: Missing confirmation token`);
         return res.status(400).json({
             success: false,
-            error: 'Valid event ID is required'
+            error: 'Confirmation token is required'
         });
     }
 
-    // Validate ticket count  
-    if (!tickets || isNaN(parsedTickets) || parsedTickets <= 0) {
-        console.log(`❌ [${requestId}] VALIDATION FAILED: Invalid ticket count (${tickets}) -> parsed: ${parsedTickets}`);
-        return res.status(400).json({
+    let pending;
+    try {
+        pending = await claimPendingBooking({
+            token: confirmationToken,
+            userId: req.user.id,
+            conversationId: readConversationId(req.body)
+        });
+    } catch (error) {
+        console.log(`❌ [${requestId}] CONFIRMATION REFUSED: ${error.message}`);
+        if (error.message === 'Invalid confirmation token') return res.status(403).json({
+            success: false,
+            error: 'This booking could not be verified. Please ask the assistant again.'
+        });
+        if (error.message === 'Booking already confirmed') return res.status(409).json({
+            success: false,
+            error: 'This booking has already been confirmed'
+        });
+        if (error.message === 'Confirmation token expired' || error.message === 'Booking no longer available') {
+            return res.status(410).json({
+                success: false,
+                error: 'This booking offer has expired. Please ask the assistant again.'
+            });
+        }
+        console.error(`💥 [${requestId}] Error claiming pending booking:`, error);
+        return res.status(500).json({
             success: false,
-            error: 'Valid number of tickets is required'
+            error: 'Failed to process booking'
         });
     }
 
-    console.log(`✅ [${requestId}] Validation passed - Event ID: ${parsedEventId}, Tickets: ${parsedTickets}`);
+    const { event_id: eventId, quantity: tickets, hold_id: holdId } = pending;
+    console.log(`✅ [${requestId}] Token verified - Event ID: ${eventId}, Tickets: ${tickets}, Hold: ${holdId}, User: ${req.user.id}`);
 
     try {
-        // Purchase tickets through client service
-        console.log(`🔄 [${requestId}] Purchasing tickets via client service...`);
-        const bookingResult = await purchaseTicketsFromClient(parsedEventId, parsedTickets);
-        
-        if (!bookingResult.success) {
-            console.log(`❌ [${requestId}] BOOKING FAILED:`, bookingResult.error);
-            return res.status(400).json({
-                success: false,
-                error: bookingResult.error || 'Failed to complete booking'
-            });
-        }
+        // Buy the held tickets through client service
+        console.log(`🔄 [${requestId}] Checking out hold via client service...`);
+        // Forward the user's token so client service records the order against them,
+        // and the idempotency key so a retry after a lost response is not booked twice
+        const bookingResult = await checkoutHoldFromClient(
+            holdId,
+            req.authToken,
+            req.get('Idempotency-Key')
+        );
+        // The tickets are bought at this point, so bookkeeping failures must not turn into an error response
+        await completePendingBooking(pending.id, bookingResult.order?.id)
+            .catch((err) => console.error(`💥 [${requestId}] Failed to record confirmed booking:`, err));
 
         const processingTime = Date.now() - startTime;
         console.log(`🎉 [${requestId}] BOOKING SUCCESSFUL in ${processingTime}ms`);
-        console.log(`✅ [${requestId}] Booked ${parsedTickets} tickets for "${bookingResult.event.name}"`);
+        console.log(`✅ [${requestId}] Booked ${bookingResult.ticketsBooked} tickets for "${bookingResult.event.name}"`);
         console.log(`📊 [${requestId}] Remaining tickets: ${bookingResult.event.tickets}`);
         
         const response = {
             event: bookingResult.event.name,
-            tickets: parsedTickets
+            tickets: bookingResult.ticketsBooked,
+            orderId: bookingResult.order?.id,
+            remainingTickets: bookingResult.event.tickets
         };
         
+        // The booked quantity is settled; "book 2 more" should not reuse it
+        clearPendingTickets({ userId: req.user.id }, readConversationId(req.body));
+
+        await recordChat(req.user, readConversationId(req.body), [{
+            role: 'assistant',
+            content: getMessages(readConversationLanguage(req)).bookingConfirmed(response.tickets, response.event, response.orderId),
+            intent: 'booking',
+            booking: {
+                status: 'confirmed',
+                eventId,
+                eventName: pending.event_name,
+                tickets: response.tickets,
+                orderId: response.orderId
+            }
+        }]);
+
         console.log(`📤 [${requestId}] Sending booking confirmation:`, JSON.stringify(response, null, 2));
         return res.json(response);
 
     } catch (error) {
+        // The hold ran out (or went missing) before the user confirmed, so the offer is gone
+        if (error.message === 'Hold expired' || error.message === 'Hold not found') {
+            await failPendingBooking(pending.id)
+                .catch((err) => console.error(`💥 [${requestId}] Failed to update pending booking:`, err));
+            console.log(`⌛ [${requestId}] BOOKING REFUSED: ${error.message}`);
+            return res.status(410).json({
+                success: false,
+                error: 'This booking offer has expired. Please ask the assistant again.',
+                ticketsBooked: 0
+            });
+        }
+        // Bought by an earlier confirm whose response was lost
+        if (error.message === 'Hold already checked out') {
+            await completePendingBooking(pending.id, null)
+                .catch((err) => console.error(`💥 [${requestId}] Failed to record confirmed booking:`, err));
+            return res.status(409).json({
+                success: false,
+                error: 'This booking has already been confirmed'
+            });
+        }
+
+        // The client service books all tickets or none, so these refusals mean nothing was booked
+        const refused = error.message === 'Not enough tickets available' || error.message === 'Event not found';
+        await (refused ? failPendingBooking(pending.id) : releasePendingBooking(pending.id))
+            .catch((err) => console.error(`💥 [${requestId}] Failed to update pending booking:`, err));
+
+        if (refused) {
+            const notFound = error.message === 'Event not found';
+            const reason = notFound
+                ? 'Event not found'
+                : `Only ${error.availableTickets} ticket${error.availableTickets === 1 ? ' is' : 's are'} available, so no tickets were booked`;
+            console.log(`❌ [${requestId}] BOOKING REFUSED: ${reason}`);
+
+            await recordChat(req.user, readConversationId(req.body), [{
+                role: 'assistant',
+                content: getMessages(readConversationLanguage(req)).bookingRefused(pending.event_name, notFound ? null : error.availableTickets),
+                intent: 'booking',
+                booking: { status: 'failed', eventId, eventName: pending.event_name, tickets, reason }
+            }]);
+
+            return res.status(notFound ? 404 : 409).json({
+                success: false,
+                error: reason,
+                ...(notFound ? {} : { availableTickets: error.availableTickets }),
+                ticketsBooked: 0
+            });
+        }
+
         const processingTime = Date.now() - startTime;
         console.error(`💥 [${requestId}] BOOKING ERROR after ${processingTime}ms:`, error);
         console.error(`🔍 [${requestId}] Error stack:`, error.stack);
@@ -157,27 +629,221 @@ const confirmBooking = async (req, res) => {
     }
 };
 
+/**
+ * @function declineBooking
+ * @description Turns down a booking proposed by /parse and puts its held tickets back on sale,
+ * instead of leaving them held until the offer expires.
+ * @param {Object} req - Express request object (expects confirmationToken and conversationId in body, req.user and req.authToken from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const declineBooking = async (req, res) => {
+    const { confirmationToken } = req.body;
+
+    if (!confirmationToken || typeof confirmationToken !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Confirmation token is required'
+        });
+    }
+
+    let pending;
+    try {
+        pending = await declinePendingBooking({
+            token: confirmationToken,
+            userId: req.user.id,
+            conversationId: readConversationId(req.body)
+        });
+    } catch (error) {
+        if (error.message === 'Invalid confirmation token') return res.status(403).json({
+            success: false,
+            error: 'This booking could not be verified. Please ask the assistant again.'
+        });
+        if (error.message === 'Booking already confirmed') return res.status(409).json({
+            success: false,
+            error: 'This booking has already been confirmed'
+        });
+        console.error('💥 Error declining pending booking:', error);
+        return res.status(500).json({
+            success: false,
+            error: 'Failed to decline booking'
+        });
+    }
 
+    if (pending.status === 'declined' && pending.hold_id) {
+        // A hold that outlives this still expires on its own, so a failed release is only logged
+        await releaseHoldFromClient(pending.hold_id, req.authToken)
+            .catch((err) => console.error(`💥 Failed to release hold ${pending.hold_id}:`, err.message));
+    }
+    console.log(`↩️ Pending booking ${pending.id} declined by user ${req.user.id}`);
+    res.json({ success: true });
+};
+
+/**
+ * @function confirmCancellation
+ * @description Cancels the order the assistant offered to cancel, once the user confirms.
+ * The confirmation token from /parse must match the order, the user and the conversation, so
+ * an order ID alone cancels nothing; the client service still only cancels the user's own
+ * orders, and only while their refund window is open.
+ * @param {Object} req - Express request object (expects orderId, confirmationToken and conversationId in body, req.user and req.authToken from authenticate)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const confirmCancellation = async (req, res) => {
+    const requestId = Math.random().toString(36).substr(2, 9);
+    console.log(`\n↩️ [${requestId}] CANCELLATION CONFIRMATION started at ${new Date().toISOString()}`);
+
+    const orderId = parseInt(req.body?.orderId);
+    if (!Number.isInteger(orderId) || orderId <= 0) {
+        console.log(`❌ [${requestId}] VALIDATION FAILED: Invalid order ID`);
+        return res.status(400).json({
+            success: false,
+            error: 'orderId must be a positive integer'
+        });
+    }
+
+    try {
+        verifyCancellationToken({
+            token: req.body?.confirmationToken,
+            userId: req.user.id,
+            conversationId: readConversationId(req.body),
+            orderId
+        });
+        const { order, refund } = await cancelOrderFromClient(orderId, req.authToken);
+        const summary = {
+            orderId,
+            eventName: (order?.items || []).map(item => item.event_name).join(', '),
+            tickets: refund?.tickets_returned
+        };
+        console.log(`🎉 [${requestId}] Cancelled order ${orderId}`);
+
+        await recordChat(req.user, readConversationId(req.body), [{
+            role: 'assistant',
+            content: getMessages(readConversationLanguage(req)).orderCancelled(orderId, summary.eventName, summary.tickets),
+            intent: 'cancel_booking',
+            booking: { status: 'cancelled', ...summary }
+        }]);
+
+        return res.json(summary);
+    } catch (error) {
+        console.log(`❌ [${requestId}] CANCELLATION REFUSED: ${error.message}`);
+        if (error.message === 'Invalid confirmation token') return res.status(403).json({
+            success: false,
+            error: 'This cancellation could not be verified. Please ask the assistant again.'
+        });
+        if (error.message === 'Confirmation token expired') return res.status(410).json({
+            success: false,
+            error: 'This cancellation offer has expired. Please ask the assistant again.'
+        });
+        if (error.message === 'Order not found') return res.status(404).json({
+            success: false,
+            error: 'Order not found'
+        });
+        if (error.message === 'Order already refunded') return res.status(409).json({
+            success: false,
+            error: 'This booking has already been cancelled'
+        });
+        if (error.message === 'Refund window closed') return res.status(403).json({
+            success: false,
+            error: 'This booking can no longer be cancelled',
+            refundDeadline: error.refundDeadline
+        });
+        console.error(`💥 [${requestId}] Error cancelling order:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to cancel booking'
+        });
+    }
+};
 
 /**
  * @function getChatHistory
- * @description Retrieves chat conversation history (placeholder for future implementation)
- * @param {Object} req - Express request object
+ * @description Retrieves one page of the user's chat history, oldest message first.
+ * Without conversationId the most recently active conversation is returned, so the
+ * chat can pick up where the user left off. Pass nextBefore as before to page back.
+ * @param {Object} req - Express request object (optional conversationId, limit and before in query, req.user from authenticate)
  * @param {Object} res - Express response object
  * @returns {void}
  */
 const getChatHistory = async (req, res) => {
-    // For now, return empty history
-    // In a full implementation, you'd store and retrieve chat messages
-    res.json({
-        success: true,
-        messages: [],
-        note: 'Chat history feature not yet implemented'
-    });
+    const { conversationId, limit, before } = req.query;
+
+    if (conversationId !== undefined && (typeof conversationId !== 'string' || conversationId.length > 100)) {
+        return res.status(400).json({
+            success: false,
+            error: 'conversationId must be a string of at most 100 characters'
+        });
+    }
+
+    const parsedBefore = before === undefined ? undefined : parseInt(before);
+    if (parsedBefore !== undefined && (!Number.isInteger(parsedBefore) || parsedBefore <= 0)) {
+        return res.status(400).json({
+            success: false,
+            error: 'before must be a positive message ID'
+        });
+    }
+
+    try {
+        const history = await getStoredChatHistory({
+            userId: req.user.id,
+            conversationId,
+            limit,
+            before: parsedBefore
+        });
+        res.json({ success: true, ...history });
+    } catch (error) {
+        console.error('Error fetching chat history:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch chat history'
+        });
+    }
+};
+
+/**
+ * @function getUsageReport
+ * @description Admin report of LLM usage: requests, tokens, latency, estimated cost and fallbacks,
+ * in total, by day and by intent, with today's budget.
+ * @param {Object} req - Express request object (optional query from and to as YYYY-MM-DD, UTC)
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+const getUsageReport = async (req, res) => {
+    const { from, to } = req.query;
+    const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !Number.isNaN(Date.parse(value)) && new Date(value).toISOString().startsWith(value);
+
+    if ((from !== undefined && !isDate(from)) || (to !== undefined && !isDate(to))) {
+        return res.status(400).json({
+            success: false,
+            error: 'from and to must be dates (YYYY-MM-DD)'
+        });
+    }
+    if (from && to && from > to) {
+        return res.status(400).json({
+            success: false,
+            error: 'from must not be after to'
+        });
+    }
+
+    try {
+        const report = await getStoredUsageReport({ from, to });
+        res.json({ success: true, ...report });
+    } catch (error) {
+        console.error('Error fetching LLM usage report:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch LLM usage'
+        });
+    }
 };
 
 module.exports = {
     parseLLMRequest,
+    streamLLMRequest,
     confirmBooking,
-    getChatHistory
+    declineBooking,
+    confirmCancellation,
+    getChatHistory,
+    getUsageReport
 };
\ No newline at end of file
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Offline evaluation of the booking assistant's parsers against a labelled dataset.
+ * Scores the keyword parser (fallbackParser) and the LLM parser (parseBookingRequest) on intent,
+ * eventId and tickets, reports per-intent precision and recall, and lists the cases that passed
+ * in the stored baseline but fail now.
+ *
+ * Usage, from backend/ (npm run eval:llm -- [options]):
+ *
+ *   --parser <keyword|llm|all>  Parsers to score (default all)
+ *   --provider <name>           LLM_PROVIDER for the LLM parser (default mock; others need their usual settings)
+ *   --fixtures <path>           Fixtures the mock provider replays, e.g. a recording (default fixtures/mockCompletions.json)
+ *   --record <path>             Save the LLM parser's completions as mock fixtures, to replay a live model offline
+ *   --dataset <path>            Labelled cases (default eval/dataset.json)
+ *   --baseline <path>           Stored results to compare with (default eval/baseline.json)
+ *   --update-baseline           Store this run as the baseline
+ *   --json                      Print the report as JSON
+ *   --verbose                   Keep the parsers' logging
+ *
+ * Exits with 1 when there are regressions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLLMProvider } = require('../providers');
+
+const DEFAULT_DATASET = path.join(__dirname, 'dataset.json');
+const DEFAULT_BASELINE = path.join(__dirname, 'baseline.json');
+// Fields a case may label; intent is always required
+const SCORED_FIELDS = ['intent', 'eventId', 'tickets'];
+
+/**
+ * @function loadDataset
+ * @description Reads and checks a labelled dataset.
+ * @param {string} file - Dataset path
+ * @returns {Object} - { events, cases }
+ * @throws {Error} When the file has no events or cases, or a case has no id, utterance or intent
+ */
+const loadDataset = (file) => {
+    const dataset = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(dataset.events) || !Array.isArray(dataset.cases)) {
+        throw new Error(`Invalid dataset ${file}: expected "events" and "cases" arrays`);
+    }
+    const ids = new Set();
+    for (const testCase of dataset.cases) {
+        if (!testCase.id || !testCase.utterance || !testCase.expected?.intent) {
+            throw new Error(`Invalid dataset ${file}: every case needs an id, an utterance and an expected intent`);
+        }
+        if (ids.has(testCase.id)) throw new Error(`Invalid dataset ${file}: duplicate case id "${testCase.id}"`);
+        ids.add(testCase.id);
+    }
+    return dataset;
+};
+
+/**
+ * @function loadBaseline
+ * @description Reads the stored baseline, or an empty one if there is none yet.
+ * @param {string} file - Baseline path
+ * @returns {Object} - Per parser: { summary, passed: [case ids] }
+ */
+const loadBaseline = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {});
+
+/**
+ * @function compareCase
+ * @description Checks a parse against a case's labels. Only labelled fields are compared.
+ * @param {Object} expected - { intent, eventId?, tickets? }
+ * @param {Object|null} actual - Parsed data, or null when the parser failed
+ * @returns {Array<string>} - Mismatches, e.g. 'eventId: expected 2, got null'; empty when the case passed
+ */
+const compareCase = (expected, actual) => {
+    if (!actual) return ['parser returned nothing'];
+    return SCORED_FIELDS
+        .filter(field => field in expected)
+        .filter(field => (actual[field] ?? null) !== expected[field])
+        .map(field => `${field}: expected ${expected[field]}, got ${actual[field] ?? null}`);
+};
+
+/**
+ * @function quietly
+ * @description Runs a function with console output silenced; the parsers log every step.
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Its result
+ */
+const quietly = async (fn) => {
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+};
+
+/**
+ * @function evaluateParser
+ * @description Runs every case through a parser.
+ * @param {Function} parse - (utterance, events, context) => Promise<{ success, data, source? }>
+ * @param {Object} dataset - { events, cases }
+ * @returns {Promise<Array>} - Per case: { id, utterance, expected, actual, source, passed, mismatches }
+ */
+const evaluateParser = async (parse, { events, cases }) => {
+    const results = [];
+    for (const testCase of cases) {
+        const context = { lastEvent: null, pendingTickets: null, turns: [], ...testCase.context };
+        let result;
+        try {
+            result = await parse(testCase.utterance, events, context);
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        const actual = result?.success && result.data
+            ? { intent: result.data.intent, eventId: result.data.eventId ?? null, tickets: result.data.tickets ?? null }
+            : null;
+        const mismatches = compareCase(testCase.expected, actual);
+        results.push({
+            id: testCase.id,
+            utterance: testCase.utterance,
+            expected: testCase.expected,
+            actual,
+            source: result?.source || null,
+            passed: mismatches.length === 0,
+            mismatches
+        });
+    }
+    return results;
+};
+
+const ratio = (part, whole) => (whole > 0 ? part / whole : null);
+
+/**
+ * @function scoreResults
+ * @description Summarizes a parser's results. Precision is the share of predictions of an intent
+ * that were right, recall the share of cases with that intent that were found.
+ * @param {Array} results - From evaluateParser
+ * @returns {Object} - { cases, passed, accuracy, intents: { [intent]: { support, predicted, correct, precision, recall } },
+ * entities: { eventId, tickets } ({ correct, total, accuracy }), fallbacks }
+ */
+const scoreResults = (results) => {
+    const intents = {};
+    const intentStats = (intent) => {
+        intents[intent] = intents[intent] || { support: 0, predicted: 0, correct: 0 };
+        return intents[intent];
+    };
+
+    for (const { expected, actual } of results) {
+        intentStats(expected.intent).support++;
+        if (actual) {
+            intentStats(actual.intent).predicted++;
+            if (actual.intent === expected.intent) intents[expected.intent].correct++;
+        }
+    }
+    for (const stats of Object.values(intents)) {
+        stats.precision = ratio(stats.correct, stats.predicted);
+        stats.recall = ratio(stats.correct, stats.support);
+    }
+
+    const entityAccuracy = (field) => {
+        const labelled = results.filter(({ expected }) => field in expected);
+        const correct = labelled.filter(({ expected, actual }) => actual && actual[field] === expected[field]).length;
+        return { correct, total: labelled.length, accuracy: ratio(correct, labelled.length) };
+    };
+
+    const passed = results.filter(result => result.passed).length;
+    return {
+        cases: results.length,
+        passed,
+        accuracy: ratio(passed, results.length),
+        intents,
+        entities: { eventId: entityAccuracy('eventId'), tickets: entityAccuracy('tickets') },
+        fallbacks: results.filter(result => result.source === 'fallback').length
+    };
+};
+
+/**
+ * @function compareWithBaseline
+ * @description Finds cases that passed in the baseline but fail now, and the reverse.
+ * @param {Array} results - From evaluateParser
+ * @param {Object} [baseline] - This parser's baseline ({ passed: [case ids] })
+ * @returns {Object} - { regressions: [results], improvements: [results] }; both empty without a baseline
+ */
+const compareWithBaseline = (results, baseline) => {
+    if (!baseline) return { regressions: [], improvements: [] };
+    const passedBefore = new Set(baseline.passed);
+    return {
+        regressions: results.filter(result => !result.passed && passedBefore.has(result.id)),
+        improvements: results.filter(result => result.passed && !passedBefore.has(result.id))
+    };
+};
+
+/**
+ * @function createRecorder
+ * @description Wraps a provider so every completion is kept as a mock fixture entry that
+ * replays it for the same message. Messages are matched exactly, so a recording replays one dataset.
+ * @param {Object} provider - Provider to record
+ * @returns {Object} - { provider, completions }
+ */
+const createRecorder = (provider) => {
+    const completions = [];
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return {
+        completions,
+        provider: {
+            ...provider,
+            createChatCompletion: async (request) => {
+                const completion = await provider.createChatCompletion(request);
+                const userMessage = [...request.messages].reverse().find(m => m.role === 'user')?.content || '';
+                const message = completion.choices[0]?.message || {};
+                const toolCall = message.tool_calls?.[0];
+                let args;
+                try {
+                    args = toolCall && JSON.parse(toolCall.function.arguments || '{}');
+                } catch (error) {
+                    args = undefined;
+                }
+                // Arguments that are not JSON cannot be replayed as a tool call; keep the text instead
+                completions.push(toolCall && args
+                    ? { match: `^${escape(userMessage)}$`, tool: toolCall.function.name, arguments: args }
+                    : { match: `^${escape(userMessage)}$`, content: message.content ?? '' });
+                return completion;
+            }
+        }
+    };
+};
+
+/**
+ * @function runEvaluation
+ * @description Scores the requested parsers and compares them with the baseline.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.parsers] - 'keyword' and/or 'llm' (default both)
+ * @param {string} [options.provider] - LLM_PROVIDER for the LLM parser (default 'mock')
+ * @param {string} [options.fixtures] - Mock fixtures to replay
+ * @param {string} [options.record] - Where to save the LLM parser's completions as fixtures
+ * @param {string} [options.dataset] - Dataset path
+ * @param {string} [options.baseline] - Baseline path
+ * @param {boolean} [options.verbose] - Keep the parsers' logging
+ * @returns {Promise<Array>} - Per parser: { parser, summary, results, regressions, improvements }
+ */
+const runEvaluation = async ({
+    parsers = ['keyword', 'llm'],
+    provider: providerName = 'mock',
+    fixtures,
+    record,
+    dataset: datasetPath = DEFAULT_DATASET,
+    baseline: baselinePath = DEFAULT_BASELINE,
+    verbose = false
+} = {}) => {
+    const dataset = loadDataset(datasetPath);
+    const baseline = loadBaseline(baselinePath);
+    const run = verbose ? (fn) => fn() : quietly;
+
+    // Loaded here so its start-up logging is silenced too
+    const { parseBookingRequest, fallbackParser } = await run(async () => require('../models/llmModel'));
+
+    const reports = [];
+    const evaluate = async (parser, parse) => {
+        const results = await run(() => evaluateParser(parse, dataset));
+        reports.push({
+            parser,
+            summary: scoreResults(results),
+            results,
+            ...compareWithBaseline(results, baseline[parser])
+        });
+    };
+
+    if (parsers.includes('keyword')) {
+        await evaluate('keyword', fallbackParser);
+    }
+
+    if (parsers.includes('llm')) {
+        let provider = createLLMProvider({
+            ...process.env,
+            LLM_PROVIDER: providerName,
+            ...(fixtures && { LLM_MOCK_FIXTURES: fixtures })
+        });
+        const recorder = record && provider && createRecorder(provider);
+        if (recorder) provider = recorder.provider;
+
+        await evaluate(`llm:${providerName}`, (utterance, events, context) =>
+            parseBookingRequest(utterance, events, context, { provider }));
+
+        if (recorder) {
+            fs.writeFileSync(record, JSON.stringify({
+                description: `Completions recorded from ${providerName} (${provider.model}) by eval/runEval.js`,
+                completions: recorder.completions
+            }, null, 2) + '\n');
+        }
+    }
+
+    return reports;
+};
+
+/**
+ * @function updateBaseline
+ * @description Stores the reports' passing cases as the baseline, keeping other parsers' entries.
+ * @param {Array} reports - From runEvaluation
+ * @param {string} [file] - Baseline path
+ * @returns {void}
+ */
+const updateBaseline = (reports, file = DEFAULT_BASELINE) => {
+    const baseline = loadBaseline(file);
+    for (const { parser, summary, results } of reports) {
+        baseline[parser] = {
+            summary: { cases: summary.cases, passed: summary.passed, accuracy: summary.accuracy },
+            passed: results.filter(result => result.passed).map(result => result.id)
+        };
+    }
+    fs.writeFileSync(file, JSON.stringify(baseline, null, 2) + '\n');
+};
+
+const percent = (value) => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * @function formatReport
+ * @description Renders reports as plain text for the terminal.
+ * @param {Array} reports - From runEvaluation
+ * @returns {string}
+ */
+const formatReport = (reports) => reports.map(({ parser, summary, results, regressions, improvements }) => {
+    const lines = [
+        `${parser}: ${summary.passed}/${summary.cases} cases passed (${percent(summary.accuracy)})`,
+        '',
+        `  ${'intent'.padEnd(16)}${'precision'.padStart(10)}${'recall'.padStart(10)}${'support'.padStart(10)}`,
+        ...Object.entries(summary.intents)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([intent, stats]) =>
+                `  ${intent.padEnd(16)}${percent(stats.precision).padStart(10)}${percent(stats.recall).padStart(10)}${String(stats.support).padStart(10)}`),
+        '',
+        `  eventId: ${summary.entities.eventId.correct}/${summary.entities.eventId.total} (${percent(summary.entities.eventId.accuracy)})` +
+            `   tickets: ${summary.entities.tickets.correct}/${summary.entities.tickets.total} (${percent(summary.entities.tickets.accuracy)})`
+    ];
+    if (parser.startsWith('llm:')) {
+        lines.push(`  answered by the keyword parser instead: ${summary.fallbacks}/${summary.cases}`);
+    }
+
+    const describe = (result) => `    ${result.id} "${result.utterance}": ${result.mismatches.join('; ')}`;
+    const regressionIds = new Set(regressions.map(result => result.id));
+    const knownFailures = results.filter(result => !result.passed && !regressionIds.has(result.id));
+
+    lines.push('', `  Regressions (${regressions.length})${regressions.length ? ':' : ''}`, ...regressions.map(describe));
+    if (improvements.length) {
+        lines.push(`  Fixed since the baseline (${improvements.length}): ${improvements.map(result => result.id).join(', ')}`);
+    }
+    if (knownFailures.length) {
+        lines.push(`  Still failing (${knownFailures.length}):`, ...knownFailures.map(describe));
+    }
+    return lines.join('\n');
+}).join('\n\n');
+
+/**
+ * @function parseArgs
+ * @description Reads command line options.
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} - Options for runEvaluation, plus json and updateBaseline
+ */
+const parseArgs = (argv) => {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--parser': {
+                const parser = next();
+                if (!['keyword', 'llm', 'all'].includes(parser)) throw new Error(`Unknown parser "${parser}"`);
+                options.parsers = parser === 'all' ? ['keyword', 'llm'] : [parser];
+                break;
+            }
+            case '--provider': options.provider = next(); break;
+            case '--fixtures': options.fixtures = path.resolve(next()); break;
+            case '--record': options.record = path.resolve(next()); break;
+            case '--dataset': options.dataset = path.resolve(next()); break;
+            case '--baseline': options.baseline = path.resolve(next()); break;
+            case '--update-baseline': options.updateBaseline = true; break;
+            case '--json': options.json = true; break;
+            case '--verbose': options.verbose = true; break;
+            default: throw new Error(`Unknown option "${arg}"`);
+        }
+    }
+    return options;
+};
+
+if (require.main === module) {
+    (async () => {
+        const options = parseArgs(process.argv.slice(2));
+        const reports = await runEvaluation(options);
+
+        if (options.updateBaseline) {
+            updateBaseline(reports, options.baseline);
+        }
+
+        console.log(options.json
+            ? JSON.stringify(reports, null, 2)
+            : formatReport(reports) + (options.updateBaseline ? '\n\nBaseline updated.' : ''));
+
+        const regressed = !options.updateBaseline && reports.some(report => report.regressions.length > 0);
+        process.exitCode = regressed ? 1 : 0;
+    })().catch((error) => {
+        console.error(`Evaluation failed: ${error.message}`);
+        process.exitCode = 2;
+    });
+}
+
+module.exports = {
+    loadDataset,
+    compareCase,
+    evaluateParser,
+    scoreResults,
+    compareWithBaseline,
+    createRecorder,
+    runEvaluation,
+    updateBaseline,
+    formatReport
+};
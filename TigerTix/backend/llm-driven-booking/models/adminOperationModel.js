@@ -0,0 +1,95 @@
+const { runAsync, getAsync, withTransaction, toSqlTimestamp } = require('../../db');
+const { createConfirmationToken, verifyConfirmationToken } = require('./pendingBookingModel');
+
+// How long an admin has to confirm a change the console proposed
+const PENDING_ADMIN_OPERATION_TTL_MINUTES = parseInt(process.env.PENDING_ADMIN_OPERATION_TTL_MINUTES) || 10;
+
+/**
+ * @function toPendingOperation
+ * @description Converts a pending_admin_operations row, parsing its JSON columns.
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+const toPendingOperation = (row) => ({
+    ...row,
+    operation: JSON.parse(row.operation),
+    result: row.result ? JSON.parse(row.result) : null
+});
+
+/**
+ * @function createPendingOperation
+ * @description Stores an operation the admin console proposed and issues the token that confirms it.
+ * @param {Object} pending - { userId, operation, now }
+ * @returns {Promise<Object>} - Resolves with the pending operation, including token and expires_at
+ */
+const createPendingOperation = async ({ userId, operation, now = new Date() }) => {
+    const expiresAt = toSqlTimestamp(new Date(now.getTime() + PENDING_ADMIN_OPERATION_TTL_MINUTES * 60 * 1000));
+
+    const { lastID } = await runAsync(
+        'INSERT INTO pending_admin_operations (token, user_id, operation, expires_at) VALUES (?, ?, ?, ?)',
+        [createConfirmationToken(), userId, JSON.stringify(operation), expiresAt]
+    );
+    return toPendingOperation(await getAsync('SELECT * FROM pending_admin_operations WHERE id = ?', [lastID]));
+};
+
+/**
+ * @function claimPendingOperation
+ * @description Marks a pending operation as being executed so it runs exactly once.
+ * Tokens issued to another admin are reported as invalid.
+ * @param {Object} claim - { token, userId, now }
+ * @returns {Promise<Object>} - Resolves with the claimed operation
+ * @throws {Error} 'Invalid confirmation token', 'Operation already confirmed',
+ * 'Operation no longer available' or 'Confirmation token expired'
+ */
+const claimPendingOperation = async ({ token, userId, now = new Date() }) => {
+    if (!verifyConfirmationToken(token)) throw new Error('Invalid confirmation token');
+
+    return withTransaction(async () => {
+        const pending = await getAsync('SELECT * FROM pending_admin_operations WHERE token = ?', [token]);
+        if (!pending || pending.user_id !== userId) throw new Error('Invalid confirmation token');
+        if (pending.status === 'executing' || pending.status === 'executed') {
+            throw new Error('Operation already confirmed');
+        }
+        if (pending.status !== 'pending') throw new Error('Operation no longer available');
+        if (pending.expires_at <= toSqlTimestamp(now)) throw new Error('Confirmation token expired');
+
+        await runAsync("UPDATE pending_admin_operations SET status = 'executing' WHERE id = ?", [pending.id]);
+        return toPendingOperation({ ...pending, status: 'executing' });
+    });
+};
+
+/**
+ * @function finishPendingOperation
+ * @description Records how a claimed operation ended.
+ * @param {number} id - Pending operation ID
+ * @param {string} status - 'executed' or 'failed'
+ * @param {Object} result - What admin-service answered, or why the operation was not run
+ * @returns {Promise<void>}
+ */
+const finishPendingOperation = async (id, status, result) => {
+    await withTransaction(() => runAsync(
+        'UPDATE pending_admin_operations SET status = ?, result = ? WHERE id = ?',
+        [status, JSON.stringify(result), id]
+    ));
+};
+
+/**
+ * @function releasePendingOperation
+ * @description Returns a claimed operation to pending after an unexpected error so the admin can retry.
+ * @param {number} id - Pending operation ID
+ * @returns {Promise<void>}
+ */
+const releasePendingOperation = async (id) => {
+    await withTransaction(() => runAsync(
+        "UPDATE pending_admin_operations SET status = 'pending' WHERE id = ? AND status = 'executing'",
+        [id]
+    ));
+};
+
+module.exports = {
+    PENDING_ADMIN_OPERATION_TTL_MINUTES,
+    createPendingOperation,
+    claimPendingOperation,
+    finishPendingOperation,
+    releasePendingOperation
+};
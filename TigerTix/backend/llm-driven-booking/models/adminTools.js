@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Tools the admin console model can call, and validation of its tool calls.
+ * Each call becomes a proposed admin-service operation (createEvent, updateTickets, deleteEvent)
+ * checked against the events that actually exist; nothing is changed until an admin confirms it.
+ */
+
+const { validateToolArguments } = require('./llmTools');
+const { resolveDateExpression } = require('./dateResolver');
+
+/**
+ * Tool definitions in OpenAI's chat completions format
+ */
+const ADMIN_TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'create_event',
+            description: 'Propose creating a new event.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', description: 'Event name as the admin wrote it' },
+                    date: { type: 'string', description: 'Event date as YYYY-MM-DD, or in the admin\'s words ("November 7", "next Friday")' },
+                    tickets: { type: 'integer', minimum: 0, description: 'Number of tickets' }
+                },
+                required: ['name', 'date', 'tickets']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'change_tickets',
+            description: 'Propose changing an existing event\'s ticket count, either by an amount ("add 200", "remove 50") or to a new total ("set it to 500").',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventId: { type: 'integer', description: 'ID of the event, from the event list' },
+                    add: { type: 'integer', description: 'Tickets to add; negative to remove' },
+                    set: { type: 'integer', minimum: 0, description: 'New ticket total' }
+                },
+                required: ['eventId']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'delete_event',
+            description: 'Propose deleting an existing event.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventId: { type: 'integer', description: 'ID of the event, from the event list' }
+                },
+                required: ['eventId']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'respond',
+            description: 'Reply without proposing a change: for questions, unclear requests or anything the console cannot do.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string', description: 'Reply to the admin' }
+                },
+                required: ['message']
+            }
+        }
+    }
+];
+
+/**
+ * @function resolveEventDate
+ * @description Turns a date argument into one calendar date.
+ * @param {string} text - YYYY-MM-DD or a date expression
+ * @returns {string|null} - YYYY-MM-DD, or null when it is not exactly one day
+ */
+const resolveEventDate = (text) => {
+    const range = resolveDateExpression(text);
+    return range && range.start === range.end ? range.start : null;
+};
+
+/**
+ * @function proposeCreate
+ * @description Builds a createEvent operation.
+ * @param {Object} fields - { name, date, tickets }; date may be an expression
+ * @param {Array} events - Existing events
+ * @returns {Object} - { operation } or { operation: null, message } explaining why not
+ */
+const proposeCreate = ({ name, date, tickets }, events) => {
+    const cleanName = String(name || '').trim();
+    const day = resolveEventDate(date);
+    if (!cleanName) return { operation: null, message: 'What should the new event be called?' };
+    if (!day) return { operation: null, message: `I couldn't tell which day "${date}" is. Please give the date as YYYY-MM-DD.` };
+
+    const duplicate = events.find(e => e.name.toLowerCase() === cleanName.toLowerCase() && String(e.date).slice(0, 10) === day);
+    if (duplicate) {
+        return { operation: null, message: `${duplicate.name} on ${day} already exists (ID ${duplicate.id}).` };
+    }
+    return { operation: { type: 'createEvent', name: cleanName, date: day, tickets } };
+};
+
+/**
+ * @function proposeTicketChange
+ * @description Builds an updateTickets operation from an amount or a new total.
+ * @param {Object} event - Event to change
+ * @param {Object} change - { add } or { set }
+ * @returns {Object} - { operation } or { operation: null, message } explaining why not
+ */
+const proposeTicketChange = (event, { add, set }) => {
+    const after = set !== undefined ? set : event.tickets + add;
+    if (after < 0) {
+        return { operation: null, message: `${event.name} only has ${event.tickets} tickets, so I can't remove ${-add}.` };
+    }
+    if (after === event.tickets) {
+        return { operation: null, message: `${event.name} already has ${event.tickets} tickets.` };
+    }
+    return {
+        operation: { type: 'updateTickets', eventId: event.id, eventName: event.name, before: event.tickets, after }
+    };
+};
+
+/**
+ * @function proposeDelete
+ * @description Builds a deleteEvent operation.
+ * @param {Object} event - Event to delete
+ * @returns {Object} - { operation }
+ */
+const proposeDelete = (event) => ({
+    operation: { type: 'deleteEvent', eventId: event.id, eventName: event.name, date: event.date, tickets: event.tickets }
+});
+
+/**
+ * @function interpretAdminToolCall
+ * @description Turns the model's tool call into a proposed operation.
+ * @param {Object} toolCall - Tool call from the completion ({ function: { name, arguments } })
+ * @param {Array} events - Existing events
+ * @returns {Object} - { operation, message }; operation is null when nothing should change
+ * @throws {Error} For an unknown tool or invalid arguments
+ */
+const interpretAdminToolCall = (toolCall, events = []) => {
+    const name = toolCall?.function?.name;
+    const tool = ADMIN_TOOLS.find(t => t.function.name === name);
+    if (!tool) throw new Error(`Unknown tool "${name}"`);
+
+    let args;
+    try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+        throw new Error(`Invalid arguments for ${name}: not valid JSON`);
+    }
+
+    const { valid, value, errors } = validateToolArguments(tool.function.parameters, args);
+    if (!valid) throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+
+    if (name === 'respond') return { operation: null, message: value.message };
+    if (name === 'create_event') return proposeCreate(value, events);
+
+    const event = events.find(e => e.id === value.eventId);
+    if (!event) return { operation: null, message: `Event ID ${value.eventId} does not match any event.` };
+    if (name === 'delete_event') return proposeDelete(event);
+
+    if ((value.add === undefined) === (value.set === undefined)) {
+        throw new Error(`Invalid arguments for ${name}: give exactly one of add and set`);
+    }
+    return proposeTicketChange(event, value);
+};
+
+module.exports = {
+    ADMIN_TOOLS,
+    proposeCreate,
+    proposeTicketChange,
+    proposeDelete,
+    interpretAdminToolCall
+};
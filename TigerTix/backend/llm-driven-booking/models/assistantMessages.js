@@ -0,0 +1,181 @@
+/**
+ * @fileoverview What the booking assistant says, in each supported language. Both parsers and
+ * the reply builder take their text from here, so a reply never mixes languages.
+ * Choice messages are sent back as the user's next message, so each must still parse in its language.
+ */
+
+const { DEFAULT_LANGUAGE } = require('./languageDetector');
+
+/**
+ * @function plural
+ * @description Adds "s" when count is not 1.
+ * @param {number} count - How many
+ * @param {string} word - Singular form
+ * @returns {string} - "1 ticket", "2 tickets"
+ */
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * @function dateSpan
+ * @description Writes a date range as one date or "start <through> end".
+ * @param {Object} range - { start, end } as YYYY-MM-DD
+ * @param {string} through - Word between the dates ("to", "a")
+ * @returns {string} - "2026-10-24 to 2026-10-25"
+ */
+const dateSpan = ({ start, end }, through) => (start === end ? start : `${start} ${through} ${end}`);
+
+const MESSAGES = {
+    en: {
+        // Parser results
+        findingBooking: 'Let me find that booking.',
+        yourBookings: 'Here are your bookings:',
+        aboutEvent: (name) => `Here's what I know about ${name}.`,
+        notCoveredBy: (name) => `I couldn't find that in the information about ${name}.`,
+        hello: 'Hello! I can help you book tickets for our events. Would you like to see available events?',
+        eventsFor: (label) => `Here are the events for ${label}:`,
+        availableEvents: 'Here are the available events:',
+        bookingFor: (tickets, name) => `I'll help you book ${plural(tickets, 'ticket')} for ${name}.`,
+        bookingWithoutEvent: (tickets) =>
+            `I understand you want to book ${plural(tickets, 'ticket')}, but I couldn't identify which event. Please specify the event name.`,
+        notUnderstood: "I'm sorry, I didn't understand that. I can help you book tickets for events. Try saying 'show events' or 'book 2 tickets for [event name]'.",
+        whichEvent: (names) => `Did you mean ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}?`,
+
+        // Messages sent back when the user picks an event
+        choices: {
+            booking: (name, tickets) => `Book ${plural(tickets, 'ticket')} for ${name}`,
+            event_info: (name) => `When is ${name}?`,
+            cancel_booking: (name) => `Cancel my booking for ${name}`
+        },
+
+        // Replies
+        welcome: "Hello! Welcome to TigerTix. I'm your booking assistant. I can help you:\n• View available events\n• Book tickets for events\n• Check or cancel your bookings\n\nJust tell me what you'd like to do!",
+        noEvents: 'Sorry, there are no events available at the moment.',
+        noEventsFor: (label, range) => `I couldn't find any events with tickets for ${label} (${dateSpan(range, 'to')}). Would you like to see all available events?`,
+        eventLine: (event) => `• ${event.name} - ${event.date} (${event.tickets} tickets available)`,
+        eventList: (list) => `Here are the available events with tickets:\n\n${list}\n\nWhich event would you like to book tickets for?`,
+        eventListFor: (label, range, list) => `Here are the events with tickets for ${label} (${dateSpan(range, 'to')}):\n\n${list}\n\nWhich event would you like to book tickets for?`,
+        unsureWhichEvent: "I'm not sure which event you mean. Would you like to see available events?",
+        eventInfo: (event) =>
+            `📅 ${event.name} is on ${event.date}.\n🎪 ${event.tickets > 0 ? `${event.tickets} tickets available` : 'Sold out'}.\n\nWould you like to book tickets?`,
+        notCoveredFor: (name) => `I couldn't find that in the information about ${name}. Would you like to know when it is or how many tickets are left?`,
+        notCovered: "I couldn't find that in the event information. Would you like to see available events?",
+        faqSource: (question) => `FAQ: ${question}`,
+        descriptionSource: 'event description',
+        answerWithSource: (answer, name, cited) => `${answer}\n\n📖 Source: ${name} (${cited})`,
+        bookingsUnavailable: "Sorry, I couldn't load your bookings right now. Please try again in a moment.",
+        nothingToCancel: "You don't have any bookings to cancel.",
+        noBookings: "You don't have any bookings yet. Would you like to see available events?",
+        orderLine: (order) => `• Order #${order.orderId}: ${plural(order.tickets, 'ticket')} for ${order.eventName} - ${order.date}`,
+        bookingList: (lines) => `Here are your bookings:\n\n${lines}\n\nYou can ask me to cancel one.`,
+        bookingNotFound: (orderId, event, lines) =>
+            `I couldn't find an active booking ${orderId ? `with order #${orderId}` : `for ${event}`}. Here are your bookings:\n\n${lines}\n\nWhich one would you like to cancel?`,
+        whichBooking: (lines, orderId) => `Which booking would you like to cancel?\n\n${lines}\n\nSay "cancel order #${orderId}", for example.`,
+        cancelProposal: (booking) =>
+            `I can cancel this booking:\n\n🧾 Order #${booking.orderId}\n📅 Event: ${booking.eventName}\n🎫 Tickets: ${booking.tickets}\n📍 Date: ${booking.date}\n\nThe tickets will be refunded. Would you like me to cancel it?`,
+        bookingNeedsEvent: "I'd like to help you book tickets, but I need to know which event you're interested in. Please specify the event name.",
+        eventNotFound: (event) => `Sorry, I couldn't find an event called "${event}". Would you like to see available events?`,
+        notEnoughTickets: (event, available, requested) =>
+            `Sorry, ${event} only has ${available} tickets available, but you requested ${requested}. Would you like to book ${available} tickets instead?`,
+        holdFailed: (event) => `Sorry, I couldn't set aside tickets for ${event} right now. Please try again in a moment.`,
+        bookingConfirmed: (tickets, event, orderId) => `Booked ${plural(tickets, 'ticket')} for ${event} (order #${orderId}).`,
+        bookingRefused: (event, available) => `Sorry, I couldn't book ${event}: ${available == null
+            ? 'Event not found'
+            : `Only ${plural(available, 'ticket')} ${available === 1 ? 'is' : 'are'} available, so no tickets were booked`}.`,
+        orderCancelled: (orderId, event, tickets) =>
+            `Cancelled order #${orderId} for ${event}; ${plural(tickets, 'ticket')} ${tickets === 1 ? 'was' : 'were'} refunded.`,
+        bookingProposal: (event, tickets, target) =>
+            `I've prepared your booking request:\n\n📅 Event: ${event}\n🎫 Tickets: ${tickets}\n📍 Date: ${target.date}\n💰 Price: ${target.price || 'TBD'} per ticket\n🎪 Available: ${target.tickets} tickets remaining\n\nWould you like me to proceed with this booking?`,
+        help: "I'm sorry, I didn't understand that. I can help you:\n• View available events\n• Book tickets for events\n• Check or cancel your bookings\n\nTry asking 'show events' or 'book 2 tickets for [event name]'.",
+
+        // Refusals and login prompts
+        atLeastOneTicket: 'Please ask for at least 1 ticket.',
+        ticketLimit: (max, event, tickets, offer) =>
+            `Sorry, I can book at most ${max} tickets at a time${event ? ` (you asked for ${tickets} for ${event})` : ''}.`
+                + (offer ? ` Would you like to book ${max} instead?` : ''),
+        bookLimitLabel: (max) => `Book ${max} tickets`,
+        bookLimitMessage: (max, event) => `Book ${max} tickets for ${event}`,
+        logInForBookings: 'Please log in so I can look up your bookings.',
+        logInToBook: "Please log in to book tickets. Once you're logged in, ask me again and I'll prepare your booking."
+    },
+
+    es: {
+        findingBooking: 'Voy a buscar esa reserva.',
+        yourBookings: 'Estas son tus reservas:',
+        aboutEvent: (name) => `Esto es lo que sé de ${name}.`,
+        notCoveredBy: (name) => `No encontré eso en la información de ${name}.`,
+        hello: '¡Hola! Puedo ayudarte a reservar boletos para nuestros eventos. ¿Quieres ver los eventos disponibles?',
+        eventsFor: (label) => `Estos son los eventos para ${label}:`,
+        availableEvents: 'Estos son los eventos disponibles:',
+        bookingFor: (tickets, name) => `Te ayudo a reservar ${plural(tickets, 'boleto')} para ${name}.`,
+        bookingWithoutEvent: (tickets) =>
+            `Entiendo que quieres reservar ${plural(tickets, 'boleto')}, pero no pude identificar el evento. Por favor, dime el nombre del evento.`,
+        notUnderstood: "Lo siento, no entendí. Puedo ayudarte a reservar boletos para eventos. Prueba con 'mostrar eventos' o 'reservar 2 boletos para [nombre del evento]'.",
+        whichEvent: (names) => `¿Te refieres a ${names.slice(0, -1).join(', ')} o ${names[names.length - 1]}?`,
+
+        choices: {
+            booking: (name, tickets) => `Reservar ${plural(tickets, 'boleto')} para ${name}`,
+            event_info: (name) => `¿Cuándo es ${name}?`,
+            cancel_booking: (name) => `Cancelar mi reserva para ${name}`
+        },
+
+        welcome: '¡Hola! Bienvenido a TigerTix. Soy tu asistente de reservas. Puedo ayudarte a:\n• Ver los eventos disponibles\n• Reservar boletos para eventos\n• Consultar o cancelar tus reservas\n\n¡Dime qué te gustaría hacer!',
+        noEvents: 'Lo siento, no hay eventos disponibles en este momento.',
+        noEventsFor: (label, range) => `No encontré eventos con boletos para ${label} (${dateSpan(range, 'a')}). ¿Quieres ver todos los eventos disponibles?`,
+        eventLine: (event) => `• ${event.name} - ${event.date} (${plural(event.tickets, 'boleto')} ${event.tickets === 1 ? 'disponible' : 'disponibles'})`,
+        eventList: (list) => `Estos son los eventos con boletos disponibles:\n\n${list}\n\n¿Para qué evento quieres reservar boletos?`,
+        eventListFor: (label, range, list) => `Estos son los eventos con boletos para ${label} (${dateSpan(range, 'a')}):\n\n${list}\n\n¿Para qué evento quieres reservar boletos?`,
+        unsureWhichEvent: 'No estoy seguro de qué evento quieres decir. ¿Quieres ver los eventos disponibles?',
+        eventInfo: (event) =>
+            `📅 ${event.name} es el ${event.date}.\n🎪 ${event.tickets > 0 ? `Quedan ${event.tickets} boletos` : 'Agotado'}.\n\n¿Quieres reservar boletos?`,
+        notCoveredFor: (name) => `No encontré eso en la información de ${name}. ¿Quieres saber cuándo es o cuántos boletos quedan?`,
+        notCovered: 'No encontré eso en la información de los eventos. ¿Quieres ver los eventos disponibles?',
+        faqSource: (question) => `Preguntas frecuentes: ${question}`,
+        descriptionSource: 'descripción del evento',
+        answerWithSource: (answer, name, cited) => `${answer}\n\n📖 Fuente: ${name} (${cited})`,
+        bookingsUnavailable: 'Lo siento, no pude cargar tus reservas en este momento. Inténtalo de nuevo en un momento.',
+        nothingToCancel: 'No tienes reservas para cancelar.',
+        noBookings: 'Todavía no tienes reservas. ¿Quieres ver los eventos disponibles?',
+        orderLine: (order) => `• Pedido #${order.orderId}: ${plural(order.tickets, 'boleto')} para ${order.eventName} - ${order.date}`,
+        bookingList: (lines) => `Estas son tus reservas:\n\n${lines}\n\nPuedes pedirme que cancele una.`,
+        bookingNotFound: (orderId, event, lines) =>
+            `No encontré una reserva activa ${orderId ? `con el pedido #${orderId}` : `para ${event}`}. Estas son tus reservas:\n\n${lines}\n\n¿Cuál quieres cancelar?`,
+        whichBooking: (lines, orderId) => `¿Qué reserva quieres cancelar?\n\n${lines}\n\nDi, por ejemplo, "cancelar pedido #${orderId}".`,
+        cancelProposal: (booking) =>
+            `Puedo cancelar esta reserva:\n\n🧾 Pedido #${booking.orderId}\n📅 Evento: ${booking.eventName}\n🎫 Boletos: ${booking.tickets}\n📍 Fecha: ${booking.date}\n\nSe reembolsarán los boletos. ¿Quieres que la cancele?`,
+        bookingNeedsEvent: 'Me gustaría ayudarte a reservar boletos, pero necesito saber qué evento te interesa. Por favor, dime el nombre del evento.',
+        eventNotFound: (event) => `Lo siento, no encontré un evento llamado "${event}". ¿Quieres ver los eventos disponibles?`,
+        notEnoughTickets: (event, available, requested) =>
+            `Lo siento, ${event} solo tiene ${available} boletos disponibles, pero pediste ${requested}. ¿Quieres reservar ${available} boletos?`,
+        holdFailed: (event) => `Lo siento, no pude apartar boletos para ${event} en este momento. Inténtalo de nuevo en un momento.`,
+        bookingConfirmed: (tickets, event, orderId) => `Reservé ${plural(tickets, 'boleto')} para ${event} (pedido #${orderId}).`,
+        bookingRefused: (event, available) => `Lo siento, no pude reservar ${event}: ${available == null
+            ? 'el evento ya no existe'
+            : `${available === 1 ? 'solo queda 1 boleto disponible' : `solo quedan ${available} boletos disponibles`}, así que no se reservó ningún boleto`}.`,
+        orderCancelled: (orderId, event, tickets) =>
+            `Pedido #${orderId} para ${event} cancelado; se ${tickets === 1 ? 'reembolsó 1 boleto' : `reembolsaron ${tickets} boletos`}.`,
+        bookingProposal: (event, tickets, target) =>
+            `Preparé tu solicitud de reserva:\n\n📅 Evento: ${event}\n🎫 Boletos: ${tickets}\n📍 Fecha: ${target.date}\n💰 Precio: ${target.price || 'Por definir'} por boleto\n🎪 Disponibles: quedan ${target.tickets} boletos\n\n¿Quieres que continúe con esta reserva?`,
+        help: "Lo siento, no entendí. Puedo ayudarte a:\n• Ver los eventos disponibles\n• Reservar boletos para eventos\n• Consultar o cancelar tus reservas\n\nPrueba con 'mostrar eventos' o 'reservar 2 boletos para [nombre del evento]'.",
+
+        atLeastOneTicket: 'Por favor, pide al menos 1 boleto.',
+        ticketLimit: (max, event, tickets, offer) =>
+            `Lo siento, puedo reservar como máximo ${max} boletos a la vez${event ? ` (pediste ${tickets} para ${event})` : ''}.`
+                + (offer ? ` ¿Quieres reservar ${max}?` : ''),
+        bookLimitLabel: (max) => `Reservar ${max} boletos`,
+        bookLimitMessage: (max, event) => `Reservar ${max} boletos para ${event}`,
+        logInForBookings: 'Inicia sesión para que pueda consultar tus reservas.',
+        logInToBook: 'Inicia sesión para reservar boletos. Cuando hayas iniciado sesión, pídemelo de nuevo y prepararé tu reserva.'
+    }
+};
+
+/**
+ * @function getMessages
+ * @description The assistant's text in a language.
+ * @param {string} [language] - 'en' or 'es'; anything else gets English
+ * @returns {Object}
+ */
+const getMessages = (language = DEFAULT_LANGUAGE) => MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+
+module.exports = {
+    getMessages
+};
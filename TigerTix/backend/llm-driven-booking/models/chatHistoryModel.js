@@ -0,0 +1,110 @@
+const { runAsync, getAsync, allAsync, withTransaction } = require('../../db');
+
+const DEFAULT_HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+/**
+ * @function toMessage
+ * @description Converts a chat_messages row into the shape returned by the API, decoding JSON columns.
+ * @param {Object} row - Row from chat_messages
+ * @returns {Object} - { id, role, content, intent, actions, booking, created_at }
+ */
+const toMessage = (row) => ({
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    intent: row.intent,
+    actions: row.actions ? JSON.parse(row.actions) : [],
+    booking: row.booking ? JSON.parse(row.booking) : null,
+    created_at: row.created_at
+});
+
+/**
+ * @function appendMessages
+ * @description Adds messages to a user's conversation, creating the conversation on first use.
+ * @param {Object} entry - { userId, conversationId, messages }
+ * @param {Array} entry.messages - [{ role, content, intent, actions, booking }] in the order they happened
+ * @returns {Promise<void>}
+ */
+const appendMessages = ({ userId, conversationId, messages }) => {
+    return withTransaction(async () => {
+        await runAsync(
+            'INSERT OR IGNORE INTO chat_conversations (user_id, conversation_id) VALUES (?, ?)',
+            [userId, conversationId]
+        );
+        const conversation = await getAsync(
+            'SELECT id FROM chat_conversations WHERE user_id = ? AND conversation_id = ?',
+            [userId, conversationId]
+        );
+
+        for (const message of messages) {
+            await runAsync(
+                `INSERT INTO chat_messages (chat_conversation_id, role, content, intent, actions, booking)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    conversation.id,
+                    message.role,
+                    message.content,
+                    message.intent || null,
+                    message.actions?.length ? JSON.stringify(message.actions) : null,
+                    message.booking ? JSON.stringify(message.booking) : null
+                ]
+            );
+        }
+    });
+};
+
+/**
+ * @function getChatHistory
+ * @description Retrieves one page of a user's conversation, oldest message first.
+ * Without a conversationId the user's most recently active conversation is used.
+ * @param {Object} query - { userId, conversationId, limit, before }
+ * @param {number} [query.before] - Only return messages with a smaller id (the previous page's nextBefore)
+ * @returns {Promise<Object>} - Resolves with { conversationId, messages, hasMore, nextBefore }
+ */
+const getChatHistory = async ({ userId, conversationId, limit = DEFAULT_HISTORY_PAGE_SIZE, before }) => {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_HISTORY_PAGE_SIZE, 1), MAX_HISTORY_PAGE_SIZE);
+
+    const conversation = conversationId !== undefined
+        ? await getAsync(
+            'SELECT * FROM chat_conversations WHERE user_id = ? AND conversation_id = ?',
+            [userId, conversationId]
+        )
+        : await getAsync(
+            `SELECT c.* FROM chat_conversations c
+             WHERE c.user_id = ?
+             ORDER BY (SELECT MAX(m.id) FROM chat_messages m WHERE m.chat_conversation_id = c.id) DESC, c.id DESC
+             LIMIT 1`,
+            [userId]
+        );
+
+    if (!conversation) {
+        return { conversationId: conversationId ?? null, messages: [], hasMore: false, nextBefore: null };
+    }
+
+    // Read one extra row to learn whether an older page exists
+    const rows = await allAsync(
+        `SELECT * FROM chat_messages
+         WHERE chat_conversation_id = ? ${before ? 'AND id < ?' : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        before ? [conversation.id, before, pageSize + 1] : [conversation.id, pageSize + 1]
+    );
+
+    const hasMore = rows.length > pageSize;
+    const messages = rows.slice(0, pageSize).reverse().map(toMessage);
+
+    return {
+        conversationId: conversation.conversation_id,
+        messages,
+        hasMore,
+        nextBefore: hasMore ? messages[0].id : null
+    };
+};
+
+module.exports = {
+    DEFAULT_HISTORY_PAGE_SIZE,
+    MAX_HISTORY_PAGE_SIZE,
+    appendMessages,
+    getChatHistory
+};
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Per-conversation state the parser uses to resolve follow-ups
+ * ("book 2 for that one", "actually make it 4"). Kept in memory: it only needs to
+ * outlive a chat session, and the full transcript is already saved as chat history.
+ * Conversations belong to a logged-in user or, for anonymous users, to a chat session
+ * this service issued, so knowing a conversation ID is never enough to read it.
+ */
+
+const crypto = require('crypto');
+const { sanitizeUserMessage } = require('./guardrails');
+
+// Sessions carry an HMAC so only sessions this service issued own a conversation
+const CHAT_SESSION_SECRET = process.env.CHAT_SESSION_SECRET || 'chat-session-secret-change-in-production';
+const CHAT_SESSION_PATTERN = /^([0-9a-f]{32})\.([0-9a-f]{32})$/;
+
+// Conversations idle for longer than this start fresh
+const CONVERSATION_CONTEXT_TTL_MINUTES = parseInt(process.env.CONVERSATION_CONTEXT_TTL_MINUTES) || 30;
+// Caps how many conversations are remembered; the least recently active is dropped first
+const MAX_CONVERSATIONS = 1000;
+// Messages (user and assistant) replayed to the LLM
+const MAX_CONTEXT_TURNS = 8;
+// Long replies such as event listings are trimmed before they are replayed
+const MAX_TURN_LENGTH = 500;
+
+// Insertion order doubles as recency order: entries are re-inserted on every update
+const conversations = new Map();
+
+/**
+ * @function signChatSession
+ * @description Computes the signature part of a chat session.
+ * @param {string} payload - Random part of the session
+ * @returns {string} - 32 hex characters
+ */
+const signChatSession = (payload) => {
+    return crypto.createHmac('sha256', CHAT_SESSION_SECRET).update(payload).digest('hex').slice(0, 32);
+};
+
+/**
+ * @function issueChatSession
+ * @description Generates an anonymous chat session: "<random>.<signature>".
+ * @returns {string}
+ */
+const issueChatSession = () => {
+    const payload = crypto.randomBytes(16).toString('hex');
+    return `${payload}.${signChatSession(payload)}`;
+};
+
+/**
+ * @function verifyChatSession
+ * @description Checks a chat session's format and signature.
+ * @param {string} session - Session sent back by the browser
+ * @returns {boolean} - True when the session was issued by this service
+ */
+const verifyChatSession = (session) => {
+    const match = CHAT_SESSION_PATTERN.exec(typeof session === 'string' ? session : '');
+    if (!match) return false;
+
+    const expected = Buffer.from(signChatSession(match[1]));
+    return crypto.timingSafeEqual(expected, Buffer.from(match[2]));
+};
+
+/**
+ * @function conversationKey
+ * @description Builds the store key so users never see each other's state.
+ * @param {Object} owner - { userId } for a logged-in user, { session } from issueChatSession otherwise
+ * @param {string} conversationId - Conversation ID sent by the browser
+ * @returns {string|null} - Key, or null when there is no conversation to remember
+ */
+const conversationKey = (owner, conversationId) => {
+    if (!conversationId) return null;
+    if (owner?.userId != null) return `user:${owner.userId}:${conversationId}`;
+    if (verifyChatSession(owner?.session)) return `session:${owner.session}:${conversationId}`;
+    return null;
+};
+
+/**
+ * @function emptyContext
+ * @description State of a conversation that has not started yet.
+ * @returns {Object} - { lastEvent, pendingTickets, language, turns }
+ */
+const emptyContext = () => ({ lastEvent: null, pendingTickets: null, language: null, turns: [] });
+
+/**
+ * @function getConversationContext
+ * @description Retrieves what the assistant remembers about a conversation.
+ * @param {Object} owner - { userId } or { session }, as conversationKey
+ * @param {string} conversationId - Conversation ID sent by the browser
+ * @param {Date} [now] - Current time
+ * @returns {Object} - { lastEvent: { id, name } | null, pendingTickets: number | null, language: string | null, turns: [{ role, content }] }
+ */
+const getConversationContext = (owner, conversationId, now = new Date()) => {
+    const key = conversationKey(owner, conversationId);
+    const entry = key && conversations.get(key);
+    if (!entry) return emptyContext();
+
+    if (now.getTime() - entry.updatedAt > CONVERSATION_CONTEXT_TTL_MINUTES * 60 * 1000) {
+        conversations.delete(key);
+        return emptyContext();
+    }
+
+    const { lastEvent, pendingTickets, language, turns } = entry;
+    return { lastEvent, pendingTickets, language, turns: [...turns] };
+};
+
+/**
+ * @function saveContext
+ * @description Stores a conversation's state as the most recently active one.
+ * @param {string} key - Store key
+ * @param {Object} context - { lastEvent, pendingTickets, language, turns }
+ * @param {Date} now - Current time
+ * @returns {void}
+ */
+const saveContext = (key, context, now) => {
+    conversations.delete(key);
+    conversations.set(key, { ...context, updatedAt: now.getTime() });
+
+    if (conversations.size > MAX_CONVERSATIONS) {
+        conversations.delete(conversations.keys().next().value);
+    }
+};
+
+/**
+ * @function recordConversationTurn
+ * @description Updates a conversation after the assistant replied: remembers the event the
+ * user is talking about, the ticket quantity of an unfinished booking, the reply's language
+ * and the latest messages.
+ * @param {Object} owner - { userId } or { session }, as conversationKey
+ * @param {string} conversationId - Conversation ID sent by the browser
+ * @param {Object} turn - { message, parsed, response, availableEvents, now }
+ * @param {string} turn.message - What the user said
+ * @param {Object} turn.parsed - Parser output ({ intent, eventId, tickets })
+ * @param {Object} turn.response - Chat response sent back ({ message, bookingData, language })
+ * @returns {void}
+ */
+const recordConversationTurn = (owner, conversationId, { message, parsed, response, availableEvents = [], now = new Date() }) => {
+    const key = conversationKey(owner, conversationId);
+    if (!key) return;
+
+    const context = getConversationContext(owner, conversationId, now);
+
+    // The proposed booking is authoritative; otherwise trust the parse only if the event exists
+    const mentioned = response.bookingData
+        ? { id: response.bookingData.eventId, name: response.bookingData.eventName }
+        : availableEvents.find(e => e.id === parseInt(parsed.eventId));
+    if (mentioned) {
+        context.lastEvent = { id: mentioned.id, name: mentioned.name };
+    }
+
+    if (parsed.intent === 'booking' && parseInt(parsed.tickets) > 0) {
+        context.pendingTickets = parseInt(parsed.tickets);
+    }
+
+    if (response.language) {
+        context.language = response.language;
+    }
+
+    // Turns are replayed to the model, so the user's are stored as the model would have seen them
+    context.turns = [
+        ...context.turns,
+        { role: 'user', content: sanitizeUserMessage(message).slice(0, MAX_TURN_LENGTH) },
+        { role: 'assistant', content: String(response.message || '').slice(0, MAX_TURN_LENGTH) }
+    ].slice(-MAX_CONTEXT_TURNS);
+
+    saveContext(key, context, now);
+};
+
+/**
+ * @function clearPendingTickets
+ * @description Forgets the ticket quantity once a booking went through, so the next
+ * request starts from the default. The event stays remembered for follow-ups.
+ * @param {Object} owner - { userId } or { session }, as conversationKey
+ * @param {string} conversationId - Conversation ID sent by the browser
+ * @param {Date} [now] - Current time
+ * @returns {void}
+ */
+const clearPendingTickets = (owner, conversationId, now = new Date()) => {
+    const key = conversationKey(owner, conversationId);
+    if (!key || !conversations.has(key)) return;
+
+    saveContext(key, { ...getConversationContext(owner, conversationId, now), pendingTickets: null }, now);
+};
+
+module.exports = {
+    CONVERSATION_CONTEXT_TTL_MINUTES,
+    MAX_CONTEXT_TURNS,
+    issueChatSession,
+    verifyChatSession,
+    getConversationContext,
+    recordConversationTurn,
+    clearPendingTickets
+};
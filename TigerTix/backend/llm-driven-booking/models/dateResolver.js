@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Resolves date expressions in chat messages ("this weekend", "next Friday",
+ * "in December", "May 5", and in Spanish "este fin de semana", "el próximo viernes",
+ * "en diciembre", "5 de mayo") to calendar date ranges, so both parsers can narrow the events
+ * they talk about. "Today" is the server clock's date in EVENT_TIMEZONE.
+ */
+
+// Timezone events are held in; defaults to the server's own
+const EVENT_TIMEZONE = process.env.EVENT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+const SPANISH_WEEKDAYS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const SPANISH_MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio',
+    'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+// Spanish words as typed with or without their accents; "setiembre" is a common spelling of September
+const withoutAccents = (word) => word.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+const spanishIndex = (names, word) => {
+    const plain = withoutAccents(word);
+    return plain === 'setiembre' ? 8 : names.findIndex(name => withoutAccents(name) === plain);
+};
+const spanishPattern = (names, ...spellings) =>
+    [...new Set([...names, ...names.map(withoutAccents), ...spellings])].join('|');
+
+const WEEKDAY_PATTERN = WEEKDAYS.join('|');
+const MONTH_PATTERN = MONTHS.join('|');
+const SPANISH_WEEKDAY_PATTERN = spanishPattern(SPANISH_WEEKDAYS);
+const SPANISH_MONTH_PATTERN = spanishPattern(SPANISH_MONTHS, 'setiembre');
+const NEXT = 'pr[oó]xim[oa]';
+
+/**
+ * @function getToday
+ * @description Today's calendar date in a timezone, as a UTC midnight Date so day arithmetic
+ * never crosses a daylight saving change.
+ * @param {Date} now - Current time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+const getToday = (now, timeZone) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone, year: 'numeric', month: 'numeric', day: 'numeric'
+    }).formatToParts(now).map(({ type, value }) => [type, value]));
+    return new Date(Date.UTC(parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day)));
+};
+
+/**
+ * @function toIsoDate
+ * @description Formats a calendar date as YYYY-MM-DD, the format events are stored in.
+ * @param {Date} date - UTC midnight Date
+ * @returns {string}
+ */
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * @function calendarDate
+ * @description Builds a calendar date, rejecting ones that do not exist (February 30).
+ * @param {number} year - Full year
+ * @param {number} month - Month, 0-11
+ * @param {number} day - Day of the month
+ * @returns {Date|null}
+ */
+const calendarDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month, day));
+    return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+};
+
+const monthRange = (year, month) => [new Date(Date.UTC(year, month, 1)), new Date(Date.UTC(year, month + 1, 0))];
+
+// The coming occurrence of a month: this year's unless it is already over
+const upcomingYear = (today, month) =>
+    month < today.getUTCMonth() ? today.getUTCFullYear() + 1 : today.getUTCFullYear();
+
+/**
+ * @function dayOfMonth
+ * @description Resolves "May 5" or "5 May 2027". Without a year, a date that has passed this year means next year's.
+ * @param {Date} today - Today's calendar date
+ * @param {number} month - Month, 0-11
+ * @param {string} day - Day of the month
+ * @param {string} [year] - Year, if given
+ * @returns {Array|null} - [date, date], or null when the date does not exist
+ */
+const dayOfMonth = (today, month, day, year) => {
+    let date = calendarDate(year ? parseInt(year) : today.getUTCFullYear(), month, parseInt(day));
+    if (date && !year && date < today) {
+        date = calendarDate(today.getUTCFullYear() + 1, month, parseInt(day));
+    }
+    return date && [date, date];
+};
+
+// Weeks run Monday to Sunday
+const endOfWeek = (today) => addDays(today, (7 - today.getUTCDay()) % 7);
+
+// This or next weekend; on a Sunday "this weekend" is just today
+const weekendRange = (today, next) => {
+    const dow = today.getUTCDay();
+    const saturday = dow === 0 ? addDays(today, -1) : addDays(today, 6 - dow);
+    const start = next ? addDays(saturday, 7) : (dow === 0 ? today : saturday);
+    return [start, addDays(saturday, next ? 8 : 1)];
+};
+
+// The rest of this week, or all of next week
+const weekRange = (today, next) => {
+    const sunday = endOfWeek(today);
+    return next ? [addDays(sunday, 1), addDays(sunday, 7)] : [today, sunday];
+};
+
+// "Friday" is the coming one (today included); "next Friday" is next week's
+const weekdayRange = (today, weekday, next) => {
+    const date = next
+        ? addDays(endOfWeek(today), (weekday + 6) % 7 + 1)
+        : addDays(today, (weekday - today.getUTCDay() + 7) % 7);
+    return [date, date];
+};
+
+const thisOrNextMonth = (today, next) => monthRange(today.getUTCFullYear(), today.getUTCMonth() + (next ? 1 : 0));
+
+// A named month, the coming one unless a year is given
+const namedMonth = (today, month, year) => monthRange(year ? parseInt(year) : upcomingYear(today, month), month);
+
+/**
+ * Date expressions in the order they are tried; the first that matches wins. Each returns
+ * [start, end] (inclusive) or null when the match is not a real date.
+ */
+const EXPRESSIONS = [
+    {
+        pattern: /\b(\d{4})-(\d{2})-(\d{2})\b/,
+        resolve: (today, [, year, month, day]) => {
+            const date = calendarDate(parseInt(year), parseInt(month) - 1, parseInt(day));
+            return date && [date, date];
+        }
+    },
+    {
+        pattern: /\b(today|tonight|this evening)\b/,
+        resolve: (today) => [today, today]
+    },
+    {
+        pattern: /\btomorrow(?: night)?\b/,
+        resolve: (today) => [addDays(today, 1), addDays(today, 1)]
+    },
+    {
+        pattern: /\b(this|next)?\s*weekend\b/,
+        resolve: (today, [, which]) => weekendRange(today, which === 'next')
+    },
+    {
+        pattern: /\b(this|next) week\b/,
+        resolve: (today, [, which]) => weekRange(today, which === 'next')
+    },
+    {
+        // "Friday" and "this Friday" are the coming one; "next Friday" is next week's
+        pattern: new RegExp(`\\b(?:(this|next|on)\\s+)?(${WEEKDAY_PATTERN})s?\\b`),
+        resolve: (today, [, which, weekday]) => weekdayRange(today, WEEKDAYS.indexOf(weekday), which === 'next')
+    },
+    {
+        pattern: /\b(this|next) month\b/,
+        resolve: (today, [, which]) => thisOrNextMonth(today, which === 'next')
+    },
+    {
+        pattern: new RegExp(`\\b(${MONTH_PATTERN})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`),
+        resolve: (today, [, monthName, day, year]) => dayOfMonth(today, MONTHS.indexOf(monthName), day, year)
+    },
+    {
+        pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_PATTERN})(?:,?\\s+(\\d{4}))?\\b`),
+        resolve: (today, [, day, monthName, year]) => dayOfMonth(today, MONTHS.indexOf(monthName), day, year)
+    },
+    {
+        // "May" and "March" are also ordinary words, so a bare month needs a preposition or a year
+        pattern: new RegExp(`\\b(?:(?:in|during|for|this|next|throughout)\\s+(${MONTH_PATTERN})(?:\\s+(\\d{4}))?|(${MONTH_PATTERN})\\s+(\\d{4})|(${MONTHS.filter(m => m !== 'may' && m !== 'march').join('|')}))\\b`),
+        resolve: (today, [, withPreposition, prepositionYear, withYear, year, bare]) =>
+            namedMonth(today, MONTHS.indexOf(withPreposition || withYear || bare), prepositionYear || year)
+    },
+    // Spanish. "Mañana" is also "morning", as in "esta mañana" (today) and "por la mañana"
+    {
+        pattern: /\b(?:hoy|esta noche|esta tarde|esta ma[nñ]ana)(?![\wáéíóúñ])/,
+        resolve: (today) => [today, today]
+    },
+    {
+        pattern: /\bpasado ma[nñ]ana(?![\wáéíóúñ])/,
+        resolve: (today) => [addDays(today, 2), addDays(today, 2)]
+    },
+    {
+        pattern: /(?<!\bla )\bma[nñ]ana(?![\wáéíóúñ])/,
+        resolve: (today) => [addDays(today, 1), addDays(today, 1)]
+    },
+    {
+        pattern: new RegExp(`\\b(?:(?:este|el)\\s+)?(?:(${NEXT})\\s+)?fin(?:es)? de semana(?:\\s+(que viene|${NEXT}))?(?![\\wáéíóúñ])`),
+        resolve: (today, [, next, after]) => weekendRange(today, Boolean(next || after))
+    },
+    {
+        pattern: new RegExp(`\\b(?:(esta) semana|(?:la\\s+)?${NEXT} semana|(?:la\\s+)?semana (?:que viene|${NEXT}))(?![\\wáéíóúñ])`),
+        resolve: (today, [, current]) => weekRange(today, !current)
+    },
+    {
+        // "El viernes" and "este viernes" are the coming one; "el próximo viernes" is next week's, like "next Friday"
+        pattern: new RegExp(`\\b(?:(?:el|los|este)\\s+)?(?:(${NEXT})\\s+)?(${SPANISH_WEEKDAY_PATTERN})s?(?:\\s+(que viene))?(?![\\wáéíóúñ])`),
+        resolve: (today, [, next, weekday, after]) =>
+            weekdayRange(today, spanishIndex(SPANISH_WEEKDAYS, weekday), Boolean(next || after))
+    },
+    {
+        pattern: new RegExp(`\\b(?:(este) mes|el\\s+${NEXT} mes|el mes (?:que viene|${NEXT}))(?![\\wáéíóúñ])`),
+        resolve: (today, [, current]) => thisOrNextMonth(today, !current)
+    },
+    {
+        pattern: new RegExp(`\\b(?:el\\s+)?(\\d{1,2})\\s+de\\s+(${SPANISH_MONTH_PATTERN})(?:\\s+(?:de|del)\\s+(\\d{4}))?\\b`),
+        resolve: (today, [, day, monthName, year]) => dayOfMonth(today, spanishIndex(SPANISH_MONTHS, monthName), day, year)
+    },
+    {
+        pattern: new RegExp(`\\b(?:(?:en|durante|para|este)\\s+)?(${SPANISH_MONTH_PATTERN})(?:\\s+(?:de|del)\\s+(\\d{4}))?\\b`),
+        resolve: (today, [, monthName, year]) => namedMonth(today, spanishIndex(SPANISH_MONTHS, monthName), year)
+    }
+];
+
+/**
+ * @function resolveDateExpression
+ * @description Finds the first date expression in a message and resolves it to a date range.
+ * @param {string} text - User message
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {string} [options.timeZone] - IANA timezone "today" is taken in; defaults to EVENT_TIMEZONE
+ * @returns {Object|null} - { start, end, label, text } with YYYY-MM-DD dates (inclusive), the phrase
+ * as the user wrote it without a leading preposition, and the exact matched text; null when there is none
+ */
+const resolveDateExpression = (text, { now = new Date(), timeZone = EVENT_TIMEZONE } = {}) => {
+    if (typeof text !== 'string' || !text.trim()) return null;
+
+    const lower = text.toLowerCase();
+    const today = getToday(now, timeZone);
+
+    for (const { pattern, resolve } of EXPRESSIONS) {
+        const match = pattern.exec(lower);
+        const range = match && resolve(today, match);
+        if (!range) continue;
+
+        const matched = text.slice(match.index, match.index + match[0].length).trim();
+        return {
+            start: toIsoDate(range[0]),
+            end: toIsoDate(range[1]),
+            label: matched.replace(/^(?:on|in|during|for|throughout|en|durante|para)\s+/i, ''),
+            text: matched
+        };
+    }
+    return null;
+};
+
+/**
+ * @function filterEventsByDate
+ * @description Keeps the events whose date falls inside a range. Events with a time compare by their date.
+ * @param {Array} events - Events ({ date: 'YYYY-MM-DD...' })
+ * @param {Object} range - { start, end } from resolveDateExpression
+ * @returns {Array}
+ */
+const filterEventsByDate = (events = [], { start, end }) =>
+    events.filter(event => {
+        const day = String(event.date || '').slice(0, 10);
+        return day >= start && day <= end;
+    });
+
+/**
+ * @function describeDateRange
+ * @description Short text for a range, e.g. "2026-10-24 to 2026-10-25", or one date.
+ * @param {Object} range - { start, end }
+ * @returns {string}
+ */
+const describeDateRange = ({ start, end }) => (start === end ? start : `${start} to ${end}`);
+
+/**
+ * @function describeToday
+ * @description Today's weekday and date for the LLM prompt, e.g. "Monday, 2026-10-19".
+ * @param {Object} [options] - { now, timeZone } as for resolveDateExpression
+ * @returns {string}
+ */
+const describeToday = ({ now = new Date(), timeZone = EVENT_TIMEZONE } = {}) => {
+    const today = getToday(now, timeZone);
+    const weekday = WEEKDAYS[today.getUTCDay()];
+    return `${weekday[0].toUpperCase()}${weekday.slice(1)}, ${toIsoDate(today)}`;
+};
+
+module.exports = {
+    EVENT_TIMEZONE,
+    resolveDateExpression,
+    filterEventsByDate,
+    describeDateRange,
+    describeToday
+};
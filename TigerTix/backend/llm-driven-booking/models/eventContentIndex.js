@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Local search over event descriptions and FAQs, so the assistant can answer
+ * questions like "is parking included?" from what admins wrote about their events.
+ * Passages are ranked with BM25; nothing leaves the service.
+ */
+
+const { getAsync, allAsync } = require('../../db');
+
+// Words that do not tell one answer from another
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'for', 'to', 'at', 'in', 'on', 'by', 'with', 'from', 'as',
+    'is', 'are', 'was', 'were', 'be', 'been', 'do', 'does', 'did', 'can', 'could', 'will', 'would', 'should',
+    'may', 'might', 'there', 'any', 'anything', 'i', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its',
+    'this', 'that', 'these', 'those', 'what', 'where', 'when', 'how', 'which', 'who', 'why', 'if', 'have',
+    'has', 'had', 'about', 'please', 'event', 'events', 'tell', 'know', 'yes', 'no', 'not', 'so', 'just',
+    // Every event has tickets, so they say nothing about which passage answers
+    'ticket', 'tickets'
+]);
+
+// BM25 parameters: term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Descriptions are split into passages of about this many characters
+const PASSAGE_LENGTH = 280;
+
+// Share of the question's words (other than event names) a passage must contain to count as an answer
+const MIN_COVERAGE = 0.5;
+
+/**
+ * @function stem
+ * @description Strips common English endings so "included" and "include", or "pets" and "pet", match.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+const stem = (word) => {
+    if (word.length <= 3) return word;
+    let stemmed = word
+        .replace(/ies$/, 'y')
+        .replace(/(?<=.{3})(?:ing|ed)$/, '')
+        .replace(/(?<=.{3})(?<!s)s$/, '');
+    if (stemmed.length > 4) stemmed = stemmed.replace(/e$/, '');
+    return stemmed;
+};
+
+/**
+ * @function tokenize
+ * @description Splits text into stemmed search terms, dropping stop words.
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+const tokenize = (text) =>
+    String(text || '').toLowerCase().split(/[^a-z0-9']+/)
+        .map(word => word.replace(/'s$|'/g, ''))
+        .filter(word => word && !STOP_WORDS.has(word))
+        .map(stem);
+
+/**
+ * @function splitDescription
+ * @description Splits a description into passages of whole sentences.
+ * @param {string} text - Description
+ * @returns {Array<string>}
+ */
+const splitDescription = (text) => {
+    const sentences = String(text || '').split(/(?<=[.!?])\s+|\n+/).map(s => s.trim()).filter(Boolean);
+    const passages = [];
+    for (const sentence of sentences) {
+        const last = passages[passages.length - 1];
+        if (last && last.length + sentence.length + 1 <= PASSAGE_LENGTH) {
+            passages[passages.length - 1] = `${last} ${sentence}`;
+        } else {
+            passages.push(sentence);
+        }
+    }
+    return passages;
+};
+
+/**
+ * @function toPassages
+ * @description Turns event_content rows into searchable passages: one per FAQ, and descriptions in pieces.
+ * @param {Array} rows - { event_id, event_name, kind, question, body }
+ * @returns {Array<Object>} - { eventId, eventName, kind, question, text }
+ */
+const toPassages = (rows) => rows.flatMap((row) => {
+    const base = { eventId: row.event_id, eventName: row.event_name, kind: row.kind };
+    if (row.kind === 'faq') return [{ ...base, question: row.question, text: row.body }];
+    return splitDescription(row.body).map(text => ({ ...base, question: null, text }));
+});
+
+/**
+ * @function buildContentIndex
+ * @description Builds a BM25 index over passages. The event's name is indexed with each
+ * passage, so "is parking free at the jazz night?" prefers Jazz Night's answers.
+ * @param {Array<Object>} passages - From toPassages
+ * @returns {Object} - { size, search(query, { limit }) }
+ */
+const buildContentIndex = (passages) => {
+    const documents = passages.map((passage) => {
+        const terms = tokenize(`${passage.eventName} ${passage.question || ''} ${passage.text}`);
+        const frequencies = new Map();
+        terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+        return { passage, length: terms.length, frequencies, nameTerms: new Set(tokenize(passage.eventName)) };
+    });
+
+    const documentFrequency = new Map();
+    documents.forEach(doc => doc.frequencies.forEach((_, term) => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+    const allNameTerms = new Set(documents.flatMap(doc => [...doc.nameTerms]));
+
+    const idf = (term) => {
+        const n = documentFrequency.get(term) || 0;
+        return Math.log(1 + (documents.length - n + 0.5) / (n + 0.5));
+    };
+
+    /**
+     * @function search
+     * @description Finds the passages that answer a question, best first. A passage must contain
+     * at least MIN_COVERAGE of the question's words other than event names; naming an event only
+     * decides between answers, it is not an answer itself.
+     * @param {string} query - User's question
+     * @param {Object} [options] - { limit }
+     * @returns {Array<Object>} - Passages with their score
+     */
+    const search = (query, { limit = 3 } = {}) => {
+        const queryTerms = [...new Set(tokenize(query))];
+        const contentTerms = queryTerms.filter(term => !allNameTerms.has(term));
+        if (contentTerms.length === 0) return [];
+
+        return documents
+            .map((doc) => {
+                const matched = contentTerms.filter(term => doc.frequencies.has(term));
+                if (matched.length / contentTerms.length < MIN_COVERAGE) return null;
+
+                const score = queryTerms.reduce((sum, term) => {
+                    const tf = doc.frequencies.get(term) || 0;
+                    if (tf === 0) return sum;
+                    const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1));
+                    return sum + idf(term) * tf * (BM25_K1 + 1) / norm;
+                }, 0);
+                return { ...doc.passage, score: Math.round(score * 1000) / 1000 };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    };
+
+    return { size: documents.length, search };
+};
+
+// The index is rebuilt only when event content, or the name of an event with content, changes
+let cachedIndex = null;
+let cachedSignature = null;
+
+/**
+ * @function getContentIndex
+ * @description Returns the index over every event's description and FAQs, rebuilding it after changes.
+ * @returns {Promise<Object>} - From buildContentIndex
+ */
+const getContentIndex = async () => {
+    // Passages carry their event's name, so a rename must rebuild the index like a content change
+    const { count, lastId, updatedAt, events } = await getAsync(
+        `SELECT COUNT(*) AS count, MAX(id) AS lastId, MAX(updated_at) AS updatedAt,
+                (SELECT group_concat(id || '=' || name, '|') FROM (
+                    SELECT id, name FROM events WHERE id IN (SELECT event_id FROM event_content) ORDER BY id
+                )) AS events
+         FROM event_content`
+    );
+    const signature = JSON.stringify([count, lastId, updatedAt, events]);
+    if (cachedIndex && signature === cachedSignature) return cachedIndex;
+
+    const rows = await allAsync(
+        `SELECT c.event_id, e.name AS event_name, c.kind, c.question, c.body
+         FROM event_content c JOIN events e ON e.id = c.event_id
+         ORDER BY c.event_id, c.position, c.id`
+    );
+    cachedIndex = buildContentIndex(toPassages(rows));
+    cachedSignature = signature;
+    console.log(`📚 Indexed ${cachedIndex.size} passages of event content`);
+    return cachedIndex;
+};
+
+/**
+ * @function searchEventContent
+ * @description Finds the description and FAQ passages that answer a question.
+ * @param {string} query - User's question
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Array>} - { eventId, eventName, kind, question, text, score }, best first
+ */
+const searchEventContent = async (query, options) => {
+    const index = await getContentIndex();
+    return index.search(query, options);
+};
+
+module.exports = {
+    tokenize,
+    splitDescription,
+    toPassages,
+    buildContentIndex,
+    searchEventContent
+};
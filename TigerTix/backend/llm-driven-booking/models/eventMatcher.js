@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Ranks events by how well a message names them, so the parser books the event
+ * the user meant and asks "Did you mean A or B?" when their words fit several about equally well.
+ * Scores combine token overlap with edit distance, so small typos ("homcoming") still match.
+ */
+
+// Words that say nothing about which event is meant
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'at', 'in', 'on', 'me', 'my', 'i', 'we', 'us',
+    'please', 'can', 'could', 'would', 'you', 'want', 'like', 'need', 'some', 'is', 'it', 'that', 'this',
+    'one', 'same', 'event', 'book', 'buy', 'purchase', 'get', 'reserve', 'ticket', 'tickets', 'seat', 'seats',
+    'when', 'what', 'about', 'tell', 'details', 'info', 'how', 'many', 'left', 'cancel', 'refund', 'booking'
+]);
+
+// Below this an event is not considered named at all
+const MIN_MATCH_SCORE = 0.25;
+// Events scoring within this of the best are too close to call
+const AMBIGUITY_MARGIN = 0.1;
+// Most events offered in one "Did you mean" question
+const MAX_CANDIDATES = 3;
+// Two different words this similar count as the same word, e.g. one typo in a five-letter word
+const MIN_WORD_SIMILARITY = 0.75;
+
+/**
+ * @function tokenize
+ * @description Splits text into lowercase words, dropping numbers and stop words.
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+const tokenize = (text) =>
+    String(text || '').toLowerCase().split(/[^a-z0-9']+/)
+        .map(word => word.replace(/'s$|'/g, ''))
+        .filter(word => word && !/^\d+$/.test(word) && !STOP_WORDS.has(word));
+
+/**
+ * @function editDistance
+ * @description Levenshtein distance between two words.
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+/**
+ * @function wordSimilarity
+ * @description How alike two words are, from 0 to 1. Short words and words with a different
+ * first letter only match exactly, so "ball" never matches "fall".
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number}
+ */
+const wordSimilarity = (a, b) => {
+    if (a === b) return 1;
+    if (Math.min(a.length, b.length) < 3 || a[0] !== b[0]) return 0;
+    const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    return similarity >= MIN_WORD_SIMILARITY ? similarity : 0;
+};
+
+/**
+ * @function scoreEvent
+ * @description Scores one event against the message's words: half for how much of the event's
+ * name was mentioned, half for how much of the message is about this event.
+ * @param {Array<string>} words - Tokenized message
+ * @param {Object} event - Event ({ name })
+ * @returns {number} - 0 to 1
+ */
+const scoreEvent = (words, event) => {
+    const nameWords = tokenize(event.name);
+    if (nameWords.length === 0 || words.length === 0) return 0;
+
+    const matched = nameWords.reduce((sum, nameWord) =>
+        sum + Math.max(...words.map(word => wordSimilarity(word, nameWord))), 0);
+    return (matched / nameWords.length + Math.min(matched, words.length) / words.length) / 2;
+};
+
+/**
+ * @function rankEvents
+ * @description Ranks events by how well the message names them, best first.
+ * @param {string} text - User message
+ * @param {Array} events - Events to rank
+ * @returns {Array<Object>} - [{ event, score }] for events scoring at least MIN_MATCH_SCORE
+ */
+const rankEvents = (text, events = []) => {
+    const words = tokenize(text);
+    return events
+        .map(event => ({ event, score: scoreEvent(words, event) }))
+        .filter(({ score }) => score >= MIN_MATCH_SCORE)
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * @function matchEvent
+ * @description Decides which event a message names. An event whose full name appears in the
+ * message wins outright (the longest, if several do); otherwise the best-ranked event wins
+ * unless others score within AMBIGUITY_MARGIN of it, in which case they are all candidates.
+ * @param {string} text - User message
+ * @param {Array} events - Events to choose from
+ * @returns {Object} - { event, candidates }: event when one clearly matches, candidates
+ * (best first, at most MAX_CANDIDATES) when several do; event null and no candidates when none does
+ */
+const matchEvent = (text, events = []) => {
+    const normalized = ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ')} `;
+    const named = events
+        .filter(event => normalized.includes(` ${event.name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `))
+        .sort((a, b) => b.name.length - a.name.length);
+    if (named.length > 0) return { event: named[0], candidates: [] };
+
+    const ranked = rankEvents(text, events);
+    if (ranked.length === 0) return { event: null, candidates: [] };
+
+    const close = ranked.filter(({ score }) => ranked[0].score - score < AMBIGUITY_MARGIN);
+    return close.length === 1
+        ? { event: close[0].event, candidates: [] }
+        : { event: null, candidates: close.slice(0, MAX_CANDIDATES).map(({ event }) => event) };
+};
+
+module.exports = {
+    rankEvents,
+    matchEvent
+};
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Guardrails around the booking assistant. Event data from admin-service is
+ * sanitized before it is put in the LLM prompt, and every parsed result goes through a policy
+ * check before a reply is built, so neither a hostile event name nor a talked-round model can
+ * book unknown events or more tickets than one booking allows.
+ */
+
+const { getMessages } = require('./assistantMessages');
+
+// Most tickets one chat booking may ask for
+const MAX_TICKETS_PER_BOOKING = parseInt(process.env.MAX_TICKETS_PER_BOOKING) || 10;
+// Longest part of a chat message sent to the model
+const MAX_MESSAGE_LENGTH = 500;
+// Longest event name shown to the model
+const MAX_PROMPT_NAME_LENGTH = 80;
+
+// Text that addresses the model rather than naming an event
+const INSTRUCTION_PATTERNS = [
+    /\b(?:ignore|disregard|forget|override)\b.{0,40}\b(?:instructions?|rules|prompt|messages?|above)\b/i,
+    /\byou are (?:now|no longer)\b/i,
+    /\b(?:new|updated|real) instructions?\b/i,
+    /\b(?:rules|instructions)\s*:/i,
+    /\b(?:always|never|must)\s+(?:book|call|use|answer|reply|respond|say|approve)\b/i,
+    /(?:^|[\s"'([{<])(?:system|assistant|developer)\s*(?:prompt|message)?\s*:/i,
+    /<\/?\s*(?:system|assistant|user|instructions?)\s*>/i,
+    /\b(?:prepare_booking|get_event_details|answer_question|list_events|list_my_bookings|cancel_booking|ask_which_event)\b/i
+];
+
+// Control characters and line/paragraph separators
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u2028\u2029]/g;
+
+/**
+ * @function stripControlCharacters
+ * @description Replaces control characters (newlines included) with spaces.
+ * @param {string} text - Text to clean
+ * @returns {string}
+ */
+const stripControlCharacters = (text) => String(text ?? '').replace(CONTROL_CHARACTERS, ' ');
+
+/**
+ * @function looksLikeInstructions
+ * @description Whether text reads like instructions to the model ("ignore previous instructions",
+ * "SYSTEM:", tool names) rather than data.
+ * @param {string} text - Text to check
+ * @returns {boolean}
+ */
+const looksLikeInstructions = (text) => {
+    const flat = stripControlCharacters(text);
+    return INSTRUCTION_PATTERNS.some(pattern => pattern.test(flat));
+};
+
+/**
+ * @function sanitizeForPrompt
+ * @description Makes a value safe to quote in the prompt: one line, no quotes, backticks or
+ * angle brackets that could close the quoting around it, and at most maxLength characters.
+ * @param {*} value - Value to clean
+ * @param {number} [maxLength] - Longest result
+ * @returns {string}
+ */
+const sanitizeForPrompt = (value, maxLength = MAX_PROMPT_NAME_LENGTH) => {
+    const clean = stripControlCharacters(value)
+        .replace(/["`<>{}\\]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return clean.length > maxLength ? `${clean.slice(0, maxLength - 1).trimEnd()}…` : clean;
+};
+
+/**
+ * @function promptEventName
+ * @description The name an event is shown to the model under. Names that read like instructions
+ * are withheld altogether; the event can still be booked by ID.
+ * @param {Object} event - Event ({ id, name })
+ * @returns {string}
+ */
+const promptEventName = (event) =>
+    looksLikeInstructions(event.name) ? `Event #${event.id} (name withheld)` : sanitizeForPrompt(event.name);
+
+/**
+ * @function redactUnsafeNames
+ * @description Replaces the names of events withheld from the prompt wherever they appear in
+ * text sent to the model, such as earlier replies that listed them.
+ * @param {string} text - Text to redact
+ * @param {Array} events - Available events
+ * @returns {string}
+ */
+const redactUnsafeNames = (text, events = []) =>
+    events
+        .filter(event => event.name && looksLikeInstructions(event.name))
+        .reduce((redacted, event) => redacted.split(event.name).join(promptEventName(event)), String(text ?? ''));
+
+/**
+ * @function sanitizeUserMessage
+ * @description The user's message as sent to the model: control characters removed and cut to
+ * MAX_MESSAGE_LENGTH, so pasted walls of text cannot crowd out the rules.
+ * @param {string} message - Chat message
+ * @returns {string}
+ */
+const sanitizeUserMessage = (message) => stripControlCharacters(message).trim().slice(0, MAX_MESSAGE_LENGTH);
+
+/**
+ * @function refuse
+ * @description Chat response for a request the policy turned down.
+ * @param {string} message - Reply text
+ * @param {Array} [choices] - Quick replies offered instead
+ * @returns {Object}
+ */
+const refuse = (message, choices = []) => ({
+    message,
+    actions: [],
+    requiresConfirmation: false,
+    ...(choices.length > 0 && { choices })
+});
+
+/**
+ * @function enforcePolicy
+ * @description Checks a parsed request before a reply is built, whichever parser produced it.
+ * Event IDs must belong to available events, candidates are limited to available events, order
+ * IDs must be positive integers, and a booking must ask for between 1 and maxTickets tickets.
+ * @param {Object} parsed - Parser result ({ intent, event, eventId, tickets, candidates, orderId })
+ * @param {Array} availableEvents - Events the user can be talking about
+ * @param {Object} [options]
+ * @param {number} [options.maxTickets] - Most tickets one booking may ask for
+ * @param {string} [options.language] - Language of the refusal, 'en' or 'es'
+ * @returns {Object} - { data, refusal, violations }: the parse with anything unknown removed, a chat
+ * response when the request must be turned down (null otherwise), and the rules it broke
+ */
+const enforcePolicy = (parsed, availableEvents = [], { maxTickets = MAX_TICKETS_PER_BOOKING, language } = {}) => {
+    const violations = [];
+    const data = { ...parsed };
+    const findEvent = (id) => availableEvents.find(e => e.id === id);
+
+    if (data.eventId !== null && data.eventId !== undefined && !findEvent(data.eventId)) {
+        violations.push('unknown_event');
+        Object.assign(data, { event: null, eventId: null, confidence: 'low' });
+    }
+
+    if (Array.isArray(data.candidates)) {
+        const candidates = data.candidates
+            .map(candidate => findEvent(candidate?.id))
+            .filter(Boolean)
+            .map(({ id, name, date }) => ({ id, name, date }));
+        if (candidates.length < data.candidates.length) violations.push('unknown_candidate');
+        data.candidates = candidates.length > 1 ? candidates : [];
+    }
+
+    if (data.orderId !== null && data.orderId !== undefined && !(Number.isInteger(data.orderId) && data.orderId > 0)) {
+        violations.push('invalid_order');
+        data.orderId = null;
+    }
+
+    if (data.intent !== 'booking') return { data, refusal: null, violations };
+
+    const messages = getMessages(language);
+    const tickets = data.tickets ?? 1;
+    if (!Number.isInteger(tickets) || tickets < 1) {
+        violations.push('invalid_tickets');
+        return { data, refusal: refuse(messages.atLeastOneTicket), violations };
+    }
+    if (tickets > maxTickets) {
+        violations.push('ticket_limit');
+        const choices = data.eventId ? [{
+            eventId: data.eventId,
+            label: messages.bookLimitLabel(maxTickets),
+            message: messages.bookLimitMessage(maxTickets, data.event)
+        }] : [];
+        return {
+            data,
+            refusal: refuse(
+                messages.ticketLimit(maxTickets, data.event, tickets, choices.length > 0),
+                choices
+            ),
+            violations
+        };
+    }
+    return { data, refusal: null, violations };
+};
+
+module.exports = {
+    MAX_TICKETS_PER_BOOKING,
+    MAX_MESSAGE_LENGTH,
+    looksLikeInstructions,
+    sanitizeForPrompt,
+    promptEventName,
+    redactUnsafeNames,
+    sanitizeUserMessage,
+    enforcePolicy
+};
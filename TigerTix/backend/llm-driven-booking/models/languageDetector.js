@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tells which language a chat message is written in, so the assistant replies in it.
+ * Only English and Spanish are supported; a message that could be either (a number, an event
+ * name) keeps the language the user chose in the chat.
+ */
+
+const SUPPORTED_LANGUAGES = ['en', 'es'];
+const DEFAULT_LANGUAGE = 'en';
+
+// Common words of each language that are rare in the other; event names seldom contain them
+const ENGLISH_WORDS = new Set([
+    'the', 'i', 'want', 'book', 'buy', 'get', 'ticket', 'tickets', 'for', 'my', 'when', 'is', 'are', 'what',
+    'show', 'events', 'event', 'hello', 'hi', 'hey', 'please', 'thanks', 'thank', 'cancel', 'refund', 'how',
+    'many', 'there', 'do', 'does', 'have', 'can', 'to', 'of', 'and', 'this', 'that', 'it', 'next', 'weekend',
+    'tonight', 'today', 'tomorrow', 'yes', 'actually', 'make', 'instead', 'left', 'sold', 'out', 'order',
+    'any', 'anything', 'available', 'which', 'where', 'included', 'with', 'about', 'would', 'like', 'bookings'
+]);
+const SPANISH_WORDS = new Set([
+    'hola', 'quiero', 'reservar', 'comprar', 'boleto', 'boletos', 'entrada', 'entradas', 'para', 'mis', 'mi',
+    'cuando', 'que', 'eventos', 'evento', 'hay', 'por', 'favor', 'gracias', 'cancelar', 'reembolso', 'muestrame',
+    'mostrar', 'ver', 'donde', 'cuantos', 'cuantas', 'quedan', 'el', 'la', 'los', 'las', 'de', 'del', 'una',
+    'uno', 'dos', 'tres', 'es', 'esta', 'este', 'son', 'incluido', 'incluye', 'estacionamiento', 'buenos',
+    'buenas', 'dias', 'tardes', 'noches', 'fin', 'semana', 'proximo', 'manana', 'hoy', 'tengo', 'puedo',
+    'necesito', 'si', 'mejor', 'cambia', 'informacion', 'detalles', 'agotado', 'pedido', 'orden', 'y', 'con',
+    'en', 'reserva', 'reservas', 'disponibles', 'cual', 'como', 'quiere', 'dame', 'se', 'puede'
+]);
+
+// Characters only Spanish uses
+const SPANISH_CHARACTERS = /[ñ¿¡]/i;
+
+/**
+ * @function normalizeWords
+ * @description Splits text into lowercase words without accents ("cuándo" → "cuando").
+ * @param {string} text - Text to split
+ * @returns {Array<string>}
+ */
+const normalizeWords = (text) =>
+    String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+/**
+ * @function detectLanguage
+ * @description Guesses whether a message is English or Spanish from its words.
+ * @param {string} text - Chat message
+ * @returns {string|null} - 'en', 'es', or null when the message could be either
+ */
+const detectLanguage = (text) => {
+    const words = normalizeWords(text);
+    const english = words.filter(word => ENGLISH_WORDS.has(word)).length;
+    const spanish = words.filter(word => SPANISH_WORDS.has(word)).length
+        + (SPANISH_CHARACTERS.test(text) || /[áéíóú]/i.test(text) ? 1 : 0);
+    if (spanish > english) return 'es';
+    if (english > spanish) return 'en';
+    return null;
+};
+
+/**
+ * @function normalizeLanguage
+ * @description Reads a language code ("es", "es-MX", "EN") as one of the supported languages.
+ * @param {*} language - Language code from a request
+ * @returns {string|null} - 'en' or 'es', or null when it is not supported
+ */
+const normalizeLanguage = (language) => {
+    const code = typeof language === 'string' ? language.toLowerCase().split('-')[0] : null;
+    return SUPPORTED_LANGUAGES.includes(code) ? code : null;
+};
+
+/**
+ * @function resolveLanguage
+ * @description The language to reply to a message in: the message's own, or the chosen one
+ * when the message could be either. Event names are left out, so "Fiesta de Primavera" does not
+ * make an English message Spanish.
+ * @param {string} text - Chat message
+ * @param {*} [preferred] - Language chosen in the chat
+ * @param {Array} [events] - Events whose names may appear in the message
+ * @returns {string} - 'en' or 'es'
+ */
+const resolveLanguage = (text, preferred, events = []) => {
+    const withoutNames = events
+        .filter(event => event.name)
+        .reduce((remaining, event) => remaining.split(event.name.toLowerCase()).join(' '), String(text || '').toLowerCase());
+    return detectLanguage(withoutNames) || normalizeLanguage(preferred) || DEFAULT_LANGUAGE;
+};
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    detectLanguage,
+    normalizeLanguage,
+    resolveLanguage
+};
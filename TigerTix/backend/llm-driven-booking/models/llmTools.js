@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Tools the booking assistant model can call, and validation of its tool calls.
+ * Arguments are checked against the same JSON schemas sent to OpenAI, and event IDs against the
+ * events that actually exist, so the parser never acts on output the model made up.
+ */
+
+const { resolveDateExpression } = require('./dateResolver');
+
+/**
+ * Tool definitions in OpenAI's chat completions format
+ */
+const BOOKING_TOOLS = [
+    {
+        type: 'function',
+        function: {
+            name: 'list_events',
+            description: 'Show the user the events that have tickets available, optionally only those on certain dates.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    when: { type: 'string', description: 'Dates the user asked about, in their words ("this weekend", "next Friday", "in December") or as YYYY-MM-DD; omit for all events' },
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: []
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'prepare_booking',
+            description: 'Prepare a ticket booking for the user to confirm. Only use for clear booking requests.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventId: { type: 'integer', description: 'ID of the event, taken from the available events' },
+                    tickets: { type: 'integer', minimum: 1, description: 'Number of tickets; 1 if the user did not say' },
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: ['eventId']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_event_details',
+            description: 'Tell the user about one event (date, tickets left) without booking it.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventId: { type: 'integer', description: 'ID of the event, taken from the available events' },
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: ['eventId']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'answer_question',
+            description: 'Answer a question about an event (parking, accessibility, what to bring) from the event information in the prompt. Only use when that information answers it.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventId: { type: 'integer', description: 'ID of the event the answer comes from, taken from the event information' },
+                    message: { type: 'string', description: 'The answer, using only the event information' }
+                },
+                required: ['eventId', 'message']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'list_my_bookings',
+            description: 'Show the user the tickets they have already booked.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: []
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'cancel_booking',
+            description: 'Start cancelling one of the user\'s bookings. Nothing is cancelled until the user confirms.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventId: { type: 'integer', description: 'ID of the event the booking is for, if the user named one' },
+                    orderId: { type: 'integer', description: 'Order number, if the user gave one' },
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: []
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'ask_which_event',
+            description: 'Ask the user which event they mean when their words fit several events about equally well, instead of guessing.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    eventIds: {
+                        type: 'array',
+                        items: { type: 'integer' },
+                        minItems: 2,
+                        maxItems: 3,
+                        description: 'IDs of the events the user might mean, best match first, taken from the available events'
+                    },
+                    purpose: { type: 'string', enum: ['booking', 'event_info', 'cancel_booking'], description: 'What the user wants to do with the event' },
+                    tickets: { type: 'integer', minimum: 1, description: 'Number of tickets, for bookings' },
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: ['eventIds', 'purpose']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'respond',
+            description: 'Reply without taking an action: greetings, or requests the other tools cannot handle.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    intent: { type: 'string', enum: ['greeting', 'unknown'] },
+                    message: { type: 'string', description: 'Brief response to the user' }
+                },
+                required: ['intent', 'message']
+            }
+        }
+    }
+];
+
+/**
+ * @function coerceValue
+ * @description Converts a tool argument to its schema type. Models sometimes send numbers as
+ * strings ("2"), which are accepted; anything that is not a whole number is not. Arrays are
+ * converted item by item and rejected if any item cannot be.
+ * @param {*} value - Argument as sent by the model
+ * @param {Object} property - JSON schema of the argument
+ * @returns {*} - Coerced value, or undefined when it cannot be converted
+ */
+const coerceValue = (value, property) => {
+    if (property.type === 'integer') {
+        if (typeof value === 'number' && Number.isInteger(value)) return value;
+        if (typeof value === 'string' && /^\s*-?\d+\s*$/.test(value)) return parseInt(value);
+        return undefined;
+    }
+    if (property.type === 'string') {
+        return typeof value === 'string' ? value.trim() : undefined;
+    }
+    if (property.type === 'array') {
+        if (!Array.isArray(value)) return undefined;
+        const items = value.map(item => coerceValue(item, property.items));
+        return items.includes(undefined) ? undefined : items;
+    }
+    return value;
+};
+
+/**
+ * @function describeType
+ * @description Names a schema type for validation errors.
+ * @param {Object} property - JSON schema of the argument
+ * @returns {string} - e.g. "a whole number", "an array of whole numbers"
+ */
+const describeType = (property) => {
+    if (property.type === 'integer') return 'a whole number';
+    if (property.type === 'array') return `an array of ${describeType(property.items).replace(/^an? /, '')}s`;
+    return `a ${property.type}`;
+};
+
+/**
+ * @function validateToolArguments
+ * @description Validates and coerces tool call arguments against a tool's parameter schema.
+ * Arguments the schema does not define are dropped.
+ * @param {Object} schema - The tool's parameters schema
+ * @param {Object} args - Parsed arguments from the model
+ * @returns {Object} - { valid, value, errors }
+ */
+const validateToolArguments = (schema, args) => {
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        return { valid: false, value: {}, errors: ['arguments must be an object'] };
+    }
+
+    const errors = [];
+    const value = {};
+
+    for (const [name, property] of Object.entries(schema.properties)) {
+        const raw = args[name];
+        if (raw === undefined || raw === null) {
+            if (schema.required.includes(name)) errors.push(`${name} is required`);
+            continue;
+        }
+
+        const coerced = coerceValue(raw, property);
+        if (coerced === undefined) {
+            errors.push(`${name} must be ${describeType(property)}`);
+        } else if (property.minItems !== undefined && coerced.length < property.minItems) {
+            errors.push(`${name} must have at least ${property.minItems} items`);
+        } else if (property.maxItems !== undefined && coerced.length > property.maxItems) {
+            errors.push(`${name} must have at most ${property.maxItems} items`);
+        } else if (property.enum && !property.enum.includes(coerced)) {
+            errors.push(`${name} must be one of: ${property.enum.join(', ')}`);
+        } else if (property.minimum !== undefined && coerced < property.minimum) {
+            errors.push(`${name} must be at least ${property.minimum}`);
+        } else {
+            value[name] = coerced;
+        }
+    }
+
+    return { valid: errors.length === 0, value, errors };
+};
+
+/**
+ * @function interpretToolCall
+ * @description Turns the model's tool call into the parser's structured result.
+ * An event ID that matches no available event is rejected: the result names no event,
+ * so nothing can be booked from it and the user is asked which event they meant.
+ * @param {Object} toolCall - Tool call from the completion ({ function: { name, arguments } })
+ * @param {Array} availableEvents - Events the model was offered
+ * @returns {Object} - { intent, event, eventId, tickets, confidence, message }, plus orderId for cancel_booking,
+ * dateRange ({ start, end, label }) for list_events with dates and candidates ({ id, name, date }) for ask_which_event;
+ * answer_question gives intent 'event_faq'
+ * @throws {Error} 'Unknown tool: ...' or 'Invalid arguments for ...' when the call does not match its schema
+ * or names dates that cannot be resolved
+ */
+const interpretToolCall = (toolCall, availableEvents = []) => {
+    const name = toolCall?.function?.name;
+    const tool = BOOKING_TOOLS.find(t => t.function.name === name);
+    if (!tool) throw new Error(`Unknown tool: ${name}`);
+
+    let args;
+    try {
+        args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+        throw new Error(`Invalid arguments for ${name}: not valid JSON`);
+    }
+
+    const { valid, value, errors } = validateToolArguments(tool.function.parameters, args);
+    if (!valid) throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+
+    const result = { intent: 'unknown', event: null, eventId: null, tickets: null, confidence: 'high', message: value.message || '' };
+
+    switch (name) {
+        case 'list_events': {
+            const listing = { ...result, intent: 'show_events', message: value.message || 'Here are the available events:' };
+            if (!value.when) return listing;
+
+            // Resolved here rather than trusted, so the model never does date arithmetic
+            const dateRange = resolveDateExpression(value.when);
+            if (!dateRange) throw new Error(`Invalid arguments for ${name}: when "${value.when}" is not a date expression`);
+            const { start, end, label } = dateRange;
+            return { ...listing, dateRange: { start, end, label } };
+        }
+
+        case 'respond':
+            return { ...result, intent: value.intent };
+
+        case 'list_my_bookings':
+            return { ...result, intent: 'my_bookings' };
+
+        case 'ask_which_event': {
+            const intent = value.purpose;
+            const tickets = intent === 'booking' ? value.tickets ?? 1 : null;
+            const candidates = [...new Set(value.eventIds)]
+                .map(id => availableEvents.find(e => e.id === id))
+                .filter(Boolean);
+
+            // With only one real event left there is nothing to ask
+            if (candidates.length === 1) {
+                const [event] = candidates;
+                return { ...result, intent, event: event.name, eventId: event.id, tickets };
+            }
+            if (candidates.length === 0) {
+                return {
+                    ...result,
+                    intent,
+                    tickets,
+                    confidence: 'low',
+                    message: `Event IDs ${value.eventIds.join(', ')} do not match any available event.`
+                };
+            }
+            return {
+                ...result,
+                intent,
+                tickets,
+                confidence: 'low',
+                candidates: candidates.map(({ id, name, date }) => ({ id, name, date })),
+                message: value.message || `Did you mean ${candidates.map(e => e.name).join(' or ')}?`
+            };
+        }
+
+        case 'cancel_booking': {
+            const cancellation = { ...result, intent: 'cancel_booking', orderId: value.orderId ?? null };
+            if (value.eventId === undefined) return cancellation;
+
+            const event = availableEvents.find(e => e.id === value.eventId);
+            if (!event) {
+                return {
+                    ...cancellation,
+                    confidence: 'low',
+                    message: `Event ID ${value.eventId} does not match any available event.`
+                };
+            }
+            return { ...cancellation, event: event.name, eventId: event.id };
+        }
+
+        case 'answer_question': {
+            const event = availableEvents.find(e => e.id === value.eventId);
+            if (!event) {
+                return {
+                    ...result,
+                    intent: 'event_faq',
+                    confidence: 'low',
+                    message: `Event ID ${value.eventId} does not match any available event.`
+                };
+            }
+            return { ...result, intent: 'event_faq', event: event.name, eventId: event.id };
+        }
+
+        case 'prepare_booking':
+        case 'get_event_details': {
+            const intent = name === 'prepare_booking' ? 'booking' : 'event_info';
+            const tickets = intent === 'booking' ? value.tickets ?? 1 : null;
+            const event = availableEvents.find(e => e.id === value.eventId);
+
+            if (!event) {
+                return {
+                    ...result,
+                    intent,
+                    tickets,
+                    confidence: 'low',
+                    message: `Event ID ${value.eventId} does not match any available event.`
+                };
+            }
+            return { ...result, intent, event: event.name, eventId: event.id, tickets };
+        }
+    }
+};
+
+module.exports = {
+    BOOKING_TOOLS,
+    validateToolArguments,
+    interpretToolCall
+};
@@ -0,0 +1,146 @@
+const { runAsync, getAsync, allAsync } = require('../../db');
+
+// USD per million tokens for known models; LLM_PROMPT_PRICE_PER_MILLION and
+// LLM_COMPLETION_PRICE_PER_MILLION override them (e.g. for a self-hosted model)
+const MODEL_PRICES = {
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+    'gpt-4.1': { prompt: 2, completion: 8 }
+};
+const PROMPT_PRICE_OVERRIDE = process.env.LLM_PROMPT_PRICE_PER_MILLION;
+const COMPLETION_PRICE_OVERRIDE = process.env.LLM_COMPLETION_PRICE_PER_MILLION;
+
+// Most the model may cost per UTC day; unset means no limit
+const LLM_DAILY_BUDGET_USD = process.env.LLM_DAILY_BUDGET_USD ? parseFloat(process.env.LLM_DAILY_BUDGET_USD) : null;
+
+const DEFAULT_REPORT_DAYS = 30;
+
+/**
+ * @function estimateCost
+ * @description Estimated cost of one completion. Models without a known or configured price cost nothing.
+ * @param {string|null} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} - USD
+ */
+const estimateCost = (model, promptTokens, completionTokens) => {
+    const price = MODEL_PRICES[model] || {};
+    const promptPrice = PROMPT_PRICE_OVERRIDE !== undefined ? parseFloat(PROMPT_PRICE_OVERRIDE) : price.prompt || 0;
+    const completionPrice = COMPLETION_PRICE_OVERRIDE !== undefined ? parseFloat(COMPLETION_PRICE_OVERRIDE) : price.completion || 0;
+    return (promptTokens * promptPrice + completionTokens * completionPrice) / 1000000;
+};
+
+/**
+ * @function recordUsage
+ * @description Stores what one assistant request cost.
+ * @param {Object} entry - { requestId, userId, intent, source, usage }
+ * @param {Object} entry.usage - From parseBookingRequest: { provider, model, promptTokens, completionTokens, latencyMs, fallbackReason }
+ * @returns {Promise<Object>} - Resolves with { id, costUsd }
+ */
+const recordUsage = async ({ requestId, userId = null, intent = null, source, usage = {} }) => {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const costUsd = estimateCost(usage.model, promptTokens, completionTokens);
+
+    const { lastID } = await runAsync(
+        `INSERT INTO llm_usage
+            (request_id, user_id, provider, model, intent, source, fallback_reason, prompt_tokens, completion_tokens, latency_ms, cost_usd)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            requestId,
+            userId,
+            usage.provider || null,
+            usage.model || null,
+            intent,
+            source,
+            usage.fallbackReason || null,
+            promptTokens,
+            completionTokens,
+            usage.latencyMs ?? null,
+            costUsd
+        ]
+    );
+    return { id: lastID, costUsd };
+};
+
+/**
+ * @function getBudgetStatus
+ * @description How much of today's (UTC) budget has been spent.
+ * @returns {Promise<Object>} - { dailyUsd, spentTodayUsd, remainingUsd, exhausted }; dailyUsd and remainingUsd are null without a budget
+ */
+const getBudgetStatus = async () => {
+    const { spent } = await getAsync(
+        "SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM llm_usage WHERE created_at >= date('now')"
+    );
+    if (LLM_DAILY_BUDGET_USD === null) {
+        return { dailyUsd: null, spentTodayUsd: spent, remainingUsd: null, exhausted: false };
+    }
+    const remainingUsd = Math.max(LLM_DAILY_BUDGET_USD - spent, 0);
+    return { dailyUsd: LLM_DAILY_BUDGET_USD, spentTodayUsd: spent, remainingUsd, exhausted: remainingUsd === 0 };
+};
+
+/**
+ * @function toSummary
+ * @description Converts an aggregate row into the report's shape.
+ * @param {Object} row - Row with the aggregate columns selected by getUsageReport
+ * @returns {Object}
+ */
+const toSummary = (row) => ({
+    requests: row.requests,
+    llmRequests: row.llm_requests,
+    fallbacks: row.fallbacks,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    costUsd: row.cost_usd,
+    avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(row.avg_latency_ms)
+});
+
+const AGGREGATES = `
+    COUNT(*) AS requests,
+    COALESCE(SUM(source = 'llm'), 0) AS llm_requests,
+    COALESCE(SUM(source = 'fallback'), 0) AS fallbacks,
+    COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+    AVG(latency_ms) AS avg_latency_ms`;
+
+/**
+ * @function getUsageReport
+ * @description Usage between two UTC dates (inclusive), in total, by day, by intent and by fallback reason.
+ * @param {Object} [range] - { from, to } as YYYY-MM-DD; defaults to the last 30 days
+ * @returns {Promise<Object>} - { from, to, totals, byDay, byIntent, fallbackReasons, budget }
+ */
+const getUsageReport = async ({ from, to } = {}) => {
+    const today = new Date().toISOString().slice(0, 10);
+    const end = to || today;
+    const start = from || new Date(Date.parse(end) - (DEFAULT_REPORT_DAYS - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const where = 'WHERE date(created_at) BETWEEN ? AND ?';
+    const params = [start, end];
+
+    const [totals, days, intents, reasons, budget] = await Promise.all([
+        getAsync(`SELECT ${AGGREGATES} FROM llm_usage ${where}`, params),
+        allAsync(`SELECT date(created_at) AS day, ${AGGREGATES} FROM llm_usage ${where} GROUP BY day ORDER BY day`, params),
+        allAsync(`SELECT COALESCE(intent, 'unknown') AS intent, ${AGGREGATES} FROM llm_usage ${where} GROUP BY 1 ORDER BY requests DESC, intent`, params),
+        allAsync(`SELECT fallback_reason AS reason, COUNT(*) AS count FROM llm_usage ${where} AND fallback_reason IS NOT NULL GROUP BY reason ORDER BY count DESC, reason`, params),
+        getBudgetStatus()
+    ]);
+
+    return {
+        from: start,
+        to: end,
+        totals: toSummary(totals),
+        byDay: days.map(row => ({ day: row.day, ...toSummary(row) })),
+        byIntent: intents.map(row => ({ intent: row.intent, ...toSummary(row) })),
+        fallbackReasons: Object.fromEntries(reasons.map(row => [row.reason, row.count])),
+        budget
+    };
+};
+
+module.exports = {
+    LLM_DAILY_BUDGET_USD,
+    estimateCost,
+    recordUsage,
+    getBudgetStatus,
+    getUsageReport
+};
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const { runAsync, getAsync, allAsync, withTransaction, toSqlTimestamp } = require('../../db');
+
+// Tokens carry an HMAC so forged or mistyped tokens are rejected before any database lookup
+const BOOKING_TOKEN_SECRET = process.env.BOOKING_TOKEN_SECRET || 'booking-token-secret-change-in-production';
+const BOOKING_TOKEN_PATTERN = /^([0-9a-f]{32})\.([0-9a-f]{32})$/;
+
+// How long the user has to confirm a proposal made without a hold, such as a cancellation
+const PENDING_BOOKING_TTL_MINUTES = parseInt(process.env.PENDING_BOOKING_TTL_MINUTES) || 5;
+
+/**
+ * @function signBookingToken
+ * @description Computes the signature part of a confirmation token.
+ * @param {string} payload - Random part of the token
+ * @returns {string} - 32 hex characters
+ */
+const signBookingToken = (payload) => {
+    return crypto.createHmac('sha256', BOOKING_TOKEN_SECRET).update(payload).digest('hex').slice(0, 32);
+};
+
+/**
+ * @function createConfirmationToken
+ * @description Generates an opaque, signed token: "<random>.<signature>".
+ * @returns {string}
+ */
+const createConfirmationToken = () => {
+    const payload = crypto.randomBytes(16).toString('hex');
+    return `${payload}.${signBookingToken(payload)}`;
+};
+
+/**
+ * @function verifyConfirmationToken
+ * @description Checks a confirmation token's format and signature.
+ * @param {string} token - Token sent back by the browser
+ * @returns {boolean} - True when the token was issued by this service
+ */
+const verifyConfirmationToken = (token) => {
+    const match = BOOKING_TOKEN_PATTERN.exec(typeof token === 'string' ? token : '');
+    if (!match) return false;
+
+    const expected = Buffer.from(signBookingToken(match[1]));
+    return crypto.timingSafeEqual(expected, Buffer.from(match[2]));
+};
+
+/**
+ * @function createPendingBooking
+ * @description Stores a booking the assistant proposed and issues the token that confirms it.
+ * The token expires with the hold on its tickets. Any earlier unconfirmed proposal in the same
+ * conversation is superseded; the caller releases their holds.
+ * @param {Object} booking - { userId, conversationId, eventId, eventName, quantity, holdId, expiresAt, now }
+ * @returns {Promise<Object>} - Resolves with the pending booking, including token and expires_at,
+ * and supersededHoldIds
+ */
+const createPendingBooking = ({ userId, conversationId, eventId, eventName, quantity, holdId = null, expiresAt, now = new Date() }) => {
+    const expires = expiresAt || toSqlTimestamp(new Date(now.getTime() + PENDING_BOOKING_TTL_MINUTES * 60 * 1000));
+
+    return withTransaction(async () => {
+        const superseded = await allAsync(
+            `SELECT hold_id FROM pending_bookings
+             WHERE user_id = ? AND conversation_id = ? AND status = 'pending' AND hold_id IS NOT NULL`,
+            [userId, conversationId]
+        );
+        await runAsync(
+            `UPDATE pending_bookings SET status = 'superseded'
+             WHERE user_id = ? AND conversation_id = ? AND status = 'pending'`,
+            [userId, conversationId]
+        );
+        const { lastID } = await runAsync(
+            `INSERT INTO pending_bookings (token, user_id, conversation_id, event_id, event_name, quantity, hold_id, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [createConfirmationToken(), userId, conversationId, eventId, eventName, quantity, holdId, expires]
+        );
+        const booking = await getAsync('SELECT * FROM pending_bookings WHERE id = ?', [lastID]);
+        return { ...booking, supersededHoldIds: superseded.map(row => row.hold_id) };
+    });
+};
+
+/**
+ * @function claimPendingBooking
+ * @description Marks a pending booking as being confirmed so it can be purchased exactly once.
+ * Tokens belonging to another user or conversation are reported as invalid.
+ * @param {Object} claim - { token, userId, conversationId, now }
+ * @returns {Promise<Object>} - Resolves with the claimed booking
+ * @throws {Error} 'Invalid confirmation token', 'Booking already confirmed',
+ * 'Booking no longer available' or 'Confirmation token expired'
+ */
+const claimPendingBooking = async ({ token, userId, conversationId, now = new Date() }) => {
+    if (!verifyConfirmationToken(token)) throw new Error('Invalid confirmation token');
+
+    return withTransaction(async () => {
+        const booking = await getAsync('SELECT * FROM pending_bookings WHERE token = ?', [token]);
+        if (!booking || booking.user_id !== userId || booking.conversation_id !== conversationId) {
+            throw new Error('Invalid confirmation token');
+        }
+        if (booking.status === 'confirming' || booking.status === 'confirmed') {
+            throw new Error('Booking already confirmed');
+        }
+        if (booking.status !== 'pending') throw new Error('Booking no longer available');
+        if (booking.expires_at <= toSqlTimestamp(now)) throw new Error('Confirmation token expired');
+
+        await runAsync("UPDATE pending_bookings SET status = 'confirming' WHERE id = ?", [booking.id]);
+        return { ...booking, status: 'confirming' };
+    });
+};
+
+/**
+ * @function declinePendingBooking
+ * @description Closes a proposal the user turned down, so its hold can be released.
+ * Declining one that already expired or was superseded changes nothing.
+ * @param {Object} decline - { token, userId, conversationId }
+ * @returns {Promise<Object>} - Resolves with the booking, including hold_id
+ * @throws {Error} 'Invalid confirmation token' or 'Booking already confirmed'
+ */
+const declinePendingBooking = async ({ token, userId, conversationId }) => {
+    if (!verifyConfirmationToken(token)) throw new Error('Invalid confirmation token');
+
+    return withTransaction(async () => {
+        const booking = await getAsync('SELECT * FROM pending_bookings WHERE token = ?', [token]);
+        if (!booking || booking.user_id !== userId || booking.conversation_id !== conversationId) {
+            throw new Error('Invalid confirmation token');
+        }
+        if (booking.status === 'confirming' || booking.status === 'confirmed') {
+            throw new Error('Booking already confirmed');
+        }
+        if (booking.status !== 'pending') return booking;
+
+        await runAsync("UPDATE pending_bookings SET status = 'declined' WHERE id = ?", [booking.id]);
+        return { ...booking, status: 'declined' };
+    });
+};
+
+/**
+ * @function completePendingBooking
+ * @description Records the order a claimed booking produced.
+ * @param {number} id - Pending booking ID
+ * @param {number} orderId - Order created by client service
+ * @returns {Promise<void>}
+ */
+const completePendingBooking = async (id, orderId) => {
+    await withTransaction(() => runAsync(
+        "UPDATE pending_bookings SET status = 'confirmed', order_id = ? WHERE id = ?",
+        [orderId, id]
+    ));
+};
+
+/**
+ * @function failPendingBooking
+ * @description Closes a claimed booking that client service refused (sold out, event gone).
+ * @param {number} id - Pending booking ID
+ * @returns {Promise<void>}
+ */
+const failPendingBooking = async (id) => {
+    await withTransaction(() => runAsync("UPDATE pending_bookings SET status = 'failed' WHERE id = ?", [id]));
+};
+
+/**
+ * @function releasePendingBooking
+ * @description Returns a claimed booking to pending after an unexpected error so the user can retry.
+ * @param {number} id - Pending booking ID
+ * @returns {Promise<void>}
+ */
+const releasePendingBooking = async (id) => {
+    await withTransaction(() => runAsync(
+        "UPDATE pending_bookings SET status = 'pending' WHERE id = ? AND status = 'confirming'",
+        [id]
+    ));
+};
+
+/**
+ * @function signCancellation
+ * @description Computes the signature of a proposed cancellation.
+ * @param {Object} cancellation - { userId, conversationId, orderId, expires } (expires in epoch milliseconds)
+ * @returns {string} - 32 hex characters
+ */
+const signCancellation = ({ userId, conversationId, orderId, expires }) => {
+    return signBookingToken(JSON.stringify(['cancel', userId, conversationId, orderId, expires]));
+};
+
+/**
+ * @function createCancellationToken
+ * @description Issues the token that confirms a cancellation the assistant proposed: "<expires>.<signature>".
+ * Nothing is stored; the signature binds it to the user, the conversation and the order.
+ * @param {Object} cancellation - { userId, conversationId, orderId, now }
+ * @returns {Object} - { token, expiresAt }
+ */
+const createCancellationToken = ({ userId, conversationId, orderId, now = new Date() }) => {
+    const expires = now.getTime() + PENDING_BOOKING_TTL_MINUTES * 60 * 1000;
+    return {
+        token: `${expires}.${signCancellation({ userId, conversationId, orderId, expires })}`,
+        expiresAt: toSqlTimestamp(new Date(expires))
+    };
+};
+
+/**
+ * @function verifyCancellationToken
+ * @description Checks that a cancellation token was issued for this user, conversation and order.
+ * @param {Object} cancellation - { token, userId, conversationId, orderId, now }
+ * @returns {void}
+ * @throws {Error} 'Invalid confirmation token' or 'Confirmation token expired'
+ */
+const verifyCancellationToken = ({ token, userId, conversationId, orderId, now = new Date() }) => {
+    const match = /^(\d{1,15})\.([0-9a-f]{32})$/.exec(typeof token === 'string' ? token : '');
+    if (!match) throw new Error('Invalid confirmation token');
+
+    const expires = Number(match[1]);
+    const expected = Buffer.from(signCancellation({ userId, conversationId, orderId, expires }));
+    if (!crypto.timingSafeEqual(expected, Buffer.from(match[2]))) throw new Error('Invalid confirmation token');
+    if (expires <= now.getTime()) throw new Error('Confirmation token expired');
+};
+
+module.exports = {
+    PENDING_BOOKING_TTL_MINUTES,
+    createConfirmationToken,
+    verifyConfirmationToken,
+    createPendingBooking,
+    claimPendingBooking,
+    declinePendingBooking,
+    completePendingBooking,
+    failPendingBooking,
+    releasePendingBooking,
+    createCancellationToken,
+    verifyCancellationToken
+};
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Selects the LLM provider from configuration.
+ *
+ * LLM_PROVIDER:
+ *   openai            - OpenAI API (OPENAI_API_KEY)
+ *   openai-compatible - Any OpenAI-compatible endpoint (LLM_BASE_URL, optional LLM_API_KEY)
+ *   mock              - Replays fixtures offline (LLM_MOCK_FIXTURES, defaults to fixtures/mockCompletions.json)
+ *   none              - No LLM; the keyword fallback parser handles every request
+ * Unset, it is "openai" when OPENAI_API_KEY is set and "none" otherwise.
+ * LLM_MODEL overrides the model name (default gpt-4o-mini).
+ */
+
+const path = require('path');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createMockProvider } = require('./mockProvider');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_MOCK_FIXTURES = path.join(__dirname, '../fixtures/mockCompletions.json');
+
+/**
+ * @function createLLMProvider
+ * @description Builds the provider named by the configuration.
+ * @param {Object} [env] - Configuration, defaults to process.env
+ * @returns {Object|null} - Provider ({ name, model, createChatCompletion }), or null for "none"
+ * @throws {Error} For an unknown provider or missing required settings
+ */
+const createLLMProvider = (env = process.env) => {
+    const providerName = env.LLM_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'none');
+    const model = env.LLM_MODEL || DEFAULT_MODEL;
+
+    switch (providerName) {
+        case 'openai':
+            if (!env.OPENAI_API_KEY) throw new Error('LLM_PROVIDER=openai requires OPENAI_API_KEY');
+            return createOpenAIProvider({ apiKey: env.OPENAI_API_KEY, model });
+
+        case 'openai-compatible':
+            if (!env.LLM_BASE_URL) throw new Error('LLM_PROVIDER=openai-compatible requires LLM_BASE_URL');
+            return createOpenAIProvider({
+                name: 'openai-compatible',
+                // The SDK insists on a key; local servers generally ignore it
+                apiKey: env.LLM_API_KEY || 'not-needed',
+                baseURL: env.LLM_BASE_URL,
+                model
+            });
+
+        case 'mock':
+            return createMockProvider({
+                fixturePath: env.LLM_MOCK_FIXTURES || DEFAULT_MOCK_FIXTURES,
+                model: env.LLM_MODEL || 'mock'
+            });
+
+        case 'none':
+            return null;
+
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${providerName}"`);
+    }
+};
+
+module.exports = {
+    createLLMProvider
+};
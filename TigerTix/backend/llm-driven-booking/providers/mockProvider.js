@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Offline LLM provider that replays canned completions from fixture files.
+ * Lets tests and local development run the real LLM code path (prompt, tool call,
+ * validation) deterministically and without network access.
+ *
+ * A fixture file holds { "completions": [...] }. The first entry whose "match" regex
+ * (case-insensitive) matches the latest user message is replayed; an entry without
+ * "match" matches anything. Entries either call a tool:
+ *
+ *   { "match": "book (\\d+) tickets? for (.+)", "tool": "prepare_booking",
+ *     "arguments": { "eventId": "$eventId:$2", "tickets": "$1" } }
+ *
+ * or reply with plain text: { "match": "...", "content": "..." }. Entries calling a tool the
+ * request does not offer are skipped, so booking and admin console fixtures can share a file.
+ *
+ * String arguments may use $1-$9 for capture groups, "$eventId:<name>" for the ID of the
+ * event with that name in the prompt's event list, and "$lastEventId" for the conversation's
+ * last mentioned event, so fixtures work whatever IDs the database assigned.
+ *
+ * With stream: true the same completion comes back as chunks, text and tool call arguments
+ * cut into small pieces, as the OpenAI API streams them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Requests kept for inspection; older ones are dropped so a long-running dev server does not grow
+const MAX_RECORDED_REQUESTS = 20;
+
+/**
+ * @function loadFixtures
+ * @description Reads completions from a fixture file, or from every .json file in a directory in name order.
+ * @param {string} fixturePath - File or directory
+ * @returns {Array} - Completion entries
+ * @throws {Error} When a fixture cannot be read or has no completions array
+ */
+const loadFixtures = (fixturePath) => {
+    const files = fs.statSync(fixturePath).isDirectory()
+        ? fs.readdirSync(fixturePath).filter(f => f.endsWith('.json')).sort().map(f => path.join(fixturePath, f))
+        : [fixturePath];
+
+    return files.flatMap((file) => {
+        let fixture;
+        try {
+            fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid mock LLM fixture ${file}: ${error.message}`);
+        }
+        if (!Array.isArray(fixture.completions)) {
+            throw new Error(`Invalid mock LLM fixture ${file}: expected a "completions" array`);
+        }
+        return fixture.completions;
+    });
+};
+
+/**
+ * @function resolveArgument
+ * @description Fills in capture groups and event ID placeholders in one fixture argument.
+ * @param {*} value - Argument from the fixture
+ * @param {Array} captures - Regex match of the user message
+ * @param {string} systemPrompt - System prompt the provider received
+ * @returns {*} - Resolved value; placeholders that cannot be resolved become null
+ */
+const resolveArgument = (value, captures, systemPrompt) => {
+    if (typeof value !== 'string') return value;
+
+    const filled = value.replace(/\$(\d)/g, (_, group) => (captures[group] || '').trim());
+
+    if (filled === '$lastEventId') {
+        const last = /Last mentioned event: "[^"]*" \(ID: (\d+)\)/.exec(systemPrompt);
+        return last ? parseInt(last[1]) : null;
+    }
+
+    if (filled.startsWith('$eventId:')) {
+        const wanted = filled.slice('$eventId:'.length).trim().toLowerCase();
+        const events = [...systemPrompt.matchAll(/"([^"]+)" \(ID: (\d+)/g)];
+        const event = wanted && events.find(([, name]) => {
+            const candidate = name.toLowerCase();
+            return candidate.includes(wanted) || wanted.includes(candidate);
+        });
+        return event ? parseInt(event[2]) : null;
+    }
+
+    return filled;
+};
+
+/**
+ * @function estimateTokens
+ * @description Rough, deterministic token count (about four characters per token).
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Characters per streamed piece of text or tool call arguments
+const STREAM_PIECE_LENGTH = 12;
+
+/**
+ * @function splitIntoPieces
+ * @description Cuts text into the pieces a streamed completion carries.
+ * @param {string} text - Text to cut
+ * @returns {Array<string>}
+ */
+const splitIntoPieces = (text) => text.match(new RegExp(`[\\s\\S]{1,${STREAM_PIECE_LENGTH}}`, 'g')) || [];
+
+/**
+ * @function streamCompletion
+ * @description Replays a completion as chat.completion.chunk objects, ending with a usage
+ * chunk when the request asked for one (stream_options.include_usage).
+ * @param {Object} completion - Completion to replay
+ * @param {Object} request - Chat completion parameters
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* streamCompletion(completion, request) {
+    const { id, model, usage } = completion;
+    const { message, finish_reason } = completion.choices[0];
+    const chunk = (delta, finishReason = null) => ({
+        id,
+        object: 'chat.completion.chunk',
+        model,
+        choices: [{ index: 0, delta, finish_reason: finishReason }]
+    });
+
+    yield chunk({ role: 'assistant', content: '' });
+    for (const piece of splitIntoPieces(message.content || '')) {
+        yield chunk({ content: piece });
+    }
+    for (const [index, call] of (message.tool_calls || []).entries()) {
+        yield chunk({ tool_calls: [{ index, id: call.id, type: 'function', function: { name: call.function.name, arguments: '' } }] });
+        for (const piece of splitIntoPieces(call.function.arguments)) {
+            yield chunk({ tool_calls: [{ index, function: { arguments: piece } }] });
+        }
+    }
+    yield chunk({}, finish_reason);
+    if (request.stream_options?.include_usage) {
+        yield { id, object: 'chat.completion.chunk', model, choices: [], usage };
+    }
+}
+
+/**
+ * @function createMockProvider
+ * @description Creates a provider that answers from fixtures instead of a model.
+ * @param {Object} options - { fixturePath, model }
+ * @param {string} options.fixturePath - Fixture file or directory
+ * @param {string} [options.model] - Model name reported in completions
+ * @returns {Object} - Provider: { name, model, requests, createChatCompletion }; requests holds the
+ * latest MAX_RECORDED_REQUESTS requests, oldest first
+ */
+const createMockProvider = ({ fixturePath, model = 'mock' }) => {
+    const completions = loadFixtures(fixturePath);
+    // Recent requests, so tests can inspect the prompts the real code built
+    const requests = [];
+    let received = 0;
+
+    return {
+        name: 'mock',
+        model,
+        requests,
+        /**
+         * @function createChatCompletion
+         * @description Replays the first fixture entry matching the latest user message.
+         * @param {Object} request - Chat completion parameters
+         * @returns {Promise<Object>} - OpenAI-shaped chat completion ({ choices, usage }), or with
+         * request.stream an async iterable of its chunks
+         * @throws {Error} When no fixture entry matches
+         */
+        createChatCompletion: async (request) => {
+            requests.push(request);
+            if (requests.length > MAX_RECORDED_REQUESTS) requests.shift();
+            const n = ++received;
+
+            const messages = request.messages || [];
+            const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
+            const userMessage = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+            const offered = new Set((request.tools || []).map(t => t.function?.name));
+
+            let captures = null;
+            const entry = completions.find((candidate) => {
+                if (candidate.tool && request.tools && !offered.has(candidate.tool)) return false;
+                captures = candidate.match ? new RegExp(candidate.match, 'i').exec(userMessage) : [userMessage];
+                return captures !== null;
+            });
+            if (!entry) throw new Error(`No mock completion matches "${userMessage}"`);
+
+            const message = { role: 'assistant', content: entry.content ?? null };
+            if (entry.tool) {
+                const args = Object.fromEntries(Object.entries(entry.arguments || {})
+                    .map(([key, value]) => [key, resolveArgument(value, captures, systemPrompt)]));
+                message.tool_calls = [{
+                    id: `call_mock_${n}`,
+                    type: 'function',
+                    function: { name: entry.tool, arguments: JSON.stringify(args) }
+                }];
+            }
+
+            const promptTokens = estimateTokens(messages.map(m => m.content).join('\n'));
+            const completionTokens = estimateTokens(message.content || JSON.stringify(message.tool_calls));
+
+            const completion = {
+                id: `mock-${n}`,
+                object: 'chat.completion',
+                model,
+                choices: [{ index: 0, message, finish_reason: entry.tool ? 'tool_calls' : 'stop' }],
+                usage: entry.usage || {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    total_tokens: promptTokens + completionTokens
+                }
+            };
+            return request.stream ? streamCompletion(completion, request) : completion;
+        }
+    };
+};
+
+module.exports = {
+    MAX_RECORDED_REQUESTS,
+    createMockProvider
+};
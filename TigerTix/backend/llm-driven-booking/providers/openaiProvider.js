@@ -0,0 +1,36 @@
+/**
+ * @fileoverview LLM provider backed by the OpenAI API, or by any server that speaks the
+ * OpenAI chat completions protocol (Ollama, LM Studio, vLLM, ...) when given a baseURL.
+ */
+
+const { OpenAI } = require('openai');
+
+/**
+ * @function createOpenAIProvider
+ * @description Creates a provider that sends chat completions through the OpenAI SDK.
+ * @param {Object} options - { name, apiKey, baseURL, model }
+ * @param {string} options.apiKey - API key; local endpoints usually accept any value
+ * @param {string} [options.baseURL] - Endpoint of an OpenAI-compatible server, e.g. http://localhost:11434/v1
+ * @param {string} options.model - Model name sent with every request
+ * @returns {Object} - Provider: { name, model, createChatCompletion }
+ */
+const createOpenAIProvider = ({ name = 'openai', apiKey, baseURL, model }) => {
+    const client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+
+    return {
+        name,
+        model,
+        /**
+         * @function createChatCompletion
+         * @description Requests a chat completion; with request.stream the SDK yields its chunks as they arrive.
+         * @param {Object} request - Chat completion parameters without the model
+         * @returns {Promise<Object>} - OpenAI chat completion ({ choices, usage }), or with
+         * request.stream an async iterable of chat.completion.chunk objects
+         */
+        createChatCompletion: (request) => client.chat.completions.create({ model, ...request })
+    };
+};
+
+module.exports = {
+    createOpenAIProvider
+};
@@ -4,35 +4,99 @@
 
 const express = require('express');
 const router = express.Router();
-const { parseLLMRequest, confirmBooking, getChatHistory } = require('../controllers/llmController');
+const {
+    parseLLMRequest,
+    streamLLMRequest,
+    confirmBooking,
+    declineBooking,
+    confirmCancellation,
+    getChatHistory,
+    getUsageReport
+} = require('../controllers/llmController');
+const { proposeAdminOperation, confirmAdminOperation } = require('../controllers/adminAssistantController');
+const { authenticate, optionalAuthenticate, requireAdmin } = require('../../middleware/authenticate');
+const { idempotency } = require('../../middleware/idempotency');
 
 /**
  * @route POST /parse
- * @description Parse natural language booking requests
+ * @description Parse natural language booking requests (login optional; needed to get a booking confirmation token).
+ * Anonymous users get a chatSession cookie that their conversation context is bound to.
  */
-router.post('/parse', (req, res, next) => {
+router.post('/parse', optionalAuthenticate, (req, res, next) => {
     console.log(`\n🌐 [ROUTE] POST /api/llm/parse hit at ${new Date().toISOString()}`);
-    console.log(`🔍 [ROUTE] Request headers:`, JSON.stringify(req.headers, null, 2));
     next();
 }, parseLLMRequest);
 
+/**
+ * @route POST /parse/stream
+ * @description Same as /parse, streamed as Server-Sent Events ("delta" events with reply text, then "done")
+ */
+router.post('/parse/stream', optionalAuthenticate, (req, res, next) => {
+    console.log(`\n🌐 [ROUTE] POST /api/llm/parse/stream hit at ${new Date().toISOString()}`);
+    next();
+}, streamLLMRequest);
+
 /**
  * @route POST /confirm-booking  
- * @description Confirm and process a booking with transaction safety
+ * @description Confirm a booking proposed by /parse using its confirmation token (requires login; honours Idempotency-Key)
  */
-router.post('/confirm-booking', (req, res, next) => {
+router.post('/confirm-booking', authenticate, (req, res, next) => {
     console.log(`\n🌐 [ROUTE] POST /api/llm/confirm-booking hit at ${new Date().toISOString()}`);
-    console.log(`🔍 [ROUTE] Request headers:`, JSON.stringify(req.headers, null, 2));
     next();
-}, confirmBooking);
+}, idempotency('llm:confirm-booking'), confirmBooking);
+
+/**
+ * @route POST /decline-booking
+ * @description Turn down a booking proposed by /parse and release its held tickets (requires login)
+ */
+router.post('/decline-booking', authenticate, (req, res, next) => {
+    console.log(`\n🌐 [ROUTE] POST /api/llm/decline-booking hit at ${new Date().toISOString()}`);
+    next();
+}, declineBooking);
+
+/**
+ * @route POST /confirm-cancellation
+ * @description Cancel the order the assistant offered to cancel using its confirmation token (requires login; own orders only)
+ */
+router.post('/confirm-cancellation', authenticate, (req, res, next) => {
+    console.log(`\n🌐 [ROUTE] POST /api/llm/confirm-cancellation hit at ${new Date().toISOString()}`);
+    next();
+}, confirmCancellation);
 
 /**
  * @route GET /chat-history
- * @description Get chat conversation history
+ * @description Get a page of the user's chat history (requires login; ?conversationId=&limit=&before=)
  */
-router.get('/chat-history', (req, res, next) => {
+router.get('/chat-history', authenticate, (req, res, next) => {
     console.log(`\n🌐 [ROUTE] GET /api/llm/chat-history hit at ${new Date().toISOString()}`);
     next();
 }, getChatHistory);
 
+/**
+ * @route GET /usage
+ * @description LLM usage report by day and by intent, with today's budget (admins only; ?from=&to= as YYYY-MM-DD)
+ */
+router.get('/usage', authenticate, requireAdmin, (req, res, next) => {
+    console.log(`\n🌐 [ROUTE] GET /api/llm/usage hit at ${new Date().toISOString()}`);
+    next();
+}, getUsageReport);
+
+/**
+ * @route POST /admin/parse
+ * @description Admin console: propose creating an event, changing its tickets or deleting it from a plain-language request (admins only)
+ */
+router.post('/admin/parse', authenticate, requireAdmin, (req, res, next) => {
+    console.log(`\n🌐 [ROUTE] POST /api/llm/admin/parse hit at ${new Date().toISOString()}`);
+    next();
+}, proposeAdminOperation);
+
+/**
+ * @route POST /admin/confirm
+ * @description Apply a change proposed by /admin/parse using its confirmation token (admins only)
+ */
+router.post('/admin/confirm', authenticate, requireAdmin, (req, res, next) => {
+    console.log(`\n🌐 [ROUTE] POST /api/llm/admin/confirm hit at ${new Date().toISOString()}`);
+    next();
+}, confirmAdminOperation);
+
 module.exports = router;
\ No newline at end of file
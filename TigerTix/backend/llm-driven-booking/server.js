@@ -10,13 +10,15 @@ require('dotenv').config({ path: path.join(__dirname, '../.env') });
 
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const llmRoutes = require('./routes/llmRoutes');
 
-// Service initialization - no database needed as we communicate with client service
+// Service initialization - bookings go through client service; only pending booking proposals are stored locally
 const setupService = () => {
     return new Promise((resolve) => {
         console.log('Setting up LLM service...');
         console.log('LLM service will communicate with client service for data operations');
+        console.log('Pending booking proposals are kept in the shared database');
         resolve();
     });
 };
@@ -43,6 +45,7 @@ app.use(cors({
     credentials: true
 }));
 app.use(express.json());
+app.use(cookieParser());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
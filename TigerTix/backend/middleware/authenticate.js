@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Shared JWT authentication middleware for TigerTix microservices
+ * Applies the same token rules as the user-authentication service's /verify route
+ */
+
+const jwt = require('jsonwebtoken');
+const userModel = require('../user-authentication/models/userModel');
+
+// JWT Secret (in production, store in environment variable)
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+
+/**
+ * @function isAdminEmail
+ * @description Checks an email against the comma-separated ADMIN_EMAILS list.
+ * @param {string} email - User email
+ * @returns {boolean}
+ */
+const isAdminEmail = (email) => {
+    const admins = (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(e => e.trim().toLowerCase())
+        .filter(Boolean);
+    return admins.includes(String(email).toLowerCase());
+};
+
+/**
+ * @function extractToken
+ * @description Reads the JWT from the authToken cookie or a Bearer Authorization header.
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} - The raw token, if present
+ */
+const extractToken = (req) => {
+    return req.cookies?.authToken || req.headers.authorization?.split(' ')[1];
+};
+
+/**
+ * @function toRequestUser
+ * @description Shapes a users row into the req.user object handlers rely on.
+ * @param {Object} user - Row from the users table
+ * @returns {Object} - { id, email, firstName, lastName, isAdmin }
+ */
+const toRequestUser = (user) => ({
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    isAdmin: isAdminEmail(user.email)
+});
+
+/**
+ * @function authenticate
+ * @description Rejects requests without a valid, unexpired token for an existing user.
+ * On success sets req.user ({ id, email, firstName, lastName, isAdmin }) and req.authToken
+ * so handlers can attribute work to the user and forward the token to other services.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const authenticate = async (req, res, next) => {
+    try {
+        const token = extractToken(req);
+
+        if (!token) {
+            return res.status(401).json({ error: 'No token provided', expired: false });
+        }
+
+        const decoded = jwt.verify(token, JWT_SECRET);
+
+        const user = await userModel.findById(decoded.userId);
+        if (!user) {
+            return res.status(401).json({ error: 'User not found', expired: false });
+        }
+
+        req.user = toRequestUser(user);
+        req.authToken = token;
+        next();
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                error: 'Token expired',
+                expired: true,
+                message: 'Please log in again'
+            });
+        }
+
+        res.status(401).json({ error: 'Invalid token', expired: false });
+    }
+};
+
+/**
+ * @function optionalAuthenticate
+ * @description Like authenticate, but lets requests without a valid token through anonymously.
+ * Sets req.user and req.authToken only when the token checks out.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const optionalAuthenticate = async (req, res, next) => {
+    const token = extractToken(req);
+    if (!token) return next();
+
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        const user = await userModel.findById(decoded.userId);
+        if (user) {
+            req.user = toRequestUser(user);
+            req.authToken = token;
+        }
+    } catch (error) {
+        // Expired or invalid tokens are treated as logged out
+    }
+    next();
+};
+
+/**
+ * @function requireAdmin
+ * @description Allows only admins through. Must run after authenticate.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {void}
+ */
+const requireAdmin = (req, res, next) => {
+    if (!req.user?.isAdmin) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+};
+
+module.exports = {
+    JWT_SECRET,
+    extractToken,
+    isAdminEmail,
+    authenticate,
+    optionalAuthenticate,
+    requireAdmin
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Idempotency-Key support for endpoints that must not run twice
+ * The first response for a key is stored and replayed to repeats for 24 hours, so a
+ * retried or double-submitted purchase never buys again.
+ */
+
+const crypto = require('crypto');
+const { runAsync, getAsync, withTransaction } = require('../db');
+
+const MAX_KEY_LENGTH = 255;
+// A claim that has stored no response after this long belongs to a request that died; retries may take the key
+const CLAIM_LEASE_SECONDS = parseInt(process.env.IDEMPOTENCY_CLAIM_LEASE_SECONDS) || 120;
+
+/**
+ * @function canonicalize
+ * @description Sorts object keys recursively so equal payloads hash the same regardless of key order.
+ * @param {*} value - Parsed JSON value
+ * @returns {*}
+ */
+const canonicalize = (value) => {
+    if (Array.isArray(value)) return value.map(canonicalize);
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((sorted, key) => {
+            sorted[key] = canonicalize(value[key]);
+            return sorted;
+        }, {});
+    }
+    return value;
+};
+
+/**
+ * @function hashRequest
+ * @description Fingerprints what a request asks for: method, path and body.
+ * @param {Object} req - Express request object
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashRequest = (req) => {
+    const fingerprint = JSON.stringify({
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: canonicalize(req.body ?? null)
+    });
+    return crypto.createHash('sha256').update(fingerprint).digest('hex');
+};
+
+/**
+ * @function idempotency
+ * @description Builds middleware that honours an Idempotency-Key header. Keys are scoped
+ * per endpoint and per user, so run it after authenticate. Requests without the header
+ * pass straight through.
+ * - First use of a key: the handler runs and its response is stored (server errors are
+ *   not stored, so the client can retry them)
+ * - Repeat with the same payload within 24 hours: the stored response is replayed
+ * - Repeat with a different payload: 422
+ * - Repeat while the first request is still running: 409, until its claim lease runs out
+ * @param {string} scope - Endpoint name, e.g. 'client:purchase'
+ * @returns {Function} - Express middleware
+ */
+const idempotency = (scope) => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+            error: 'Invalid Idempotency-Key header',
+            message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+        });
+    }
+
+    const userId = req.user?.id ?? 0;
+    const requestHash = hashRequest(req);
+    const where = 'scope = ? AND user_id = ? AND idempotency_key = ?';
+    const whereParams = [scope, userId, key];
+
+    try {
+        const stored = await withTransaction(async () => {
+            await runAsync(
+                `DELETE FROM idempotency_keys WHERE created_at <= datetime('now', '-24 hours')
+                    OR (status_code IS NULL AND created_at <= datetime('now', ?))`,
+                [`-${CLAIM_LEASE_SECONDS} seconds`]
+            );
+            const { changes: claimed } = await runAsync(
+                'INSERT OR IGNORE INTO idempotency_keys (scope, user_id, idempotency_key, request_hash) VALUES (?, ?, ?, ?)',
+                [...whereParams, requestHash]
+            );
+            return claimed === 0
+                ? getAsync(`SELECT * FROM idempotency_keys WHERE ${where}`, whereParams)
+                : null;
+        });
+
+        if (stored) {
+            if (stored.request_hash !== requestHash) {
+                return res.status(422).json({
+                    error: 'Idempotency key reused with a different request',
+                    message: 'This Idempotency-Key was already used for a different request'
+                });
+            }
+            if (stored.status_code === null) {
+                return res.status(409).json({
+                    error: 'Request in progress',
+                    message: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+            console.log(`🔁 [IDEMPOTENCY] Replaying ${scope} response for key ${key}`);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(stored.status_code).json(JSON.parse(stored.response_body));
+        }
+    } catch (err) {
+        // Refuse rather than risk charging twice
+        console.error('Error checking idempotency key:', err);
+        return res.status(500).json({
+            error: 'Failed to process Idempotency-Key',
+            message: err.message || 'Unknown error'
+        });
+    }
+
+    // Store the response before sending it, so a repeat never sees a finished request as in progress.
+    // The key stays claimed even if the client disconnects, since the handler keeps running.
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        res.json = sendJson;
+        const save = withTransaction(() => res.statusCode >= 500
+            ? runAsync(`DELETE FROM idempotency_keys WHERE ${where}`, whereParams)
+            : runAsync(
+                `UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE ${where}`,
+                [res.statusCode, JSON.stringify(body), ...whereParams]
+            ));
+        save
+            .catch(err => console.error('Error storing idempotent response:', err))
+            .finally(() => sendJson(body));
+        return res;
+    };
+
+    next();
+};
+
+module.exports = {
+    idempotency
+};
@@ -1,8 +1,6 @@
 const jwt = require('jsonwebtoken');
 const userModel = require('../models/userModel');
-
-// JWT Secret (in production, store in environment variable)
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const { JWT_SECRET } = require('../../middleware/authenticate');
 const TOKEN_EXPIRATION = '30m'; // 30 minutes as per requirements
 
 const authController = {
@@ -192,7 +192,7 @@ describe('🔌 TigerTix API Integration Tests', () => {
         { quantity: 999999 } // Impossibly high number
       ).catch(err => err.response);
       
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(409);
       expect(response.data).toHaveProperty('message', 'Not enough tickets available');
     });
 
@@ -61,9 +61,9 @@ start "TigerTix Client Service (Port 6001)" cmd /k "cd /d "%BACKEND_PATH%\client
 
 timeout /t 3 /nobreak > nul
 
-:: Start LLM Service (Port 5003)
+:: Start LLM Service (Port 5003); LLM_PROVIDER=mock replays canned completions, so no OpenAI key or network is needed
 echo 🟣 Starting LLM Service on port 5003...
-start "TigerTix LLM Service (Port 5003)" cmd /k "cd /d "%BACKEND_PATH%\llm-driven-booking" && set PORT=5003 && echo 🎫 LLM Service Starting... && echo Port: 5003 && echo Path: %BACKEND_PATH%\llm-driven-booking && echo Press Ctrl+C to stop && echo ================================= && node server.js"
+start "TigerTix LLM Service (Port 5003)" cmd /k "cd /d "%BACKEND_PATH%\llm-driven-booking" && set PORT=5003 && set "LLM_PROVIDER=mock" && echo 🎫 LLM Service Starting... && echo Port: 5003 && echo Path: %BACKEND_PATH%\llm-driven-booking && echo Press Ctrl+C to stop && echo ================================= && node server.js"
 
 timeout /t 3 /nobreak > nul
 
@@ -4,6 +4,7 @@ import './App.css';
 import "./a11y.css";
 import EventList from "./components/EventList";
 import ChatAssistant from "./components/ChatAssistant";
+import MyTickets from "./components/MyTickets";
 import Auth from "./components/Auth";
 
 /**
@@ -125,6 +126,12 @@ function App() {
 							>
 								🤖 Book with AI
 							</button>
+							<button 
+								className={`nav-btn ${activeView === 'tickets' ? 'active' : ''}`}
+								onClick={() => setActiveView('tickets')}
+							>
+								🎟️ My Tickets
+							</button>
 						</>
 					)}
 				</nav>
@@ -150,6 +157,13 @@ function App() {
 					</div>
 				)}
 
+				{activeView === 'tickets' && user && (
+					<div className="view-container">
+						<h2>My Tickets</h2>
+						<MyTickets />
+					</div>
+				)}
+
 				{!user && activeView !== 'login' && (
 					<div className="view-container">
 						<h2>Please log in to access this feature</h2>
@@ -13,6 +13,8 @@ Element.prototype.scrollIntoView = jest.fn();
 // Mock the voice utilities
 jest.mock('../../utils/textToSpeechUtils', () => ({
   speakAssistantResponse: jest.fn(),
+  createSentenceSpeaker: jest.fn(),
+  speakError: jest.fn(),
   stopSpeaking: jest.fn(),
   isTextToSpeechSupported: jest.fn(() => true)
 }));
@@ -312,4 +314,406 @@ describe('ChatAssistant', () => {
       expect(textarea.value).toBe(specialMessage);
     });
   });
-});
\ No newline at end of file
+});
+describe('ChatAssistant history', () => {
+  const stored = (id, role, content) => ({ id, role, content, created_at: '2026-10-01 12:00:00' });
+
+  /**
+   * Routes mocked fetch calls by URL so history and chat requests can answer differently
+   * @param {Array} pages - Chat history responses, returned in order
+   */
+  const mockBackend = (pages) => {
+    const queue = [...pages];
+    global.fetch = jest.fn((url) => Promise.resolve({
+      ok: true,
+      json: () => Promise.resolve(
+        String(url).includes('/llm/chat-history')
+          ? queue.shift()
+          : { success: true, parsed: { intent: 'greeting' }, response: { message: 'Hi again!', actions: [] } }
+      )
+    }));
+  };
+
+  test('should reload the previous conversation', async () => {
+    mockBackend([{
+      success: true,
+      conversationId: 'chat-1',
+      messages: [stored(11, 'user', 'show events'), stored(12, 'assistant', 'Here are the available events')],
+      hasMore: false,
+      nextBefore: null
+    }]);
+    render(<ChatAssistant />);
+
+    expect(await screen.findByText('show events')).toBeInTheDocument();
+    expect(screen.getByText('Here are the available events')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /load earlier messages/i })).not.toBeInTheDocument();
+  });
+
+  test('should continue the reloaded conversation', async () => {
+    mockBackend([{
+      success: true,
+      conversationId: 'chat-1',
+      messages: [stored(11, 'user', 'show events')],
+      hasMore: false,
+      nextBefore: null
+    }]);
+    render(<ChatAssistant />);
+    await screen.findByText('show events');
+
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'hello' } });
+    fireEvent.keyPress(screen.getByRole('textbox'), { key: 'Enter', code: 'Enter', charCode: 13 });
+
+    await screen.findByText('Hi again!');
+    const parseCall = global.fetch.mock.calls.find(([url]) => String(url).includes('/llm/parse'));
+    expect(JSON.parse(parseCall[1].body)).toEqual({ message: 'hello', conversationId: 'chat-1', language: 'en' });
+  });
+
+  test('should load earlier messages on request', async () => {
+    mockBackend([
+      {
+        success: true,
+        conversationId: 'chat-1',
+        messages: [stored(13, 'user', 'newer question')],
+        hasMore: true,
+        nextBefore: 13
+      },
+      {
+        success: true,
+        conversationId: 'chat-1',
+        messages: [stored(11, 'user', 'older question')],
+        hasMore: false,
+        nextBefore: null
+      }
+    ]);
+    render(<ChatAssistant />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /load earlier messages/i }));
+
+    expect(await screen.findByText('older question')).toBeInTheDocument();
+    expect(global.fetch).toHaveBeenLastCalledWith(
+      expect.stringContaining('/llm/chat-history?conversationId=chat-1&before=13'),
+      expect.any(Object)
+    );
+    const texts = screen.getAllByText(/question$/).map(el => el.textContent);
+    expect(texts).toEqual(['older question', 'newer question']);
+    expect(screen.queryByRole('button', { name: /load earlier messages/i })).not.toBeInTheDocument();
+  });
+
+  test('should start fresh when history is unavailable', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) }));
+    render(<ChatAssistant />);
+
+    await waitFor(() => expect(global.fetch).toHaveBeenCalled());
+    expect(screen.getByText(/welcome to tigertix/i)).toBeInTheDocument();
+  });
+});
+
+describe('ChatAssistant streaming', () => {
+  const { TextEncoder, TextDecoder } = require('util');
+  const { createSentenceSpeaker, isTextToSpeechSupported } = require('../../utils/textToSpeechUtils');
+
+  beforeAll(() => {
+    // jsdom does not provide TextDecoder
+    global.TextDecoder = TextDecoder;
+  });
+
+  /**
+   * Answers chat requests with an event stream delivered in the given chunks;
+   * each chunk is held back until the test releases it
+   * @param {Array<string>} chunks - Raw SSE text
+   * @returns {Function} - Waits for the next read and answers it with the next chunk
+   */
+  const mockStream = (chunks) => {
+    const encoder = new TextEncoder();
+    const queue = [...chunks];
+    const waiting = [];
+    const release = async () => {
+      await waitFor(() => expect(waiting).toHaveLength(1));
+      waiting.shift()();
+    };
+
+    global.fetch = jest.fn((url) => {
+      if (String(url).includes('/llm/chat-history')) {
+        return Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) });
+      }
+      return Promise.resolve({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'text/event-stream; charset=utf-8' },
+        body: {
+          getReader: () => ({
+            read: () => new Promise((resolve) => {
+              waiting.push(() => resolve(queue.length > 0
+                ? { value: encoder.encode(queue.shift()), done: false }
+                : { value: undefined, done: true }));
+            })
+          })
+        }
+      });
+    });
+    return release;
+  };
+
+  const frame = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  const send = (text) => {
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: text } });
+    fireEvent.keyPress(screen.getByRole('textbox'), { key: 'Enter', code: 'Enter', charCode: 13 });
+  };
+
+  test('should render the reply as it arrives', async () => {
+    const release = mockStream([
+      frame('delta', { text: 'Here are' }),
+      frame('delta', { text: ' the events' }) + frame('done', {
+        success: true,
+        parsed: { intent: 'show_events' },
+        response: { message: 'Here are the events', actions: ['show_events'] }
+      })
+    ]);
+    render(<ChatAssistant />);
+
+    send('show events');
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/llm/parse/stream'),
+      expect.objectContaining({ headers: expect.objectContaining({ Accept: 'text/event-stream' }) })
+    ));
+
+    await release();
+    expect(await screen.findByText('Here are')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Show Events' })).not.toBeInTheDocument();
+
+    await release();
+    expect(await screen.findByText('Here are the events')).toBeInTheDocument();
+    await release();
+    expect(await screen.findByRole('button', { name: 'Show Events' })).toBeInTheDocument();
+  });
+
+  test('should speak sentences as they arrive when voice feedback is on', async () => {
+    const speaker = { push: jest.fn(), finish: jest.fn(() => Promise.resolve()), cancel: jest.fn() };
+    createSentenceSpeaker.mockReturnValue(speaker);
+    isTextToSpeechSupported.mockReturnValue(true);
+    const release = mockStream([
+      frame('delta', { text: 'Hello!' }),
+      frame('delta', { text: ' How can I help?' }) + frame('done', {
+        success: true,
+        parsed: { intent: 'greeting' },
+        response: { message: 'Hello! How can I help?', actions: [] }
+      })
+    ]);
+    render(<ChatAssistant />);
+    fireEvent.click(screen.getByTitle('Enable voice feedback'));
+
+    send('hello');
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+    await release();
+    await waitFor(() => expect(speaker.push).toHaveBeenCalledWith('Hello!'));
+    expect(speaker.finish).not.toHaveBeenCalled();
+
+    await release();
+    await release();
+    await waitFor(() => expect(speaker.finish).toHaveBeenCalled());
+    expect(speaker.push).toHaveBeenLastCalledWith(' How can I help?');
+  });
+
+  test('should switch to the language of the reply and speak it in that language', async () => {
+    const speaker = { push: jest.fn(), finish: jest.fn(() => Promise.resolve()), cancel: jest.fn() };
+    createSentenceSpeaker.mockReturnValue(speaker);
+    isTextToSpeechSupported.mockReturnValue(true);
+    const release = mockStream([
+      frame('language', { language: 'es' }) + frame('delta', { text: '¡Hola!' }) + frame('done', {
+        success: true,
+        parsed: { intent: 'greeting' },
+        response: { message: '¡Hola!', actions: [], language: 'es' }
+      })
+    ]);
+    render(<ChatAssistant />);
+    fireEvent.click(screen.getByTitle('Enable voice feedback'));
+
+    send('hola');
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+    await release();
+    await release();
+
+    await waitFor(() => expect(speaker.finish).toHaveBeenCalled());
+    expect(createSentenceSpeaker).toHaveBeenLastCalledWith(expect.objectContaining({ lang: 'es-US' }));
+    expect(screen.getByRole('combobox', { name: 'Idioma del asistente' })).toHaveValue('es');
+    expect(screen.getByText(/bienvenido a tigertix/i)).toBeInTheDocument();
+  });
+
+  test('should replace a broken stream with an error message', async () => {
+    const release = mockStream([
+      frame('delta', { text: 'Here' }) + frame('error', { success: false, error: 'Failed to parse the request' })
+    ]);
+    render(<ChatAssistant />);
+
+    send('show events');
+    await waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+    await release();
+    await release();
+
+    expect(await screen.findByText(/failed to parse the request/i)).toBeInTheDocument();
+    expect(screen.queryByText('Here')).not.toBeInTheDocument();
+  });
+});
+
+describe('ChatAssistant cancellations', () => {
+  const proposal = {
+    success: true,
+    parsed: { intent: 'cancel_booking', eventId: 2 },
+    response: {
+      message: 'I can cancel this booking: Order #12',
+      actions: [],
+      requiresConfirmation: true,
+      cancellationData: { orderId: 12, eventName: 'Jazz Night', tickets: 2, date: '2099-05-01', confirmationToken: 'cancel-token' }
+    }
+  };
+
+  /**
+   * Answers chat with the given payload and confirm-cancellation with the given response
+   * @param {Object} confirmResponse - { ok, status, body }
+   */
+  const mockBackend = (confirmResponse) => {
+    global.fetch = jest.fn((url) => {
+      if (String(url).includes('/llm/chat-history')) {
+        return Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) });
+      }
+      if (String(url).includes('/llm/confirm-cancellation')) {
+        return Promise.resolve({ ...confirmResponse, json: () => Promise.resolve(confirmResponse.body) });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(proposal) });
+    });
+  };
+
+  const askToCancel = async () => {
+    render(<ChatAssistant />);
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'cancel my jazz night tickets' } });
+    fireEvent.keyPress(screen.getByRole('textbox'), { key: 'Enter', code: 'Enter', charCode: 13 });
+    return screen.findByRole('button', { name: /cancel booking/i });
+  };
+
+  test('should cancel the booking once confirmed', async () => {
+    mockBackend({ ok: true, status: 200, body: { orderId: 12, eventName: 'Jazz Night', tickets: 2 } });
+
+    fireEvent.click(await askToCancel());
+
+    expect(await screen.findByText('✅ Cancelled order #12 for Jazz Night. 2 tickets were refunded.')).toBeInTheDocument();
+    const confirmCall = global.fetch.mock.calls.find(([url]) => String(url).includes('/llm/confirm-cancellation'));
+    expect(JSON.parse(confirmCall[1].body)).toEqual({ orderId: 12, confirmationToken: 'cancel-token', conversationId: expect.any(String) });
+    expect(screen.queryByRole('button', { name: /cancel booking/i })).not.toBeInTheDocument();
+  });
+
+  test('should keep the booking when declined', async () => {
+    mockBackend({ ok: true, status: 200, body: {} });
+
+    await askToCancel();
+    fireEvent.click(screen.getByRole('button', { name: /keep booking/i }));
+
+    expect(await screen.findByText(/your booking stays as it is/i)).toBeInTheDocument();
+    expect(global.fetch.mock.calls.some(([url]) => String(url).includes('/llm/confirm-cancellation'))).toBe(false);
+  });
+
+  test('should explain a refused cancellation', async () => {
+    mockBackend({ ok: false, status: 403, body: { success: false, error: 'This booking can no longer be cancelled' } });
+
+    fireEvent.click(await askToCancel());
+
+    expect(await screen.findByText("Sorry, I couldn't cancel your booking: This booking can no longer be cancelled.")).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /cancel booking/i })).not.toBeInTheDocument();
+  });
+});
+
+describe('ChatAssistant booking proposals', () => {
+  test('should release the held tickets when the booking is cancelled', async () => {
+    global.fetch = jest.fn((url) => {
+      if (String(url).includes('/llm/chat-history')) {
+        return Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) });
+      }
+      if (String(url).includes('/llm/decline-booking')) {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ success: true }) });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve({
+        success: true,
+        parsed: { intent: 'booking', eventId: 2, tickets: 2 },
+        response: {
+          message: "I've prepared your booking request",
+          actions: ['confirm_booking'],
+          requiresConfirmation: true,
+          bookingData: { eventId: 2, eventName: 'Jazz Night', tickets: 2, confirmationToken: 'booking-token' }
+        }
+      }) });
+    });
+    render(<ChatAssistant />);
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'book 2 tickets for jazz night' } });
+    fireEvent.keyPress(screen.getByRole('textbox'), { key: 'Enter', code: 'Enter', charCode: 13 });
+
+    fireEvent.click(await screen.findByRole('button', { name: '❌ Cancel' }));
+
+    expect(await screen.findByText(/booking cancelled/i)).toBeInTheDocument();
+    const declineCall = global.fetch.mock.calls.find(([url]) => String(url).includes('/llm/decline-booking'));
+    expect(JSON.parse(declineCall[1].body)).toEqual({ confirmationToken: 'booking-token', conversationId: expect.any(String) });
+    expect(global.fetch.mock.calls.some(([url]) => String(url).includes('/llm/confirm-booking'))).toBe(false);
+  });
+});
+
+describe('ChatAssistant language', () => {
+  test('should switch the chat to the chosen language and send it with each message', async () => {
+    const chatBodies = [];
+    global.fetch = jest.fn((url, options) => {
+      if (String(url).includes('/llm/chat-history')) {
+        return Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) });
+      }
+      chatBodies.push(JSON.parse(options.body));
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ success: true, parsed: {}, response: { message: 'Estos son los eventos disponibles', actions: [], language: 'es' } })
+      });
+    });
+    render(<ChatAssistant />);
+
+    fireEvent.change(screen.getByRole('combobox', { name: 'Assistant language' }), { target: { value: 'es' } });
+
+    expect(screen.getByText(/bienvenido a tigertix/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Enviar' })).toBeInTheDocument();
+
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'Jazz Night' } });
+    fireEvent.keyPress(screen.getByRole('textbox'), { key: 'Enter', code: 'Enter', charCode: 13 });
+
+    expect(await screen.findByText('Estos son los eventos disponibles')).toBeInTheDocument();
+    expect(chatBodies[0]).toEqual(expect.objectContaining({ message: 'Jazz Night', language: 'es' }));
+  });
+});
+
+describe('ChatAssistant event choices', () => {
+  const reply = (response) => ({ success: true, parsed: {}, response: { actions: [], requiresConfirmation: false, ...response } });
+
+  test('should send the chosen event back to the assistant', async () => {
+    const chatBodies = [];
+    global.fetch = jest.fn((url, options) => {
+      if (String(url).includes('/llm/chat-history')) {
+        return Promise.resolve({ ok: false, status: 401, json: () => Promise.resolve({}) });
+      }
+      chatBodies.push(JSON.parse(options.body));
+      const body = chatBodies.length === 1
+        ? reply({
+          message: 'Did you mean Tiger Football Game (2099-09-12) or Tiger Basketball Game (2099-12-02)?',
+          choices: [
+            { eventId: 3, label: 'Tiger Football Game (2099-09-12)', message: 'Book 2 tickets for Tiger Football Game' },
+            { eventId: 4, label: 'Tiger Basketball Game (2099-12-02)', message: 'Book 2 tickets for Tiger Basketball Game' }
+          ]
+        })
+        : reply({ message: "I've prepared your booking request" });
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(body) });
+    });
+
+    render(<ChatAssistant />);
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: 'book 2 tickets for the tiger game' } });
+    fireEvent.keyPress(screen.getByRole('textbox'), { key: 'Enter', code: 'Enter', charCode: 13 });
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Tiger Basketball Game (2099-12-02)' }));
+
+    expect(await screen.findByText("I've prepared your booking request")).toBeInTheDocument();
+    expect(screen.getByText('Book 2 tickets for Tiger Basketball Game')).toBeInTheDocument();
+    expect(chatBodies[1]).toEqual(expect.objectContaining({ message: 'Book 2 tickets for Tiger Basketball Game' }));
+    expect(chatBodies[1].conversationId).toBe(chatBodies[0].conversationId);
+  });
+});
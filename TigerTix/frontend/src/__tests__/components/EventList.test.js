@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Tests for EventList purchases and waitlist controls
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import EventList from '../../components/EventList';
+import { fetchEvents, purchaseEvent, newIdempotencyKey, fetchMyWaitlist, joinWaitlist, leaveWaitlist, checkoutHold } from '../../api';
+
+jest.mock('../../api', () => ({
+  fetchEvents: jest.fn(),
+  purchaseEvent: jest.fn(),
+  newIdempotencyKey: jest.fn(),
+  fetchMyWaitlist: jest.fn(),
+  joinWaitlist: jest.fn(),
+  leaveWaitlist: jest.fn(),
+  checkoutHold: jest.fn()
+}));
+
+const events = [
+  { id: 1, name: 'Homecoming Game', date: '2099-11-07', tickets: 0 },
+  { id: 2, name: 'Jazz Night', date: '2099-05-01', tickets: 40 }
+];
+
+describe('EventList waitlist', () => {
+  beforeEach(() => {
+    fetchEvents.mockResolvedValue(events);
+    fetchMyWaitlist.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should offer the waitlist only for sold-out events', async () => {
+    render(<EventList />);
+
+    expect(await screen.findByRole('button', { name: /join the waitlist for homecoming game/i })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /join the waitlist for jazz night/i })).not.toBeInTheDocument();
+  });
+
+  test('should show the queue position after joining', async () => {
+    joinWaitlist.mockResolvedValue({ id: 3, event_id: 1, status: 'waiting', position: 2, quantity: 1 });
+    render(<EventList />);
+
+    fetchMyWaitlist.mockResolvedValue([{ id: 3, event_id: 1, status: 'waiting', position: 2, quantity: 1 }]);
+    fireEvent.click(await screen.findByRole('button', { name: /join the waitlist for homecoming game/i }));
+
+    expect(await screen.findByText("You're #2 on the waitlist")).toBeInTheDocument();
+    expect(joinWaitlist).toHaveBeenCalledWith(1);
+    expect(screen.getByRole('status')).toHaveTextContent("You're number 2 on the waitlist.");
+  });
+
+  test('should let the user claim tickets held for them', async () => {
+    fetchMyWaitlist.mockResolvedValue([
+      { id: 3, event_id: 1, status: 'offered', quantity: 2, hold_id: 9, offer_expires_at: '2099-11-01 14:40:00' }
+    ]);
+    checkoutHold.mockResolvedValue({ order: { id: 4 } });
+    render(<EventList />);
+
+    expect(await screen.findByText(/2 tickets held for you until/i)).toBeInTheDocument();
+
+    fetchMyWaitlist.mockResolvedValue([{ id: 3, event_id: 1, status: 'claimed', quantity: 2, hold_id: 9 }]);
+    fireEvent.click(screen.getByRole('button', { name: /claim 2 held tickets for homecoming game/i }));
+
+    expect(await screen.findByText('Claimed 2 tickets from the waitlist.')).toBeInTheDocument();
+    expect(checkoutHold).toHaveBeenCalledWith(9);
+    expect(screen.queryByText(/held for you until/i)).not.toBeInTheDocument();
+  });
+
+  test('should leave the waitlist', async () => {
+    fetchMyWaitlist.mockResolvedValue([{ id: 3, event_id: 1, status: 'waiting', position: 1, quantity: 1 }]);
+    leaveWaitlist.mockResolvedValue({ id: 3, status: 'left' });
+    render(<EventList />);
+
+    fetchMyWaitlist.mockResolvedValue([{ id: 3, event_id: 1, status: 'left', quantity: 1 }]);
+    fireEvent.click(await screen.findByRole('button', { name: /leave the waitlist for homecoming game/i }));
+
+    expect(await screen.findByRole('button', { name: /join the waitlist for homecoming game/i })).toBeInTheDocument();
+    expect(leaveWaitlist).toHaveBeenCalledWith(1);
+  });
+
+  test('should keep the list when held tickets can no longer be claimed', async () => {
+    fetchMyWaitlist.mockResolvedValue([
+      { id: 3, event_id: 1, status: 'offered', quantity: 2, hold_id: 9, offer_expires_at: '2099-11-01 14:40:00' }
+    ]);
+    checkoutHold.mockRejectedValue(new Error('Your hold has expired. Please try booking again.'));
+    render(<EventList />);
+
+    fetchMyWaitlist.mockResolvedValue([{ id: 3, event_id: 1, status: 'expired', quantity: 2, hold_id: 9 }]);
+    fireEvent.click(await screen.findByRole('button', { name: /claim 2 held tickets for homecoming game/i }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Error: Your hold has expired. Please try booking again.');
+    expect(screen.getByText('Your held tickets expired before they were claimed.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /buy ticket for jazz night/i })).toBeInTheDocument();
+  });
+
+  test('should still list events when the waitlist cannot load', async () => {
+    fetchMyWaitlist.mockRejectedValue(new Error('Failed to fetch waitlist (500)'));
+    render(<EventList />);
+
+    expect(await screen.findByText('Jazz Night')).toBeInTheDocument();
+  });
+});
+
+describe('EventList purchases', () => {
+  let keys;
+
+  beforeEach(() => {
+    fetchEvents.mockResolvedValue(events);
+    fetchMyWaitlist.mockResolvedValue([]);
+    keys = 0;
+    newIdempotencyKey.mockImplementation(() => `key-${++keys}`);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const buyButton = () => screen.findByRole('button', { name: /buy ticket for jazz night/i });
+
+  test('should reuse the idempotency key when retrying after a network failure', async () => {
+    purchaseEvent
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce({ id: 2, tickets: 39 });
+    render(<EventList />);
+
+    fireEvent.click(await buyButton());
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to fetch');
+
+    fireEvent.click(await buyButton());
+    expect(await screen.findByText('Ticket purchased successfully.')).toBeInTheDocument();
+
+    expect(purchaseEvent).toHaveBeenNthCalledWith(1, 2, 'key-1');
+    expect(purchaseEvent).toHaveBeenNthCalledWith(2, 2, 'key-1');
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('should use a new key once the server has answered', async () => {
+    const refused = Object.assign(new Error('Not enough tickets available'), { status: 409 });
+    purchaseEvent.mockRejectedValueOnce(refused).mockResolvedValueOnce({ id: 2, tickets: 39 });
+    render(<EventList />);
+
+    fireEvent.click(await buyButton());
+    expect(await screen.findByRole('alert')).toHaveTextContent('Not enough tickets available');
+
+    fireEvent.click(await buyButton());
+    expect(await screen.findByText('Ticket purchased successfully.')).toBeInTheDocument();
+
+    expect(purchaseEvent).toHaveBeenNthCalledWith(2, 2, 'key-2');
+  });
+
+  test('should disable the button while a purchase is in flight', async () => {
+    let finish;
+    purchaseEvent.mockReturnValue(new Promise((resolve) => { finish = resolve; }));
+    render(<EventList />);
+
+    const button = await buyButton();
+    fireEvent.click(button);
+    expect(button).toBeDisabled();
+    fireEvent.click(button);
+    expect(purchaseEvent).toHaveBeenCalledTimes(1);
+
+    finish({ id: 2, tickets: 39 });
+    expect(await screen.findByText('Ticket purchased successfully.')).toBeInTheDocument();
+    expect(button).not.toBeDisabled();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * @fileoverview Tests for MyTickets component and ticket grouping
+ */
+
+import React from 'react';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import MyTickets, { groupTicketsByDate } from '../../components/MyTickets';
+import { fetchMyOrders, cancelOrder } from '../../api';
+
+jest.mock('../../api', () => ({
+  fetchMyOrders: jest.fn(),
+  cancelOrder: jest.fn()
+}));
+
+const orders = [
+  {
+    id: 12,
+    status: 'confirmed',
+    created_at: '2026-10-01 12:00:00',
+    items: [{
+      id: 20,
+      event_id: 3,
+      event_name: 'Jazz Night',
+      event_date: '2099-05-01',
+      quantity: 2,
+      tickets: [
+        { id: 31, order_item_id: 20, code: '3-aaaaaaaaaaaaaaaaaaaaaaaa-1111111111111111', status: 'valid', checked_in_at: null },
+        { id: 32, order_item_id: 20, code: '3-bbbbbbbbbbbbbbbbbbbbbbbb-2222222222222222', status: 'valid', checked_in_at: null }
+      ]
+    }]
+  },
+  {
+    id: 11,
+    status: 'confirmed',
+    created_at: '2024-01-01 12:00:00',
+    items: [{ id: 19, event_id: 1, event_name: 'Homecoming Game', event_date: '2024-11-07', quantity: 1 }]
+  }
+];
+
+describe('groupTicketsByDate', () => {
+  test('should split tickets into upcoming and past events', () => {
+    const { upcoming, past } = groupTicketsByDate(orders, '2026-10-19');
+
+    expect(upcoming.map(t => t.eventName)).toEqual(['Jazz Night']);
+    expect(past.map(t => t.eventName)).toEqual(['Homecoming Game']);
+  });
+
+  test('should treat an event today as upcoming', () => {
+    const { upcoming } = groupTicketsByDate(orders, '2099-05-01');
+    expect(upcoming.map(t => t.eventName)).toEqual(['Jazz Night']);
+  });
+
+  test('should order upcoming soonest first and past most recent first', () => {
+    const many = [{
+      id: 1,
+      status: 'confirmed',
+      items: [
+        { id: 1, event_id: 1, event_name: 'A', event_date: '2030-03-01', quantity: 1 },
+        { id: 2, event_id: 2, event_name: 'B', event_date: '2030-01-01', quantity: 1 },
+        { id: 3, event_id: 3, event_name: 'C', event_date: '2020-01-01', quantity: 1 },
+        { id: 4, event_id: 4, event_name: 'D', event_date: '2021-01-01', quantity: 1 }
+      ]
+    }];
+    const { upcoming, past } = groupTicketsByDate(many, '2026-10-19');
+
+    expect(upcoming.map(t => t.eventName)).toEqual(['B', 'A']);
+    expect(past.map(t => t.eventName)).toEqual(['D', 'C']);
+  });
+});
+
+describe('MyTickets', () => {
+  test('should render tickets under upcoming and past headings', async () => {
+    fetchMyOrders.mockResolvedValue(orders);
+    render(<MyTickets />);
+
+    const upcoming = await screen.findByRole('region', { name: /upcoming events/i });
+    const past = screen.getByRole('region', { name: /past events/i });
+
+    expect(within(upcoming).getByText('Jazz Night')).toBeInTheDocument();
+    expect(within(past).getByText('Homecoming Game')).toBeInTheDocument();
+  });
+
+  test('should show empty states when there are no orders', async () => {
+    fetchMyOrders.mockResolvedValue([]);
+    render(<MyTickets />);
+
+    expect(await screen.findByText(/no tickets for upcoming events/i)).toBeInTheDocument();
+    expect(screen.getByText(/no past events yet/i)).toBeInTheDocument();
+  });
+
+  test('should show an error when loading fails', async () => {
+    fetchMyOrders.mockRejectedValue(new Error('Failed to fetch orders (401)'));
+    render(<MyTickets />);
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Failed to fetch orders (401)');
+  });
+
+  test('should offer Cancel only for upcoming confirmed tickets', async () => {
+    fetchMyOrders.mockResolvedValue(orders);
+    render(<MyTickets />);
+
+    const upcoming = await screen.findByRole('region', { name: /upcoming events/i });
+    const past = screen.getByRole('region', { name: /past events/i });
+
+    expect(within(upcoming).getByRole('button', { name: /cancel order 12/i })).toBeInTheDocument();
+    expect(within(past).queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  test('should mark the order refunded after cancelling', async () => {
+    fetchMyOrders.mockResolvedValue(orders);
+    cancelOrder.mockResolvedValue({ order: { ...orders[0], status: 'refunded' } });
+    render(<MyTickets />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /cancel order 12/i }));
+
+    expect(await screen.findByText(/order 12 cancelled/i)).toBeInTheDocument();
+    expect(cancelOrder).toHaveBeenCalledWith(12);
+    expect(screen.getByText('(refunded)', { exact: false })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /cancel order 12/i })).not.toBeInTheDocument();
+  });
+
+  test('should show the server message when cancellation is refused', async () => {
+    fetchMyOrders.mockResolvedValue(orders);
+    cancelOrder.mockRejectedValue(new Error('This order can no longer be cancelled'));
+    render(<MyTickets />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /cancel order 12/i }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('This order can no longer be cancelled');
+  });
+
+  test('should render a QR code for each upcoming ticket', async () => {
+    fetchMyOrders.mockResolvedValue(orders);
+    render(<MyTickets />);
+
+    expect(await screen.findByText('Show ticket QR codes')).toBeInTheDocument();
+    expect(screen.getByTitle('Ticket 1 of 2 for Jazz Night')).toBeInTheDocument();
+    expect(screen.getByTitle('Ticket 2 of 2 for Jazz Night')).toBeInTheDocument();
+    expect(screen.getByText('3-aaaaaaaaaaaaaaaaaaaaaaaa-1111111111111111')).toBeInTheDocument();
+  });
+
+  test('should hide QR codes once an order is refunded', async () => {
+    fetchMyOrders.mockResolvedValue([{ ...orders[0], status: 'refunded' }]);
+    render(<MyTickets />);
+
+    await screen.findByText('Jazz Night');
+    expect(screen.queryByText(/show ticket qr code/i)).not.toBeInTheDocument();
+  });
+});
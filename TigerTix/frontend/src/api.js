@@ -21,6 +21,59 @@ console.log('🔧 API Configuration:');
 console.log(`  Backend Gateway: ${BACKEND_BASE}`);
 console.log(`  API Base: ${API_BASE}`);
 
+/**
+ * @function authHeaders
+ * @description Builds an Authorization header from the token saved at login.
+ * The authToken cookie is also sent, but browsers may drop it cross-site.
+ * @returns {Object} - Header object (empty when logged out)
+ */
+function authHeaders() {
+  const token = localStorage.getItem('authToken');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * @function randomId
+ * @description Creates a random, practically unique identifier.
+ * @returns {string}
+ */
+function randomId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * @function newIdempotencyKey
+ * @description Creates a unique key for one purchase attempt. Send the same key when retrying
+ * that attempt so the server replays the first result instead of buying again.
+ * @returns {string}
+ */
+export function newIdempotencyKey() {
+  return randomId();
+}
+
+/**
+ * @function newConversationId
+ * @description Creates an ID for one chat conversation. Booking confirmations are only
+ * accepted in the conversation that proposed them.
+ * @returns {string}
+ */
+export function newConversationId() {
+  return randomId();
+}
+
+/**
+ * @function idempotencyHeaders
+ * @description Builds an Idempotency-Key header when a key is given.
+ * @param {string} [idempotencyKey] - Key for this attempt
+ * @returns {Object} - Header object (empty without a key)
+ */
+function idempotencyHeaders(idempotencyKey) {
+  return idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+}
+
 /**
  * @function fetchEvents
  * @description Fetches all events from the client service via gateway.
@@ -41,18 +94,144 @@ export async function fetchEvents() {
  * @function purchaseEvent
  * @description Purchases a ticket for a specific event via client service.
  * Route: /api/client/api/events/:id/purchase → gateway removes /client → client service gets /api/events/:id/purchase
+ * Requires login; the order is recorded against the current user.
+ * Errors the server answered carry its HTTP status as err.status; network failures do not.
  * @param {number} id - Event ID
+ * @param {string} [idempotencyKey] - Reuse when retrying the same purchase
  * @returns {Promise<Object>} - Resolves with the updated event
  */
-export async function purchaseEvent(id) {
+export async function purchaseEvent(id, idempotencyKey) {
   const res = await fetch(`${API_BASE}/client/api/events/${id}/purchase`, {
     method: "POST",
-    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      ...authHeaders(),
+      ...idempotencyHeaders(idempotencyKey)
+    },
     credentials: 'include'
   });
   if (!res.ok) {
     const msg = await res.text().catch(() => "");
-    throw new Error(msg || `Purchase failed (${res.status})`);
+    const err = new Error(msg || `Purchase failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+  return await res.json();
+}
+
+/**
+ * @function fetchMyOrders
+ * @description Fetches the logged-in user's orders via client service.
+ * Route: /api/client/api/orders/me → gateway removes /client → client service gets /api/orders/me
+ * @returns {Promise<Array>} - Resolves with an array of orders, each with its items
+ */
+export async function fetchMyOrders() {
+  const res = await fetch(`${API_BASE}/client/api/orders/me`, {
+    headers: { Accept: "application/json", ...authHeaders() },
+    credentials: 'include'
+  });
+  if (!res.ok) throw new Error(`Failed to fetch orders (${res.status})`);
+  const data = await res.json();
+  return Array.isArray(data?.orders) ? data.orders : [];
+}
+
+/**
+ * @function cancelOrder
+ * @description Cancels one of the user's orders and refunds its tickets via client service.
+ * Route: /api/client/api/orders/:id/cancel → gateway removes /client → client service gets /api/orders/:id/cancel
+ * @param {number} id - Order ID
+ * @returns {Promise<Object>} - Resolves with { order, refund }
+ */
+export async function cancelOrder(id) {
+  const res = await fetch(`${API_BASE}/client/api/orders/${id}/cancel`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...authHeaders() },
+    credentials: 'include'
+  });
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.message || `Cancellation failed (${res.status})`);
+  }
+  return await res.json();
+}
+
+/**
+ * @function fetchMyWaitlist
+ * @description Fetches the logged-in user's waitlist entries (queue positions and offers) via client service.
+ * Route: /api/client/api/waitlist/me → gateway removes /client → client service gets /api/waitlist/me
+ * @returns {Promise<Array>} - Resolves with an array of entries, newest first
+ */
+export async function fetchMyWaitlist() {
+  const res = await fetch(`${API_BASE}/client/api/waitlist/me`, {
+    headers: { Accept: "application/json", ...authHeaders() },
+    credentials: 'include'
+  });
+  if (!res.ok) throw new Error(`Failed to fetch waitlist (${res.status})`);
+  const data = await res.json();
+  return Array.isArray(data?.entries) ? data.entries : [];
+}
+
+/**
+ * @function joinWaitlist
+ * @description Joins the waitlist for a sold-out event via client service.
+ * Route: /api/client/api/events/:id/waitlist → gateway removes /client → client service gets /api/events/:id/waitlist
+ * @param {number} id - Event ID
+ * @param {number} quantity - Tickets wanted when seats free up
+ * @returns {Promise<Object>} - Resolves with the waitlist entry
+ */
+export async function joinWaitlist(id, quantity = 1) {
+  const res = await fetch(`${API_BASE}/client/api/events/${id}/waitlist`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...authHeaders() },
+    credentials: 'include',
+    body: JSON.stringify({ quantity })
+  });
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.message || `Joining waitlist failed (${res.status})`);
+  }
+  const data = await res.json();
+  return data.entry;
+}
+
+/**
+ * @function leaveWaitlist
+ * @description Leaves an event's waitlist, declining any tickets being held for the user.
+ * Route: /api/client/api/events/:id/waitlist → gateway removes /client → client service gets /api/events/:id/waitlist
+ * @param {number} id - Event ID
+ * @returns {Promise<Object>} - Resolves with the closed entry
+ */
+export async function leaveWaitlist(id) {
+  const res = await fetch(`${API_BASE}/client/api/events/${id}/waitlist`, {
+    method: "DELETE",
+    headers: { Accept: "application/json", ...authHeaders() },
+    credentials: 'include'
+  });
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.message || `Leaving waitlist failed (${res.status})`);
+  }
+  const data = await res.json();
+  return data.entry;
+}
+
+/**
+ * @function checkoutHold
+ * @description Purchases tickets held for the user, such as a waitlist offer, via client service.
+ * Route: /api/client/api/holds/:id/checkout → gateway removes /client → client service gets /api/holds/:id/checkout
+ * @param {number} id - Hold ID
+ * @returns {Promise<Object>} - Resolves with { order, event, hold }
+ */
+export async function checkoutHold(id) {
+  const res = await fetch(`${API_BASE}/client/api/holds/${id}/checkout`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...authHeaders() },
+    credentials: 'include'
+  });
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    throw new Error(errorData.message || `Checkout failed (${res.status})`);
   }
   return await res.json();
 }
@@ -61,15 +240,19 @@ export async function purchaseEvent(id) {
  * @function sendChatMessage
  * @description Sends a chat message to the LLM booking assistant.
  * Route: /api/llm/parse → gateway keeps full path → LLM service gets /api/llm/parse
+ * When logged in, booking proposals come back with a confirmationToken in bookingData.
+ * The reply is in the message's language; language ('en' or 'es') is used when the message could be either.
  * @param {string} message - User's message
- * @returns {Promise<Object>} - Resolves with parsed intent and response
+ * @param {string} [conversationId] - ID from newConversationId, kept for the whole chat
+ * @param {string} [language] - Language chosen in the chat
+ * @returns {Promise<Object>} - Resolves with parsed intent and response; response.language is the reply's language
  */
-export async function sendChatMessage(message) {
+export async function sendChatMessage(message, conversationId, language) {
   const res = await fetch(`${API_BASE}/llm/parse`, {
     method: "POST",
-    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...authHeaders() },
     credentials: 'include',
-    body: JSON.stringify({ message })
+    body: JSON.stringify({ message, conversationId, language })
   });
   
   if (!res.ok) {
@@ -80,25 +263,206 @@ export async function sendChatMessage(message) {
   return await res.json();
 }
 
+/**
+ * @function readServerSentEvents
+ * @description Reads a Server-Sent Events body, calling onEvent with each event's name and JSON data.
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onEvent - Called as onEvent(event, data)
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+async function readServerSentEvents(body, onEvent) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value, { stream: !done });
+
+    // Frames are separated by a blank line; the last piece may still be incomplete
+    const frames = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : frames.pop();
+
+    for (const frame of frames) {
+      let event = 'message';
+      const data = [];
+      for (const line of frame.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length > 0) onEvent(event, JSON.parse(data.join('\n')));
+    }
+
+    if (done) return;
+  }
+}
+
+/**
+ * @function streamChatMessage
+ * @description Sends a chat message to the LLM booking assistant and streams the reply.
+ * Route: /api/llm/parse/stream → gateway keeps full path → LLM service gets /api/llm/parse/stream
+ * onDelta receives the reply text piece by piece, after onLanguage has received the reply's
+ * language; the promise resolves with the same payload as sendChatMessage. When the response
+ * is not an event stream it is read as plain JSON.
+ * Errors the server answered carry its HTTP status as err.status; network failures do not.
+ * @param {string} message - User's message
+ * @param {string} [conversationId] - ID from newConversationId, kept for the whole chat
+ * @param {Object} [options] - { language, onLanguage, onDelta }; language is the one chosen in the chat
+ * @returns {Promise<Object>} - Resolves with parsed intent and response
+ */
+export async function streamChatMessage(message, conversationId, { language, onLanguage, onDelta } = {}) {
+  const res = await fetch(`${API_BASE}/llm/parse/stream`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "text/event-stream", ...authHeaders() },
+    credentials: 'include',
+    body: JSON.stringify({ message, conversationId, language })
+  });
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    const err = new Error(errorData.error || `Chat request failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+
+  const contentType = res.headers?.get?.('content-type') || '';
+  if (!contentType.includes('text/event-stream') || !res.body?.getReader) {
+    const data = await res.json();
+    if (onLanguage && data?.response?.language) onLanguage(data.response.language);
+    if (onDelta && data?.response?.message) onDelta(data.response.message);
+    return data;
+  }
+
+  let result = null;
+  let failure = null;
+  await readServerSentEvents(res.body, (event, data) => {
+    if (event === 'language' && onLanguage) onLanguage(data.language);
+    else if (event === 'delta' && onDelta) onDelta(data.text);
+    else if (event === 'done') result = data;
+    else if (event === 'error') failure = data;
+  });
+
+  if (failure) {
+    // The stream had already opened with 200; report it like /parse reports the same failure
+    const err = new Error(failure.error || 'Chat request failed');
+    err.status = 500;
+    throw err;
+  }
+  if (!result) throw new Error('Chat stream ended unexpectedly');
+  return result;
+}
+
+/**
+ * @function fetchChatHistory
+ * @description Fetches one page of the logged-in user's chat history, oldest message first.
+ * Route: /api/llm/chat-history → gateway keeps full path → LLM service gets /api/llm/chat-history
+ * Without a conversationId the user's most recent conversation is returned.
+ * @param {Object} [options] - { conversationId, before, limit }; pass a page's nextBefore as before to load older messages
+ * @returns {Promise<Object>} - Resolves with { conversationId, messages, hasMore, nextBefore }
+ */
+export async function fetchChatHistory({ conversationId, before, limit } = {}) {
+  const params = new URLSearchParams();
+  if (conversationId) params.set('conversationId', conversationId);
+  if (before) params.set('before', before);
+  if (limit) params.set('limit', limit);
+  const query = params.toString();
+
+  const res = await fetch(`${API_BASE}/llm/chat-history${query ? `?${query}` : ''}`, {
+    headers: { Accept: "application/json", ...authHeaders() },
+    credentials: 'include'
+  });
+  if (!res.ok) throw new Error(`Failed to fetch chat history (${res.status})`);
+  const data = await res.json();
+  return {
+    conversationId: data?.conversationId ?? null,
+    messages: Array.isArray(data?.messages) ? data.messages : [],
+    hasMore: Boolean(data?.hasMore),
+    nextBefore: data?.nextBefore ?? null
+  };
+}
+
 /**
  * @function confirmBooking
  * @description Confirms a booking with the LLM service (which handles the booking through client service).
  * Route: /api/llm/confirm-booking → gateway keeps full path → LLM service gets /api/llm/confirm-booking
- * @param {Object} bookingData - Booking details {eventId, tickets}
+ * The server books only what it proposed under the confirmation token.
+ * Errors the server answered carry its HTTP status as err.status; network failures do not.
+ * @param {Object} bookingData - {confirmationToken, conversationId} from the assistant's proposal
+ * @param {string} [idempotencyKey] - Reuse when retrying the same confirmation
  * @returns {Promise<Object>} - Resolves with booking confirmation
  */
-export async function confirmBooking(bookingData) {
+export async function confirmBooking(bookingData, idempotencyKey) {
   const res = await fetch(`${API_BASE}/llm/confirm-booking`, {
     method: "POST",
-    headers: { "Content-Type": "application/json", Accept: "application/json" },
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      ...authHeaders(),
+      ...idempotencyHeaders(idempotencyKey)
+    },
     credentials: 'include',
     body: JSON.stringify(bookingData)
   });
   
   if (!res.ok) {
     const errorData = await res.json().catch(() => ({}));
-    throw new Error(errorData.error || `Booking confirmation failed (${res.status})`);
+    const err = new Error(errorData.error || `Booking confirmation failed (${res.status})`);
+    err.status = res.status;
+    throw err;
   }
   
   return await res.json();
 }
+
+/**
+ * @function declineBooking
+ * @description Turns down the booking the assistant proposed, so its held tickets go back on sale
+ * right away instead of when the offer expires.
+ * Route: /api/llm/decline-booking → gateway keeps full path → LLM service gets /api/llm/decline-booking
+ * Errors the server answered carry its HTTP status as err.status; network failures do not.
+ * @param {Object} bookingData - {confirmationToken, conversationId} from the assistant's proposal
+ * @returns {Promise<Object>} - Resolves with { success: true }
+ */
+export async function declineBooking(bookingData) {
+  const res = await fetch(`${API_BASE}/llm/decline-booking`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...authHeaders() },
+    credentials: 'include',
+    body: JSON.stringify(bookingData)
+  });
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    const err = new Error(errorData.error || `Declining the booking failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+
+  return await res.json();
+}
+
+/**
+ * @function confirmCancellation
+ * @description Cancels the booking the assistant offered to cancel; its tickets are refunded.
+ * Route: /api/llm/confirm-cancellation → gateway keeps full path → LLM service gets /api/llm/confirm-cancellation
+ * Errors the server answered carry its HTTP status as err.status; network failures do not.
+ * @param {Object} cancellation - {orderId, confirmationToken} from the assistant's cancellationData, and the conversationId
+ * @returns {Promise<Object>} - Resolves with { orderId, eventName, tickets }
+ */
+export async function confirmCancellation(cancellation) {
+  const res = await fetch(`${API_BASE}/llm/confirm-cancellation`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Accept: "application/json", ...authHeaders() },
+    credentials: 'include',
+    body: JSON.stringify(cancellation)
+  });
+
+  if (!res.ok) {
+    const errorData = await res.json().catch(() => ({}));
+    const err = new Error(errorData.error || `Cancellation failed (${res.status})`);
+    err.status = res.status;
+    throw err;
+  }
+
+  return await res.json();
+}
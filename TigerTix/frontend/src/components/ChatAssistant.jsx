@@ -1,37 +1,73 @@
 /**
  * @component ChatAssistant
- * @description LLM-powered booking assistant chat interface
+ * @description LLM-powered booking assistant chat interface. The assistant answers in English or
+ * Spanish; the language switcher, voice input and spoken replies follow the language of each reply.
  * @returns {JSX.Element}
  */
 
 import React, { useState, useRef, useEffect } from 'react';
-import { sendChatMessage, confirmBooking } from '../api';
+import {
+  streamChatMessage,
+  confirmBooking,
+  declineBooking,
+  confirmCancellation,
+  fetchChatHistory,
+  newIdempotencyKey,
+  newConversationId
+} from '../api';
 import VoiceInput from './VoiceInput/VoiceInput';
 import EnhancedVoiceInput from './VoiceInput/EnhancedVoiceInput';
 import { 
-  speakAssistantResponse, 
+  createSentenceSpeaker, 
   speakError, 
   stopSpeaking,
   isTextToSpeechSupported
 } from '../utils/textToSpeechUtils';
+import { LANGUAGES, DEFAULT_LANGUAGE, getChatText, getSpeechLanguage } from '../utils/languageUtils';
 import './ChatAssistant.css';
 
+/**
+ * @function toChatMessage
+ * @description Converts a stored chat history message into the shape the chat renders.
+ * @param {Object} stored - Message from fetchChatHistory
+ * @returns {Object} - { id, type, text, timestamp }
+ */
+const toChatMessage = (stored) => {
+  const timestamp = new Date(`${String(stored.created_at).replace(' ', 'T')}Z`);
+  return {
+    id: `history-${stored.id}`,
+    type: stored.role,
+    text: stored.content,
+    timestamp: Number.isNaN(timestamp.getTime()) ? new Date() : timestamp
+  };
+};
+
 const ChatAssistant = () => {
+  // The welcome message is shown in whichever language is chosen
   const [messages, setMessages] = useState([
     {
       id: 1,
       type: 'assistant',
-      text: "Hello! Welcome to TigerTix. I'm your booking assistant. I can help you:\n• View available events\n• Book tickets for events\n\nJust tell me what you'd like to do!",
+      welcome: true,
       timestamp: new Date()
     }
   ]);
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE);
+  const chatText = getChatText(language);
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [pendingBooking, setPendingBooking] = useState(null);
+  const [pendingCancellation, setPendingCancellation] = useState(null);
   const [useEnhancedVoice, setUseEnhancedVoice] = useState(true);
   const [voiceFeedbackEnabled, setVoiceFeedbackEnabled] = useState(false);
   const [isVoiceSpeaking, setIsVoiceSpeaking] = useState(false);
   const messagesEndRef = useRef(null);
+  // Bookings can only be confirmed in the conversation that proposed them
+  const conversationIdRef = useRef(null);
+  if (conversationIdRef.current === null) conversationIdRef.current = newConversationId();
+  // Set once the user sends a message, so a late history load cannot switch conversations under them
+  const hasSentRef = useRef(false);
+  const [olderHistory, setOlderHistory] = useState({ hasMore: false, nextBefore: null });
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -39,6 +75,44 @@ const ChatAssistant = () => {
 
   useEffect(scrollToBottom, [messages]);
 
+  /**
+   * @function showHistoryPage
+   * @description Inserts a page of stored messages after the welcome message and before anything newer.
+   * @param {Object} page - Result of fetchChatHistory
+   * @returns {void}
+   */
+  const showHistoryPage = (page) => {
+    setMessages(prev => [prev[0], ...page.messages.map(toChatMessage), ...prev.slice(1)]);
+    setOlderHistory({ hasMore: page.hasMore, nextBefore: page.nextBefore });
+  };
+
+  // Pick up the user's previous conversation; anonymous users get an error and start fresh
+  useEffect(() => {
+    fetchChatHistory()
+      .then((page) => {
+        if (!page.conversationId || page.messages.length === 0 || hasSentRef.current) return;
+        conversationIdRef.current = page.conversationId;
+        showHistoryPage(page);
+      })
+      .catch(() => {});
+  }, []);
+
+  /**
+   * @function handleLoadEarlier
+   * @description Loads the previous page of the current conversation's history
+   * @returns {Promise<void>}
+   */
+  const handleLoadEarlier = async () => {
+    try {
+      showHistoryPage(await fetchChatHistory({
+        conversationId: conversationIdRef.current,
+        before: olderHistory.nextBefore
+      }));
+    } catch (error) {
+      console.error('Chat history error:', error);
+    }
+  };
+
   /**
    * @function handleVoiceInput
    * @description Handles voice input from the VoiceInput component
@@ -73,20 +147,34 @@ const ChatAssistant = () => {
   };
 
   /**
-   * @function speakResponse
-   * @description Speaks assistant response if TTS is enabled
-   * @param {string} text - Text to speak
+   * @function startSpeaking
+   * @description Starts speaking an assistant reply sentence by sentence if TTS is enabled
+   * @param {string} replyLanguage - Language of the reply ('en' or 'es')
+   * @returns {Object|null} - Sentence speaker to push the reply text into, or null when TTS is off
+   */
+  const startSpeaking = (replyLanguage) => {
+    if (!voiceFeedbackEnabled || !isTextToSpeechSupported()) return null;
+
+    setIsVoiceSpeaking(true);
+    return createSentenceSpeaker({
+      lang: getSpeechLanguage(replyLanguage),
+      continuePrompt: getChatText(replyLanguage).continuePrompt,
+      onEnd: () => setIsVoiceSpeaking(false),
+      onError: () => setIsVoiceSpeaking(false)
+    });
+  };
+
+  /**
+   * @function finishSpeaking
+   * @description Speaks the rest of a reply and waits until speech is complete
+   * @param {Object|null} speaker - Result of startSpeaking
    * @returns {Promise<void>}
    */
-  const speakResponse = async (text) => {
-    if (!voiceFeedbackEnabled || !isTextToSpeechSupported()) return;
-    
+  const finishSpeaking = async (speaker) => {
+    if (!speaker) return;
+
     try {
-      setIsVoiceSpeaking(true);
-      await speakAssistantResponse(text, {
-        onEnd: () => setIsVoiceSpeaking(false),
-        onError: () => setIsVoiceSpeaking(false)
-      });
+      await speaker.finish();
     } catch (error) {
       console.error('TTS Error:', error);
       setIsVoiceSpeaking(false);
@@ -94,64 +182,120 @@ const ChatAssistant = () => {
   };
 
   /**
-   * @function handleSendMessage
-   * @description Sends user message to LLM and processes response
+   * @function sendMessage
+   * @description Sends a message to the LLM and processes the response
+   * @param {string} text - Message to send
    * @returns {Promise<void>}
    */
-  const handleSendMessage = async () => {
-    if (!inputValue.trim() || isLoading) return;
+  const sendMessage = async (text) => {
+    if (!text.trim() || isLoading) return;
 
     const userMessage = {
       id: Date.now(),
       type: 'user',
-      text: inputValue.trim(),
+      text: text.trim(),
       timestamp: new Date()
     };
 
+    hasSentRef.current = true;
     setMessages(prev => [...prev, userMessage]);
-    setInputValue('');
     setIsLoading(true);
 
+    // The reply is shown and spoken as it streams in, then replaced by the complete message.
+    // Its language arrives first, so speech starts once the voice to use is known.
+    const assistantId = Date.now() + 1;
+    let replyLanguage = language;
+    let speaker;
+    let streamedText = '';
+    const showAssistantMessage = (assistantMessage) => {
+      setMessages(prev => [...prev.filter(message => message.id !== assistantId), assistantMessage]);
+    };
+
     try {
-      const response = await sendChatMessage(userMessage.text);
+      const response = await streamChatMessage(userMessage.text, conversationIdRef.current, {
+        language,
+        onLanguage: (replied) => {
+          if (!LANGUAGES[replied]) return;
+          replyLanguage = replied;
+          setLanguage(replied);
+        },
+        onDelta: (text) => {
+          streamedText += text;
+          showAssistantMessage({ id: assistantId, type: 'assistant', text: streamedText, timestamp: new Date(), streaming: true });
+          if (speaker === undefined) speaker = startSpeaking(replyLanguage);
+          speaker?.push(text);
+        }
+      });
       
       const assistantMessage = {
-        id: Date.now() + 1,
+        id: assistantId,
         type: 'assistant',
         text: response.response.message,
         timestamp: new Date(),
         actions: response.response.actions,
         requiresConfirmation: response.response.requiresConfirmation,
-        bookingData: response.response.bookingData
+        bookingData: response.response.bookingData,
+        choices: response.response.choices
       };
 
-      setMessages(prev => [...prev, assistantMessage]);
+      showAssistantMessage(assistantMessage);
 
-      // Speak the response if TTS is enabled
-      await speakResponse(response.response.message);
+      // Finish speaking the response if TTS is enabled
+      await finishSpeaking(speaker);
 
       // Set pending booking if confirmation is required
       if (response.response.requiresConfirmation && response.response.bookingData) {
-        setPendingBooking(response.response.bookingData);
+        // One key per booking so retrying a failed confirmation cannot book twice
+        setPendingBooking({ ...response.response.bookingData, idempotencyKey: newIdempotencyKey() });
+      }
+
+      // Cancelling a booking also waits for the user to confirm
+      if (response.response.requiresConfirmation && response.response.cancellationData) {
+        setPendingCancellation(response.response.cancellationData);
       }
 
     } catch (error) {
       console.error('Chat error:', error);
+      speaker?.cancel();
+      setIsVoiceSpeaking(false);
       const errorMessage = {
-        id: Date.now() + 1,
+        id: assistantId,
         type: 'assistant',
-        text: `Sorry, I encountered an error: ${error.message}. Please try again.`,
+        text: getChatText(replyLanguage).chatError(error.message),
         timestamp: new Date()
       };
-      setMessages(prev => [...prev, errorMessage]);
+      showAssistantMessage(errorMessage);
       
       // Speak error message if TTS is enabled
-      await speakError(error.message);
+      await speakError(error.message, {
+        lang: getSpeechLanguage(replyLanguage),
+        intro: getChatText(replyLanguage).spokenError
+      });
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * @function handleSendMessage
+   * @description Sends what the user typed
+   * @returns {Promise<void>}
+   */
+  const handleSendMessage = async () => {
+    if (!inputValue.trim() || isLoading) return;
+    const text = inputValue;
+    setInputValue('');
+    await sendMessage(text);
+  };
+
+  /**
+   * @function handleChooseEvent
+   * @description Answers "Did you mean...?" with the event the user picked
+   * @param {Object} choice - Choice from the assistant ({ eventId, label, message })
+   * @returns {Promise<void>}
+   */
+  const handleChooseEvent = (choice) => sendMessage(choice.message);
+
   /**
    * @function handleConfirmBooking
    * @description Confirms the pending booking
@@ -164,9 +308,9 @@ const ChatAssistant = () => {
 
     try {
       const response = await confirmBooking({
-        eventId: pendingBooking.eventId,
-        tickets: pendingBooking.tickets
-      });
+        confirmationToken: pendingBooking.confirmationToken,
+        conversationId: conversationIdRef.current
+      }, pendingBooking.idempotencyKey);
 
       const confirmationMessage = {
         id: Date.now(),
@@ -180,10 +324,17 @@ const ChatAssistant = () => {
 
     } catch (error) {
       console.error('Booking confirmation error:', error);
+      // Keep the key after a network failure; once the server has answered, retry as a new booking.
+      // A refused confirmation (expired, already used, sold out) cannot be retried at all.
+      if (error.status >= 400 && error.status < 500) {
+        setPendingBooking(null);
+      } else if (error.status) {
+        setPendingBooking(prev => prev && { ...prev, idempotencyKey: newIdempotencyKey() });
+      }
       const errorMessage = {
         id: Date.now(),
         type: 'assistant',
-        text: `Sorry, there was an error confirming your booking: ${error.message}. Please try again.`,
+        text: chatText.bookingError(error.message),
         timestamp: new Date()
       };
       setMessages(prev => [...prev, errorMessage]);
@@ -194,20 +345,84 @@ const ChatAssistant = () => {
 
   /**
    * @function handleCancelBooking
-   * @description Cancels the pending booking
+   * @description Cancels the pending booking and releases its held tickets
    * @returns {void}
    */
   const handleCancelBooking = () => {
+    if (pendingBooking?.confirmationToken) {
+      // The hold expires on its own if this fails, so the user is not kept waiting
+      declineBooking({
+        confirmationToken: pendingBooking.confirmationToken,
+        conversationId: conversationIdRef.current
+      }).catch((error) => console.error('Decline booking error:', error));
+    }
     setPendingBooking(null);
     const cancelMessage = {
       id: Date.now(),
       type: 'assistant',
-      text: "Booking cancelled. Is there anything else I can help you with?",
+      text: chatText.bookingCancelled,
       timestamp: new Date()
     };
     setMessages(prev => [...prev, cancelMessage]);
   };
 
+  /**
+   * @function handleConfirmCancellation
+   * @description Cancels the booking the assistant offered to cancel
+   * @returns {Promise<void>}
+   */
+  const handleConfirmCancellation = async () => {
+    if (!pendingCancellation) return;
+
+    setIsLoading(true);
+    try {
+      const result = await confirmCancellation({
+        orderId: pendingCancellation.orderId,
+        confirmationToken: pendingCancellation.confirmationToken,
+        conversationId: conversationIdRef.current
+      });
+      const cancelledMessage = {
+        id: Date.now(),
+        type: 'assistant',
+        text: chatText.orderCancelled(result),
+        timestamp: new Date()
+      };
+      setMessages(prev => [...prev, cancelledMessage]);
+      setPendingCancellation(null);
+    } catch (error) {
+      console.error('Cancellation error:', error);
+      // Refusals (already cancelled, refund window closed) will not change on retry
+      if (error.status >= 400 && error.status < 500) {
+        setPendingCancellation(null);
+      }
+      const errorMessage = {
+        id: Date.now(),
+        type: 'assistant',
+        text: chatText.cancellationError(error.message),
+        timestamp: new Date()
+      };
+      setMessages(prev => [...prev, errorMessage]);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * @function handleKeepBooking
+   * @description Declines the offered cancellation
+   * @returns {void}
+   */
+  const handleKeepBooking = () => {
+    setPendingCancellation(null);
+    const keepMessage = {
+      id: Date.now(),
+      type: 'assistant',
+      text: chatText.bookingKept,
+      timestamp: new Date()
+    };
+    setMessages(prev => [...prev, keepMessage]);
+  };
+
   /**
    * @function handleQuickAction
    * @description Handles quick action buttons
@@ -216,7 +431,7 @@ const ChatAssistant = () => {
    */
   const handleQuickAction = (action) => {
     if (action === 'show_events') {
-      setInputValue('show available events');
+      setInputValue(chatText.showEventsMessage);
       handleSendMessage();
     }
   };
@@ -233,14 +448,25 @@ const ChatAssistant = () => {
       <div className="chat-header">
         <div className="chat-header-content">
           <div className="chat-title">
-            <h3>🤖 TigerTix Booking Assistant</h3>
-            <p>Ask me to show events or book tickets using natural language!</p>
+            <h3>{chatText.title}</h3>
+            <p>{chatText.subtitle}</p>
           </div>
           <div className="chat-controls">
+            <select
+              className="language-select"
+              value={language}
+              onChange={(e) => setLanguage(e.target.value)}
+              aria-label={chatText.languageLabel}
+              title={chatText.languageLabel}
+            >
+              {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <option key={code} value={code}>{label}</option>
+              ))}
+            </select>
             <button
               className={`voice-toggle ${useEnhancedVoice ? 'active' : ''}`}
               onClick={() => setUseEnhancedVoice(!useEnhancedVoice)}
-              title="Toggle enhanced voice features"
+              title={chatText.toggleVoice}
             >
               {useEnhancedVoice ? '🎤+' : '🎤'}
             </button>
@@ -248,7 +474,7 @@ const ChatAssistant = () => {
               <button
                 className={`tts-toggle ${voiceFeedbackEnabled ? 'active' : ''} ${isVoiceSpeaking ? 'speaking' : ''}`}
                 onClick={handleTTSToggle}
-                title={voiceFeedbackEnabled ? 'Disable voice feedback' : 'Enable voice feedback'}
+                title={voiceFeedbackEnabled ? chatText.disableVoiceFeedback : chatText.enableVoiceFeedback}
               >
                 {isVoiceSpeaking ? '🔊' : voiceFeedbackEnabled ? '🔊' : '🔇'}
               </button>
@@ -258,11 +484,16 @@ const ChatAssistant = () => {
       </div>
       
       <div className="chat-messages">
+        {olderHistory.hasMore && (
+          <button type="button" className="load-earlier-btn" onClick={handleLoadEarlier}>
+            {chatText.loadEarlier}
+          </button>
+        )}
         {messages.map((message) => (
-          <div key={message.id} className={`message ${message.type}`}>
+          <div key={message.id} className={`message ${message.type}${message.streaming ? ' streaming' : ''}`}>
             <div className="message-content">
               <div className="message-text">
-                {message.text.split('\n').map((line, index) => (
+                {(message.welcome ? chatText.welcome : message.text).split('\n').map((line, index) => (
                   <div key={index}>{line}</div>
                 ))}
               </div>
@@ -280,7 +511,23 @@ const ChatAssistant = () => {
                     className="quick-action-btn"
                     onClick={() => handleQuickAction(action)}
                   >
-                    {action === 'show_events' ? 'Show Events' : action}
+                    {action === 'show_events' ? chatText.showEvents : action}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Events to choose from when the request fit several */}
+            {message.choices && message.choices.length > 0 && (
+              <div className="quick-actions event-choices">
+                {message.choices.map((choice) => (
+                  <button
+                    key={choice.eventId}
+                    className="quick-action-btn"
+                    onClick={() => handleChooseEvent(choice)}
+                    disabled={isLoading}
+                  >
+                    {choice.label}
                   </button>
                 ))}
               </div>
@@ -298,21 +545,45 @@ const ChatAssistant = () => {
                   onClick={handleConfirmBooking}
                   disabled={isLoading}
                 >
-                  ✅ Confirm Booking
+                  {chatText.confirmBooking}
                 </button>
                 <button
                   className="cancel-btn"
                   onClick={handleCancelBooking}
                   disabled={isLoading}
                 >
-                  ❌ Cancel
+                  {chatText.cancel}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+        
+        {/* Cancellation confirmation buttons */}
+        {pendingCancellation && (
+          <div className="message assistant">
+            <div className="booking-confirmation">
+              <div className="confirmation-buttons">
+                <button
+                  className="confirm-btn"
+                  onClick={handleConfirmCancellation}
+                  disabled={isLoading}
+                >
+                  {chatText.cancelBooking}
+                </button>
+                <button
+                  className="cancel-btn"
+                  onClick={handleKeepBooking}
+                  disabled={isLoading}
+                >
+                  {chatText.keepBooking}
                 </button>
               </div>
             </div>
           </div>
         )}
         
-        {isLoading && (
+        {isLoading && !messages[messages.length - 1]?.streaming && (
           <div className="message assistant">
             <div className="message-content">
               <div className="typing-indicator">
@@ -333,7 +604,7 @@ const ChatAssistant = () => {
             value={inputValue}
             onChange={(e) => setInputValue(e.target.value)}
             onKeyPress={handleKeyPress}
-            placeholder="Type your message... (e.g., 'Book 2 tickets for Jazz Night' or 'Show me available events')"
+            placeholder={chatText.placeholder}
             disabled={isLoading}
             rows={1}
           />
@@ -342,12 +613,14 @@ const ChatAssistant = () => {
               onVoiceInput={handleVoiceInput}
               disabled={isLoading}
               className="voice-input--chat"
+              language={getSpeechLanguage(language)}
             />
           ) : (
             <VoiceInput 
               onVoiceInput={handleVoiceInput}
               disabled={isLoading}
               className="voice-input--chat"
+              language={getSpeechLanguage(language)}
             />
           )}
           <button
@@ -355,12 +628,12 @@ const ChatAssistant = () => {
             disabled={!inputValue.trim() || isLoading}
             className="send-btn"
           >
-            Send
+            {chatText.send}
           </button>
         </div>
         
         <div className="chat-examples">
-          <small>Try: "Show events", "Book 2 tickets for Jazz Night", "What events are available?" | 🎤 Click the microphone to speak</small>
+          <small>{chatText.examples}</small>
         </div>
       </div>
     </div>
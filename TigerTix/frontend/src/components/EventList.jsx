@@ -1,6 +1,94 @@
 // src/components/EventList.jsx
 import { useEffect, useRef, useState } from "react";
-import { fetchEvents, purchaseEvent } from "../api";
+import {
+  fetchEvents,
+  purchaseEvent,
+  newIdempotencyKey,
+  fetchMyWaitlist,
+  joinWaitlist,
+  leaveWaitlist,
+  checkoutHold,
+} from "../api";
+
+/**
+ * @function formatOfferDeadline
+ * @description Formats a UTC database timestamp ("YYYY-MM-DD HH:MM:SS") as a local time.
+ * @param {string} timestamp - Offer expiry from the server
+ * @returns {string}
+ */
+function formatOfferDeadline(timestamp) {
+  const date = new Date(`${timestamp.replace(" ", "T")}Z`);
+  return Number.isNaN(date.getTime()) ? timestamp : date.toLocaleTimeString();
+}
+
+/**
+ * @component WaitlistStatus
+ * @description Shows a user's place in an event's waitlist, or the tickets offered to them.
+ * @param {Object} props - { event, entry, onJoin, onLeave, onClaim }
+ * @returns {JSX.Element|null}
+ */
+function WaitlistStatus({ event, entry, onJoin, onLeave, onClaim }) {
+  const status = entry?.status;
+
+  if (status === "offered") {
+    return (
+      <div className="waitlist-status">
+        <p>
+          <strong>
+            {entry.quantity} ticket{entry.quantity > 1 ? "s" : ""} held for you until{" "}
+            {formatOfferDeadline(entry.offer_expires_at)}
+          </strong>
+        </p>
+        <button
+          type="button"
+          onClick={() => onClaim(entry)}
+          aria-label={`Claim ${entry.quantity} held ticket${entry.quantity > 1 ? "s" : ""} for ${event.name}`}
+        >
+          Claim Tickets
+        </button>
+        <button
+          type="button"
+          onClick={() => onLeave(event.id)}
+          aria-label={`Decline held tickets for ${event.name}`}
+        >
+          Decline
+        </button>
+      </div>
+    );
+  }
+
+  if (status === "waiting") {
+    return (
+      <div className="waitlist-status">
+        <p>
+          <strong>You're #{entry.position} on the waitlist</strong>
+        </p>
+        <button
+          type="button"
+          onClick={() => onLeave(event.id)}
+          aria-label={`Leave the waitlist for ${event.name}`}
+        >
+          Leave Waitlist
+        </button>
+      </div>
+    );
+  }
+
+  if (event.tickets > 0) return null;
+
+  return (
+    <div className="waitlist-status">
+      {status === "expired" && <p>Your held tickets expired before they were claimed.</p>}
+      <button
+        type="button"
+        onClick={() => onJoin(event.id)}
+        aria-label={`Join the waitlist for ${event.name}`}
+      >
+        Join Waitlist
+      </button>
+    </div>
+  );
+}
 
 /**
  * @component EventList
@@ -12,7 +100,14 @@ export default function EventList() {
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState("");
   const [statusMsg, setStatusMsg] = useState("");
+  const [purchaseErr, setPurchaseErr] = useState("");
+  const [waitlist, setWaitlist] = useState([]);
+  // Waitlist failures by event ID, shown on the event's card rather than in place of the list
+  const [waitlistErrs, setWaitlistErrs] = useState({});
+  const [buyingId, setBuyingId] = useState(null);
   const statusRef = useRef(null);
+  // Idempotency key per event for a purchase whose outcome is unknown (network failure)
+  const purchaseKeys = useRef({});
 
   useEffect(() => {
     (async () => {
@@ -25,18 +120,116 @@ export default function EventList() {
         setLoading(false);
       }
     })();
+    // Waitlist details are optional; events still render if this fails
+    fetchMyWaitlist().then(setWaitlist).catch(() => setWaitlist([]));
   }, []);
+
+  /**
+   * @function refreshWaitlist
+   * @description Reloads the user's waitlist entries. Failures only hide waitlist details.
+   * @returns {Promise<void>}
+   */
+  async function refreshWaitlist() {
+    try {
+      setWaitlist(await fetchMyWaitlist());
+    } catch (e) {
+      setWaitlist([]);
+    }
+  }
+
+  /**
+   * @function announce
+   * @description Updates the screen reader status message and moves focus to it.
+   * @param {string} message - Message to announce
+   * @returns {void}
+   */
+  function announce(message) {
+    setStatusMsg(message);
+    statusRef.current?.focus();
+  }
+
+  /**
+   * @function setWaitlistErr
+   * @description Sets or clears the waitlist error shown on one event's card.
+   * @param {number} id - Event ID
+   * @param {string} message - Error message, or "" to clear it
+   * @returns {void}
+   */
+  function setWaitlistErr(id, message) {
+    setWaitlistErrs((prev) => ({ ...prev, [id]: message }));
+  }
+
+  /**
+   * @function handleJoinWaitlist
+   * @description Joins the waitlist for a sold-out event.
+   * @param {number} id - Event ID
+   * @returns {Promise<void>}
+   */
+  async function handleJoinWaitlist(id) {
+    setWaitlistErr(id, "");
+    try {
+      const entry = await joinWaitlist(id);
+      await refreshWaitlist();
+      announce(
+        entry?.status === "offered"
+          ? "Tickets are being held for you."
+          : `You're number ${entry?.position} on the waitlist.`
+      );
+    } catch (e) {
+      setWaitlistErr(id, e.message || "Joining waitlist failed");
+    }
+  }
+
+  /**
+   * @function handleLeaveWaitlist
+   * @description Leaves an event's waitlist, declining any held tickets.
+   * @param {number} id - Event ID
+   * @returns {Promise<void>}
+   */
+  async function handleLeaveWaitlist(id) {
+    setWaitlistErr(id, "");
+    try {
+      await leaveWaitlist(id);
+      await refreshWaitlist();
+      announce("You left the waitlist.");
+    } catch (e) {
+      setWaitlistErr(id, e.message || "Leaving waitlist failed");
+    }
+  }
+
+  /**
+   * @function handleClaim
+   * @description Purchases the tickets held for the user from the waitlist.
+   * @param {Object} entry - Waitlist entry with an active offer
+   * @returns {Promise<void>}
+   */
+  async function handleClaim(entry) {
+    setWaitlistErr(entry.event_id, "");
+    try {
+      await checkoutHold(entry.hold_id);
+      await refreshWaitlist();
+      announce(`Claimed ${entry.quantity} ticket${entry.quantity > 1 ? "s" : ""} from the waitlist.`);
+    } catch (e) {
+      setWaitlistErr(entry.event_id, e.message || "Claiming tickets failed");
+      await refreshWaitlist();
+    }
+  }
   
   /**
    * @function handleBuy
-   * @description Handles ticket purchase for an event.
+   * @description Handles ticket purchase for an event. A retry after a network failure reuses
+   * the previous attempt's idempotency key, so the server never charges twice.
    * @param {number} id - Event ID
    * @returns {Promise<void>}
    */
   async function handleBuy(id) {
-    setErr("");
+    setPurchaseErr("");
+    setBuyingId(id);
+    const key = purchaseKeys.current[id] || newIdempotencyKey();
+    purchaseKeys.current[id] = key;
     try {
-      const updated = await purchaseEvent(id);
+      const updated = await purchaseEvent(id, key);
+      delete purchaseKeys.current[id];
       setEvents((prev) =>
         prev.map((ev) =>
           ev.id === id
@@ -52,7 +245,11 @@ export default function EventList() {
       setStatusMsg("Ticket purchased successfully.");
       statusRef.current?.focus();
     } catch (e) {
-      setErr(e.message || "Purchase failed");
+      // The server answered, so the next click is a new purchase
+      if (e.status) delete purchaseKeys.current[id];
+      setPurchaseErr(e.message || "Purchase failed");
+    } finally {
+      setBuyingId(null);
     }
   }
 
@@ -72,6 +269,8 @@ export default function EventList() {
       >
         {statusMsg}
       </div>
+      {/* Kept beside the list so the user can retry the purchase */}
+      {purchaseErr && <p role="alert">Error: {purchaseErr}</p>}
 
       <h2 id="events-heading" style={{marginTop: '2rem', fontSize: '2rem', color: '#333'}}>Upcoming Events</h2>
       <div className="event-list" aria-labelledby="events-heading">
@@ -95,7 +294,7 @@ export default function EventList() {
               <button
                 type="button"
                 onClick={() => handleBuy(ev.id)}
-                disabled={ev.tickets <= 0}
+                disabled={ev.tickets <= 0 || buyingId === ev.id}
                 aria-label={
                   ev.tickets > 0
                     ? `Buy ticket for ${ev.name} on ${new Date(ev.date).toLocaleString()}`
@@ -104,6 +303,15 @@ export default function EventList() {
               >
                 {ev.tickets > 0 ? "Buy Ticket" : "Sold Out"}
               </button>
+
+              <WaitlistStatus
+                event={ev}
+                entry={waitlist.find((entry) => entry.event_id === ev.id)}
+                onJoin={handleJoinWaitlist}
+                onLeave={handleLeaveWaitlist}
+                onClaim={handleClaim}
+              />
+              {waitlistErrs[ev.id] && <p role="alert">Error: {waitlistErrs[ev.id]}</p>}
             </article>
           </div>
         ))}
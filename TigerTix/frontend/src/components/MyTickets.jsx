@@ -0,0 +1,216 @@
+// src/components/MyTickets.jsx
+import { useEffect, useRef, useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { fetchMyOrders, cancelOrder } from "../api";
+
+/**
+ * @function groupTicketsByDate
+ * @description Flattens orders into one entry per line item and splits them into
+ * upcoming (event today or later) and past events.
+ * @param {Array} orders - Orders from the API, each with an items array
+ * @param {string} today - Today's date as YYYY-MM-DD
+ * @returns {{upcoming: Array, past: Array}}
+ */
+export function groupTicketsByDate(orders, today) {
+  const tickets = orders.flatMap((order) =>
+    (order.items || []).map((item) => ({
+      key: `${order.id}-${item.id}`,
+      orderId: order.id,
+      status: order.status,
+      orderedAt: order.created_at,
+      eventId: item.event_id,
+      eventName: item.event_name,
+      eventDate: item.event_date,
+      quantity: item.quantity,
+      codes: item.tickets || [],
+    }))
+  );
+
+  const upcoming = tickets
+    .filter((t) => t.eventDate >= today)
+    .sort((a, b) => a.eventDate.localeCompare(b.eventDate));
+  const past = tickets
+    .filter((t) => t.eventDate < today)
+    .sort((a, b) => b.eventDate.localeCompare(a.eventDate));
+
+  return { upcoming, past };
+}
+
+/**
+ * @function localToday
+ * @description Returns the browser's current date as YYYY-MM-DD.
+ * @returns {string}
+ */
+function localToday() {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * @component TicketCodes
+ * @description Shows a QR code per admitted seat for door staff to scan.
+ * @param {Object} props - { ticket } - Flattened ticket entry from groupTicketsByDate
+ * @returns {JSX.Element|null}
+ */
+function TicketCodes({ ticket }) {
+  const valid = ticket.codes.filter((c) => c.status === "valid");
+  if (ticket.status !== "confirmed" || valid.length === 0) return null;
+
+  return (
+    <details className="ticket-codes">
+      <summary>Show ticket QR code{valid.length > 1 ? "s" : ""}</summary>
+      <ul>
+        {valid.map((c, i) => (
+          <li key={c.id}>
+            <QRCodeSVG
+              value={c.code}
+              size={160}
+              marginSize={2}
+              title={`Ticket ${i + 1} of ${valid.length} for ${ticket.eventName}`}
+            />
+            <p>
+              <code>{c.code}</code>
+              {c.checked_in_at && <strong> (checked in)</strong>}
+            </p>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+/**
+ * @component TicketSection
+ * @description Renders one group of tickets under a heading.
+ * @param {Object} props - { id, title, tickets, emptyText, onCancel, cancellingId, showCodes }
+ * @returns {JSX.Element}
+ */
+function TicketSection({ id, title, tickets, emptyText, onCancel, cancellingId, showCodes }) {
+  return (
+    <section aria-labelledby={id}>
+      <h3 id={id}>{title}</h3>
+      {tickets.length === 0 ? (
+        <p>{emptyText}</p>
+      ) : (
+        <div className="event-list">
+          {tickets.map((t) => (
+            <div key={t.key} className="event-card">
+              <article aria-labelledby={`ticket-${t.key}-title`}>
+                <h3 id={`ticket-${t.key}-title`}>{t.eventName}</h3>
+                <p>
+                  <strong>Date: </strong>
+                  <time dateTime={t.eventDate}>{t.eventDate}</time>
+                </p>
+                <p>
+                  <strong>Tickets: </strong>
+                  {t.quantity}
+                </p>
+                <p>
+                  <strong>Order #{t.orderId}</strong> ({t.status})
+                </p>
+                {onCancel && t.status === "confirmed" && (
+                  <button
+                    type="button"
+                    onClick={() => onCancel(t.orderId)}
+                    disabled={cancellingId === t.orderId}
+                    aria-label={`Cancel order ${t.orderId} for ${t.eventName}`}
+                  >
+                    {cancellingId === t.orderId ? "Cancelling…" : "Cancel"}
+                  </button>
+                )}
+                {showCodes && <TicketCodes ticket={t} />}
+              </article>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+/**
+ * @component MyTickets
+ * @description Shows the logged-in user's purchased tickets, grouped into upcoming and past events.
+ * @returns {JSX.Element}
+ */
+export default function MyTickets() {
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+  const [actionErr, setActionErr] = useState("");
+  const [statusMsg, setStatusMsg] = useState("");
+  const [cancellingId, setCancellingId] = useState(null);
+  const statusRef = useRef(null);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        setOrders(await fetchMyOrders());
+      } catch (e) {
+        setErr(e.message || "Failed to load tickets");
+      } finally {
+        setLoading(false);
+      }
+    })();
+  }, []);
+
+  /**
+   * @function handleCancel
+   * @description Cancels an order and updates its status in place.
+   * @param {number} orderId - Order ID
+   * @returns {Promise<void>}
+   */
+  async function handleCancel(orderId) {
+    setActionErr("");
+    setCancellingId(orderId);
+    try {
+      const { order } = await cancelOrder(orderId);
+      setOrders((prev) => prev.map((o) => (o.id === orderId ? { ...o, ...order } : o)));
+      setStatusMsg(`Order ${orderId} cancelled. Your tickets have been refunded.`);
+      statusRef.current?.focus();
+    } catch (e) {
+      setActionErr(e.message || "Cancellation failed");
+    } finally {
+      setCancellingId(null);
+    }
+  }
+
+  if (loading) return <p>Loading tickets…</p>;
+  if (err) return <p role="alert">Error: {err}</p>;
+
+  const { upcoming, past } = groupTicketsByDate(orders, localToday());
+
+  return (
+    <>
+      {/* Live region for screen readers */}
+      <div
+        ref={statusRef}
+        tabIndex={-1}
+        role="status"
+        aria-live="polite"
+        aria-atomic="true"
+        className="sr-only"
+      >
+        {statusMsg}
+      </div>
+      {actionErr && <p role="alert">Error: {actionErr}</p>}
+
+      <TicketSection
+        id="upcoming-tickets-heading"
+        title="Upcoming Events"
+        tickets={upcoming}
+        emptyText="You have no tickets for upcoming events."
+        onCancel={handleCancel}
+        cancellingId={cancellingId}
+        showCodes
+      />
+      <TicketSection
+        id="past-tickets-heading"
+        title="Past Events"
+        tickets={past}
+        emptyText="No past events yet."
+      />
+    </>
+  );
+}
@@ -8,13 +8,14 @@ import './EnhancedVoiceInput.css';
 
 /**
  * Simple Voice Input Button Component matching send button style
- * @param {Object} props - Component props
+ * @param {Object} props - Component props; language is the recognition language (e.g. 'es-US')
  * @returns {JSX.Element} Simple voice input button
  */
 const EnhancedVoiceInput = ({ 
   onVoiceInput, 
   className = '',
-  disabled = false
+  disabled = false,
+  language = 'en-US'
 }) => {
   const {
     isSupported,
@@ -28,6 +29,7 @@ const EnhancedVoiceInput = ({
     continuous: false,
     interimResults: false,
     confidenceThreshold: 0.6,
+    language,
     onResult: (result) => {
       if (onVoiceInput && result.transcript) {
         onVoiceInput(result.transcript, {
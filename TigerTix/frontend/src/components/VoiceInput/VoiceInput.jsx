@@ -13,7 +13,7 @@ import {
 } from '../../utils/voiceUtils';
 import './VoiceInput.css';
 
-const VoiceInput = ({ onVoiceInput, disabled = false, className = '' }) => {
+const VoiceInput = ({ onVoiceInput, disabled = false, className = '', language = 'en-US' }) => {
   // State management
   const [isSupported, setIsSupported] = useState(false);
   const [isListening, setIsListening] = useState(false);
@@ -39,7 +39,7 @@ const VoiceInput = ({ onVoiceInput, disabled = false, className = '' }) => {
     // Configuration
     recognition.continuous = false;
     recognition.interimResults = false;
-    recognition.lang = 'en-US';
+    recognition.lang = language;
     recognition.maxAlternatives = 1;
 
     // Event handlers
@@ -80,7 +80,7 @@ const VoiceInput = ({ onVoiceInput, disabled = false, className = '' }) => {
       setIsProcessing(false);
       isListeningRef.current = false;
     };
-  }, [onVoiceInput]);
+  }, [onVoiceInput, language]);
 
   // Initialize component
   useEffect(() => {
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Languages the booking assistant speaks, and the chat's own text in each of them
+ */
+
+/**
+ * Supported chat languages; speechLang is used for voice recognition and text-to-speech
+ */
+export const LANGUAGES = {
+  en: { label: 'English', speechLang: 'en-US' },
+  es: { label: 'Español', speechLang: 'es-US' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Chat interface text per language; the assistant's replies come translated from the server
+ */
+const CHAT_TEXT = {
+  en: {
+    welcome: "Hello! Welcome to TigerTix. I'm your booking assistant. I can help you:\n• View available events\n• Book tickets for events\n• Check or cancel your bookings\n\nJust tell me what you'd like to do!",
+    title: '🤖 TigerTix Booking Assistant',
+    subtitle: 'Ask me to show events or book tickets using natural language!',
+    languageLabel: 'Assistant language',
+    toggleVoice: 'Toggle enhanced voice features',
+    enableVoiceFeedback: 'Enable voice feedback',
+    disableVoiceFeedback: 'Disable voice feedback',
+    loadEarlier: 'Load earlier messages',
+    showEvents: 'Show Events',
+    showEventsMessage: 'show available events',
+    confirmBooking: '✅ Confirm Booking',
+    cancel: '❌ Cancel',
+    cancelBooking: '✅ Cancel Booking',
+    keepBooking: '↩️ Keep Booking',
+    placeholder: "Type your message... (e.g., 'Book 2 tickets for Jazz Night' or 'Show me available events')",
+    send: 'Send',
+    examples: 'Try: "Show events", "Book 2 tickets for Jazz Night", "What tickets do I have?" | 🎤 Click the microphone to speak',
+    chatError: (error) => `Sorry, I encountered an error: ${error}. Please try again.`,
+    spokenError: 'Sorry, there was an error',
+    continuePrompt: 'Would you like me to continue?',
+    bookingError: (error) => `Sorry, there was an error confirming your booking: ${error}. Please try again.`,
+    bookingCancelled: 'Booking cancelled. Is there anything else I can help you with?',
+    orderCancelled: ({ orderId, eventName, tickets }) =>
+      `✅ Cancelled order #${orderId} for ${eventName}. ${tickets} ticket${tickets === 1 ? ' was' : 's were'} refunded.`,
+    cancellationError: (error) => `Sorry, I couldn't cancel your booking: ${error}.`,
+    bookingKept: 'Okay, your booking stays as it is. Is there anything else I can help you with?'
+  },
+  es: {
+    welcome: '¡Hola! Bienvenido a TigerTix. Soy tu asistente de reservas. Puedo ayudarte a:\n• Ver los eventos disponibles\n• Reservar boletos para eventos\n• Consultar o cancelar tus reservas\n\n¡Dime qué te gustaría hacer!',
+    title: '🤖 Asistente de reservas de TigerTix',
+    subtitle: '¡Pídeme que te muestre eventos o que reserve boletos con tus propias palabras!',
+    languageLabel: 'Idioma del asistente',
+    toggleVoice: 'Activar o desactivar las funciones de voz avanzadas',
+    enableVoiceFeedback: 'Activar respuestas habladas',
+    disableVoiceFeedback: 'Desactivar respuestas habladas',
+    loadEarlier: 'Cargar mensajes anteriores',
+    showEvents: 'Ver eventos',
+    showEventsMessage: 'mostrar eventos disponibles',
+    confirmBooking: '✅ Confirmar reserva',
+    cancel: '❌ Cancelar',
+    cancelBooking: '✅ Cancelar reserva',
+    keepBooking: '↩️ Mantener reserva',
+    placeholder: "Escribe tu mensaje... (p. ej., 'Reservar 2 boletos para Jazz Night' o 'Muéstrame los eventos disponibles')",
+    send: 'Enviar',
+    examples: 'Prueba: "Mostrar eventos", "Reservar 2 boletos para Jazz Night", "¿Qué boletos tengo?" | 🎤 Haz clic en el micrófono para hablar',
+    chatError: (error) => `Lo siento, ocurrió un error: ${error}. Inténtalo de nuevo.`,
+    spokenError: 'Lo siento, ocurrió un error',
+    continuePrompt: '¿Quieres que continúe?',
+    bookingError: (error) => `Lo siento, hubo un error al confirmar tu reserva: ${error}. Inténtalo de nuevo.`,
+    bookingCancelled: 'Reserva cancelada. ¿Te puedo ayudar con algo más?',
+    orderCancelled: ({ orderId, eventName, tickets }) =>
+      `✅ Pedido #${orderId} para ${eventName} cancelado. Se ${tickets === 1 ? 'reembolsó 1 boleto' : `reembolsaron ${tickets} boletos`}.`,
+    cancellationError: (error) => `Lo siento, no pude cancelar tu reserva: ${error}.`,
+    bookingKept: 'De acuerdo, tu reserva se mantiene. ¿Te puedo ayudar con algo más?'
+  }
+};
+
+/**
+ * Get the chat interface text for a language
+ * @param {string} language - Language code ('en' or 'es')
+ * @returns {Object} Chat text, in English for unsupported languages
+ */
+export const getChatText = (language) => CHAT_TEXT[language] || CHAT_TEXT[DEFAULT_LANGUAGE];
+
+/**
+ * Get the speech language for voice recognition and text-to-speech
+ * @param {string} language - Language code ('en' or 'es')
+ * @returns {string} BCP 47 tag such as 'es-US'
+ */
+export const getSpeechLanguage = (language) => (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).speechLang;
@@ -134,7 +134,7 @@ export const findBestVoice = async (language = 'en-US', preferFemale = true) =>
 /**
  * Speak text using text-to-speech
  * @param {string} text - Text to speak
- * @param {Object} options - TTS options
+ * @param {Object} options - TTS options (queue: true speaks after current speech instead of cutting it off)
  * @returns {Promise<void>} Promise that resolves when speech is complete
  */
 export const speakText = async (text, options = {}) => {
@@ -142,8 +142,10 @@ export const speakText = async (text, options = {}) => {
     return Promise.resolve();
   }
 
-  // Stop any current speech
-  speechSynthesis.cancel();
+  // Stop any current speech, unless this is queued behind it
+  if (!options.queue) {
+    speechSynthesis.cancel();
+  }
 
   const {
     rate = TTS_CONFIG.rate,
@@ -272,11 +274,12 @@ export const speakGreeting = async (userName = '') => {
 /**
  * Speak an error message
  * @param {string} error - Error message
+ * @param {Object} options - { lang, intro }; intro is said before the error, in lang
  */
-export const speakError = async (error) => {
+export const speakError = async (error, { lang = TTS_CONFIG.lang, intro = 'Sorry, there was an error' } = {}) => {
   const cleanError = removeEmojisAndSymbols(error);
-  const message = `Sorry, there was an error: ${cleanError}`;
-  return speakText(message, { type: VOICE_TYPES.ERROR });
+  const message = `${intro}: ${cleanError}`;
+  return speakText(message, { type: VOICE_TYPES.ERROR, lang });
 };
 
 /**
@@ -355,36 +358,125 @@ export const removeEmojisAndSymbols = (text) => {
 };
 
 /**
- * Process and speak assistant response
- * @param {string} response - Assistant response text
- * @param {Object} options - Speaking options
+ * Maximum characters of one response to speak
  */
-export const speakAssistantResponse = async (response, options = {}) => {
-  if (!response || response.trim().length === 0) return;
-  
-  // Clean up the response for better TTS
-  let cleanResponse = response
+const MAX_SPOKEN_LENGTH = 500;
+
+/**
+ * Clean up assistant text for TTS
+ * @param {string} text - Assistant response text
+ * @returns {string} Text without markdown, line breaks or emojis
+ */
+const prepareForSpeech = (text) => {
+  const withoutMarkdown = text
     .replace(/\*\*(.*?)\*\*/g, '$1') // Remove bold markdown
     .replace(/\*(.*?)\*/g, '$1')     // Remove italic markdown
     .replace(/`(.*?)`/g, '$1')       // Remove code markdown
     .replace(/#{1,6}\s/g, '')        // Remove headers
     .trim();
-    
-  // Convert newlines to natural pauses
-  cleanResponse = convertNewlinesToPauses(cleanResponse);
-    
-  // Remove emojis and symbols that TTS shouldn't read
-  cleanResponse = removeEmojisAndSymbols(cleanResponse);
-    
-  // Limit length for TTS (too long responses can be overwhelming)
-  if (cleanResponse.length > 500) {
-    cleanResponse = cleanResponse.substring(0, 500) + '... Would you like me to continue?';
+
+  // Convert newlines to natural pauses, then drop what TTS shouldn't read
+  return removeEmojisAndSymbols(convertNewlinesToPauses(withoutMarkdown));
+};
+
+/**
+ * Split text after each complete sentence or line
+ * @param {string} text - Text that may end mid-sentence
+ * @returns {{sentences: string[], rest: string}} Complete sentences, and the unfinished remainder
+ */
+export const splitSentences = (text) => {
+  const sentences = [];
+  const boundary = /[.!?]+\s+|\n+/g;
+  let start = 0;
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    sentences.push(text.slice(start, match.index + match[0].length));
+    start = match.index + match[0].length;
   }
-  
-  return speakText(cleanResponse, {
-    type: VOICE_TYPES.ASSISTANT,
-    ...options
-  });
+  return { sentences, rest: text.slice(start) };
+};
+
+/**
+ * Create a speaker that reads a response aloud sentence by sentence as its text arrives
+ * @param {Object} options - Speaking options, as for speakText; onStart and onEnd fire once per response,
+ * and continuePrompt is said when a long response is cut short
+ * @returns {{push: Function, finish: Function, cancel: Function}} push(text) adds streamed text;
+ * finish() speaks what is left and resolves when speech is complete; cancel() stops speaking
+ */
+export const createSentenceSpeaker = (options = {}) => {
+  // onStart and onEnd describe the whole response, not each sentence
+  const {
+    onStart = null,
+    onEnd = null,
+    continuePrompt = 'Would you like me to continue?',
+    ...speechOptions
+  } = options;
+  let buffer = '';
+  let spokenLength = 0;
+  let stopped = false;
+  let cancelled = false;
+  const utterances = [];
+
+  // Look the voice up once so sentences are queued in order
+  const voice = options.voice
+    ? Promise.resolve(options.voice)
+    : findBestVoice(options.lang || TTS_CONFIG.lang).catch(() => null);
+
+  const speakSentence = (sentence) => {
+    let clean = prepareForSpeech(sentence);
+    if (stopped || !clean) return;
+
+    if (spokenLength + clean.length > MAX_SPOKEN_LENGTH) {
+      clean = `${clean.substring(0, MAX_SPOKEN_LENGTH - spokenLength)}... ${continuePrompt}`;
+      stopped = true;
+    }
+    const queue = spokenLength > 0;
+    spokenLength += clean.length;
+
+    const utterance = voice.then((bestVoice) => cancelled ? undefined : speakText(clean, {
+      type: VOICE_TYPES.ASSISTANT,
+      ...speechOptions,
+      voice: bestVoice,
+      onStart: queue ? null : onStart,
+      queue
+    }));
+    // Failures surface through finish()
+    utterance.catch(() => {});
+    utterances.push(utterance);
+  };
+
+  return {
+    push: (text) => {
+      const { sentences, rest } = splitSentences(buffer + text);
+      buffer = rest;
+      sentences.forEach(speakSentence);
+    },
+    finish: async () => {
+      speakSentence(buffer);
+      buffer = '';
+      await Promise.all(utterances);
+      if (onEnd) onEnd();
+    },
+    cancel: () => {
+      stopped = true;
+      cancelled = true;
+      buffer = '';
+      stopSpeaking();
+    }
+  };
+};
+
+/**
+ * Process and speak assistant response, one sentence at a time
+ * @param {string} response - Assistant response text
+ * @param {Object} options - Speaking options
+ */
+export const speakAssistantResponse = async (response, options = {}) => {
+  if (!response || response.trim().length === 0) return;
+
+  const speaker = createSentenceSpeaker(options);
+  speaker.push(response);
+  return speaker.finish();
 };
 
 export { VOICE_TYPES };
\ No newline at end of file